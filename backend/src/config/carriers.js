@@ -0,0 +1,389 @@
+/**
+ * 物流公司配置
+ * 从配置文件和环境变量加载各物流公司的接口地址、凭证、超时时间和运行模式，
+ * 每个物流公司可以配置多个账号（如按仓库区分的DHL账号）
+ *
+ * 配置文件（SHIPPING_CARRIERS_CONFIG指定路径，JSON格式）：
+ * {
+ *   "dhl": {
+ *     "mode": "production",
+ *     "timeout": 8000,
+ *     "accounts": {
+ *       "default": { "apiKey": "..." },
+ *       "warehouse_sz": { "apiKey": "...", "apiUrl": "..." }
+ *     }
+ *   }
+ * }
+ *
+ * 环境变量（优先级高于配置文件，<CODE>为大写的物流公司代码）：
+ * - SHIPPING_<CODE>_MODE: sandbox 或 production
+ * - SHIPPING_<CODE>_TIMEOUT: 请求超时时间（毫秒）
+ * - SHIPPING_<CODE>_POLL_CONCURRENCY: 后台轮询时的最大并发请求数
+ * - SHIPPING_<CODE>_WEBHOOK_SECRET: 物流公司推送通知的签名密钥
+ * - SHIPPING_<CODE>_STALLED_HOURS / SHIPPING_<CODE>_OVERDUE_HOURS / SHIPPING_<CODE>_CUSTOMS_HOURS:
+ *   物流预警阈值（小时），配置文件中为 alertThresholds: { stalledHours, overdueHours, customsHours }
+ * - SHIPPING_<CODE>_CLAIM_LOST_DAYS / SHIPPING_<CODE>_CLAIM_DAMAGED_DAYS:
+ *   索赔期限（天），丢失从发货日期起算，损坏从送达日期起算，配置文件中为 claimWindows: { lostDays, damagedDays }
+ * - SHIPPING_<CODE>_API_URL / SHIPPING_<CODE>_API_KEY: 默认账号
+ * - SHIPPING_<CODE>_API_SECRET / SHIPPING_<CODE>_ACCOUNT_NUMBER / SHIPPING_<CODE>_SHIPMENT_API_URL:
+ *   默认账号创建运单和面单时使用的密钥、物流公司客户编号和运单接口地址
+ * - SHIPPING_<CODE>_ACCOUNTS: 其他账号名称，逗号分隔
+ * - SHIPPING_<CODE>_<ACCOUNT>_API_URL / SHIPPING_<CODE>_<ACCOUNT>_API_KEY 等: 指定账号
+ */
+
+const fs = require('fs');
+
+// 默认账号名称
+const DEFAULT_ACCOUNT = 'default';
+
+// 默认请求超时时间（毫秒）
+const DEFAULT_TIMEOUT = 10000;
+
+// 默认的后台轮询并发数
+const DEFAULT_POLL_CONCURRENCY = 2;
+
+// 默认的物流预警阈值（小时）：无新跟踪事件、超过预计送达日期、海关扣留
+const DEFAULT_ALERT_THRESHOLDS = {
+  stalledHours: 96,
+  overdueHours: 24,
+  customsHours: 72
+};
+
+// 默认的索赔期限（天）
+const DEFAULT_CLAIM_WINDOWS = {
+  lostDays: 60,
+  damagedDays: 14
+};
+
+// 各物流公司的默认索赔期限（天）
+const CARRIER_CLAIM_WINDOWS = {
+  dhl: { lostDays: 30, damagedDays: 30 },
+  ups: { lostDays: 60, damagedDays: 60 }
+};
+
+// 各物流公司的默认接口地址
+const CARRIER_ENDPOINTS = {
+  dhl: {
+    production: 'https://api-eu.dhl.com/track',
+    sandbox: 'https://api-test.dhl.com/track'
+  },
+  ups: {
+    production: 'https://onlinetools.ups.com/api/track/v1',
+    sandbox: 'https://wwwcie.ups.com/api/track/v1'
+  },
+  '17track': {
+    production: 'https://api.17track.net/track/v1',
+    sandbox: 'https://api.17track.net/track/v1'
+  },
+  cainiao: {
+    production: 'https://api.cainiao.com/tracking',
+    sandbox: 'https://api-pre.cainiao.com/tracking'
+  },
+  yunexpress: {
+    production: 'https://api.yunexpress.com/api/tracking',
+    sandbox: 'https://api-sandbox.yunexpress.com/api/tracking'
+  }
+};
+
+// 各物流公司的默认运单（面单）接口地址
+const CARRIER_SHIPMENT_ENDPOINTS = {
+  dhl: {
+    production: 'https://express.api.dhl.com/mydhlapi',
+    sandbox: 'https://express.api.dhl.com/mydhlapi/test'
+  },
+  ups: {
+    production: 'https://onlinetools.ups.com/api/shipments/v2409',
+    sandbox: 'https://wwwcie.ups.com/api/shipments/v2409'
+  }
+};
+
+// 已加载的配置缓存
+let cachedConfig = null;
+
+/**
+ * 读取配置文件
+ * @returns {Object} - 配置文件内容，未配置时返回空对象
+ */
+function readConfigFile() {
+  const filePath = process.env.SHIPPING_CARRIERS_CONFIG;
+
+  if (!filePath) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`读取物流公司配置文件失败: ${error.message}`);
+  }
+}
+
+/**
+ * 获取物流公司对应的环境变量前缀
+ * @param {string} code - 物流公司代码
+ * @returns {string} - 环境变量前缀
+ */
+function envPrefix(code) {
+  return `SHIPPING_${code.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+}
+
+/**
+ * 从环境变量读取账号配置
+ * @param {string} prefix - 环境变量前缀
+ * @returns {Object} - 账号配置（仅包含已设置的字段）
+ */
+function readAccountEnv(prefix) {
+  const account = {};
+
+  if (process.env[`${prefix}_API_URL`]) account.apiUrl = process.env[`${prefix}_API_URL`];
+  if (process.env[`${prefix}_API_KEY`]) account.apiKey = process.env[`${prefix}_API_KEY`];
+  if (process.env[`${prefix}_API_SECRET`]) account.apiSecret = process.env[`${prefix}_API_SECRET`];
+  if (process.env[`${prefix}_ACCOUNT_NUMBER`]) account.accountNumber = process.env[`${prefix}_ACCOUNT_NUMBER`];
+  if (process.env[`${prefix}_SHIPMENT_API_URL`]) account.shipmentApiUrl = process.env[`${prefix}_SHIPMENT_API_URL`];
+
+  return account;
+}
+
+/**
+ * 合并配置文件和环境变量，得到单个物流公司的配置
+ * @param {string} code - 物流公司代码
+ * @param {Object} fileConfig - 配置文件中该物流公司的配置
+ * @returns {Object} - 物流公司配置
+ */
+function buildCarrierConfig(code, fileConfig = {}) {
+  const prefix = envPrefix(code);
+  const accounts = {};
+
+  Object.entries(fileConfig.accounts || {}).forEach(([name, account]) => {
+    accounts[name] = { ...account };
+  });
+
+  // 默认账号
+  const defaultEnv = readAccountEnv(prefix);
+  if (Object.keys(defaultEnv).length > 0) {
+    accounts[DEFAULT_ACCOUNT] = { ...accounts[DEFAULT_ACCOUNT], ...defaultEnv };
+  }
+
+  // 其他账号
+  (process.env[`${prefix}_ACCOUNTS`] || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .forEach(name => {
+      const accountEnv = readAccountEnv(`${prefix}_${name.toUpperCase()}`);
+      accounts[name] = { ...accounts[name], ...accountEnv };
+    });
+
+  const timeout = process.env[`${prefix}_TIMEOUT`] || fileConfig.timeout || DEFAULT_TIMEOUT;
+  const pollConcurrency = process.env[`${prefix}_POLL_CONCURRENCY`] || fileConfig.pollConcurrency || DEFAULT_POLL_CONCURRENCY;
+
+  const fileThresholds = fileConfig.alertThresholds || {};
+  const alertThresholds = {};
+  Object.keys(DEFAULT_ALERT_THRESHOLDS).forEach(key => {
+    const envKey = `${prefix}_${key.replace('Hours', '').toUpperCase()}_HOURS`;
+    alertThresholds[key] = Number(process.env[envKey] || fileThresholds[key] || DEFAULT_ALERT_THRESHOLDS[key]);
+  });
+
+  const fileClaimWindows = fileConfig.claimWindows || {};
+  const defaultClaimWindows = { ...DEFAULT_CLAIM_WINDOWS, ...CARRIER_CLAIM_WINDOWS[code] };
+  const claimWindows = {};
+  Object.keys(DEFAULT_CLAIM_WINDOWS).forEach(key => {
+    const envKey = `${prefix}_CLAIM_${key.replace('Days', '').toUpperCase()}_DAYS`;
+    claimWindows[key] = Number(process.env[envKey] || fileClaimWindows[key] || defaultClaimWindows[key]);
+  });
+
+  return {
+    mode: process.env[`${prefix}_MODE`] || fileConfig.mode || 'production',
+    timeout: Number(timeout),
+    pollConcurrency: Number(pollConcurrency),
+    webhookSecret: process.env[`${prefix}_WEBHOOK_SECRET`] || fileConfig.webhookSecret || null,
+    alertThresholds,
+    claimWindows,
+    accounts
+  };
+}
+
+/**
+ * 校验物流公司配置
+ * @param {Object} config - 全部物流公司配置
+ * @returns {string[]} - 错误信息列表
+ */
+function validateCarrierConfig(config) {
+  const errors = [];
+
+  Object.entries(config).forEach(([code, carrierConfig]) => {
+    if (!['sandbox', 'production'].includes(carrierConfig.mode)) {
+      errors.push(`${code}: mode必须为sandbox或production`);
+    }
+
+    if (!Number.isInteger(carrierConfig.timeout) || carrierConfig.timeout <= 0) {
+      errors.push(`${code}: timeout必须为正整数`);
+    }
+
+    if (!Number.isInteger(carrierConfig.pollConcurrency) || carrierConfig.pollConcurrency <= 0) {
+      errors.push(`${code}: pollConcurrency必须为正整数`);
+    }
+
+    Object.entries(carrierConfig.alertThresholds || {}).forEach(([key, value]) => {
+      if (!(value > 0)) {
+        errors.push(`${code}: alertThresholds.${key}必须为正数`);
+      }
+    });
+
+    Object.entries(carrierConfig.claimWindows || {}).forEach(([key, value]) => {
+      if (!(value > 0)) {
+        errors.push(`${code}: claimWindows.${key}必须为正数`);
+      }
+    });
+
+    Object.entries(carrierConfig.accounts).forEach(([name, account]) => {
+      if (!account.apiKey) {
+        errors.push(`${code}.${name}: 缺少apiKey`);
+      }
+
+      const apiUrl = account.apiUrl || CARRIER_ENDPOINTS[code]?.[carrierConfig.mode];
+      if (!apiUrl) {
+        errors.push(`${code}.${name}: 缺少apiUrl`);
+      } else if (!/^https?:\/\//.test(apiUrl)) {
+        errors.push(`${code}.${name}: apiUrl格式无效`);
+      }
+
+      if (account.shipmentApiUrl && !/^https?:\/\//.test(account.shipmentApiUrl)) {
+        errors.push(`${code}.${name}: shipmentApiUrl格式无效`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * 加载并校验物流公司配置（结果会被缓存）
+ * @param {Object} options - 加载选项
+ * @param {boolean} options.reload - 是否重新加载
+ * @returns {Object} - 物流公司代码 -> 物流公司配置
+ */
+function loadCarrierConfig({ reload = false } = {}) {
+  if (cachedConfig && !reload) {
+    return cachedConfig;
+  }
+
+  const fileConfig = readConfigFile();
+  const codes = new Set([...Object.keys(CARRIER_ENDPOINTS), ...Object.keys(fileConfig)]);
+  const config = {};
+
+  codes.forEach(code => {
+    config[code] = buildCarrierConfig(code, fileConfig[code]);
+  });
+
+  const errors = validateCarrierConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`物流公司配置无效:\n${errors.join('\n')}`);
+  }
+
+  cachedConfig = config;
+  return config;
+}
+
+/**
+ * 获取物流公司指定账号的跟踪器选项
+ * @param {string} code - 物流公司代码
+ * @param {string} account - 账号名称
+ * @returns {Object} - 跟踪器和面单选项（apiUrl、apiKey、shipmentApiUrl、timeout、mode）
+ */
+function getCarrierAccount(code, account = DEFAULT_ACCOUNT) {
+  const carrierConfig = loadCarrierConfig()[code];
+  const accountName = account || DEFAULT_ACCOUNT;
+
+  if (!carrierConfig) {
+    return { apiUrl: null, apiKey: null, shipmentApiUrl: null, timeout: DEFAULT_TIMEOUT, mode: 'production' };
+  }
+
+  const accountConfig = carrierConfig.accounts[accountName];
+
+  if (!accountConfig && accountName !== DEFAULT_ACCOUNT) {
+    throw new Error(`物流公司 ${code} 未配置账号: ${accountName}`);
+  }
+
+  return {
+    ...accountConfig,
+    apiUrl: accountConfig?.apiUrl || CARRIER_ENDPOINTS[code]?.[carrierConfig.mode] || null,
+    apiKey: accountConfig?.apiKey || null,
+    shipmentApiUrl: accountConfig?.shipmentApiUrl || CARRIER_SHIPMENT_ENDPOINTS[code]?.[carrierConfig.mode] || null,
+    timeout: carrierConfig.timeout,
+    mode: carrierConfig.mode
+  };
+}
+
+/**
+ * 获取物流公司后台轮询的最大并发数
+ * @param {string} code - 物流公司代码
+ * @returns {number} - 最大并发数
+ */
+function getCarrierPollConcurrency(code) {
+  return loadCarrierConfig()[code]?.pollConcurrency || DEFAULT_POLL_CONCURRENCY;
+}
+
+/**
+ * 获取物流公司推送通知的签名密钥
+ * @param {string} code - 物流公司代码
+ * @returns {string|null} - 签名密钥，未配置时返回null
+ */
+function getCarrierWebhookSecret(code) {
+  return loadCarrierConfig()[code]?.webhookSecret || null;
+}
+
+/**
+ * 获取物流公司的预警阈值
+ * @param {string} code - 物流公司代码
+ * @returns {Object} - 预警阈值（stalledHours、overdueHours、customsHours）
+ */
+function getCarrierAlertThresholds(code) {
+  // 没有配置文件和接口配置的物流公司（如手动维护的物流公司）也可以通过环境变量设置
+  return loadCarrierConfig()[code]?.alertThresholds || buildCarrierConfig(code).alertThresholds;
+}
+
+/**
+ * 获取物流公司的索赔期限
+ * @param {string} code - 物流公司代码
+ * @returns {Object} - 索赔期限（lostDays、damagedDays）
+ */
+function getCarrierClaimWindows(code) {
+  return loadCarrierConfig()[code]?.claimWindows || buildCarrierConfig(code).claimWindows;
+}
+
+/**
+ * 检查物流公司是否配置了指定账号
+ * @param {string} code - 物流公司代码
+ * @param {string} account - 账号名称
+ * @returns {boolean} - 是否已配置
+ */
+function hasCarrierAccount(code, account) {
+  if (!account || account === DEFAULT_ACCOUNT) {
+    return true;
+  }
+
+  return Boolean(loadCarrierConfig()[code]?.accounts[account]);
+}
+
+/**
+ * 获取物流公司已配置的账号名称
+ * @param {string} code - 物流公司代码
+ * @returns {string[]} - 账号名称列表
+ */
+function listCarrierAccounts(code) {
+  return Object.keys(loadCarrierConfig()[code]?.accounts || {});
+}
+
+module.exports = {
+  DEFAULT_ACCOUNT,
+  loadCarrierConfig,
+  validateCarrierConfig,
+  getCarrierAccount,
+  hasCarrierAccount,
+  listCarrierAccounts,
+  getCarrierPollConcurrency,
+  getCarrierWebhookSecret,
+  getCarrierAlertThresholds,
+  getCarrierClaimWindows
+};
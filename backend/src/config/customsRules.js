@@ -0,0 +1,307 @@
+/**
+ * 报关规则配置
+ * 内置各目的国家的报关要求（HS编码位数、收件人电话和税号、低价值商品的增值税登记号）和汇率，
+ * 可通过配置文件覆盖或补充
+ *
+ * 配置文件（SHIPPING_CUSTOMS_CONFIG指定路径，JSON格式）：
+ * {
+ *   "exchangeRates": { "USD": 7.1, "EUR": 7.7 },
+ *   "countries": {
+ *     "CH": {
+ *       "hsCodeDigits": 8,
+ *       "requireRecipientPhone": true,
+ *       "recipientTaxId": { "name": "UID", "pattern": "^CHE\\d{9}$" },
+ *       "taxScheme": {
+ *         "code": "CH_VAT",
+ *         "name": "瑞士增值税号",
+ *         "field": "vatNumber",
+ *         "env": "SHIPPING_CH_VAT_NUMBER",
+ *         "pattern": "^CHE\\d{9}$",
+ *         "maxValue": 1000,
+ *         "currency": "CHF",
+ *         "incoterms": ["DDP"]
+ *       }
+ *     }
+ *   }
+ * }
+ *
+ * exchangeRates为1单位外币兑换的人民币金额；countries中的国家规则会覆盖同名的内置规则，
+ * 未配置的国家使用default规则。taxScheme表示申报价值不超过maxValue且贸易术语属于incoterms时，
+ * 必须填写field对应的税号（iossNumber或vatNumber），未在请求中指定时使用env环境变量的值
+ *
+ * 环境变量：
+ * - SHIPPING_CUSTOMS_CONFIG: 配置文件路径
+ */
+
+const fs = require('fs');
+
+// 欧盟成员国（统一适用IOSS）
+const EU_COUNTRIES = [
+  'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE',
+  'IT', 'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE'
+];
+
+// 默认规则（未单独配置的国家）
+const DEFAULT_COUNTRY_RULE = {
+  hsCodeDigits: 6,
+  requireRecipientPhone: false,
+  recipientTaxId: null,
+  taxScheme: null
+};
+
+// 欧盟进口一站式申报（IOSS），不超过150欧元的包裹在销售时收取增值税
+const EU_RULE = {
+  hsCodeDigits: 6,
+  requireRecipientPhone: true,
+  recipientTaxId: null,
+  taxScheme: {
+    code: 'IOSS',
+    name: 'IOSS编号',
+    field: 'iossNumber',
+    env: 'SHIPPING_IOSS_NUMBER',
+    pattern: '^IM\\d{10}$',
+    maxValue: 150,
+    currency: 'EUR',
+    incoterms: ['DDP']
+  }
+};
+
+// 内置的国家规则
+const DEFAULT_COUNTRY_RULES = {
+  ...Object.fromEntries(EU_COUNTRIES.map(country => [country, EU_RULE])),
+  // 英国：不超过135英镑的包裹由卖家代收增值税，必须提供英国增值税号
+  GB: {
+    hsCodeDigits: 6,
+    requireRecipientPhone: true,
+    recipientTaxId: null,
+    taxScheme: {
+      code: 'UK_VAT',
+      name: '英国增值税号',
+      field: 'vatNumber',
+      env: 'SHIPPING_UK_VAT_NUMBER',
+      pattern: '^GB(\\d{9}|\\d{12})$',
+      maxValue: 135,
+      currency: 'GBP',
+      incoterms: ['DDP', 'DDU']
+    }
+  },
+  // 挪威：不超过3000挪威克朗的包裹通过VOEC代收增值税
+  NO: {
+    hsCodeDigits: 6,
+    requireRecipientPhone: true,
+    recipientTaxId: null,
+    taxScheme: {
+      code: 'VOEC',
+      name: 'VOEC编号',
+      field: 'vatNumber',
+      env: 'SHIPPING_VOEC_NUMBER',
+      pattern: '^VOEC\\d{7}$',
+      maxValue: 3000,
+      currency: 'NOK',
+      incoterms: ['DDP', 'DDU']
+    }
+  },
+  // 澳大利亚：不超过1000澳元的包裹由卖家代收GST
+  AU: {
+    hsCodeDigits: 6,
+    requireRecipientPhone: false,
+    recipientTaxId: null,
+    taxScheme: {
+      code: 'AU_GST',
+      name: 'ARN/ABN',
+      field: 'vatNumber',
+      env: 'SHIPPING_AU_GST_NUMBER',
+      pattern: '^\\d{11,12}$',
+      maxValue: 1000,
+      currency: 'AUD',
+      incoterms: ['DDP', 'DDU']
+    }
+  },
+  US: {
+    hsCodeDigits: 6,
+    requireRecipientPhone: true,
+    recipientTaxId: null,
+    taxScheme: null
+  },
+  // 巴西：收件人必须提供CPF（个人）或CNPJ（企业）
+  BR: {
+    hsCodeDigits: 8,
+    requireRecipientPhone: true,
+    recipientTaxId: { name: 'CPF/CNPJ', pattern: '^(\\d{11}|\\d{14})$' },
+    taxScheme: null
+  },
+  // 韩国：收件人必须提供个人通关号码
+  KR: {
+    hsCodeDigits: 6,
+    requireRecipientPhone: true,
+    recipientTaxId: { name: '个人通关号码（PCCC）', pattern: '^P\\d{12}$' },
+    taxScheme: null
+  }
+};
+
+// 内置汇率（1单位外币兑换的人民币金额，XDR为特别提款权）
+const DEFAULT_EXCHANGE_RATES = {
+  CNY: 1,
+  USD: 7.2,
+  EUR: 7.8,
+  GBP: 9.1,
+  JPY: 0.048,
+  KRW: 0.0053,
+  HKD: 0.92,
+  SGD: 5.3,
+  AUD: 4.7,
+  CAD: 5.2,
+  CHF: 8.1,
+  NOK: 0.67,
+  BRL: 1.3,
+  XDR: 9.6
+};
+
+// CN22报关签条的申报价值上限（超过时使用CN23）
+const CN22_MAX_VALUE = { amount: 300, currency: 'XDR' };
+
+// 已加载的配置缓存
+let cachedConfig = null;
+
+/**
+ * 读取配置文件
+ * @returns {Object} - 配置文件内容，未配置时返回空对象
+ */
+function readConfigFile() {
+  const filePath = process.env.SHIPPING_CUSTOMS_CONFIG;
+
+  if (!filePath) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`读取报关配置文件失败: ${error.message}`);
+  }
+}
+
+/**
+ * 合并内置配置和配置文件
+ * @param {Object} fileConfig - 配置文件内容
+ * @returns {Object} - 报关配置（exchangeRates、countries）
+ */
+function buildCustomsConfig(fileConfig = {}) {
+  const exchangeRates = { ...DEFAULT_EXCHANGE_RATES };
+  Object.entries(fileConfig.exchangeRates || {}).forEach(([currency, rate]) => {
+    exchangeRates[currency.toUpperCase()] = rate;
+  });
+
+  const countries = { ...DEFAULT_COUNTRY_RULES };
+  Object.entries(fileConfig.countries || {}).forEach(([country, rule]) => {
+    countries[country.toUpperCase()] = { ...DEFAULT_COUNTRY_RULE, ...rule };
+  });
+
+  return { exchangeRates, countries };
+}
+
+/**
+ * 校验报关配置
+ * @param {Object} config - 报关配置
+ * @returns {string[]} - 错误信息列表
+ */
+function validateCustomsConfig(config) {
+  const errors = [];
+
+  Object.entries(config.exchangeRates).forEach(([currency, rate]) => {
+    if (!(rate > 0)) {
+      errors.push(`exchangeRates.${currency}: 汇率必须为正数`);
+    }
+  });
+
+  Object.entries(config.countries).forEach(([country, rule]) => {
+    if (!/^[A-Z]{2}$/.test(country)) {
+      errors.push(`${country}: 国家必须为两位国家代码`);
+    }
+    if (!(rule.hsCodeDigits >= 6 && rule.hsCodeDigits <= 10)) {
+      errors.push(`${country}: hsCodeDigits必须在6到10之间`);
+    }
+
+    [rule.recipientTaxId, rule.taxScheme].filter(Boolean).forEach(taxId => {
+      try {
+        new RegExp(taxId.pattern || '');
+      } catch (error) {
+        errors.push(`${country}: 无效的税号格式 ${taxId.pattern}`);
+      }
+    });
+
+    if (rule.taxScheme) {
+      const scheme = rule.taxScheme;
+      if (!['iossNumber', 'vatNumber'].includes(scheme.field)) {
+        errors.push(`${country}: taxScheme.field必须为iossNumber或vatNumber`);
+      }
+      if (!(scheme.maxValue > 0)) {
+        errors.push(`${country}: taxScheme.maxValue必须为正数`);
+      }
+      if (!config.exchangeRates[scheme.currency]) {
+        errors.push(`${country}: 缺少币种 ${scheme.currency} 的汇率`);
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * 加载并校验报关配置（结果会被缓存）
+ * @param {Object} options - 加载选项
+ * @param {boolean} options.reload - 是否重新加载
+ * @returns {Object} - 报关配置（exchangeRates、countries）
+ */
+function loadCustomsConfig({ reload = false } = {}) {
+  if (cachedConfig && !reload) {
+    return cachedConfig;
+  }
+
+  const config = buildCustomsConfig(readConfigFile());
+
+  const errors = validateCustomsConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`报关配置无效:\n${errors.join('\n')}`);
+  }
+
+  cachedConfig = config;
+  return config;
+}
+
+/**
+ * 获取目的国家的报关规则
+ * @param {string} country - 国家代码
+ * @returns {Object} - 报关规则
+ */
+function getCountryCustomsRule(country) {
+  return loadCustomsConfig().countries[String(country || '').toUpperCase()] || DEFAULT_COUNTRY_RULE;
+}
+
+/**
+ * 按配置的汇率换算金额
+ * @param {number} amount - 金额
+ * @param {string} from - 原币种
+ * @param {string} to - 目标币种
+ * @returns {number|null} - 换算后的金额，缺少汇率时返回null
+ */
+function convertCurrency(amount, from, to) {
+  const { exchangeRates } = loadCustomsConfig();
+  const fromRate = exchangeRates[String(from || '').toUpperCase()];
+  const toRate = exchangeRates[String(to || '').toUpperCase()];
+
+  if (!fromRate || !toRate) {
+    return null;
+  }
+
+  return amount * fromRate / toRate;
+}
+
+module.exports = {
+  EU_COUNTRIES,
+  CN22_MAX_VALUE,
+  loadCustomsConfig,
+  validateCustomsConfig,
+  getCountryCustomsRule,
+  convertCurrency
+};
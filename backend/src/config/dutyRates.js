@@ -0,0 +1,315 @@
+/**
+ * 关税和进口税费率配置
+ * 内置主要目的国家的小额豁免额度、进口增值税/GST税率和按HS编码前缀的关税税率（简化的本地税率表，
+ * 仅用于估算），可通过配置文件覆盖或补充
+ *
+ * 配置文件（SHIPPING_DUTY_RATES_CONFIG指定路径，JSON格式）：
+ * {
+ *   "countries": {
+ *     "MX": {
+ *       "currency": "USD",
+ *       "valuation": "CIF",
+ *       "dutyDeMinimis": 50,
+ *       "taxDeMinimis": 50,
+ *       "taxName": "IVA",
+ *       "taxRate": 0.16,
+ *       "defaultDutyRate": 0.17,
+ *       "dutyRates": { "8517": 0, "61": 0.2 }
+ *     },
+ *     "DE": { "dutyRates": { "6109": 0.12 } }
+ *   }
+ * }
+ *
+ * 配置文件中的国家会与同名的内置配置合并（dutyRates按HS编码前缀合并）。
+ * 关税按最长匹配的HS编码前缀取税率，未匹配时使用defaultDutyRate；valuation为CIF时完税价格包含运费，
+ * FOB时不包含。申报价值不超过dutyDeMinimis时免征关税，不超过taxDeMinimis时免征进口增值税/GST
+ * （金额单位为currency，汇率见config/customsRules.js）
+ *
+ * 环境变量：
+ * - SHIPPING_DUTY_RATES_CONFIG: 配置文件路径
+ */
+
+const fs = require('fs');
+const { EU_COUNTRIES, loadCustomsConfig } = require('./customsRules');
+
+// 欧盟统一关税税率（按HS编码前缀）
+const EU_DUTY_RATES = {
+  '33': 0,         // 化妆品
+  '42': 0.03,      // 箱包
+  '61': 0.12,      // 针织服装
+  '62': 0.12,      // 梭织服装
+  '64': 0.17,      // 鞋类
+  '3926': 0.065,   // 塑料制品
+  '7117': 0.04,    // 仿首饰
+  '85': 0.027,     // 电子产品
+  '8471': 0,       // 计算机
+  '8517': 0,       // 手机及通信设备
+  '95': 0.017      // 玩具和运动用品
+};
+
+// 欧盟成员国的增值税标准税率
+const EU_VAT_RATES = {
+  AT: 0.2, BE: 0.21, BG: 0.2, HR: 0.25, CY: 0.19, CZ: 0.21, DK: 0.25, EE: 0.24, FI: 0.255,
+  FR: 0.2, DE: 0.19, GR: 0.24, HU: 0.27, IE: 0.23, IT: 0.22, LV: 0.21, LT: 0.21, LU: 0.17,
+  MT: 0.18, NL: 0.21, PL: 0.23, PT: 0.23, RO: 0.21, SK: 0.23, SI: 0.22, ES: 0.21, SE: 0.25
+};
+
+// 内置的国家税率
+const DEFAULT_DUTY_RATES = {
+  ...Object.fromEntries(EU_COUNTRIES.map(country => [country, {
+    currency: 'EUR',
+    valuation: 'CIF',
+    dutyDeMinimis: 150,
+    taxDeMinimis: 0,
+    taxName: 'VAT',
+    taxRate: EU_VAT_RATES[country],
+    defaultDutyRate: 0.04,
+    dutyRates: EU_DUTY_RATES
+  }])),
+  GB: {
+    currency: 'GBP',
+    valuation: 'CIF',
+    dutyDeMinimis: 135,
+    taxDeMinimis: 0,
+    taxName: 'VAT',
+    taxRate: 0.2,
+    defaultDutyRate: 0.04,
+    dutyRates: { ...EU_DUTY_RATES, '64': 0.16 }
+  },
+  NO: {
+    currency: 'NOK',
+    valuation: 'CIF',
+    dutyDeMinimis: 3000,
+    taxDeMinimis: 0,
+    taxName: 'VAT',
+    taxRate: 0.25,
+    defaultDutyRate: 0,
+    dutyRates: { '61': 0.107, '62': 0.107 }
+  },
+  CH: {
+    currency: 'CHF',
+    valuation: 'CIF',
+    dutyDeMinimis: 0,
+    // 税额不超过5瑞士法郎时免征
+    taxDeMinimis: 62,
+    taxName: 'VAT',
+    taxRate: 0.081,
+    defaultDutyRate: 0,
+    dutyRates: {}
+  },
+  // 美国自2025年8月起取消小额豁免
+  US: {
+    currency: 'USD',
+    valuation: 'FOB',
+    dutyDeMinimis: 0,
+    taxDeMinimis: 0,
+    taxName: 'Sales tax',
+    taxRate: 0,
+    defaultDutyRate: 0.05,
+    dutyRates: {
+      '42': 0.08,
+      '61': 0.16,
+      '62': 0.16,
+      '64': 0.12,
+      '3926': 0.053,
+      '7117': 0.11,
+      '85': 0.02,
+      '8471': 0,
+      '8517': 0,
+      '95': 0
+    }
+  },
+  CA: {
+    currency: 'CAD',
+    valuation: 'FOB',
+    dutyDeMinimis: 150,
+    taxDeMinimis: 40,
+    taxName: 'GST',
+    taxRate: 0.05,
+    defaultDutyRate: 0.065,
+    dutyRates: { '61': 0.18, '62': 0.18, '64': 0.18, '8471': 0, '8517': 0 }
+  },
+  AU: {
+    currency: 'AUD',
+    valuation: 'FOB',
+    dutyDeMinimis: 1000,
+    taxDeMinimis: 0,
+    taxName: 'GST',
+    taxRate: 0.1,
+    defaultDutyRate: 0.05,
+    dutyRates: { '8471': 0, '8517': 0 }
+  },
+  JP: {
+    currency: 'JPY',
+    valuation: 'CIF',
+    dutyDeMinimis: 10000,
+    taxDeMinimis: 10000,
+    taxName: '消费税',
+    taxRate: 0.1,
+    defaultDutyRate: 0.05,
+    dutyRates: { '61': 0.1, '62': 0.1, '64': 0.3, '8471': 0, '8517': 0 }
+  },
+  KR: {
+    currency: 'USD',
+    valuation: 'CIF',
+    dutyDeMinimis: 150,
+    taxDeMinimis: 150,
+    taxName: 'VAT',
+    taxRate: 0.1,
+    defaultDutyRate: 0.08,
+    dutyRates: { '61': 0.13, '62': 0.13, '64': 0.13, '8471': 0, '8517': 0 }
+  },
+  SG: {
+    currency: 'SGD',
+    valuation: 'CIF',
+    dutyDeMinimis: 400,
+    taxDeMinimis: 0,
+    taxName: 'GST',
+    taxRate: 0.09,
+    defaultDutyRate: 0,
+    dutyRates: {}
+  }
+};
+
+// 完税价格的计算方式
+const VALUATION_METHODS = ['CIF', 'FOB'];
+
+// 已加载的配置缓存
+let cachedConfig = null;
+
+/**
+ * 读取配置文件
+ * @returns {Object} - 配置文件内容，未配置时返回空对象
+ */
+function readConfigFile() {
+  const filePath = process.env.SHIPPING_DUTY_RATES_CONFIG;
+
+  if (!filePath) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`读取关税税率配置文件失败: ${error.message}`);
+  }
+}
+
+/**
+ * 合并内置配置和配置文件
+ * @param {Object} fileConfig - 配置文件内容
+ * @returns {Object} - 税率配置（countries）
+ */
+function buildDutyConfig(fileConfig = {}) {
+  const countries = { ...DEFAULT_DUTY_RATES };
+
+  Object.entries(fileConfig.countries || {}).forEach(([code, rule]) => {
+    const country = code.toUpperCase();
+    const base = countries[country] || {};
+    countries[country] = {
+      ...base,
+      ...rule,
+      currency: String(rule.currency || base.currency || '').toUpperCase(),
+      dutyRates: { ...base.dutyRates, ...rule.dutyRates }
+    };
+  });
+
+  return { countries };
+}
+
+/**
+ * 校验税率配置
+ * @param {Object} config - 税率配置
+ * @returns {string[]} - 错误信息列表
+ */
+function validateDutyConfig(config) {
+  const errors = [];
+  const { exchangeRates } = loadCustomsConfig();
+  const isRate = value => typeof value === 'number' && value >= 0 && value < 10;
+
+  Object.entries(config.countries).forEach(([country, rule]) => {
+    if (!exchangeRates[rule.currency]) {
+      errors.push(`${country}: 缺少币种 ${rule.currency || '?'} 的汇率`);
+    }
+    if (!VALUATION_METHODS.includes(rule.valuation)) {
+      errors.push(`${country}: valuation必须为${VALUATION_METHODS.join('、')}之一`);
+    }
+    ['dutyDeMinimis', 'taxDeMinimis'].forEach(field => {
+      if (!(rule[field] >= 0)) {
+        errors.push(`${country}: ${field}必须为非负数`);
+      }
+    });
+    if (!isRate(rule.taxRate)) {
+      errors.push(`${country}: taxRate必须为非负小数（如0.2表示20%）`);
+    }
+    if (!isRate(rule.defaultDutyRate)) {
+      errors.push(`${country}: defaultDutyRate必须为非负小数`);
+    }
+
+    Object.entries(rule.dutyRates || {}).forEach(([prefix, rate]) => {
+      if (!/^\d{2,10}$/.test(prefix)) {
+        errors.push(`${country}: 无效的HS编码前缀 ${prefix}`);
+      }
+      if (!isRate(rate)) {
+        errors.push(`${country}.${prefix}: 税率必须为非负小数`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * 加载并校验税率配置（结果会被缓存）
+ * @param {Object} options - 加载选项
+ * @param {boolean} options.reload - 是否重新加载
+ * @returns {Object} - 税率配置（countries）
+ */
+function loadDutyConfig({ reload = false } = {}) {
+  if (cachedConfig && !reload) {
+    return cachedConfig;
+  }
+
+  const config = buildDutyConfig(readConfigFile());
+
+  const errors = validateDutyConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`关税税率配置无效:\n${errors.join('\n')}`);
+  }
+
+  cachedConfig = config;
+  return config;
+}
+
+/**
+ * 获取目的国家的税率
+ * @param {string} country - 国家代码
+ * @returns {Object|null} - 税率，未配置时返回null
+ */
+function getCountryDutyRule(country) {
+  return loadDutyConfig().countries[String(country || '').toUpperCase()] || null;
+}
+
+/**
+ * 按最长匹配的HS编码前缀查找关税税率
+ * @param {Object} rule - 目的国家的税率
+ * @param {string} hsCode - HS编码
+ * @returns {Object} - 税率（rate）和匹配的前缀（prefix，未匹配时为null）
+ */
+function findDutyRate(rule, hsCode) {
+  const code = String(hsCode || '');
+  const prefix = Object.keys(rule.dutyRates || {})
+    .filter(candidate => code.startsWith(candidate))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix
+    ? { rate: rule.dutyRates[prefix], prefix }
+    : { rate: rule.defaultDutyRate, prefix: null };
+}
+
+module.exports = {
+  loadDutyConfig,
+  validateDutyConfig,
+  getCountryDutyRule,
+  findDutyRate
+};
@@ -0,0 +1,341 @@
+/**
+ * 运费报价配置
+ * 内置各物流公司的本地运费表和附加费规则，可通过配置文件覆盖或补充，报价不依赖物流公司接口
+ *
+ * 配置文件（SHIPPING_RATES_CONFIG指定路径，JSON格式）：
+ * {
+ *   "zones": { "zone3": ["US", "CA", "MX"] },
+ *   "tables": [
+ *     {
+ *       "carrier": "dhl",
+ *       "service": "express",
+ *       "name": "DHL Express Worldwide",
+ *       "currency": "CNY",
+ *       "origins": ["CN"],
+ *       "volumetricDivisor": 5000,
+ *       "firstWeight": 0.5,
+ *       "weightStep": 0.5,
+ *       "maxWeight": 70,
+ *       "zones": { "zone3": { "first": 210, "additional": 52, "transitDays": [3, 5] } }
+ *     }
+ *   ],
+ *   "surcharges": [
+ *     {
+ *       "code": "remote_area",
+ *       "name": "偏远地区附加费",
+ *       "carriers": ["dhl"],
+ *       "conditions": [{ "field": "destinationCountry", "operator": "in", "value": ["IS", "GL"] }],
+ *       "type": "per_kg",
+ *       "value": 4.5,
+ *       "min": 180
+ *     }
+ *   ]
+ * }
+ *
+ * 配置文件中的分区、运费表（按物流公司和服务等级）和附加费规则（按code）会覆盖同名的内置配置；
+ * 运费表中未列出的分区表示该服务不送达，未被任何分区包含的国家属于rest分区
+ *
+ * 环境变量：
+ * - SHIPPING_RATES_CONFIG: 配置文件路径
+ * - SHIPPING_RATES_DISABLE_DEFAULTS: 为true时不使用内置运费表和附加费规则
+ */
+
+const fs = require('fs');
+const { SERVICE_LEVELS, SURCHARGE_TYPES, CONDITION_OPERATORS, CONDITION_FIELDS } = require('../utils/shippingRate');
+
+// 未被任何分区包含的国家所属的分区
+const REST_OF_WORLD_ZONE = 'rest';
+
+// 内置的目的地分区（从中国发出）
+const DEFAULT_RATE_ZONES = {
+  zone1: ['HK', 'MO', 'TW'],
+  zone2: ['JP', 'KR', 'SG', 'MY', 'TH', 'VN', 'PH', 'ID'],
+  zone3: ['US', 'CA', 'MX'],
+  zone4: ['GB', 'DE', 'FR', 'IT', 'ES', 'NL', 'BE', 'AT', 'IE', 'PT', 'SE', 'DK', 'PL'],
+  zone5: ['AU', 'NZ']
+};
+
+// 内置的运费表（人民币，首重 + 续重）
+const DEFAULT_RATE_TABLES = [
+  {
+    carrier: 'dhl',
+    service: 'express',
+    name: 'DHL Express Worldwide',
+    currency: 'CNY',
+    origins: ['CN'],
+    volumetricDivisor: 5000,
+    firstWeight: 0.5,
+    weightStep: 0.5,
+    maxWeight: 70,
+    zones: {
+      zone1: { first: 95, additional: 18, transitDays: [1, 2] },
+      zone2: { first: 150, additional: 32, transitDays: [2, 3] },
+      zone3: { first: 210, additional: 52, transitDays: [3, 5] },
+      zone4: { first: 230, additional: 55, transitDays: [3, 5] },
+      zone5: { first: 220, additional: 50, transitDays: [3, 5] },
+      rest: { first: 280, additional: 68, transitDays: [4, 7] }
+    }
+  },
+  {
+    carrier: 'ups',
+    service: 'express',
+    name: 'UPS Worldwide Saver',
+    currency: 'CNY',
+    origins: ['CN'],
+    volumetricDivisor: 5000,
+    firstWeight: 0.5,
+    weightStep: 0.5,
+    maxWeight: 70,
+    zones: {
+      zone1: { first: 90, additional: 17, transitDays: [1, 3] },
+      zone2: { first: 145, additional: 30, transitDays: [2, 4] },
+      zone3: { first: 195, additional: 48, transitDays: [3, 5] },
+      zone4: { first: 225, additional: 54, transitDays: [4, 6] },
+      zone5: { first: 215, additional: 49, transitDays: [4, 6] },
+      rest: { first: 275, additional: 66, transitDays: [5, 8] }
+    }
+  },
+  {
+    carrier: 'yunexpress',
+    service: 'standard',
+    name: '云途全球专线挂号',
+    currency: 'CNY',
+    origins: ['CN'],
+    volumetricDivisor: 8000,
+    firstWeight: 0.1,
+    weightStep: 0.1,
+    maxWeight: 30,
+    zones: {
+      zone2: { first: 28, additional: 6, transitDays: [5, 8] },
+      zone3: { first: 35, additional: 9, transitDays: [7, 12] },
+      zone4: { first: 32, additional: 8, transitDays: [6, 10] },
+      zone5: { first: 34, additional: 9, transitDays: [7, 12] },
+      rest: { first: 45, additional: 11, transitDays: [10, 20] }
+    }
+  },
+  {
+    carrier: 'cainiao',
+    service: 'economy',
+    name: '菜鸟无忧物流-简易',
+    currency: 'CNY',
+    origins: ['CN'],
+    volumetricDivisor: 8000,
+    firstWeight: 0.1,
+    weightStep: 0.1,
+    maxWeight: 2,
+    zones: {
+      zone2: { first: 16, additional: 4, transitDays: [10, 15] },
+      zone3: { first: 20, additional: 6, transitDays: [12, 20] },
+      zone4: { first: 18, additional: 5, transitDays: [12, 20] },
+      zone5: { first: 19, additional: 6, transitDays: [12, 20] }
+    }
+  }
+];
+
+// 内置的附加费规则
+const DEFAULT_SURCHARGE_RULES = [
+  {
+    code: 'fuel_dhl',
+    name: '燃油附加费',
+    carriers: ['dhl'],
+    conditions: [],
+    type: 'percent',
+    value: 22
+  },
+  {
+    code: 'fuel_ups',
+    name: '燃油附加费',
+    carriers: ['ups'],
+    conditions: [],
+    type: 'percent',
+    value: 18
+  },
+  {
+    code: 'oversize',
+    name: '超长附加费',
+    carriers: ['dhl', 'ups'],
+    conditions: [{ field: 'longestSide', operator: 'gt', value: 120 }],
+    type: 'per_parcel',
+    value: 200
+  },
+  {
+    code: 'overweight',
+    name: '超重附加费',
+    carriers: ['dhl', 'ups'],
+    conditions: [{ field: 'maxParcelWeight', operator: 'gt', value: 30 }],
+    type: 'per_parcel',
+    value: 150
+  },
+  {
+    code: 'residential',
+    name: '住宅地址附加费',
+    carriers: ['ups'],
+    conditions: [{ field: 'residential', operator: 'eq', value: true }],
+    type: 'fixed',
+    value: 35
+  },
+  {
+    code: 'insurance',
+    name: '保险费',
+    conditions: [{ field: 'insurance', operator: 'eq', value: true }],
+    type: 'declared_value_percent',
+    value: 1,
+    min: 20
+  }
+];
+
+// 已加载的配置缓存
+let cachedConfig = null;
+
+/**
+ * 读取配置文件
+ * @returns {Object} - 配置文件内容，未配置时返回空对象
+ */
+function readConfigFile() {
+  const filePath = process.env.SHIPPING_RATES_CONFIG;
+
+  if (!filePath) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`读取运费配置文件失败: ${error.message}`);
+  }
+}
+
+/**
+ * 合并内置配置和配置文件
+ * @param {Object} fileConfig - 配置文件内容
+ * @param {boolean} useDefaults - 是否包含内置配置
+ * @returns {Object} - 运费配置（zones、tables、surcharges）
+ */
+function buildRateConfig(fileConfig = {}, useDefaults = true) {
+  const zones = { ...(useDefaults ? DEFAULT_RATE_ZONES : {}), ...fileConfig.zones };
+
+  const tables = new Map();
+  [...(useDefaults ? DEFAULT_RATE_TABLES : []), ...(fileConfig.tables || [])].forEach(table => {
+    const carrier = String(table.carrier || '').toLowerCase();
+    tables.set(`${carrier}|${table.service}`, {
+      ...table,
+      carrier,
+      currency: String(table.currency || 'CNY').toUpperCase(),
+      origins: (table.origins || []).map(country => country.toUpperCase())
+    });
+  });
+
+  const surcharges = new Map();
+  [...(useDefaults ? DEFAULT_SURCHARGE_RULES : []), ...(fileConfig.surcharges || [])].forEach(rule => {
+    surcharges.set(rule.code, { conditions: [], ...rule });
+  });
+
+  return {
+    zones,
+    tables: [...tables.values()],
+    surcharges: [...surcharges.values()]
+  };
+}
+
+/**
+ * 校验运费配置
+ * @param {Object} config - 运费配置
+ * @returns {string[]} - 错误信息列表
+ */
+function validateRateConfig(config) {
+  const errors = [];
+
+  config.tables.forEach(table => {
+    const key = `${table.carrier || '?'}.${table.service || '?'}`;
+
+    if (!table.carrier) {
+      errors.push(`${key}: 缺少carrier`);
+    }
+    if (!SERVICE_LEVELS.includes(table.service)) {
+      errors.push(`${key}: service必须为${SERVICE_LEVELS.join('、')}之一`);
+    }
+    ['volumetricDivisor', 'firstWeight', 'weightStep', 'maxWeight'].forEach(field => {
+      if (!(table[field] > 0)) {
+        errors.push(`${key}: ${field}必须为正数`);
+      }
+    });
+
+    Object.entries(table.zones || {}).forEach(([zone, rate]) => {
+      if (zone !== REST_OF_WORLD_ZONE && !config.zones[zone]) {
+        errors.push(`${key}: 未定义的分区 ${zone}`);
+      }
+      if (!(rate.first >= 0) || !(rate.additional >= 0)) {
+        errors.push(`${key}.${zone}: first和additional必须为非负数`);
+      }
+      const [min, max] = rate.transitDays || [];
+      if (!(min > 0) || !(max >= min)) {
+        errors.push(`${key}.${zone}: transitDays必须为[最短天数, 最长天数]`);
+      }
+    });
+  });
+
+  config.surcharges.forEach(rule => {
+    const key = rule.code || '?';
+
+    if (!rule.code) {
+      errors.push('附加费规则缺少code');
+    }
+    if (!SURCHARGE_TYPES.includes(rule.type)) {
+      errors.push(`${key}: type必须为${SURCHARGE_TYPES.join('、')}之一`);
+    }
+    if (!(rule.value >= 0)) {
+      errors.push(`${key}: value必须为非负数`);
+    }
+
+    (rule.conditions || []).forEach(condition => {
+      if (!CONDITION_FIELDS.includes(condition.field)) {
+        errors.push(`${key}: 不支持的条件字段 ${condition.field}`);
+      }
+      if (!CONDITION_OPERATORS.includes(condition.operator)) {
+        errors.push(`${key}: 不支持的条件运算符 ${condition.operator}`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * 加载并校验运费配置（结果会被缓存）
+ * @param {Object} options - 加载选项
+ * @param {boolean} options.reload - 是否重新加载
+ * @returns {Object} - 运费配置（zones、tables、surcharges）
+ */
+function loadRateConfig({ reload = false } = {}) {
+  if (cachedConfig && !reload) {
+    return cachedConfig;
+  }
+
+  const config = buildRateConfig(readConfigFile(), process.env.SHIPPING_RATES_DISABLE_DEFAULTS !== 'true');
+
+  const errors = validateRateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`运费配置无效:\n${errors.join('\n')}`);
+  }
+
+  cachedConfig = config;
+  return config;
+}
+
+/**
+ * 查找目的国家所属的分区
+ * @param {Object} zones - 分区 -> 国家代码列表
+ * @param {string} country - 国家代码
+ * @returns {string} - 分区代码
+ */
+function findRateZone(zones, country) {
+  const zone = Object.keys(zones).find(code => zones[code].includes(country));
+  return zone || REST_OF_WORLD_ZONE;
+}
+
+module.exports = {
+  REST_OF_WORLD_ZONE,
+  loadRateConfig,
+  validateRateConfig,
+  findRateZone
+};
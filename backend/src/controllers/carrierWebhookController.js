@@ -0,0 +1,89 @@
+/**
+ * 物流公司推送通知控制器
+ */
+
+const asyncHandler = require('express-async-handler');
+const Shipping = require('../models/Shipping');
+const { createShippingTracker, resolveCarrier } = require('../services/shippingService');
+const { applyTrackingInfo } = require('../services/trackingRefreshService');
+const { getCarrierWebhookSecret } = require('../config/carriers');
+const { normalizeTrackingNumber } = require('../utils/trackingNumber');
+
+/**
+ * @desc    接收物流公司推送的物流跟踪信息
+ * @route   POST /api/shipping/webhooks/:carrier
+ * @access  Public（通过签名验证）
+ */
+const receiveCarrierWebhook = asyncHandler(async (req, res) => {
+  const carrier = resolveCarrier(req.params.carrier);
+
+  if (!carrier || !carrier.capabilities.webhooks) {
+    res.status(404);
+    throw new Error('该物流公司不支持推送通知');
+  }
+
+  const secret = getCarrierWebhookSecret(carrier.code);
+  if (!secret) {
+    res.status(404);
+    throw new Error('该物流公司未启用推送通知');
+  }
+
+  // 签名基于原始请求体计算，需要在JSON解析之前获取
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : req.rawBody;
+  if (!rawBody) {
+    res.status(400);
+    throw new Error('缺少原始请求体，无法验证签名');
+  }
+
+  const tracker = createShippingTracker(carrier.code);
+
+  // 部分物流公司的签名参数在请求体中，请求体无法解析时按格式无效拒绝
+  let verified;
+  try {
+    verified = tracker.verifyWebhook(rawBody, req.headers, secret);
+  } catch (error) {
+    res.status(400);
+    throw new Error(`推送通知格式无效: ${error.message}`);
+  }
+
+  if (!verified) {
+    res.status(401);
+    throw new Error('推送通知签名无效');
+  }
+
+  let trackingInfos;
+  try {
+    trackingInfos = tracker.parseWebhook(rawBody);
+  } catch (error) {
+    res.status(400);
+    throw new Error(`推送通知格式无效: ${error.message}`);
+  }
+
+  let processed = 0;
+
+  for (const trackingInfo of trackingInfos) {
+    const shipping = await Shipping.findOne({
+      carrier: carrier.code,
+      trackingNumber: normalizeTrackingNumber(trackingInfo.trackingNumber)
+    });
+
+    // 未知的物流单号直接忽略，避免物流公司反复重试
+    if (!shipping) {
+      continue;
+    }
+
+    await applyTrackingInfo(shipping, trackingInfo, {
+      note: '物流公司推送更新',
+      source: 'webhook',
+      // 推送内容可能只包含部分事件，不据此标记被移除的事件
+      complete: false
+    });
+    processed += 1;
+  }
+
+  res.status(200).json({ success: true, received: trackingInfos.length, processed });
+});
+
+module.exports = {
+  receiveCarrierWebhook
+};
@@ -0,0 +1,135 @@
+/**
+ * 报关控制器
+ */
+
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const Shipping = require('../models/Shipping');
+const Order = require('../models/Order');
+const {
+  getShipmentParties,
+  buildCustomsDeclaration,
+  validateCustomsDeclaration,
+  renderCustomsDocument
+} = require('../services/customsService');
+const { tryEstimateShippingLandedCost } = require('../services/landedCostService');
+const { withStatus } = require('../utils/httpError');
+
+/**
+ * 查找物流信息和订单，不存在时返回404
+ * @param {Object} req - 请求
+ * @param {Object} res - 响应
+ * @returns {Promise<Object>} - 物流信息文档（shipping）和订单（order）
+ */
+async function findShippingWithOrder(req, res) {
+  const shipping = mongoose.isValidObjectId(req.params.shippingId)
+    ? await Shipping.findById(req.params.shippingId)
+    : null;
+
+  if (!shipping) {
+    res.status(404);
+    throw new Error('未找到该物流信息');
+  }
+
+  const order = await Order.findById(shipping.order).populate('user', 'name email');
+  if (!order) {
+    res.status(404);
+    throw new Error('订单不存在');
+  }
+
+  return { shipping, order };
+}
+
+/**
+ * 按包裹的发件人和收件人校验报关信息
+ * @param {Object} customs - 报关信息
+ * @param {Object} shipping - 物流信息
+ * @param {Object} order - 订单
+ * @returns {Object} - 校验结果（errors、warnings）
+ */
+function validateShippingCustoms(customs, shipping, order) {
+  const { shipFrom, shipTo } = getShipmentParties(order, shipping);
+
+  return validateCustomsDeclaration(customs, {
+    originCountry: shipping.originCountry || shipFrom.country,
+    destinationCountry: shipping.destinationCountry || shipTo.country,
+    recipientPhone: shipTo.phone
+  });
+}
+
+/**
+ * @desc    根据订单商品生成并保存包裹的报关信息（按目的国家规则校验），同时重新估算关税和进口税费
+ * @route   PUT /api/shipping/:shippingId/customs
+ * @access  Private/Admin
+ */
+const updateShippingCustoms = asyncHandler(async (req, res) => {
+  const { shipping, order } = await findShippingWithOrder(req, res);
+
+  const customs = await withStatus(res, () => buildCustomsDeclaration(order, shipping, req.body));
+
+  const { errors, warnings } = validateShippingCustoms(customs, shipping, order);
+  if (errors.length > 0) {
+    res.status(400);
+    throw new Error(`报关信息不完整: ${errors.join('；')}`);
+  }
+
+  shipping.customs = { ...customs, updatedBy: req.user._id };
+
+  const { shipTo } = getShipmentParties(order, shipping);
+  const { landedCost, warning } = tryEstimateShippingLandedCost(shipping, shipping.destinationCountry || shipTo.country);
+  shipping.landedCost = landedCost;
+  if (warning) {
+    warnings.push(warning);
+  }
+
+  await shipping.save();
+
+  res.status(200).json({
+    customs: shipping.customs,
+    landedCost: shipping.landedCost,
+    warnings
+  });
+});
+
+/**
+ * @desc    获取包裹的报关信息（按当前的报关规则重新校验）
+ * @route   GET /api/shipping/:shippingId/customs
+ * @access  Private/Admin、Support
+ */
+const getShippingCustoms = asyncHandler(async (req, res) => {
+  const { shipping, order } = await findShippingWithOrder(req, res);
+
+  if (!shipping.customs) {
+    res.status(404);
+    throw new Error('该物流信息没有报关信息');
+  }
+
+  const { errors, warnings } = validateShippingCustoms(shipping.customs, shipping, order);
+
+  res.status(200).json({
+    customs: shipping.customs,
+    errors,
+    warnings
+  });
+});
+
+/**
+ * @desc    下载报关单据（商业发票、CN22、CN23）
+ * @route   GET /api/shipping/:shippingId/customs/document
+ * @access  Private/Admin、Support
+ */
+const getCustomsDocument = asyncHandler(async (req, res) => {
+  const { shipping, order } = await findShippingWithOrder(req, res);
+
+  const document = await withStatus(res, () => renderCustomsDocument(shipping, order, req.query.type));
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${shipping.customs.invoiceNumber}-${document.type}.pdf"`);
+  res.status(200).send(document.data);
+});
+
+module.exports = {
+  updateShippingCustoms,
+  getShippingCustoms,
+  getCustomsDocument
+};
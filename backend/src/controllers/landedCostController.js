@@ -0,0 +1,83 @@
+/**
+ * 关税和进口税费估算控制器
+ */
+
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const Shipping = require('../models/Shipping');
+const Order = require('../models/Order');
+const {
+  estimateLandedCost,
+  estimateShippingLandedCost,
+  normalizeEstimateItems
+} = require('../services/landedCostService');
+const { getShipmentParties, getApplicableTaxScheme } = require('../services/customsService');
+const { getCountryCustomsRule } = require('../config/customsRules');
+const { withStatus } = require('../utils/httpError');
+
+/**
+ * @desc    按目的国家、HS编码和申报价值估算关税和进口税费（不关联物流信息，如下单前报价）
+ * @route   POST /api/shipping/landed-cost
+ * @access  Private/Admin、Support
+ */
+const getLandedCostEstimate = asyncHandler(async (req, res) => {
+  const destinationCountry = String(req.body.destinationCountry || '').toUpperCase();
+  const currency = String(req.body.currency || 'CNY').toUpperCase();
+  const incoterm = String(req.body.incoterm || 'DDU').toUpperCase();
+  const shippingCost = Number(req.body.shippingCost || 0);
+
+  if (!Number.isFinite(shippingCost) || shippingCost < 0) {
+    res.status(400);
+    throw new Error('运费必须为非负数');
+  }
+
+  const estimate = await withStatus(res, () => {
+    const items = normalizeEstimateItems(req.body.items);
+    const totalValue = items.reduce((sum, item) => sum + item.totalValue, 0);
+    const scheme = getApplicableTaxScheme(getCountryCustomsRule(destinationCountry), { incoterm, currency, totalValue });
+
+    return estimateLandedCost({
+      destinationCountry,
+      currency,
+      items,
+      shippingCost,
+      incoterm,
+      taxScheme: scheme ? scheme.code : null
+    });
+  }, 500);
+
+  res.status(200).json(estimate);
+});
+
+/**
+ * @desc    按当前税率表重新估算包裹的关税和进口税费
+ * @route   PUT /api/shipping/:shippingId/landed-cost
+ * @access  Private/Admin
+ */
+const updateShippingLandedCost = asyncHandler(async (req, res) => {
+  const shipping = mongoose.isValidObjectId(req.params.shippingId)
+    ? await Shipping.findById(req.params.shippingId)
+    : null;
+
+  if (!shipping) {
+    res.status(404);
+    throw new Error('未找到该物流信息');
+  }
+
+  let destinationCountry = shipping.destinationCountry;
+  if (!destinationCountry) {
+    const order = await Order.findById(shipping.order);
+    destinationCountry = order ? getShipmentParties(order, shipping).shipTo.country : '';
+  }
+
+  shipping.landedCost = await withStatus(res, () => estimateShippingLandedCost(shipping, destinationCountry), 500);
+
+  await shipping.save();
+
+  res.status(200).json(shipping.landedCost);
+});
+
+module.exports = {
+  getLandedCostEstimate,
+  updateShippingLandedCost
+};
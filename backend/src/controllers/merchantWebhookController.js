@@ -0,0 +1,194 @@
+/**
+ * 外部回调订阅控制器
+ */
+
+const crypto = require('crypto');
+const asyncHandler = require('express-async-handler');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { SHIPPING_EVENTS } = require('../services/shippingEvents');
+const { redeliverWebhook } = require('../services/merchantWebhookService');
+
+// 调用方指定签名密钥时的最小长度
+const MIN_SECRET_LENGTH = 32;
+
+/**
+ * 内部函数：校验回调地址和事件类型，无效时抛出400错误
+ */
+const validateSubscriptionInput = (res, { url, events }) => {
+  if (url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      res.status(400);
+      throw new Error(`回调地址无效: ${url}`);
+    }
+  }
+
+  if (events !== undefined) {
+    const supported = Object.values(SHIPPING_EVENTS);
+    const invalid = Array.isArray(events) ? events.filter(event => !supported.includes(event)) : [];
+    if (!Array.isArray(events) || events.length === 0 || invalid.length > 0) {
+      res.status(400);
+      throw new Error(`事件类型无效，支持的事件: ${supported.join(', ')}`);
+    }
+  }
+};
+
+/**
+ * @desc    获取外部回调订阅列表
+ * @route   GET /api/shipping/outbound-webhooks
+ * @access  Private/Admin
+ */
+const getWebhookSubscriptions = asyncHandler(async (req, res) => {
+  const subscriptions = await WebhookSubscription.find({}).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    subscriptions,
+    events: Object.values(SHIPPING_EVENTS)
+  });
+});
+
+/**
+ * @desc    创建外部回调订阅（签名密钥只在创建时返回一次）
+ * @route   POST /api/shipping/outbound-webhooks
+ * @access  Private/Admin
+ */
+const createWebhookSubscription = asyncHandler(async (req, res) => {
+  const { url, events, description } = req.body;
+
+  if (!url || !events) {
+    res.status(400);
+    throw new Error('请提供回调地址和事件类型');
+  }
+  validateSubscriptionInput(res, { url, events });
+
+  // 未指定签名密钥时自动生成
+  if (req.body.secret !== undefined && (typeof req.body.secret !== 'string' || req.body.secret.length < MIN_SECRET_LENGTH)) {
+    res.status(400);
+    throw new Error(`签名密钥必须为至少${MIN_SECRET_LENGTH}个字符的文本`);
+  }
+  const secret = req.body.secret || crypto.randomBytes(32).toString('hex');
+  const subscription = await WebhookSubscription.create({
+    url,
+    secret,
+    events,
+    description: description || '',
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({ ...subscription.toObject(), secret });
+});
+
+/**
+ * @desc    更新外部回调订阅（rotateSecret为true时重新生成签名密钥并返回）
+ * @route   PUT /api/shipping/outbound-webhooks/:subscriptionId
+ * @access  Private/Admin
+ */
+const updateWebhookSubscription = asyncHandler(async (req, res) => {
+  const { url, events, description, active, rotateSecret } = req.body;
+
+  const subscription = await WebhookSubscription.findById(req.params.subscriptionId);
+
+  if (!subscription) {
+    res.status(404);
+    throw new Error('未找到该回调订阅');
+  }
+
+  validateSubscriptionInput(res, { url, events });
+
+  if (url !== undefined) subscription.url = url;
+  if (events !== undefined) subscription.events = events;
+  if (description !== undefined) subscription.description = description;
+  if (active !== undefined) subscription.active = Boolean(active);
+
+  let secret;
+  if (rotateSecret) {
+    secret = crypto.randomBytes(32).toString('hex');
+    subscription.secret = secret;
+  }
+
+  await subscription.save();
+
+  const result = subscription.toObject();
+  delete result.secret;
+  res.status(200).json(secret ? { ...result, secret } : result);
+});
+
+/**
+ * @desc    删除外部回调订阅
+ * @route   DELETE /api/shipping/outbound-webhooks/:subscriptionId
+ * @access  Private/Admin
+ */
+const deleteWebhookSubscription = asyncHandler(async (req, res) => {
+  const subscription = await WebhookSubscription.findById(req.params.subscriptionId);
+
+  if (!subscription) {
+    res.status(404);
+    throw new Error('未找到该回调订阅');
+  }
+
+  await subscription.deleteOne();
+
+  res.status(200).json({ message: '回调订阅已删除' });
+});
+
+/**
+ * @desc    获取外部回调推送记录
+ * @route   GET /api/shipping/outbound-webhooks/deliveries
+ * @access  Private/Admin、Support
+ */
+const getWebhookDeliveries = asyncHandler(async (req, res) => {
+  const pageSize = Number(req.query.pageSize) || 20;
+  const page = Number(req.query.page) || 1;
+
+  const queryFilter = {};
+  if (req.query.subscription) queryFilter.subscription = req.query.subscription;
+  if (req.query.shipping) queryFilter.shipping = req.query.shipping;
+  if (req.query.status) queryFilter.status = req.query.status;
+  if (req.query.event) queryFilter.event = req.query.event;
+
+  const count = await WebhookDelivery.countDocuments(queryFilter);
+  const deliveries = await WebhookDelivery.find(queryFilter)
+    .sort({ createdAt: -1 })
+    .limit(pageSize)
+    .skip(pageSize * (page - 1));
+
+  res.status(200).json({
+    deliveries,
+    page,
+    pages: Math.ceil(count / pageSize),
+    total: count
+  });
+});
+
+/**
+ * @desc    手动重新推送
+ * @route   POST /api/shipping/outbound-webhooks/deliveries/:deliveryId/redeliver
+ * @access  Private/Admin
+ */
+const redeliverWebhookDelivery = asyncHandler(async (req, res) => {
+  const original = await WebhookDelivery.findById(req.params.deliveryId);
+
+  if (!original) {
+    res.status(404);
+    throw new Error('未找到该推送记录');
+  }
+
+  const delivery = await redeliverWebhook(original);
+
+  res.status(201).json(delivery);
+});
+
+module.exports = {
+  getWebhookSubscriptions,
+  createWebhookSubscription,
+  updateWebhookSubscription,
+  deleteWebhookSubscription,
+  getWebhookDeliveries,
+  redeliverWebhookDelivery
+};
@@ -0,0 +1,98 @@
+/**
+ * 公开物流跟踪控制器
+ */
+
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const Shipping = require('../models/Shipping');
+const {
+  generatePublicTrackingToken,
+  isWellFormedToken,
+  toPublicTrackingView
+} = require('../services/publicTrackingService');
+const { canAccessShipping, canManageShipping } = require('../services/shippingAccessService');
+
+/**
+ * @desc    通过公开跟踪链接令牌获取脱敏的物流信息
+ * @route   GET /api/shipping/public/:token
+ * @access  Public（限制请求频率）
+ */
+const getPublicTracking = asyncHandler(async (req, res) => {
+  const { token } = req.params;
+
+  const shipping = isWellFormedToken(token)
+    ? await Shipping.findOne({ publicTrackingToken: token })
+    : null;
+
+  if (!shipping) {
+    res.status(404);
+    throw new Error('跟踪链接无效或已失效');
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.status(200).json(toPublicTrackingView(shipping));
+});
+
+/**
+ * @desc    生成（或重新生成）公开跟踪链接令牌，旧令牌立即失效
+ * @route   POST /api/shipping/:shippingId/public-token
+ * @access  Private（订单所有者、管理员）
+ */
+const createPublicTrackingToken = asyncHandler(async (req, res) => {
+  const shipping = mongoose.isValidObjectId(req.params.shippingId)
+    ? await Shipping.findById(req.params.shippingId)
+    : null;
+
+  // 无权访问的物流信息按不存在处理，客服只读
+  if (!shipping || !(await canAccessShipping(req.user, shipping))) {
+    res.status(404);
+    throw new Error('未找到该物流信息');
+  }
+  if (!(await canManageShipping(req.user, shipping))) {
+    res.status(403);
+    throw new Error('没有权限执行此操作');
+  }
+
+  shipping.publicTrackingToken = generatePublicTrackingToken();
+  shipping.publicTrackingTokenCreatedAt = new Date();
+  await shipping.save();
+
+  res.status(201).json({
+    token: shipping.publicTrackingToken,
+    createdAt: shipping.publicTrackingTokenCreatedAt,
+    path: `/api/shipping/public/${shipping.publicTrackingToken}`
+  });
+});
+
+/**
+ * @desc    撤销公开跟踪链接令牌
+ * @route   DELETE /api/shipping/:shippingId/public-token
+ * @access  Private（订单所有者、管理员）
+ */
+const revokePublicTrackingToken = asyncHandler(async (req, res) => {
+  const shipping = mongoose.isValidObjectId(req.params.shippingId)
+    ? await Shipping.findById(req.params.shippingId)
+    : null;
+
+  // 无权访问的物流信息按不存在处理，客服只读
+  if (!shipping || !(await canAccessShipping(req.user, shipping))) {
+    res.status(404);
+    throw new Error('未找到该物流信息');
+  }
+  if (!(await canManageShipping(req.user, shipping))) {
+    res.status(403);
+    throw new Error('没有权限执行此操作');
+  }
+
+  shipping.publicTrackingToken = null;
+  shipping.publicTrackingTokenCreatedAt = null;
+  await shipping.save();
+
+  res.status(200).json({ message: '公开跟踪链接已撤销' });
+});
+
+module.exports = {
+  getPublicTracking,
+  createPublicTrackingToken,
+  revokePublicTrackingToken
+};
@@ -0,0 +1,250 @@
+/**
+ * 退货物流控制器
+ */
+
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const Shipping = require('../models/Shipping');
+const {
+  resolveCarrier,
+  validateTrackingNumber,
+  detectCarriers
+} = require('../services/shippingService');
+const { refreshShippingTracking } = require('../services/trackingRefreshService');
+const { SHIPPING_EVENTS, queueShippingEvent } = require('../services/shippingEvents');
+const {
+  generateRmaNumber,
+  buildReturnItems,
+  updateOrderReturnStatus,
+  markReturnReceived,
+  recordReturnInspection
+} = require('../services/returnShipmentService');
+const { hasCarrierAccount } = require('../config/carriers');
+const {
+  RETURN_REASONS,
+  RETURN_WAREHOUSE_STATUSES,
+  RETURN_INSPECTION_RESULTS
+} = require('../utils/shippingReturn');
+const { withStatus } = require('../utils/httpError');
+
+/**
+ * 查找退货物流，不存在时返回404
+ * @param {Object} req - 请求
+ * @param {Object} res - 响应
+ * @returns {Promise<Object>} - 退货物流文档
+ */
+async function findReturnOrFail(req, res) {
+  const returnShipping = mongoose.isValidObjectId(req.params.shippingId)
+    ? await Shipping.findOne({ _id: req.params.shippingId, direction: 'return' })
+    : null;
+
+  if (!returnShipping) {
+    res.status(404);
+    throw new Error('未找到该退货物流');
+  }
+
+  return returnShipping;
+}
+
+/**
+ * @desc    为已送达的包裹创建退货（生成RMA编号）
+ * @route   POST /api/shipping/returns
+ * @access  Private/Admin
+ */
+const createReturn = asyncHandler(async (req, res) => {
+  const {
+    originalShippingId,
+    items,
+    reason,
+    reasonNote,
+    carrier,
+    carrierAccount,
+    trackingNumber,
+    notes
+  } = req.body;
+
+  if (!RETURN_REASONS.includes(reason)) {
+    res.status(400);
+    throw new Error(`请指定退货原因: ${RETURN_REASONS.join('、')}`);
+  }
+
+  if (!trackingNumber) {
+    res.status(400);
+    throw new Error('请提供退货物流单号');
+  }
+
+  const original = mongoose.isValidObjectId(originalShippingId)
+    ? await Shipping.findById(originalShippingId)
+    : null;
+  if (!original) {
+    res.status(404);
+    throw new Error('未找到原发货物流信息');
+  }
+
+  // 未指定物流公司时根据物流单号自动识别
+  let carrierDefinition;
+  if (carrier) {
+    carrierDefinition = resolveCarrier(carrier);
+    if (!carrierDefinition) {
+      res.status(400);
+      throw new Error(`不支持的物流公司: ${carrier}`);
+    }
+  } else {
+    const [candidate] = detectCarriers(trackingNumber);
+    if (!candidate) {
+      res.status(400);
+      throw new Error('无法根据物流单号识别物流公司，请指定物流公司');
+    }
+    carrierDefinition = resolveCarrier(candidate.carrier);
+  }
+
+  const validation = validateTrackingNumber(carrierDefinition.code, trackingNumber);
+  if (!validation.valid) {
+    res.status(400);
+    throw new Error(`物流单号格式无效: ${trackingNumber} 不是有效的${carrierDefinition.name}单号`);
+  }
+
+  if (!hasCarrierAccount(carrierDefinition.code, carrierAccount)) {
+    res.status(400);
+    throw new Error(`物流公司 ${carrierDefinition.name} 未配置账号: ${carrierAccount}`);
+  }
+
+  const duplicate = await Shipping.findOne({
+    carrier: carrierDefinition.code,
+    trackingNumber: validation.trackingNumber
+  });
+  if (duplicate) {
+    res.status(400);
+    throw new Error('该物流单号已存在');
+  }
+
+  const existingReturns = await Shipping.find({ 'returnInfo.originalShipping': original._id });
+
+  const returnItems = await withStatus(res, () => buildReturnItems(original, items, existingReturns));
+
+  // 退货线路与原包裹相反
+  const returnShipping = new Shipping({
+    order: original.order,
+    direction: 'return',
+    items: returnItems,
+    returnInfo: {
+      rmaNumber: generateRmaNumber(),
+      originalShipping: original._id,
+      reason,
+      reasonNote: reasonNote || ''
+    },
+    carrier: carrierDefinition.code,
+    carrierAccount: carrierAccount || 'default',
+    trackingNumber: validation.trackingNumber,
+    originCountry: original.destinationCountry || '',
+    destinationCountry: original.originCountry || '',
+    notes,
+    status: 'pending',
+    statusHistory: [
+      {
+        status: 'pending',
+        timestamp: new Date(),
+        note: '退货物流已创建',
+        source: 'admin',
+        changedBy: req.user._id
+      }
+    ]
+  });
+
+  queueShippingEvent(returnShipping, SHIPPING_EVENTS.CREATED, { source: 'admin' });
+  await returnShipping.save();
+
+  // 尝试从第三方API获取物流信息
+  try {
+    await refreshShippingTracking(returnShipping);
+  } catch (error) {
+    console.error('获取物流信息失败:', error);
+  }
+
+  res.status(201).json(returnShipping);
+});
+
+/**
+ * @desc    获取退货列表
+ * @route   GET /api/shipping/returns
+ * @access  Private/Admin、Support
+ */
+const getReturns = asyncHandler(async (req, res) => {
+  const pageSize = Number(req.query.pageSize) || 20;
+  const page = Number(req.query.page) || 1;
+
+  const queryFilter = { direction: 'return' };
+
+  if (req.query.warehouseStatus) {
+    if (!RETURN_WAREHOUSE_STATUSES.includes(req.query.warehouseStatus)) {
+      res.status(400);
+      throw new Error(`无效的收货状态: ${req.query.warehouseStatus}`);
+    }
+    queryFilter['returnInfo.warehouseStatus'] = req.query.warehouseStatus;
+  }
+  if (req.query.reason) queryFilter['returnInfo.reason'] = req.query.reason;
+  if (req.query.rmaNumber) queryFilter['returnInfo.rmaNumber'] = req.query.rmaNumber;
+  if (req.query.originalShipping) queryFilter['returnInfo.originalShipping'] = req.query.originalShipping;
+  if (req.query.order) queryFilter.order = req.query.order;
+  if (req.query.status) queryFilter.status = req.query.status;
+
+  const count = await Shipping.countDocuments(queryFilter);
+  const returns = await Shipping.find(queryFilter)
+    .select('-trackingHistory -statusHistory')
+    .populate('order', 'orderNumber')
+    .sort({ createdAt: -1 })
+    .limit(pageSize)
+    .skip(pageSize * (page - 1));
+
+  res.status(200).json({
+    returns,
+    page,
+    pages: Math.ceil(count / pageSize),
+    total: count
+  });
+});
+
+/**
+ * @desc    仓库确认收到退货
+ * @route   PUT /api/shipping/returns/:shippingId/receive
+ * @access  Private/Admin
+ */
+const receiveReturn = asyncHandler(async (req, res) => {
+  const returnShipping = await findReturnOrFail(req, res);
+
+  await withStatus(res, () => markReturnReceived(returnShipping, { receivedBy: req.user._id, note: req.body.note }));
+
+  await returnShipping.save();
+  const order = await updateOrderReturnStatus(returnShipping.order);
+
+  res.status(200).json({
+    shipping: returnShipping,
+    orderStatus: order ? order.status : null
+  });
+});
+
+/**
+ * @desc    记录退货质检结果
+ * @route   PUT /api/shipping/returns/:shippingId/inspect
+ * @access  Private/Admin
+ */
+const inspectReturn = asyncHandler(async (req, res) => {
+  const returnShipping = await findReturnOrFail(req, res);
+  const { result, note } = req.body;
+
+  if (!RETURN_INSPECTION_RESULTS.includes(result)) {
+    res.status(400);
+    throw new Error(`请指定质检结果: ${RETURN_INSPECTION_RESULTS.join('、')}`);
+  }
+
+  await withStatus(res, () => recordReturnInspection(returnShipping, { result, note, inspectedBy: req.user._id }));
+
+  res.status(200).json(await returnShipping.save());
+});
+
+module.exports = {
+  createReturn,
+  getReturns,
+  receiveReturn,
+  inspectReturn
+};
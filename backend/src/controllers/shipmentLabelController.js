@@ -0,0 +1,219 @@
+/**
+ * 运单面单控制器
+ */
+
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const Shipping = require('../models/Shipping');
+const Order = require('../models/Order');
+const { resolveCarrier } = require('../services/shippingService');
+const { buildShipmentItems, createOrderShipment } = require('../services/orderShippingService');
+const {
+  buildShipmentRequest,
+  createCarrierShipment,
+  cancelCarrierShipment,
+  voidShipmentLabel
+} = require('../services/shipmentLabelService');
+const { buildCustomsDeclaration, validateCustomsDeclaration } = require('../services/customsService');
+const { hasCarrierAccount } = require('../config/carriers');
+const { LABEL_CONTENT_TYPES } = require('../utils/shippingLabel');
+const { httpError, withStatus } = require('../utils/httpError');
+
+/**
+ * 转换为响应数据（不包含面单文件内容）
+ * @param {Object} shipping - 物流信息文档
+ * @returns {Object} - 物流信息
+ */
+function toShippingResponse(shipping) {
+  const data = shipping.toObject();
+  if (data.label) {
+    delete data.label.data;
+  }
+  return data;
+}
+
+/**
+ * @desc    通过物流公司接口为订单创建运单和面单
+ * @route   POST /api/shipping/labels
+ * @access  Private/Admin
+ */
+const createLabelShipment = asyncHandler(async (req, res) => {
+  const {
+    orderId,
+    carrier,
+    carrierAccount,
+    items,
+    parcels,
+    shipFrom,
+    shipTo,
+    serviceLevel,
+    labelFormat,
+    declaredValue,
+    currency,
+    description,
+    customs,
+    notes
+  } = req.body;
+
+  const carrierDefinition = resolveCarrier(carrier);
+  if (!carrierDefinition) {
+    res.status(400);
+    throw new Error(carrier ? `不支持的物流公司: ${carrier}` : '请指定物流公司');
+  }
+
+  if (!hasCarrierAccount(carrierDefinition.code, carrierAccount)) {
+    res.status(400);
+    throw new Error(`物流公司 ${carrierDefinition.name} 未配置账号: ${carrierAccount}`);
+  }
+
+  const order = mongoose.isValidObjectId(orderId) ? await Order.findById(orderId).populate('user', 'name email') : null;
+  if (!order) {
+    res.status(404);
+    throw new Error('订单不存在');
+  }
+
+  // 与手动添加物流信息相同，按订单商品的未发货数量分配包裹商品
+  const existingShippings = await Shipping.find({ order: order._id });
+
+  const request = await withStatus(res, () => {
+    const shipmentItems = buildShipmentItems(order, items, existingShippings);
+    const shipmentRequest = buildShipmentRequest(order, shipmentItems, {
+      shipFrom,
+      shipTo,
+      parcels,
+      serviceLevel,
+      labelFormat,
+      declaredValue,
+      currency,
+      description
+    });
+
+    // 国际包裹根据包裹商品生成报关信息，随运单提交给物流公司
+    if (shipmentRequest.shipFrom.country !== shipmentRequest.shipTo.country) {
+      shipmentRequest.customs = buildCustomsDeclaration(order, {
+        items: shipmentRequest.items,
+        carrier: carrierDefinition.code,
+        originCountry: shipmentRequest.shipFrom.country,
+        destinationCountry: shipmentRequest.shipTo.country
+      }, { currency: shipmentRequest.currency, ...customs });
+
+      const { errors } = validateCustomsDeclaration(shipmentRequest.customs, {
+        originCountry: shipmentRequest.shipFrom.country,
+        destinationCountry: shipmentRequest.shipTo.country,
+        recipientPhone: shipmentRequest.shipTo.phone
+      });
+      if (errors.length > 0) {
+        throw httpError(400, `报关信息不完整: ${errors.join('；')}`);
+      }
+
+      if (declaredValue === undefined) {
+        shipmentRequest.declaredValue = shipmentRequest.customs.totalValue;
+        shipmentRequest.currency = shipmentRequest.customs.currency;
+      }
+    }
+
+    return shipmentRequest;
+  });
+
+  // 本地校验全部通过后才向物流公司购买运单
+  const shipment = await withStatus(res, () => createCarrierShipment(carrierDefinition.code, carrierAccount, request));
+
+  let shipping;
+  try {
+    const duplicate = await Shipping.findOne({
+      carrier: carrierDefinition.code,
+      trackingNumber: shipment.trackingNumber
+    });
+    if (duplicate) {
+      throw httpError(409, `物流公司返回的物流单号已存在: ${shipment.trackingNumber}`);
+    }
+
+    // 第一个包裹发出时订单标记为已发货
+    shipping = await createOrderShipment(order, {
+      items: request.items,
+      parcels: request.parcels,
+      carrier: carrierDefinition.code,
+      carrierAccount,
+      trackingNumber: shipment.trackingNumber,
+      serviceLevel: request.serviceLevel,
+      originCountry: request.shipFrom.country,
+      destinationCountry: request.shipTo.country,
+      label: {
+        format: shipment.label.format,
+        data: shipment.label.data,
+        carrierShipmentId: shipment.carrierShipmentId || '',
+        shipFrom: request.shipFrom,
+        shipTo: request.shipTo,
+        createdBy: req.user._id
+      },
+      customs: request.customs ? { ...request.customs, updatedBy: req.user._id } : null,
+      notes
+    }, { note: '已通过物流公司接口创建运单和面单', changedBy: req.user._id });
+  } catch (error) {
+    // 运单已由物流公司创建但没有保存物流信息，撤销运单避免产生无人跟踪的计费面单
+    await cancelCarrierShipment(carrierDefinition.code, carrierAccount, shipment);
+    res.status(error.statusCode || 500);
+    throw error;
+  }
+
+  res.status(201).json(toShippingResponse(shipping));
+});
+
+/**
+ * @desc    下载面单
+ * @route   GET /api/shipping/:shippingId/label
+ * @access  Private/Admin、Support
+ */
+const getShippingLabel = asyncHandler(async (req, res) => {
+  const shipping = mongoose.isValidObjectId(req.params.shippingId)
+    ? await Shipping.findById(req.params.shippingId).select('+label.data')
+    : null;
+
+  if (!shipping || !shipping.label || !shipping.label.data) {
+    res.status(404);
+    throw new Error('该物流信息没有面单');
+  }
+
+  if (shipping.label.status === 'voided') {
+    res.status(409);
+    throw new Error('面单已作废');
+  }
+
+  const { format, data } = shipping.label;
+  res.setHeader('Content-Type', LABEL_CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${shipping.trackingNumber}.${format}"`);
+  res.status(200).send(data);
+});
+
+/**
+ * @desc    作废面单（揽收前），物流信息变更为已取消
+ * @route   PUT /api/shipping/:shippingId/label/void
+ * @access  Private/Admin
+ */
+const voidShippingLabel = asyncHandler(async (req, res) => {
+  const shipping = mongoose.isValidObjectId(req.params.shippingId)
+    ? await Shipping.findById(req.params.shippingId)
+    : null;
+
+  if (!shipping) {
+    res.status(404);
+    throw new Error('未找到该物流信息');
+  }
+
+  const result = await withStatus(res, () =>
+    voidShipmentLabel(shipping, { reason: req.body.reason || '', voidedBy: req.user._id })
+  );
+
+  await shipping.save();
+
+  res.status(200).json({
+    shipping,
+    carrierConfirmed: result.carrierConfirmed
+  });
+});
+
+module.exports = {
+  createLabelShipment,
+  getShippingLabel,
+  voidShippingLabel
+};
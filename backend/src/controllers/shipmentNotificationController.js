@@ -0,0 +1,82 @@
+/**
+ * 物流通知控制器
+ */
+
+const asyncHandler = require('express-async-handler');
+const NotificationPreference = require('../models/NotificationPreference');
+const ShipmentNotification = require('../models/ShipmentNotification');
+const { getNotificationPreference } = require('../services/shipmentNotificationService');
+const { NOTIFICATION_TYPES, NOTIFICATION_LOCALES } = require('../utils/shippingNotification');
+
+/**
+ * @desc    获取当前用户的物流通知偏好
+ * @route   GET /api/shipping/notifications/preferences
+ * @access  Private
+ */
+const getMyNotificationPreferences = asyncHandler(async (req, res) => {
+  const preference = await getNotificationPreference(req.user._id);
+
+  res.status(200).json(preference);
+});
+
+/**
+ * @desc    更新当前用户的物流通知偏好
+ * @route   PUT /api/shipping/notifications/preferences
+ * @access  Private
+ */
+const updateMyNotificationPreferences = asyncHandler(async (req, res) => {
+  const { locale, channels, phone, types } = req.body;
+  const update = {};
+
+  if (locale !== undefined) {
+    if (!NOTIFICATION_LOCALES.includes(locale)) {
+      res.status(400);
+      throw new Error(`不支持的通知语言: ${locale}`);
+    }
+    update.locale = locale;
+  }
+
+  if (channels !== undefined) {
+    if (channels.email !== undefined) update['channels.email'] = Boolean(channels.email);
+    if (channels.sms !== undefined) update['channels.sms'] = Boolean(channels.sms);
+  }
+
+  if (phone !== undefined) {
+    update.phone = String(phone).trim();
+  }
+
+  if (types !== undefined) {
+    const invalid = (Array.isArray(types) ? types : [types]).filter(type => !NOTIFICATION_TYPES.includes(type));
+    if (!Array.isArray(types) || invalid.length > 0) {
+      res.status(400);
+      throw new Error(`无效的通知类型: ${invalid.join(', ')}`);
+    }
+    update.types = types;
+  }
+
+  const preference = await NotificationPreference.findOneAndUpdate(
+    { user: req.user._id },
+    { $set: update },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  res.status(200).json(preference);
+});
+
+/**
+ * @desc    获取物流信息的通知记录
+ * @route   GET /api/shipping/:shippingId/notifications
+ * @access  Private/Admin、Support
+ */
+const getShippingNotifications = asyncHandler(async (req, res) => {
+  const notifications = await ShipmentNotification.find({ shipping: req.params.shippingId })
+    .sort({ createdAt: -1 });
+
+  res.status(200).json(notifications);
+});
+
+module.exports = {
+  getMyNotificationPreferences,
+  updateMyNotificationPreferences,
+  getShippingNotifications
+};
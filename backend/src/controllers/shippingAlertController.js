@@ -0,0 +1,154 @@
+/**
+ * 物流预警控制器
+ */
+
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const ShippingAlert = require('../models/ShippingAlert');
+const { runAlertDetection, getAlertDetectionStatus } = require('../services/shippingAlertService');
+const { ALERT_TYPES, ALERT_STATUSES, ACTIVE_ALERT_STATUSES } = require('../utils/shippingAlert');
+
+/**
+ * 查找预警，不存在时返回404
+ * @param {Object} req - 请求
+ * @param {Object} res - 响应
+ * @returns {Promise<Object>} - 预警文档
+ */
+async function findAlertOrFail(req, res) {
+  const alert = mongoose.isValidObjectId(req.params.alertId)
+    ? await ShippingAlert.findById(req.params.alertId)
+    : null;
+
+  if (!alert) {
+    res.status(404);
+    throw new Error('未找到该预警');
+  }
+
+  return alert;
+}
+
+/**
+ * @desc    获取物流预警列表（默认只返回未解决的预警）
+ * @route   GET /api/shipping/alerts
+ * @access  Private/Admin、Support
+ */
+const getAlerts = asyncHandler(async (req, res) => {
+  const pageSize = Number(req.query.pageSize) || 20;
+  const page = Number(req.query.page) || 1;
+
+  const queryFilter = {};
+
+  // 按处理状态筛选，all 返回全部
+  const status = req.query.status || 'active';
+  if (status === 'active') {
+    queryFilter.status = { $in: ACTIVE_ALERT_STATUSES };
+  } else if (status !== 'all') {
+    if (!ALERT_STATUSES.includes(status)) {
+      res.status(400);
+      throw new Error(`无效的预警状态: ${status}`);
+    }
+    queryFilter.status = status;
+  }
+
+  if (req.query.type) {
+    if (!ALERT_TYPES.includes(req.query.type)) {
+      res.status(400);
+      throw new Error(`无效的预警类型: ${req.query.type}`);
+    }
+    queryFilter.type = req.query.type;
+  }
+
+  if (req.query.carrier) queryFilter.carrier = req.query.carrier;
+  if (req.query.shipping) queryFilter.shipping = req.query.shipping;
+
+  const count = await ShippingAlert.countDocuments(queryFilter);
+  const alerts = await ShippingAlert.find(queryFilter)
+    .populate('shipping', 'status subStatus estimatedDeliveryDate lastUpdated')
+    .populate('order', 'orderNumber')
+    .sort({ detectedAt: 1 })
+    .limit(pageSize)
+    .skip(pageSize * (page - 1));
+
+  res.status(200).json({
+    alerts,
+    page,
+    pages: Math.ceil(count / pageSize),
+    total: count
+  });
+});
+
+/**
+ * @desc    确认物流预警（表示已有人跟进）
+ * @route   PUT /api/shipping/alerts/:alertId/acknowledge
+ * @access  Private/Admin
+ */
+const acknowledgeAlert = asyncHandler(async (req, res) => {
+  const alert = await findAlertOrFail(req, res);
+
+  if (alert.status !== 'open') {
+    res.status(409);
+    throw new Error(alert.status === 'resolved' ? '该预警已解决' : '该预警已确认');
+  }
+
+  alert.status = 'acknowledged';
+  alert.acknowledgedAt = new Date();
+  alert.acknowledgedBy = req.user._id;
+  if (req.body.note !== undefined) alert.note = req.body.note;
+
+  res.status(200).json(await alert.save());
+});
+
+/**
+ * @desc    解决物流预警
+ * @route   PUT /api/shipping/alerts/:alertId/resolve
+ * @access  Private/Admin
+ */
+const resolveAlert = asyncHandler(async (req, res) => {
+  const alert = await findAlertOrFail(req, res);
+
+  if (alert.status === 'resolved') {
+    res.status(409);
+    throw new Error('该预警已解决');
+  }
+
+  alert.status = 'resolved';
+  alert.active = false;
+  alert.resolvedAt = new Date();
+  alert.resolvedBy = req.user._id;
+  if (req.body.note !== undefined) alert.note = req.body.note;
+
+  res.status(200).json(await alert.save());
+});
+
+/**
+ * @desc    获取物流预警检测任务状态
+ * @route   GET /api/shipping/jobs/alerts
+ * @access  Private/Admin、Support
+ */
+const getAlertJobStatus = asyncHandler(async (req, res) => {
+  res.status(200).json(await getAlertDetectionStatus());
+});
+
+/**
+ * @desc    立即执行一轮物流预警检测
+ * @route   POST /api/shipping/jobs/alerts/run
+ * @access  Private/Admin
+ */
+const runAlertJob = asyncHandler(async (req, res) => {
+  const stats = await runAlertDetection();
+
+  if (!stats) {
+    res.status(409);
+    throw new Error('预警检测任务正在执行中');
+  }
+
+  res.status(200).json(stats);
+});
+
+module.exports = {
+  getAlerts,
+  acknowledgeAlert,
+  resolveAlert,
+  getAlertJobStatus,
+  runAlertJob
+};
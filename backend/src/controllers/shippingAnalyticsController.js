@@ -0,0 +1,87 @@
+/**
+ * 物流时效分析控制器
+ * 所有接口支持查询参数：from、to（按发货日期，默认最近30天）、carrier、originCountry、destinationCountry、serviceLevel
+ * 统计范围内的物流超过单次统计上限时只统计其中一部分，响应中的truncated为true，total为统计范围内的物流总数
+ */
+
+const asyncHandler = require('express-async-handler');
+const {
+  TRANSIT_GROUP_BY,
+  parseAnalyticsQuery,
+  loadAnalyticsShippings,
+  computePerformance,
+  computeTransitAnalytics,
+  computePerformanceSeries,
+  computeStatusDurations
+} = require('../services/shippingAnalyticsService');
+const { withStatus } = require('../utils/httpError');
+
+/**
+ * @desc    按物流公司或线路统计运输时长、准时率和异常率
+ * @route   GET /api/shipping/analytics/transit
+ * @access  Private/Admin、Support
+ */
+const getTransitAnalytics = asyncHandler(async (req, res) => {
+  const params = await withStatus(res, () => parseAnalyticsQuery(req.query));
+  const groupBy = req.query.groupBy || 'carrier';
+
+  if (!TRANSIT_GROUP_BY.includes(groupBy)) {
+    res.status(400);
+    throw new Error(`无效的分组方式: ${groupBy}`);
+  }
+
+  const { shippings, total, truncated } = await loadAnalyticsShippings(params);
+
+  res.status(200).json({
+    from: params.from,
+    to: params.to,
+    total,
+    truncated,
+    groupBy,
+    groups: computeTransitAnalytics(shippings, groupBy)
+  });
+});
+
+/**
+ * @desc    按天、周或月统计时效指标（发货量、送达量、运输时长、准时率、异常率）
+ * @route   GET /api/shipping/analytics/performance
+ * @access  Private/Admin、Support
+ */
+const getPerformanceAnalytics = asyncHandler(async (req, res) => {
+  const params = await withStatus(res, () => parseAnalyticsQuery(req.query));
+  const { shippings, total, truncated } = await loadAnalyticsShippings(params);
+
+  res.status(200).json({
+    from: params.from,
+    to: params.to,
+    total,
+    truncated,
+    granularity: params.granularity,
+    summary: computePerformance(shippings),
+    series: computePerformanceSeries(shippings, params.granularity)
+  });
+});
+
+/**
+ * @desc    根据状态历史统计各状态的停留时长
+ * @route   GET /api/shipping/analytics/status-durations
+ * @access  Private/Admin、Support
+ */
+const getStatusDurationAnalytics = asyncHandler(async (req, res) => {
+  const params = await withStatus(res, () => parseAnalyticsQuery(req.query));
+  const { shippings, total, truncated } = await loadAnalyticsShippings(params);
+
+  res.status(200).json({
+    from: params.from,
+    to: params.to,
+    total,
+    truncated,
+    statuses: computeStatusDurations(shippings)
+  });
+});
+
+module.exports = {
+  getTransitAnalytics,
+  getPerformanceAnalytics,
+  getStatusDurationAnalytics
+};
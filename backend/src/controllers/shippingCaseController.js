@@ -0,0 +1,376 @@
+/**
+ * 物流异常工单控制器
+ */
+
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const Shipping = require('../models/Shipping');
+const ShippingCase = require('../models/ShippingCase');
+const User = require('../models/User');
+const {
+  computeCaseDueDates,
+  serializeCase,
+  buildSlaBreachedQuery,
+  linkReplacementShipping
+} = require('../services/shippingCaseService');
+const {
+  CASE_TYPES,
+  CASE_STATUSES,
+  ACTIVE_CASE_STATUSES,
+  CASE_RESOLUTIONS,
+  CASE_TYPE_BY_SUB_STATUS
+} = require('../utils/shippingCase');
+const { hasRole } = require('../utils/roles');
+const { withStatus } = require('../utils/httpError');
+
+/**
+ * 查找工单，不存在时返回404
+ * @param {Object} req - 请求
+ * @param {Object} res - 响应
+ * @param {Object[]} populate - 需要填充的字段（[{ path, select }]）
+ * @returns {Promise<Object>} - 工单文档
+ */
+async function findCaseOrFail(req, res, populate = []) {
+  const shippingCase = mongoose.isValidObjectId(req.params.caseId)
+    ? await ShippingCase.findById(req.params.caseId).populate(populate)
+    : null;
+
+  if (!shippingCase) {
+    res.status(404);
+    throw new Error('未找到该工单');
+  }
+
+  return shippingCase;
+}
+
+/**
+ * 校验负责人（必须是管理员，客服只能查看工单）
+ * @param {string|null} assigneeId - 负责人ID
+ * @param {Object} res - 响应
+ * @returns {Promise<Object|null>} - 负责人ID，取消指派时返回null
+ */
+async function resolveAssignee(assigneeId, res) {
+  if (!assigneeId) {
+    return null;
+  }
+
+  const assignee = mongoose.isValidObjectId(assigneeId) ? await User.findById(assigneeId) : null;
+  if (!assignee || !hasRole(assignee, ['admin'])) {
+    res.status(400);
+    throw new Error('负责人必须是管理员');
+  }
+
+  return assignee._id;
+}
+
+/**
+ * 记录首次响应时间
+ * @param {Object} shippingCase - 工单文档
+ */
+function markResponded(shippingCase) {
+  if (!shippingCase.firstRespondedAt) {
+    shippingCase.firstRespondedAt = new Date();
+  }
+}
+
+/**
+ * @desc    获取异常工单列表
+ * @route   GET /api/shipping/cases
+ * @access  Private/Admin、Support
+ */
+const getCases = asyncHandler(async (req, res) => {
+  const pageSize = Number(req.query.pageSize) || 20;
+  const page = Number(req.query.page) || 1;
+
+  const queryFilter = {};
+
+  // 按状态筛选，默认只返回未解决的工单，all 返回全部
+  const status = req.query.status || 'active';
+  if (status === 'active') {
+    queryFilter.status = { $in: ACTIVE_CASE_STATUSES };
+  } else if (status !== 'all') {
+    if (!CASE_STATUSES.includes(status)) {
+      res.status(400);
+      throw new Error(`无效的工单状态: ${status}`);
+    }
+    queryFilter.status = status;
+  }
+
+  if (req.query.type) {
+    if (!CASE_TYPES.includes(req.query.type)) {
+      res.status(400);
+      throw new Error(`无效的工单类型: ${req.query.type}`);
+    }
+    queryFilter.type = req.query.type;
+  }
+
+  // 按负责人、物流信息和订单筛选时ID必须有效
+  const idFilters = { assignee: '负责人', shipping: '物流信息', order: '订单' };
+  const invalidField = Object.keys(idFilters).find(field => {
+    const value = req.query[field];
+    if (!value || (field === 'assignee' && ['me', 'unassigned'].includes(value))) {
+      return false;
+    }
+    return !mongoose.isValidObjectId(value);
+  });
+  if (invalidField) {
+    res.status(400);
+    throw new Error(`无效的${idFilters[invalidField]}ID: ${req.query[invalidField]}`);
+  }
+
+  // 按负责人筛选：me 为当前用户，unassigned 为未指派
+  if (req.query.assignee === 'me') {
+    queryFilter.assignee = req.user._id;
+  } else if (req.query.assignee === 'unassigned') {
+    queryFilter.assignee = null;
+  } else if (req.query.assignee) {
+    queryFilter.assignee = req.query.assignee;
+  }
+
+  if (req.query.carrier) queryFilter.carrier = req.query.carrier;
+  if (req.query.shipping) queryFilter.shipping = req.query.shipping;
+  if (req.query.order) queryFilter.order = req.query.order;
+  if (req.query.resolution) queryFilter.resolution = req.query.resolution;
+
+  // 只返回超出处理时限的未解决工单
+  if (req.query.slaBreached === 'true') {
+    const breached = buildSlaBreachedQuery();
+    queryFilter.$or = breached.$or;
+    if (status === 'all') {
+      queryFilter.status = breached.status;
+    }
+  }
+
+  const count = await ShippingCase.countDocuments(queryFilter);
+  const cases = await ShippingCase.find(queryFilter)
+    .select('-comments')
+    .populate('assignee', 'name email')
+    .populate('order', 'orderNumber')
+    .sort({ resolutionDueAt: 1 })
+    .limit(pageSize)
+    .skip(pageSize * (page - 1));
+
+  res.status(200).json({
+    cases: cases.map(serializeCase),
+    page,
+    pages: Math.ceil(count / pageSize),
+    total: count
+  });
+});
+
+/**
+ * @desc    获取异常工单详情（含内部备注）
+ * @route   GET /api/shipping/cases/:caseId
+ * @access  Private/Admin、Support
+ */
+const getCase = asyncHandler(async (req, res) => {
+  const shippingCase = await findCaseOrFail(req, res, [
+    { path: 'assignee', select: 'name email' },
+    { path: 'openedBy', select: 'name email' },
+    { path: 'resolvedBy', select: 'name email' },
+    { path: 'comments.author', select: 'name email' },
+    { path: 'shipping', select: 'carrier trackingNumber status subStatus lastUpdated' },
+    { path: 'replacementShipping', select: 'carrier trackingNumber status' }
+  ]);
+
+  res.status(200).json(serializeCase(shippingCase));
+});
+
+/**
+ * @desc    获取物流信息的异常工单
+ * @route   GET /api/shipping/:shippingId/cases
+ * @access  Private/Admin、Support
+ */
+const getShippingCases = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.shippingId)) {
+    res.status(404);
+    throw new Error('未找到该物流信息');
+  }
+
+  const cases = await ShippingCase.find({ shipping: req.params.shippingId })
+    .populate('assignee', 'name email')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json(cases.map(serializeCase));
+});
+
+/**
+ * @desc    为物流信息创建异常工单
+ * @route   POST /api/shipping/:shippingId/cases
+ * @access  Private/Admin、Support
+ */
+const createCase = asyncHandler(async (req, res) => {
+  const { description, assignee } = req.body;
+
+  const shipping = mongoose.isValidObjectId(req.params.shippingId)
+    ? await Shipping.findById(req.params.shippingId)
+    : null;
+  if (!shipping) {
+    res.status(404);
+    throw new Error('未找到该物流信息');
+  }
+
+  // 未指定类型时根据物流子状态推断（丢失、损坏、海关扣留）
+  const type = req.body.type || CASE_TYPE_BY_SUB_STATUS[shipping.subStatus];
+  if (!CASE_TYPES.includes(type)) {
+    res.status(400);
+    throw new Error(`请指定工单类型: ${CASE_TYPES.join('、')}`);
+  }
+
+  // 同一物流同时只有一个未解决的工单
+  const existing = await ShippingCase.exists({ shipping: shipping._id, status: { $in: ACTIVE_CASE_STATUSES } });
+  if (existing) {
+    res.status(409);
+    throw new Error('该物流已有未解决的异常工单');
+  }
+
+  const openedAt = new Date();
+  const caseData = {
+    shipping: shipping._id,
+    order: shipping.order,
+    carrier: shipping.carrier,
+    trackingNumber: shipping.trackingNumber,
+    type,
+    description: description || '',
+    assignee: await resolveAssignee(assignee, res),
+    openedBy: req.user._id,
+    ...computeCaseDueDates(type, openedAt)
+  };
+
+  let shippingCase;
+  try {
+    shippingCase = await ShippingCase.create(caseData);
+  } catch (error) {
+    // 并发创建时由未解决工单的唯一索引保证只有一个
+    if (error.code === 11000) {
+      res.status(409);
+      throw new Error('该物流已有未解决的异常工单');
+    }
+    throw error;
+  }
+
+  res.status(201).json(serializeCase(shippingCase));
+});
+
+/**
+ * @desc    更新异常工单（类型、状态、负责人、描述）
+ * @route   PUT /api/shipping/cases/:caseId
+ * @access  Private/Admin、Support
+ */
+const updateCase = asyncHandler(async (req, res) => {
+  const shippingCase = await findCaseOrFail(req, res);
+  const { type, status, assignee, description } = req.body;
+
+  if (shippingCase.status === 'resolved') {
+    res.status(409);
+    throw new Error('工单已解决，不能修改');
+  }
+
+  if (type !== undefined && type !== shippingCase.type) {
+    if (!CASE_TYPES.includes(type)) {
+      res.status(400);
+      throw new Error(`无效的工单类型: ${type}`);
+    }
+    // 类型变更后按新类型从创建时间重新计算处理时限
+    shippingCase.type = type;
+    Object.assign(shippingCase, computeCaseDueDates(type, shippingCase.createdAt));
+  }
+
+  if (status !== undefined) {
+    // 解决工单需通过 resolve 接口填写处理结果
+    if (!['open', 'in_progress'].includes(status)) {
+      res.status(400);
+      throw new Error('工单状态只能更新为open或in_progress，解决工单请使用resolve接口');
+    }
+    shippingCase.status = status;
+    if (status === 'in_progress') {
+      markResponded(shippingCase);
+    }
+  }
+
+  if (assignee !== undefined) {
+    shippingCase.assignee = await resolveAssignee(assignee, res);
+  }
+
+  if (description !== undefined) {
+    shippingCase.description = description;
+  }
+
+  res.status(200).json(serializeCase(await shippingCase.save()));
+});
+
+/**
+ * @desc    添加工单内部备注
+ * @route   POST /api/shipping/cases/:caseId/comments
+ * @access  Private/Admin、Support
+ */
+const addCaseComment = asyncHandler(async (req, res) => {
+  const shippingCase = await findCaseOrFail(req, res);
+  const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+
+  if (!body) {
+    res.status(400);
+    throw new Error('请填写备注内容');
+  }
+
+  shippingCase.comments.push({ author: req.user._id, body });
+  markResponded(shippingCase);
+
+  res.status(201).json(serializeCase(await shippingCase.save()));
+});
+
+/**
+ * @desc    解决异常工单（补发、退款或退回）
+ * @route   PUT /api/shipping/cases/:caseId/resolve
+ * @access  Private/Admin、Support
+ */
+const resolveCase = asyncHandler(async (req, res) => {
+  const shippingCase = await findCaseOrFail(req, res);
+  const { resolution, note, replacementShipping, refundAmount } = req.body;
+
+  if (shippingCase.status === 'resolved') {
+    res.status(409);
+    throw new Error('工单已解决');
+  }
+
+  if (!CASE_RESOLUTIONS.includes(resolution)) {
+    res.status(400);
+    throw new Error(`请选择处理结果: ${CASE_RESOLUTIONS.join('、')}`);
+  }
+
+  if (resolution === 'reship') {
+    if (!replacementShipping) {
+      res.status(400);
+      throw new Error('补发时请提供补发的物流信息ID（replacementShipping）');
+    }
+    await withStatus(res, () => linkReplacementShipping(shippingCase, replacementShipping));
+  }
+
+  if (resolution === 'refund' && refundAmount !== undefined) {
+    const amount = Number(refundAmount);
+    if (!Number.isFinite(amount) || amount < 0) {
+      res.status(400);
+      throw new Error('退款金额必须为非负数');
+    }
+    shippingCase.refundAmount = amount;
+  }
+
+  shippingCase.status = 'resolved';
+  shippingCase.resolution = resolution;
+  shippingCase.resolutionNote = note || '';
+  shippingCase.resolvedAt = new Date();
+  shippingCase.resolvedBy = req.user._id;
+  markResponded(shippingCase);
+
+  res.status(200).json(serializeCase(await shippingCase.save()));
+});
+
+module.exports = {
+  getCases,
+  getCase,
+  getShippingCases,
+  createCase,
+  updateCase,
+  addCaseComment,
+  resolveCase
+};
@@ -0,0 +1,348 @@
+/**
+ * 物流索赔控制器
+ */
+
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const Shipping = require('../models/Shipping');
+const Order = require('../models/Order');
+const ShippingCase = require('../models/ShippingCase');
+const ShippingClaim = require('../models/ShippingClaim');
+const {
+  computeClaimDeadline,
+  computeDeclaredValue,
+  transitionClaim,
+  summarizeClaimRecovery
+} = require('../services/shippingClaimService');
+const { CLAIM_TYPES, CLAIM_STATUSES, CLAIM_EVIDENCE_KINDS } = require('../utils/shippingClaim');
+const { withStatus } = require('../utils/httpError');
+
+/**
+ * 查找索赔，不存在时返回404
+ * @param {Object} req - 请求
+ * @param {Object} res - 响应
+ * @param {Object[]} populate - 需要填充的字段（[{ path, select }]）
+ * @returns {Promise<Object>} - 索赔文档
+ */
+async function findClaimOrFail(req, res, populate = []) {
+  const claim = mongoose.isValidObjectId(req.params.claimId)
+    ? await ShippingClaim.findById(req.params.claimId).populate(populate)
+    : null;
+
+  if (!claim) {
+    res.status(404);
+    throw new Error('未找到该索赔');
+  }
+
+  return claim;
+}
+
+/**
+ * 校验并整理证据列表
+ * @param {Object[]} evidence - 证据（kind、reference、description）
+ * @param {Object} req - 请求
+ * @param {Object} res - 响应
+ * @returns {Object[]} - 证据记录
+ */
+function buildEvidence(evidence, req, res) {
+  if (!Array.isArray(evidence)) {
+    res.status(400);
+    throw new Error('证据必须是数组');
+  }
+
+  return evidence.map(({ kind, reference, description }) => {
+    if (!reference) {
+      res.status(400);
+      throw new Error('证据必须包含附件引用（reference）');
+    }
+    if (kind && !CLAIM_EVIDENCE_KINDS.includes(kind)) {
+      res.status(400);
+      throw new Error(`无效的证据类型: ${kind}`);
+    }
+    return { kind: kind || 'other', reference, description: description || '', addedBy: req.user._id };
+  });
+}
+
+/**
+ * 校验金额
+ * @param {*} value - 金额
+ * @param {string} field - 字段名称
+ * @param {Object} res - 响应
+ * @returns {number} - 金额
+ */
+function parseAmount(value, field, res) {
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    res.status(400);
+    throw new Error(`${field}必须为非负数`);
+  }
+  return amount;
+}
+
+/**
+ * @desc    为物流信息创建索赔（草稿）
+ * @route   POST /api/shipping/:shippingId/claims
+ * @access  Private/Admin
+ */
+const createClaim = asyncHandler(async (req, res) => {
+  const { type, declaredValue, claimedAmount, currency, evidence, notes, caseId } = req.body;
+
+  const shipping = mongoose.isValidObjectId(req.params.shippingId)
+    ? await Shipping.findById(req.params.shippingId)
+    : null;
+  if (!shipping) {
+    res.status(404);
+    throw new Error('未找到该物流信息');
+  }
+
+  if (!CLAIM_TYPES.includes(type)) {
+    res.status(400);
+    throw new Error(`请指定索赔类型: ${CLAIM_TYPES.join('、')}`);
+  }
+
+  // 同一包裹的同类索赔只能有一个（被拒绝的可以重新提交，不需要新建）
+  const existing = await ShippingClaim.exists({ shipping: shipping._id, type });
+  if (existing) {
+    res.status(409);
+    throw new Error('该物流已有同类索赔');
+  }
+
+  if (caseId) {
+    const shippingCase = mongoose.isValidObjectId(caseId) ? await ShippingCase.findById(caseId) : null;
+    if (!shippingCase || String(shippingCase.shipping) !== String(shipping._id)) {
+      res.status(400);
+      throw new Error('关联的异常工单不存在或不属于该物流');
+    }
+  }
+
+  const deadline = await withStatus(res, () => computeClaimDeadline(shipping, type));
+
+  // 未填写申报价值时按包裹中的订单商品价格计算
+  let value;
+  if (declaredValue !== undefined) {
+    value = parseAmount(declaredValue, '申报价值', res);
+  } else {
+    const order = await Order.findById(shipping.order);
+    value = order ? computeDeclaredValue(order, shipping) : 0;
+  }
+
+  const claim = new ShippingClaim({
+    shipping: shipping._id,
+    order: shipping.order,
+    case: caseId || null,
+    carrier: shipping.carrier,
+    trackingNumber: shipping.trackingNumber,
+    type,
+    declaredValue: value,
+    claimedAmount: claimedAmount !== undefined ? parseAmount(claimedAmount, '索赔金额', res) : value,
+    currency,
+    evidence: evidence ? buildEvidence(evidence, req, res) : [],
+    deadlineAt: deadline.deadlineAt,
+    notes: notes || '',
+    createdBy: req.user._id,
+    statusHistory: [
+      {
+        status: 'draft',
+        note: `索赔期限从${deadline.basis === 'deliveredDate' ? '送达日期' : '发货日期'}起算`,
+        changedBy: req.user._id
+      }
+    ]
+  });
+
+  res.status(201).json(await claim.save());
+});
+
+/**
+ * @desc    获取物流信息的索赔
+ * @route   GET /api/shipping/:shippingId/claims
+ * @access  Private/Admin、Support
+ */
+const getShippingClaims = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.shippingId)) {
+    res.status(404);
+    throw new Error('未找到该物流信息');
+  }
+
+  const claims = await ShippingClaim.find({ shipping: req.params.shippingId }).sort({ createdAt: -1 });
+
+  res.status(200).json(claims);
+});
+
+/**
+ * @desc    获取索赔列表
+ * @route   GET /api/shipping/claims
+ * @access  Private/Admin、Support
+ */
+const getClaims = asyncHandler(async (req, res) => {
+  const pageSize = Number(req.query.pageSize) || 20;
+  const page = Number(req.query.page) || 1;
+
+  const queryFilter = {};
+
+  if (req.query.status) {
+    if (!CLAIM_STATUSES.includes(req.query.status)) {
+      res.status(400);
+      throw new Error(`无效的索赔状态: ${req.query.status}`);
+    }
+    queryFilter.status = req.query.status;
+  }
+  if (req.query.type) queryFilter.type = req.query.type;
+  if (req.query.carrier) queryFilter.carrier = req.query.carrier;
+  if (req.query.order) {
+    if (!mongoose.isValidObjectId(req.query.order)) {
+      res.status(400);
+      throw new Error(`无效的订单ID: ${req.query.order}`);
+    }
+    queryFilter.order = req.query.order;
+  }
+
+  // 即将到期的草稿（如 deadlineWithinDays=7）
+  if (req.query.deadlineWithinDays) {
+    const days = Number(req.query.deadlineWithinDays);
+    const deadline = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    if (!(days >= 0) || Number.isNaN(deadline.getTime())) {
+      res.status(400);
+      throw new Error('deadlineWithinDays必须为非负数');
+    }
+    queryFilter.status = 'draft';
+    queryFilter.deadlineAt = { $lte: deadline };
+  }
+
+  const count = await ShippingClaim.countDocuments(queryFilter);
+  const claims = await ShippingClaim.find(queryFilter)
+    .select('-statusHistory')
+    .populate('order', 'orderNumber')
+    .sort({ deadlineAt: 1 })
+    .limit(pageSize)
+    .skip(pageSize * (page - 1));
+
+  res.status(200).json({
+    claims,
+    page,
+    pages: Math.ceil(count / pageSize),
+    total: count
+  });
+});
+
+/**
+ * @desc    获取索赔详情
+ * @route   GET /api/shipping/claims/:claimId
+ * @access  Private/Admin、Support
+ */
+const getClaim = asyncHandler(async (req, res) => {
+  const claim = await findClaimOrFail(req, res, [
+    { path: 'shipping', select: 'carrier trackingNumber status subStatus shippedDate deliveredDate' },
+    { path: 'order', select: 'orderNumber totalPrice' },
+    { path: 'createdBy', select: 'name email' },
+    { path: 'statusHistory.changedBy', select: 'name email' }
+  ]);
+
+  res.status(200).json(claim);
+});
+
+/**
+ * @desc    更新索赔信息（申报价值、索赔金额、币种、索赔编号、备注）
+ * @route   PUT /api/shipping/claims/:claimId
+ * @access  Private/Admin
+ */
+const updateClaim = asyncHandler(async (req, res) => {
+  const claim = await findClaimOrFail(req, res);
+  const { declaredValue, claimedAmount, currency, carrierClaimReference, notes } = req.body;
+
+  // 金额只能在提交前修改
+  if ((declaredValue !== undefined || claimedAmount !== undefined || currency !== undefined) && claim.status !== 'draft') {
+    res.status(409);
+    throw new Error('索赔已提交，不能修改金额');
+  }
+
+  if (declaredValue !== undefined) claim.declaredValue = parseAmount(declaredValue, '申报价值', res);
+  if (claimedAmount !== undefined) claim.claimedAmount = parseAmount(claimedAmount, '索赔金额', res);
+  if (currency !== undefined) claim.currency = currency;
+  if (carrierClaimReference !== undefined) claim.carrierClaimReference = carrierClaimReference;
+  if (notes !== undefined) claim.notes = notes;
+
+  res.status(200).json(await claim.save());
+});
+
+/**
+ * @desc    添加索赔证据
+ * @route   POST /api/shipping/claims/:claimId/evidence
+ * @access  Private/Admin
+ */
+const addClaimEvidence = asyncHandler(async (req, res) => {
+  const claim = await findClaimOrFail(req, res);
+
+  if (claim.status === 'paid') {
+    res.status(409);
+    throw new Error('索赔已赔付，不能添加证据');
+  }
+
+  const evidence = buildEvidence(Array.isArray(req.body) ? req.body : [req.body], req, res);
+  claim.evidence.push(...evidence);
+
+  res.status(201).json(await claim.save());
+});
+
+/**
+ * @desc    变更索赔状态（提交、同意、拒绝、赔付）
+ * @route   PUT /api/shipping/claims/:claimId/status
+ * @access  Private/Admin
+ */
+const updateClaimStatus = asyncHandler(async (req, res) => {
+  const claim = await findClaimOrFail(req, res);
+  const { status, note, carrierClaimReference, payoutAmount, rejectionReason, override } = req.body;
+
+  if (!CLAIM_STATUSES.includes(status)) {
+    res.status(400);
+    throw new Error(`无效的索赔状态: ${status}`);
+  }
+
+  await withStatus(res, () => transitionClaim(claim, status, {
+    note,
+    carrierClaimReference,
+    payoutAmount,
+    rejectionReason,
+    override: Boolean(override),
+    changedBy: req.user._id
+  }));
+
+  res.status(200).json(await claim.save());
+});
+
+/**
+ * @desc    按物流公司统计索赔回收情况
+ * @route   GET /api/shipping/claims/report
+ * @access  Private/Admin、Support
+ */
+const getClaimRecoveryReport = asyncHandler(async (req, res) => {
+  const queryFilter = {};
+
+  // 按索赔创建日期筛选
+  if (req.query.from || req.query.to) {
+    queryFilter.createdAt = {};
+    if (req.query.from) queryFilter.createdAt.$gte = new Date(req.query.from);
+    if (req.query.to) queryFilter.createdAt.$lte = new Date(req.query.to);
+  }
+  if (req.query.carrier) queryFilter.carrier = req.query.carrier;
+
+  const claims = await ShippingClaim.find(queryFilter)
+    .select('carrier currency status claimedAmount payoutAmount submittedAt paidAt')
+    .lean();
+
+  res.status(200).json({
+    from: req.query.from || null,
+    to: req.query.to || null,
+    carriers: summarizeClaimRecovery(claims)
+  });
+});
+
+module.exports = {
+  createClaim,
+  getShippingClaims,
+  getClaims,
+  getClaim,
+  updateClaim,
+  addClaimEvidence,
+  updateClaimStatus,
+  getClaimRecoveryReport
+};
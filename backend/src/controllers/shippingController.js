@@ -2,64 +2,112 @@
  * 国际物流控制器
  */
 
+const mongoose = require('mongoose');
 const asyncHandler = require('express-async-handler');
 const Shipping = require('../models/Shipping');
 const Order = require('../models/Order');
-const { createShippingTracker } = require('../services/shippingService');
+const {
+  createShippingTracker,
+  resolveCarrier,
+  listCarriers,
+  validateTrackingNumber,
+  detectCarriers
+} = require('../services/shippingService');
+const { refreshShippingTracking } = require('../services/trackingRefreshService');
+const { getPollerStatus } = require('../services/trackingPoller');
+const { transitionShipping } = require('../services/shippingStateMachine');
+const { fingerprintEvent } = require('../services/trackingMerge');
+const { SHIPPING_EVENTS, queueShippingEvent } = require('../services/shippingEvents');
+const {
+  buildShipmentItems,
+  buildReplacementItems,
+  summarizeOrderShipping,
+  createOrderShipment
+} = require('../services/orderShippingService');
+const { findAccessibleOrder, canAccessShipping } = require('../services/shippingAccessService');
+const {
+  getTransitModel,
+  updatePredictedDelivery,
+  getEffectiveEta,
+  summarizeTransitModel
+} = require('../services/etaPredictionService');
+const { hasCarrierAccount, listCarrierAccounts } = require('../config/carriers');
+const { normalizeTrackingNumber } = require('../utils/trackingNumber');
+const { resolveStatusCode } = require('../utils/shippingStatus');
+const { withStatus } = require('../utils/httpError');
 
 /**
- * @desc    获取订单的物流信息
+ * @desc    获取订单的物流信息（所有包裹及订单级物流状态）
  * @route   GET /api/shipping/order/:orderId
- * @access  Private
+ * @access  Private（订单所有者、客服、管理员）
  */
 const getOrderShipping = asyncHandler(async (req, res) => {
   const orderId = req.params.orderId;
 
-  const shipping = await Shipping.findOne({ order: orderId });
+  // 无权访问的订单按不存在处理
+  const order = await findAccessibleOrder(req.user, orderId);
+  const shippings = order ? await Shipping.find({ order: orderId }).sort({ shippedDate: 1 }) : [];
 
-  if (!shipping) {
+  if (shippings.length === 0) {
     res.status(404);
     throw new Error('该订单暂无物流信息');
   }
 
-  res.status(200).json(shipping);
+  res.status(200).json(summarizeOrderShipping(order, shippings));
 });
 
 /**
- * @desc    获取物流跟踪信息
+ * @desc    获取物流跟踪信息（不同物流公司的物流单号可能相同，可通过carrier查询参数指定物流公司）
  * @route   GET /api/shipping/track/:trackingNumber
- * @access  Private
+ * @access  Private（订单所有者、客服、管理员）
  */
 const getTrackingInfo = asyncHandler(async (req, res) => {
-  const trackingNumber = req.params.trackingNumber;
+  const trackingNumber = normalizeTrackingNumber(req.params.trackingNumber);
 
-  const shipping = await Shipping.findOne({ trackingNumber });
+  const queryFilter = { trackingNumber };
+  if (req.query.carrier) {
+    const carrierDefinition = resolveCarrier(req.query.carrier);
+    if (!carrierDefinition) {
+      res.status(400);
+      throw new Error(`不支持的物流公司: ${req.query.carrier}`);
+    }
+    queryFilter.carrier = carrierDefinition.code;
+  }
 
-  if (!shipping) {
+  // 逐个检查访问权限，无权访问的物流信息按不存在处理
+  const shippings = [];
+  for (const candidate of await Shipping.find(queryFilter)) {
+    if (await canAccessShipping(req.user, candidate)) {
+      shippings.push(candidate);
+    }
+  }
+
+  if (shippings.length === 0) {
     res.status(404);
     throw new Error('未找到该物流单号的信息');
   }
-
-  // 如果物流信息最后更新时间超过6小时，则从第三方API获取最新信息
-  const sixHoursAgo = new Date(Date.now() - 6 * 60 * 60 * 1000);
-  if (shipping.lastUpdated < sixHoursAgo) {
-    await refreshTrackingInfoInternal(shipping);
+  if (shippings.length > 1) {
+    res.status(409);
+    throw new Error('多个物流公司存在该物流单号，请通过carrier参数指定物流公司');
   }
 
+  const [shipping] = shippings;
+
+  // 跟踪信息由后台轮询任务定期刷新（services/trackingPoller.js）
   res.status(200).json(shipping);
 });
 
 /**
  * @desc    从第三方API更新物流跟踪信息
  * @route   PUT /api/shipping/:shippingId/refresh
- * @access  Private
+ * @access  Private（订单所有者、客服、管理员）
  */
 const refreshTrackingInfo = asyncHandler(async (req, res) => {
   const shippingId = req.params.shippingId;
 
-  const shipping = await Shipping.findById(shippingId);
+  const shipping = mongoose.isValidObjectId(shippingId) ? await Shipping.findById(shippingId) : null;
 
-  if (!shipping) {
+  if (!shipping || !(await canAccessShipping(req.user, shipping))) {
     res.status(404);
     throw new Error('未找到该物流信息');
   }
@@ -74,48 +122,7 @@ const refreshTrackingInfo = asyncHandler(async (req, res) => {
  */
 const refreshTrackingInfoInternal = async (shipping) => {
   try {
-    const tracker = createShippingTracker(shipping.carrier);
-    const trackingInfo = await tracker.getTracking(shipping.trackingNumber);
-
-    // 更新物流状态
-    shipping.status = trackingInfo.status;
-    shipping.trackingHistory = trackingInfo.trackingHistory;
-    shipping.apiResponse = trackingInfo.apiResponse;
-    shipping.lastUpdated = new Date();
-
-    // 如果状态变更，添加到状态历史
-    const lastStatus = shipping.statusHistory.length > 0 
-      ? shipping.statusHistory[shipping.statusHistory.length - 1].status 
-      : null;
-
-    if (lastStatus !== trackingInfo.status) {
-      shipping.statusHistory.push({
-        status: trackingInfo.status,
-        timestamp: new Date(),
-        note: '系统自动更新'
-      });
-    }
-
-    // 如果已送达，更新送达日期
-    if (trackingInfo.status === 'delivered' && !shipping.deliveredDate) {
-      shipping.deliveredDate = new Date();
-
-      // 更新订单状态为已送达
-      const order = await Order.findById(shipping.order);
-      if (order && order.status !== 'delivered') {
-        order.status = 'delivered';
-        order.deliveredAt = new Date();
-        await order.save();
-      }
-    }
-
-    // 如果有预计送达日期
-    if (trackingInfo.estimatedDeliveryDate) {
-      shipping.estimatedDeliveryDate = trackingInfo.estimatedDeliveryDate;
-    }
-
-    await shipping.save();
-    return shipping;
+    return await refreshShippingTracking(shipping);
   } catch (error) {
     console.error('更新物流信息失败:', error);
     // 不抛出错误，只记录日志
@@ -123,13 +130,73 @@ const refreshTrackingInfoInternal = async (shipping) => {
   }
 };
 
+/**
+ * 内部函数：通过状态机变更物流状态，非法变更时设置对应的HTTP状态码（如409）
+ */
+const changeShippingStatus = async (res, shipping, status, options) => {
+  try {
+    return await transitionShipping(shipping, status, options);
+  } catch (error) {
+    if (error.statusCode) {
+      res.status(error.statusCode);
+    }
+    throw error;
+  }
+};
+
 /**
  * @desc    管理员添加物流信息
  * @route   POST /api/shipping
  * @access  Private/Admin
  */
 const addShipping = asyncHandler(async (req, res) => {
-  const { orderId, carrier, trackingNumber, notes } = req.body;
+  const {
+    orderId,
+    carrier,
+    carrierAccount,
+    trackingNumber,
+    items,
+    serviceLevel,
+    originCountry,
+    destinationCountry,
+    replacementOf,
+    notes
+  } = req.body;
+
+  if (!trackingNumber) {
+    res.status(400);
+    throw new Error('请提供物流单号');
+  }
+
+  // 未指定物流公司时根据物流单号自动识别
+  let carrierDefinition;
+  if (carrier) {
+    carrierDefinition = resolveCarrier(carrier);
+    if (!carrierDefinition) {
+      res.status(400);
+      throw new Error(`不支持的物流公司: ${carrier}`);
+    }
+  } else {
+    const [candidate] = detectCarriers(trackingNumber);
+    if (!candidate) {
+      res.status(400);
+      throw new Error('无法根据物流单号识别物流公司，请指定物流公司');
+    }
+    carrierDefinition = resolveCarrier(candidate.carrier);
+  }
+
+  // 检查物流单号格式
+  const validation = validateTrackingNumber(carrierDefinition.code, trackingNumber);
+  if (!validation.valid) {
+    res.status(400);
+    throw new Error(`物流单号格式无效: ${trackingNumber} 不是有效的${carrierDefinition.name}单号`);
+  }
+
+  // 检查物流公司账号是否已配置
+  if (!hasCarrierAccount(carrierDefinition.code, carrierAccount)) {
+    res.status(400);
+    throw new Error(`物流公司 ${carrierDefinition.name} 未配置账号: ${carrierAccount}`);
+  }
 
   // 检查订单是否存在
   const order = await Order.findById(orderId);
@@ -138,33 +205,51 @@ const addShipping = asyncHandler(async (req, res) => {
     throw new Error('订单不存在');
   }
 
-  // 检查是否已存在该订单的物流信息
-  const existingShipping = await Shipping.findOne({ order: orderId });
-  if (existingShipping) {
+  // 同一物流单号不能重复添加
+  const duplicate = await Shipping.findOne({
+    carrier: carrierDefinition.code,
+    trackingNumber: validation.trackingNumber
+  });
+  if (duplicate) {
     res.status(400);
-    throw new Error('该订单已存在物流信息');
+    throw new Error('该物流单号已存在');
   }
 
-  // 创建物流信息
-  const shipping = await Shipping.create({
-    order: orderId,
-    carrier,
-    trackingNumber,
-    notes,
-    status: 'pending',
-    statusHistory: [
-      {
-        status: 'pending',
-        timestamp: new Date(),
-        note: '物流信息已创建'
-      }
-    ]
-  });
+  // 分配包裹商品：一个订单可拆分为多个包裹，每个包裹覆盖部分商品和数量
+  const existingShippings = await Shipping.find({ order: orderId });
+
+  // 补发包裹替代同一订单中的原包裹（如原包裹丢失或损坏）
+  let original = null;
+  if (replacementOf) {
+    original = existingShippings.find(existing =>
+      String(existing._id) === String(replacementOf) && existing.direction !== 'return'
+    );
+    if (!original) {
+      res.status(400);
+      throw new Error('被补发的物流信息不存在或不属于该订单');
+    }
+    if (existingShippings.some(existing => String(existing.replacementOf) === String(original._id))) {
+      res.status(409);
+      throw new Error('该物流信息已有补发包裹');
+    }
+  }
 
-  // 更新订单状态为已发货
-  order.status = 'shipped';
-  order.shippedAt = new Date();
-  await order.save();
+  const shipmentItems = await withStatus(res, () => (original
+    ? buildReplacementItems(original, items)
+    : buildShipmentItems(order, items, existingShippings)));
+
+  // 创建物流信息，第一个包裹发出时订单标记为已发货
+  const shipping = await createOrderShipment(order, {
+    items: shipmentItems,
+    replacementOf: original ? original._id : null,
+    carrier: carrierDefinition.code,
+    carrierAccount,
+    trackingNumber: validation.trackingNumber,
+    serviceLevel: serviceLevel || '',
+    originCountry,
+    destinationCountry,
+    notes
+  }, { note: '物流信息已创建', changedBy: req.user._id });
 
   // 尝试从第三方API获取物流信息
   try {
@@ -184,7 +269,17 @@ const addShipping = asyncHandler(async (req, res) => {
  */
 const updateShipping = asyncHandler(async (req, res) => {
   const shippingId = req.params.shippingId;
-  const { carrier, trackingNumber, status, notes } = req.body;
+  const {
+    carrier,
+    carrierAccount,
+    trackingNumber,
+    status,
+    subStatus,
+    serviceLevel,
+    originCountry,
+    destinationCountry,
+    notes
+  } = req.body;
 
   const shipping = await Shipping.findById(shippingId);
 
@@ -194,31 +289,48 @@ const updateShipping = asyncHandler(async (req, res) => {
   }
 
   // 更新物流信息
-  if (carrier) shipping.carrier = carrier;
+  if (carrier) {
+    const carrierDefinition = resolveCarrier(carrier);
+    if (!carrierDefinition) {
+      res.status(400);
+      throw new Error(`不支持的物流公司: ${carrier}`);
+    }
+    shipping.carrier = carrierDefinition.code;
+  }
+  if (carrierAccount) shipping.carrierAccount = carrierAccount;
+  if ((carrier || carrierAccount) && !hasCarrierAccount(shipping.carrier, shipping.carrierAccount)) {
+    res.status(400);
+    throw new Error(`物流公司 ${shipping.carrier} 未配置账号: ${shipping.carrierAccount}`);
+  }
   if (trackingNumber) shipping.trackingNumber = trackingNumber;
+  if (carrier || trackingNumber) {
+    const validation = validateTrackingNumber(shipping.carrier, shipping.trackingNumber);
+    if (!validation.valid) {
+      res.status(400);
+      throw new Error(`物流单号格式无效: ${shipping.trackingNumber}`);
+    }
+    shipping.trackingNumber = validation.trackingNumber;
+  }
   if (notes) shipping.notes = notes;
 
-  // 如果状态变更，添加到状态历史
-  if (status && status !== shipping.status) {
-    shipping.status = status;
-    shipping.statusHistory.push({
-      status,
-      timestamp: new Date(),
-      note: req.body.statusNote || '管理员手动更新'
-    });
-
-    // 如果状态为已送达，更新送达日期
-    if (status === 'delivered' && !shipping.deliveredDate) {
-      shipping.deliveredDate = new Date();
+  // 线路或服务等级变化后重新预测送达时间
+  if (serviceLevel !== undefined) shipping.serviceLevel = serviceLevel;
+  if (originCountry !== undefined) shipping.originCountry = originCountry;
+  if (destinationCountry !== undefined) shipping.destinationCountry = destinationCountry;
+  if (carrier || serviceLevel !== undefined || originCountry !== undefined || destinationCountry !== undefined) {
+    await updatePredictedDelivery(shipping);
+  }
 
-      // 更新订单状态为已送达
-      const order = await Order.findById(shipping.order);
-      if (order && order.status !== 'delivered') {
-        order.status = 'delivered';
-        order.deliveredAt = new Date();
-        await order.save();
-      }
-    }
+  // 通过状态机变更状态，非法变更需管理员填写原因强制变更；只提供子状态时在当前状态内变更
+  if (status || subStatus) {
+    await changeShippingStatus(res, shipping, status || shipping.status, {
+      subStatus,
+      source: 'admin',
+      note: req.body.statusNote || '管理员手动更新',
+      override: Boolean(req.body.override),
+      reason: req.body.reason,
+      changedBy: req.user._id
+    });
   }
 
   await shipping.save();
@@ -242,40 +354,39 @@ const addTrackingEvent = asyncHandler(async (req, res) => {
     throw new Error('未找到该物流信息');
   }
 
-  // 添加跟踪记录
-  shipping.trackingHistory.push({
+  // 状态码可以是标准状态、子状态或该物流公司的状态码
+  const mapped = statusCode
+    ? resolveStatusCode(statusCode) || createShippingTracker(shipping.carrier).mapStatusCode(statusCode)
+    : null;
+  const recognized = mapped && mapped.status !== 'unknown';
+
+  // 添加跟踪记录，标记为手动添加，刷新物流信息时不会被覆盖
+  const event = {
     timestamp: new Date(),
     description,
     location: location || '',
-    statusCode: statusCode || 'unknown'
-  });
-
-  // 如果提供了状态码，更新物流状态
-  if (statusCode) {
-    const tracker = createShippingTracker(shipping.carrier);
-    const status = tracker.mapStatusCode(statusCode);
-    
-    if (status && status !== shipping.status) {
-      shipping.status = status;
-      shipping.statusHistory.push({
-        status,
-        timestamp: new Date(),
-        note: '根据新添加的跟踪记录更新'
-      });
-
-      // 如果状态为已送达，更新送达日期
-      if (status === 'delivered' && !shipping.deliveredDate) {
-        shipping.deliveredDate = new Date();
-
-        // 更新订单状态为已送达
-        const order = await Order.findById(shipping.order);
-        if (order && order.status !== 'delivered') {
-          order.status = 'delivered';
-          order.deliveredAt = new Date();
-          await order.save();
-        }
-      }
-    }
+    statusCode: recognized ? mapped.status : (statusCode || 'unknown'),
+    subStatus: recognized ? mapped.subStatus : null
+  };
+
+  const manualEvent = {
+    ...event,
+    source: 'manual',
+    fingerprint: fingerprintEvent(event),
+    addedAt: new Date(),
+    addedBy: req.user._id
+  };
+  shipping.trackingHistory.unshift(manualEvent);
+  queueShippingEvent(shipping, SHIPPING_EVENTS.TRACKING_EVENT_ADDED, { events: [manualEvent], source: 'manual' });
+
+  // 如果提供了可识别的状态码，通过状态机更新物流状态
+  if (recognized) {
+    await changeShippingStatus(res, shipping, mapped.status, {
+      subStatus: mapped.subStatus,
+      source: 'admin',
+      note: '根据新添加的跟踪记录更新',
+      changedBy: req.user._id
+    });
   }
 
   await shipping.save();
@@ -286,7 +397,7 @@ const addTrackingEvent = asyncHandler(async (req, res) => {
 /**
  * @desc    管理员获取所有物流信息
  * @route   GET /api/shipping
- * @access  Private/Admin
+ * @access  Private/Admin、Support
  */
 const getAllShippings = asyncHandler(async (req, res) => {
   const pageSize = Number(req.query.pageSize) || 10;
@@ -299,6 +410,18 @@ const getAllShippings = asyncHandler(async (req, res) => {
   if (req.query.status) {
     queryFilter.status = req.query.status;
   }
+
+  // 按子状态筛选
+  if (req.query.subStatus) {
+    queryFilter.subStatus = req.query.subStatus;
+  }
+
+  // 按物流方向筛选（发货、退货）
+  if (req.query.direction === 'return') {
+    queryFilter.direction = 'return';
+  } else if (req.query.direction === 'outbound') {
+    queryFilter.direction = { $ne: 'return' };
+  }
   
   // 按物流公司筛选
   if (req.query.carrier) {
@@ -341,7 +464,7 @@ const getAllShippings = asyncHandler(async (req, res) => {
 /**
  * @desc    管理员获取物流统计信息
  * @route   GET /api/shipping/stats
- * @access  Private/Admin
+ * @access  Private/Admin、Support
  */
 const getShippingStats = asyncHandler(async (req, res) => {
   // 按状态统计
@@ -384,6 +507,94 @@ const getShippingStats = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @desc    获取支持的物流公司列表
+ * @route   GET /api/shipping/carriers
+ * @access  Private/Admin、Support
+ */
+const getCarriers = asyncHandler(async (req, res) => {
+  const carriers = listCarriers().map(carrier => ({
+    ...carrier,
+    accounts: listCarrierAccounts(carrier.code)
+  }));
+
+  res.status(200).json(carriers);
+});
+
+/**
+ * @desc    根据物流单号识别物流公司
+ * @route   POST /api/shipping/detect-carrier
+ * @access  Private/Admin、Support
+ */
+const detectCarrier = asyncHandler(async (req, res) => {
+  const { trackingNumber } = req.body;
+
+  if (!trackingNumber) {
+    res.status(400);
+    throw new Error('请提供物流单号');
+  }
+
+  res.status(200).json({
+    trackingNumber: normalizeTrackingNumber(trackingNumber),
+    candidates: detectCarriers(trackingNumber)
+  });
+});
+
+/**
+ * @desc    获取物流跟踪轮询任务状态
+ * @route   GET /api/shipping/jobs/poller
+ * @access  Private/Admin、Support
+ */
+const getTrackingPollerStatus = asyncHandler(async (req, res) => {
+  const status = await getPollerStatus();
+  res.status(200).json(status);
+});
+
+/**
+ * @desc    获取物流信息的预计送达时间（物流公司提供的日期和根据历史数据预测的时间窗口）
+ * @route   GET /api/shipping/:shippingId/eta
+ * @access  Private（订单所有者、客服、管理员）
+ */
+const getShippingEta = asyncHandler(async (req, res) => {
+  const shippingId = req.params.shippingId;
+
+  const shipping = mongoose.isValidObjectId(shippingId) ? await Shipping.findById(shippingId) : null;
+
+  if (!shipping || !(await canAccessShipping(req.user, shipping))) {
+    res.status(404);
+    throw new Error('未找到该物流信息');
+  }
+
+  // 兼容没有预测数据的旧记录
+  if (!shipping.predictedDelivery || !shipping.predictedDelivery.generatedAt) {
+    await updatePredictedDelivery(shipping);
+    await shipping.save();
+  }
+
+  res.status(200).json({
+    carrierEstimatedDeliveryDate: shipping.estimatedDeliveryDate,
+    predictedDelivery: shipping.predictedDelivery,
+    effectiveEstimatedDeliveryDate: getEffectiveEta(shipping),
+    source: shipping.estimatedDeliveryDate ? 'carrier' : (shipping.predictedDelivery.date ? 'prediction' : null)
+  });
+});
+
+/**
+ * @desc    获取各线路的历史运输时长（送达时间预测模型）
+ * @route   GET /api/shipping/eta/lanes
+ * @access  Private/Admin、Support
+ */
+const getEtaLanes = asyncHandler(async (req, res) => {
+  const model = await getTransitModel({ refresh: req.query.refresh === 'true' });
+  const minSamples = Number(req.query.minSamples) || 1;
+
+  res.status(200).json({
+    builtAt: model.builtAt,
+    sampleCount: model.sampleCount,
+    lanes: summarizeTransitModel(model, minSamples)
+  });
+});
+
 module.exports = {
   getOrderShipping,
   getTrackingInfo,
@@ -392,5 +603,10 @@ module.exports = {
   updateShipping,
   addTrackingEvent,
   getAllShippings,
-  getShippingStats
+  getShippingStats,
+  getCarriers,
+  detectCarrier,
+  getTrackingPollerStatus,
+  getShippingEta,
+  getEtaLanes
 };
\ No newline at end of file
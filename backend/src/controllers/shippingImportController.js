@@ -0,0 +1,163 @@
+/**
+ * 物流信息批量导入控制器
+ */
+
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const ShippingImportJob = require('../models/ShippingImportJob');
+const { parseImportFile, createImportJob } = require('../services/shippingImportService');
+const { IMPORT_JOB_STATUSES, IMPORT_ROW_STATUSES } = require('../utils/shippingImport');
+const { withStatus } = require('../utils/httpError');
+
+/**
+ * 生成导入任务的响应（包括进度百分比）
+ * @param {Object} job - 导入任务文档
+ * @returns {Object} - 导入任务
+ */
+function formatImportJob(job) {
+  const result = job.toObject();
+  result.progress = job.totalRows > 0 ? Math.floor(job.processedRows / job.totalRows * 100) : 100;
+  return result;
+}
+
+/**
+ * 根据ID查找导入任务
+ * @param {string} jobId - 导入任务ID
+ * @returns {Promise<Object|null>} - 导入任务文档
+ */
+async function findImportJob(jobId) {
+  return mongoose.isValidObjectId(jobId) ? ShippingImportJob.findById(jobId) : null;
+}
+
+/**
+ * @desc    上传CSV/XLSX文件批量导入物流信息（请求体为文件内容，dryRun=true时只校验不创建）
+ * 行数较少时直接返回导入报告，否则返回202和任务，通过任务接口查询进度
+ * @route   POST /api/shipping/imports
+ * @access  Private/Admin
+ */
+const createShippingImport = asyncHandler(async (req, res) => {
+  const parsed = await withStatus(res, () => parseImportFile(req.body));
+
+  const { job, processed } = await createImportJob({
+    fileName: String(req.query.fileName || req.get('X-File-Name') || ''),
+    format: parsed.format,
+    rows: parsed.rows,
+    dryRun: req.query.dryRun === 'true',
+    createdBy: req.user._id
+  });
+
+  res.status(processed ? 201 : 202).json(formatImportJob(job));
+});
+
+/**
+ * @desc    获取导入任务列表（不包括导入行）
+ * @route   GET /api/shipping/imports
+ * @access  Private/Admin、Support
+ */
+const getShippingImports = asyncHandler(async (req, res) => {
+  const pageSize = Number(req.query.pageSize) || 20;
+  const page = Number(req.query.page) || 1;
+
+  const queryFilter = {};
+  if (req.query.status) {
+    if (!IMPORT_JOB_STATUSES.includes(req.query.status)) {
+      res.status(400);
+      throw new Error(`无效的任务状态: ${req.query.status}`);
+    }
+    queryFilter.status = req.query.status;
+  }
+  if (req.query.dryRun !== undefined) queryFilter.dryRun = req.query.dryRun === 'true';
+
+  const count = await ShippingImportJob.countDocuments(queryFilter);
+  const jobs = await ShippingImportJob.find(queryFilter)
+    .select('-rows')
+    .populate('createdBy', 'name email')
+    .sort({ createdAt: -1 })
+    .limit(pageSize)
+    .skip(pageSize * (page - 1));
+
+  res.status(200).json({
+    jobs: jobs.map(formatImportJob),
+    page,
+    pages: Math.ceil(count / pageSize),
+    total: count
+  });
+});
+
+/**
+ * @desc    获取导入任务的进度和导入报告（可按行状态筛选导入行）
+ * @route   GET /api/shipping/imports/:jobId
+ * @access  Private/Admin、Support
+ */
+const getShippingImport = asyncHandler(async (req, res) => {
+  if (req.query.status && !IMPORT_ROW_STATUSES.includes(req.query.status)) {
+    res.status(400);
+    throw new Error(`无效的行状态: ${req.query.status}`);
+  }
+
+  const job = await findImportJob(req.params.jobId);
+  if (!job) {
+    res.status(404);
+    throw new Error('未找到该导入任务');
+  }
+
+  const result = formatImportJob(job);
+  if (req.query.status) {
+    result.rows = result.rows.filter(row => row.status === req.query.status);
+  }
+
+  res.status(200).json(result);
+});
+
+/**
+ * @desc    确认试运行结果，导入其中校验通过的行
+ * @route   POST /api/shipping/imports/:jobId/commit
+ * @access  Private/Admin
+ */
+const commitShippingImport = asyncHandler(async (req, res) => {
+  const sourceJob = await findImportJob(req.params.jobId);
+  if (!sourceJob) {
+    res.status(404);
+    throw new Error('未找到该导入任务');
+  }
+
+  if (!sourceJob.dryRun) {
+    res.status(400);
+    throw new Error('只能确认试运行的导入任务');
+  }
+  if (sourceJob.status !== 'completed') {
+    res.status(409);
+    throw new Error('试运行尚未完成');
+  }
+  if (await ShippingImportJob.exists({ sourceJob: sourceJob._id })) {
+    res.status(409);
+    throw new Error('该试运行结果已确认导入');
+  }
+
+  // 数据可能在试运行之后发生变化，导入时重新校验
+  const rows = sourceJob.rows
+    .filter(row => row.status === 'valid')
+    .map(({ row, orderNumber, carrier, trackingNumber, notes }) => ({ row, orderNumber, carrier, trackingNumber, notes }));
+
+  if (rows.length === 0) {
+    res.status(400);
+    throw new Error('试运行结果中没有校验通过的行');
+  }
+
+  const { job, processed } = await createImportJob({
+    fileName: sourceJob.fileName,
+    format: sourceJob.format,
+    rows,
+    sourceJob: sourceJob._id,
+    createdBy: req.user._id
+  });
+
+  res.status(processed ? 201 : 202).json(formatImportJob(job));
+});
+
+module.exports = {
+  createShippingImport,
+  getShippingImports,
+  getShippingImport,
+  commitShippingImport
+};
@@ -0,0 +1,22 @@
+/**
+ * 运费报价控制器
+ */
+
+const asyncHandler = require('express-async-handler');
+const { quoteRates } = require('../services/shippingRateService');
+const { withStatus } = require('../utils/httpError');
+
+/**
+ * @desc    获取各物流公司和服务等级的运费报价
+ * @route   POST /api/shipping/rates
+ * @access  Private/Admin、Support
+ */
+const getShippingRates = asyncHandler(async (req, res) => {
+  const result = await withStatus(res, () => quoteRates(req.body), 500);
+
+  res.status(200).json(result);
+});
+
+module.exports = {
+  getShippingRates
+};
@@ -0,0 +1,62 @@
+/**
+ * 请求频率限制中间件
+ * 按客户端IP在固定时间窗口内计数（单进程内存存储，多实例部署时各实例分别计数）
+ */
+
+/**
+ * 创建频率限制中间件
+ * @param {Object} options - 限制选项
+ * @param {number} options.windowMs - 时间窗口（毫秒）
+ * @param {number} options.max - 时间窗口内允许的最大请求数
+ * @param {Function} options.keyGenerator - 根据请求生成计数键，默认使用客户端IP
+ * @param {string} options.message - 超出限制时的错误信息
+ * @returns {Function} - Express中间件
+ */
+function createRateLimiter({
+  windowMs = 60 * 1000,
+  max = 60,
+  keyGenerator = req => req.ip,
+  message = '请求过于频繁，请稍后再试'
+} = {}) {
+  // 计数键 -> { count, resetAt }
+  const hits = new Map();
+
+  // 定期清理过期的计数
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) hits.delete(key);
+    });
+  }, windowMs);
+  // 不阻止进程退出
+  cleanup.unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const key = keyGenerator(req);
+    let entry = hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count += 1;
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(max - entry.count, 0)));
+    res.set('RateLimit-Reset', String(Math.ceil((entry.resetAt - now) / 1000)));
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      res.status(429);
+      return next(new Error(message));
+    }
+
+    return next();
+  };
+}
+
+module.exports = {
+  createRateLimiter
+};
@@ -0,0 +1,29 @@
+/**
+ * 角色权限中间件（需在protect之后使用）
+ */
+
+const { hasRole, STAFF_ROLES } = require('../utils/roles');
+
+/**
+ * 创建角色校验中间件
+ * @param {...string} roles - 允许的角色
+ * @returns {Function} - Express中间件
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (req.user && hasRole(req.user, roles)) {
+      return next();
+    }
+
+    res.status(403);
+    return next(new Error('没有权限执行此操作'));
+  };
+}
+
+// 客服或管理员（只读接口）
+const staff = requireRole(...STAFF_ROLES);
+
+module.exports = {
+  requireRole,
+  staff
+};
@@ -0,0 +1,54 @@
+/**
+ * 物流通知偏好模型
+ * 每个用户一条记录，没有记录时使用默认偏好（开启邮件通知，关闭短信通知）
+ */
+
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES, NOTIFICATION_LOCALES, DEFAULT_LOCALE } = require('../utils/shippingNotification');
+
+/**
+ * 物流通知偏好模式
+ */
+const notificationPreferenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // 通知语言
+  locale: {
+    type: String,
+    enum: NOTIFICATION_LOCALES,
+    default: DEFAULT_LOCALE
+  },
+  // 启用的通知渠道
+  channels: {
+    email: {
+      type: Boolean,
+      default: true
+    },
+    sms: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // 接收短信的手机号（为空时使用用户资料中的手机号）
+  phone: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // 订阅的通知类型
+  types: {
+    type: [String],
+    enum: NOTIFICATION_TYPES,
+    default: NOTIFICATION_TYPES
+  }
+}, {
+  timestamps: true
+});
+
+const NotificationPreference = mongoose.model('NotificationPreference', notificationPreferenceSchema);
+
+module.exports = NotificationPreference;
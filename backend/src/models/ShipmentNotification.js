@@ -0,0 +1,95 @@
+/**
+ * 物流通知记录模型
+ * 记录每条发给用户的物流通知，dedupeKey唯一索引保证同一包裹的同类通知在同一渠道只发送一次；
+ * 发送失败的记录由重试任务按指数退避重新发送，发送失败或未发送的记录在再次触发同类通知时同样重试
+ */
+
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS, NOTIFICATION_LOCALES, DEFAULT_LOCALE } = require('../utils/shippingNotification');
+
+/**
+ * 物流通知记录模式
+ */
+const shipmentNotificationSchema = new mongoose.Schema({
+  shipping: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipping',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 通知类型
+  type: {
+    type: String,
+    required: true,
+    enum: NOTIFICATION_TYPES
+  },
+  // 通知渠道
+  channel: {
+    type: String,
+    required: true,
+    enum: NOTIFICATION_CHANNELS
+  },
+  // 收件人（邮箱或手机号）
+  recipient: {
+    type: String,
+    required: true
+  },
+  locale: {
+    type: String,
+    enum: NOTIFICATION_LOCALES,
+    default: DEFAULT_LOCALE
+  },
+  // 去重键（包裹、通知类型、渠道）
+  dedupeKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // 发送状态（skipped: 未配置发送通道）
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  subject: {
+    type: String,
+    default: ''
+  },
+  body: {
+    type: String,
+    default: ''
+  },
+  // 发送失败或未发送的原因
+  error: {
+    type: String,
+    default: ''
+  },
+  // 发送次数
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // 下次重试时间（正在发送时为领取期限，不再重试时为null）
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+shipmentNotificationSchema.index({ shipping: 1, createdAt: -1 });
+shipmentNotificationSchema.index({ user: 1, createdAt: -1 });
+shipmentNotificationSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const ShipmentNotification = mongoose.model('ShipmentNotification', shipmentNotificationSchema);
+
+module.exports = ShipmentNotification;
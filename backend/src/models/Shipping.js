@@ -3,6 +3,16 @@
  */
 
 const mongoose = require('mongoose');
+const { SHIPPING_STATUSES, SUB_STATUSES, STATUS_SOURCES } = require('../utils/shippingStatus');
+const {
+  SHIPPING_DIRECTIONS,
+  RETURN_REASONS,
+  RETURN_WAREHOUSE_STATUSES,
+  RETURN_INSPECTION_RESULTS
+} = require('../utils/shippingReturn');
+const { LABEL_FORMATS, LABEL_STATUSES } = require('../utils/shippingLabel');
+const { INCOTERMS, DUTY_PAYERS, CUSTOMS_CONTENT_TYPES, CUSTOMS_DOCUMENT_TYPES } = require('../utils/shippingCustoms');
+const { flushShippingEvents } = require('../services/shippingEvents');
 
 /**
  * 物流状态历史记录模式
@@ -11,7 +21,23 @@ const statusHistorySchema = new mongoose.Schema({
   status: {
     type: String,
     required: true,
-    enum: ['pending', 'in_transit', 'delivered', 'exception', 'returned']
+    enum: SHIPPING_STATUSES
+  },
+  // 子状态（如海关扣留、待自提）
+  subStatus: {
+    type: String,
+    enum: [...SUB_STATUSES, null],
+    default: null
+  },
+  // 变更前的状态
+  previousStatus: {
+    type: String,
+    default: null
+  },
+  // 变更前的子状态
+  previousSubStatus: {
+    type: String,
+    default: null
   },
   timestamp: {
     type: Date,
@@ -20,9 +46,382 @@ const statusHistorySchema = new mongoose.Schema({
   note: {
     type: String,
     default: ''
+  },
+  // 变更来源
+  source: {
+    type: String,
+    enum: STATUS_SOURCES,
+    default: 'system'
+  },
+  // 操作人
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // 是否为管理员强制变更（跳过状态机校验）
+  override: {
+    type: Boolean,
+    default: false
+  },
+  // 强制变更的原因
+  reason: {
+    type: String,
+    default: ''
   }
 });
 
+/**
+ * 退货信息模式（仅退货物流）
+ */
+const returnInfoSchema = new mongoose.Schema({
+  // 退货授权编号
+  rmaNumber: {
+    type: String,
+    required: true
+  },
+  // 原发货物流信息
+  originalShipping: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipping',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: RETURN_REASONS
+  },
+  reasonNote: {
+    type: String,
+    default: ''
+  },
+  // 仓库收货状态
+  warehouseStatus: {
+    type: String,
+    enum: RETURN_WAREHOUSE_STATUSES,
+    default: 'awaiting'
+  },
+  receivedAt: {
+    type: Date,
+    default: null
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // 质检结果
+  inspectionResult: {
+    type: String,
+    enum: [...RETURN_INSPECTION_RESULTS, null],
+    default: null
+  },
+  inspectionNote: {
+    type: String,
+    default: ''
+  },
+  inspectedAt: {
+    type: Date,
+    default: null
+  },
+  inspectedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * 地址模式（面单的发件人和收件人）
+ */
+const addressSchema = new mongoose.Schema({
+  name: { type: String, default: '' },
+  company: { type: String, default: '' },
+  phone: { type: String, default: '' },
+  email: { type: String, default: '' },
+  addressLine1: { type: String, default: '' },
+  addressLine2: { type: String, default: '' },
+  city: { type: String, default: '' },
+  state: { type: String, default: '' },
+  postalCode: { type: String, default: '' },
+  country: { type: String, default: '', uppercase: true }
+}, { _id: false });
+
+/**
+ * 面单模式（通过物流公司接口创建运单时生成）
+ */
+const labelSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: LABEL_STATUSES,
+    default: 'created'
+  },
+  format: {
+    type: String,
+    enum: LABEL_FORMATS,
+    required: true
+  },
+  // 面单文件内容，默认不随物流信息查询返回
+  data: {
+    type: Buffer,
+    select: false
+  },
+  // 物流公司的运单ID
+  carrierShipmentId: {
+    type: String,
+    default: ''
+  },
+  shipFrom: {
+    type: addressSchema,
+    default: null
+  },
+  shipTo: {
+    type: addressSchema,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  voidedAt: {
+    type: Date,
+    default: null
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  voidReason: {
+    type: String,
+    default: ''
+  }
+}, { _id: false });
+
+/**
+ * 报关商品模式
+ */
+const customsItemSchema = new mongoose.Schema({
+  // 订单商品ID（手动添加的报关商品为null）
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // 报关品名（英文）
+  description: {
+    type: String,
+    required: true
+  },
+  // 海关商品编码
+  hsCode: {
+    type: String,
+    default: ''
+  },
+  // 原产国（ISO 3166-1 alpha-2）
+  originCountry: {
+    type: String,
+    default: '',
+    uppercase: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // 单价和总价（报关币种）
+  unitValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  totalValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // 单件净重（公斤）
+  weight: {
+    type: Number,
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * 报关信息模式
+ */
+const customsSchema = new mongoose.Schema({
+  incoterm: {
+    type: String,
+    enum: INCOTERMS,
+    required: true
+  },
+  contentType: {
+    type: String,
+    enum: CUSTOMS_CONTENT_TYPES,
+    default: 'merchandise'
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  items: [customsItemSchema],
+  // 商品申报总价
+  totalValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // 运费（商业发票中单独列出）
+  shippingCost: {
+    type: Number,
+    default: 0
+  },
+  // 适用的低价值商品税收方案（如IOSS、UK_VAT），不适用时为null
+  taxScheme: {
+    type: String,
+    default: null
+  },
+  // 欧盟IOSS编号
+  iossNumber: {
+    type: String,
+    default: ''
+  },
+  // 发件人在目的国家的增值税登记号（如英国增值税号、VOEC编号）
+  vatNumber: {
+    type: String,
+    default: ''
+  },
+  // 发件人EORI编号
+  exporterEori: {
+    type: String,
+    default: ''
+  },
+  // 收件人税号（如巴西CPF、韩国个人通关号码）
+  importerTaxId: {
+    type: String,
+    default: ''
+  },
+  invoiceNumber: {
+    type: String,
+    default: ''
+  },
+  invoiceDate: {
+    type: Date,
+    default: Date.now
+  },
+  // 推荐的报关单据类型
+  documentType: {
+    type: String,
+    enum: CUSTOMS_DOCUMENT_TYPES,
+    default: 'commercial_invoice'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * 关税和进口税费估算模式（金额均为目的国家币种）
+ */
+const landedCostSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true
+  },
+  // 报关币种兑换目的国家币种的汇率
+  exchangeRate: {
+    type: Number,
+    required: true
+  },
+  // 商品申报价值
+  goodsValue: {
+    type: Number,
+    required: true
+  },
+  shippingCost: {
+    type: Number,
+    default: 0
+  },
+  // 完税价格（CIF包含运费，FOB不包含）
+  dutiableValue: {
+    type: Number,
+    required: true
+  },
+  // 是否在小额豁免额度内
+  dutyExempt: {
+    type: Boolean,
+    default: false
+  },
+  taxExempt: {
+    type: Boolean,
+    default: false
+  },
+  duty: {
+    type: Number,
+    default: 0
+  },
+  // 进口增值税/GST名称和税率
+  taxName: {
+    type: String,
+    default: ''
+  },
+  taxRate: {
+    type: Number,
+    default: 0
+  },
+  tax: {
+    type: Number,
+    default: 0
+  },
+  // 关税和税费合计
+  total: {
+    type: Number,
+    default: 0
+  },
+  // 增值税/GST是否已在销售时代收（如IOSS）
+  taxCollectedAtSale: {
+    type: Boolean,
+    default: false
+  },
+  // 关税和税费的承担方
+  payer: {
+    type: String,
+    enum: DUTY_PAYERS,
+    required: true
+  },
+  // 收件人在清关或派送时需要支付的金额
+  payableOnDelivery: {
+    type: Number,
+    default: 0
+  },
+  items: [
+    {
+      description: { type: String, default: '' },
+      hsCode: { type: String, default: '' },
+      value: { type: Number, default: 0 },
+      dutyRate: { type: Number, default: 0 },
+      duty: { type: Number, default: 0 },
+      _id: false
+    }
+  ],
+  estimatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 /**
  * 国际物流模式
  */
@@ -33,25 +432,137 @@ const shippingSchema = new mongoose.Schema({
     ref: 'Order',
     required: true
   },
+  // 包裹包含的订单商品（一个订单可拆分为多个包裹）
+  items: [
+    {
+      // 订单商品ID（订单orderItems中的_id）
+      orderItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+      },
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        default: null
+      },
+      name: {
+        type: String,
+        default: ''
+      },
+      quantity: {
+        type: Number,
+        required: true,
+        min: 1
+      }
+    }
+  ],
+  // 物流方向：发货或退货，退货物流不计入订单的发货数量和物流状态
+  direction: {
+    type: String,
+    enum: SHIPPING_DIRECTIONS,
+    default: 'outbound'
+  },
+  // 退货信息（仅退货物流）
+  returnInfo: {
+    type: returnInfoSchema,
+    default: null
+  },
+  // 补发时被替代的原物流信息（如原包裹丢失或损坏），原包裹不再计入订单的发货数量和物流状态
+  replacementOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipping',
+    default: null
+  },
   // 物流公司
   carrier: {
     type: String,
     required: true,
     trim: true
   },
+  // 物流公司账号（对应物流公司配置中的账号名称，如按仓库区分的账号）
+  carrierAccount: {
+    type: String,
+    default: 'default',
+    trim: true
+  },
   // 物流单号
   trackingNumber: {
     type: String,
     required: true,
     trim: true
   },
+  // 服务等级（如express、standard、economy）
+  serviceLevel: {
+    type: String,
+    default: '',
+    trim: true,
+    lowercase: true
+  },
+  // 包裹重量（公斤）和尺寸（厘米）
+  parcels: [
+    {
+      weight: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      length: {
+        type: Number,
+        default: null
+      },
+      width: {
+        type: Number,
+        default: null
+      },
+      height: {
+        type: Number,
+        default: null
+      },
+      _id: false
+    }
+  ],
+  // 面单（仅通过物流公司接口创建的运单）
+  label: {
+    type: labelSchema,
+    default: null
+  },
+  // 报关信息（国际包裹）
+  customs: {
+    type: customsSchema,
+    default: null
+  },
+  // 关税和进口税费估算（根据报关信息和本地税率表）
+  landedCost: {
+    type: landedCostSchema,
+    default: null
+  },
+  // 发货国家/地区（ISO 3166-1 alpha-2）
+  originCountry: {
+    type: String,
+    default: '',
+    trim: true,
+    uppercase: true
+  },
+  // 目的国家/地区（ISO 3166-1 alpha-2）
+  destinationCountry: {
+    type: String,
+    default: '',
+    trim: true,
+    uppercase: true
+  },
   // 物流状态
   status: {
     type: String,
     required: true,
-    enum: ['pending', 'in_transit', 'delivered', 'exception', 'returned'],
+    enum: SHIPPING_STATUSES,
     default: 'pending'
   },
+  // 物流子状态（必须属于当前状态）
+  subStatus: {
+    type: String,
+    enum: [...SUB_STATUSES, null],
+    default: null
+  },
   // 状态历史记录
   statusHistory: [statusHistorySchema],
   // 发货日期
@@ -59,11 +570,52 @@ const shippingSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
-  // 预计送达日期
+  // 预计送达日期（物流公司提供）
   estimatedDeliveryDate: {
     type: Date,
     default: null
   },
+  // 根据历史送达记录预测的送达时间
+  predictedDelivery: {
+    // 预测送达日期（历史运输时长的中位数）
+    date: {
+      type: Date,
+      default: null
+    },
+    // 预测送达时间窗口（历史运输时长的10%和90%分位）
+    earliest: {
+      type: Date,
+      default: null
+    },
+    latest: {
+      type: Date,
+      default: null
+    },
+    // 置信度（0-1）
+    confidence: {
+      type: Number,
+      default: null
+    },
+    confidenceLevel: {
+      type: String,
+      enum: ['high', 'medium', 'low', null],
+      default: null
+    },
+    // 预测依据的匹配粒度（lane_service、lane、destination、carrier）
+    basis: {
+      type: String,
+      default: null
+    },
+    // 参与预测的历史记录数
+    sampleSize: {
+      type: Number,
+      default: 0
+    },
+    generatedAt: {
+      type: Date,
+      default: null
+    }
+  },
   // 实际送达日期
   deliveredDate: {
     type: Date,
@@ -87,9 +639,52 @@ const shippingSchema = new mongoose.Schema({
       statusCode: {
         type: String,
         default: 'unknown'
+      },
+      // 事件对应的子状态
+      subStatus: {
+        type: String,
+        enum: [...SUB_STATUSES, null],
+        default: null
+      },
+      // 事件来源：carrier为主动查询，webhook为物流公司推送，manual为管理员手动添加
+      source: {
+        type: String,
+        enum: ['carrier', 'webhook', 'manual'],
+        default: 'carrier'
+      },
+      // 去重指纹（时间、描述、地点）
+      fingerprint: {
+        type: String,
+        default: null
+      },
+      // 添加该事件的刷新批次ID
+      refreshId: {
+        type: String,
+        default: null
+      },
+      // 添加时间
+      addedAt: {
+        type: Date,
+        default: Date.now
+      },
+      // 手动添加事件的管理员
+      addedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+      },
+      // 物流公司后续返回的跟踪记录中已不包含该事件
+      droppedByCarrier: {
+        type: Boolean,
+        default: false
       }
     }
   ],
+  // 最近一次刷新批次ID
+  lastRefreshId: {
+    type: String,
+    default: null
+  },
   // 备注
   notes: {
     type: String,
@@ -104,17 +699,78 @@ const shippingSchema = new mongoose.Schema({
   lastUpdated: {
     type: Date,
     default: Date.now
+  },
+  // 下一次后台轮询时间（终态时为null）
+  nextPollAt: {
+    type: Date,
+    default: Date.now
+  },
+  // 最近一次后台轮询时间
+  lastPolledAt: {
+    type: Date,
+    default: null
+  },
+  // 连续轮询失败次数
+  pollFailures: {
+    type: Number,
+    default: 0
+  },
+  // 公开跟踪链接令牌（无需登录即可查看脱敏的物流信息，为null时未开启）
+  publicTrackingToken: {
+    type: String,
+    default: null
+  },
+  // 公开跟踪链接令牌的生成时间
+  publicTrackingTokenCreatedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
 });
 
 // 创建索引
-shippingSchema.index({ order: 1 }, { unique: true });
+// 一个订单可以有多个包裹；旧版本的唯一索引名为order_1，新索引使用不同名称，避免与其冲突
+shippingSchema.index({ order: 1 }, { name: 'order_parcels' });
+shippingSchema.index({ carrier: 1, trackingNumber: 1 });
 shippingSchema.index({ trackingNumber: 1 });
 shippingSchema.index({ carrier: 1 });
 shippingSchema.index({ status: 1 });
 shippingSchema.index({ shippedDate: 1 });
+shippingSchema.index({ status: 1, nextPollAt: 1 });
+shippingSchema.index({ 'returnInfo.originalShipping': 1 });
+shippingSchema.index(
+  { 'returnInfo.rmaNumber': 1 },
+  { unique: true, partialFilterExpression: { 'returnInfo.rmaNumber': { $type: 'string' } } }
+);
+shippingSchema.index(
+  { publicTrackingToken: 1 },
+  { unique: true, partialFilterExpression: { publicTrackingToken: { $type: 'string' } } }
+);
+
+/**
+ * 删除旧版本遗留的索引（每个订单只能有一个物流信息的唯一索引order_1）
+ * 已有数据库升级到拆分包裹版本后需执行一次，否则同一订单的第二个包裹会因唯一索引冲突而保存失败
+ * @returns {Promise<string[]>} - 删除的索引名称
+ */
+shippingSchema.statics.dropLegacyIndexes = async function() {
+  let indexes;
+  try {
+    indexes = await this.collection.indexes();
+  } catch (error) {
+    // 集合尚未创建时没有需要删除的索引
+    if (error.codeName === 'NamespaceNotFound') {
+      return [];
+    }
+    throw error;
+  }
+
+  const legacy = indexes.filter(index => index.name === 'order_1' && index.unique);
+  for (const index of legacy) {
+    await this.collection.dropIndex(index.name);
+  }
+  return legacy.map(index => index.name);
+};
 
 // 更新最后更新时间的中间件
 shippingSchema.pre('save', function(next) {
@@ -122,6 +778,11 @@ shippingSchema.pre('save', function(next) {
   next();
 });
 
+// 保存成功后发出物流事件（状态变更等）
+shippingSchema.post('save', function(doc) {
+  flushShippingEvents(doc);
+});
+
 const Shipping = mongoose.model('Shipping', shippingSchema);
 
 module.exports = Shipping;
\ No newline at end of file
@@ -0,0 +1,122 @@
+/**
+ * 物流预警模型
+ * 检测任务发现的停滞、超时和海关扣留物流，同一物流的同类预警在解决前只有一条
+ */
+
+const mongoose = require('mongoose');
+const { ALERT_TYPES, ALERT_STATUSES } = require('../utils/shippingAlert');
+
+/**
+ * 物流预警模式
+ */
+const shippingAlertSchema = new mongoose.Schema({
+  shipping: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipping',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  carrier: {
+    type: String,
+    required: true
+  },
+  trackingNumber: {
+    type: String,
+    required: true
+  },
+  // 预警类型
+  type: {
+    type: String,
+    required: true,
+    enum: ALERT_TYPES
+  },
+  // 处理状态
+  status: {
+    type: String,
+    enum: ALERT_STATUSES,
+    default: 'open'
+  },
+  // 是否未解决（用于保证同一物流的同类预警只有一条未解决）
+  active: {
+    type: Boolean,
+    default: true
+  },
+  // 判断依据的时间点（停滞：最后一次跟踪事件；超时：预计送达日期；海关：开始扣留时间）
+  anchorAt: {
+    type: Date,
+    required: true
+  },
+  // 距判断依据时间点已过去的小时数（最近一次检测时）
+  elapsedHours: {
+    type: Number,
+    default: 0
+  },
+  // 触发预警的阈值（小时）
+  thresholdHours: {
+    type: Number,
+    required: true
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // 最近一次检测到该情况的时间
+  lastDetectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  acknowledgedAt: {
+    type: Date,
+    default: null
+  },
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // 是否因情况消失（如收到新事件、已送达）自动解决
+  autoResolved: {
+    type: Boolean,
+    default: false
+  },
+  // 处理说明
+  note: {
+    type: String,
+    default: ''
+  },
+  // 通知运营人员的时间
+  notifiedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+shippingAlertSchema.index(
+  { shipping: 1, type: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+shippingAlertSchema.index({ status: 1, detectedAt: -1 });
+shippingAlertSchema.index({ shipping: 1, type: 1, anchorAt: 1 });
+
+const ShippingAlert = mongoose.model('ShippingAlert', shippingAlertSchema);
+
+module.exports = ShippingAlert;
@@ -0,0 +1,150 @@
+/**
+ * 物流异常工单模型
+ * 物流出现丢失、损坏、地址问题、清关问题或拒收时由客服创建，记录负责人、处理时限、内部备注和处理结果
+ */
+
+const mongoose = require('mongoose');
+const { CASE_TYPES, CASE_STATUSES, ACTIVE_CASE_STATUSES, CASE_RESOLUTIONS } = require('../utils/shippingCase');
+
+/**
+ * 内部备注模式（只对员工可见）
+ */
+const caseCommentSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * 物流异常工单模式
+ */
+const shippingCaseSchema = new mongoose.Schema({
+  shipping: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipping',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  carrier: {
+    type: String,
+    required: true
+  },
+  trackingNumber: {
+    type: String,
+    required: true
+  },
+  // 工单类型
+  type: {
+    type: String,
+    required: true,
+    enum: CASE_TYPES
+  },
+  status: {
+    type: String,
+    enum: CASE_STATUSES,
+    default: 'open'
+  },
+  // 是否未解决（由状态计算，用于保证同一物流只有一个未解决的工单）
+  active: {
+    type: Boolean,
+    default: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // 负责人
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 首次响应截止时间
+  responseDueAt: {
+    type: Date,
+    required: true
+  },
+  // 解决截止时间
+  resolutionDueAt: {
+    type: Date,
+    required: true
+  },
+  // 首次响应时间（首次添加备注或开始处理）
+  firstRespondedAt: {
+    type: Date,
+    default: null
+  },
+  comments: [caseCommentSchema],
+  // 处理结果
+  resolution: {
+    type: String,
+    enum: [...CASE_RESOLUTIONS, null],
+    default: null
+  },
+  resolutionNote: {
+    type: String,
+    default: ''
+  },
+  // 补发的物流信息
+  replacementShipping: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipping',
+    default: null
+  },
+  // 退款金额
+  refundAmount: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// 保存时根据状态更新是否未解决
+shippingCaseSchema.pre('validate', function(next) {
+  this.active = ACTIVE_CASE_STATUSES.includes(this.status);
+  next();
+});
+
+shippingCaseSchema.index(
+  { shipping: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+shippingCaseSchema.index({ shipping: 1, createdAt: -1 });
+shippingCaseSchema.index({ status: 1, resolutionDueAt: 1 });
+shippingCaseSchema.index({ assignee: 1, status: 1 });
+shippingCaseSchema.index({ order: 1 });
+
+const ShippingCase = mongoose.model('ShippingCase', shippingCaseSchema);
+
+module.exports = ShippingCase;
@@ -0,0 +1,178 @@
+/**
+ * 物流索赔模型
+ * 记录向物流公司提出的丢失、损坏索赔：申报价值、证据、物流公司的索赔编号、处理状态和赔付金额
+ */
+
+const mongoose = require('mongoose');
+const { CLAIM_TYPES, CLAIM_STATUSES, CLAIM_EVIDENCE_KINDS } = require('../utils/shippingClaim');
+
+/**
+ * 索赔证据模式（只保存附件的引用，如存储路径或URL）
+ */
+const evidenceSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: CLAIM_EVIDENCE_KINDS,
+    default: 'other'
+  },
+  reference: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * 索赔状态历史记录模式
+ */
+const claimStatusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true,
+    enum: CLAIM_STATUSES
+  },
+  previousStatus: {
+    type: String,
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    default: ''
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+});
+
+/**
+ * 物流索赔模式
+ */
+const shippingClaimSchema = new mongoose.Schema({
+  shipping: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipping',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  // 关联的异常工单
+  case: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShippingCase',
+    default: null
+  },
+  carrier: {
+    type: String,
+    required: true
+  },
+  trackingNumber: {
+    type: String,
+    required: true
+  },
+  // 索赔类型
+  type: {
+    type: String,
+    required: true,
+    enum: CLAIM_TYPES
+  },
+  status: {
+    type: String,
+    enum: CLAIM_STATUSES,
+    default: 'draft'
+  },
+  // 申报价值
+  declaredValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // 索赔金额
+  claimedAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'CNY',
+    uppercase: true,
+    trim: true
+  },
+  evidence: [evidenceSchema],
+  // 物流公司的索赔编号
+  carrierClaimReference: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // 索赔期限
+  deadlineAt: {
+    type: Date,
+    required: true
+  },
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  // 物流公司同意或拒绝的时间
+  decidedAt: {
+    type: Date,
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    default: ''
+  },
+  // 赔付金额
+  payoutAmount: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  paidAt: {
+    type: Date,
+    default: null
+  },
+  statusHistory: [claimStatusHistorySchema],
+  notes: {
+    type: String,
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+shippingClaimSchema.index({ shipping: 1, type: 1 });
+shippingClaimSchema.index({ status: 1, deadlineAt: 1 });
+shippingClaimSchema.index({ carrier: 1, createdAt: -1 });
+
+const ShippingClaim = mongoose.model('ShippingClaim', shippingClaimSchema);
+
+module.exports = ShippingClaim;
@@ -0,0 +1,144 @@
+/**
+ * 物流信息批量导入任务模型
+ * 上传的每一行都保存在任务中，处理时逐行写入校验结果，用于进度查询和导入报告
+ */
+
+const mongoose = require('mongoose');
+const {
+  IMPORT_FORMATS,
+  IMPORT_JOB_STATUSES,
+  IMPORT_ROW_STATUSES,
+  IMPORT_ERROR_CODES
+} = require('../utils/shippingImport');
+
+/**
+ * 导入行模式
+ */
+const importRowSchema = new mongoose.Schema({
+  // 文件中的行号（表头为第1行）
+  row: {
+    type: Number,
+    required: true
+  },
+  orderNumber: {
+    type: String,
+    default: ''
+  },
+  carrier: {
+    type: String,
+    default: ''
+  },
+  trackingNumber: {
+    type: String,
+    default: ''
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: IMPORT_ROW_STATUSES,
+    default: 'pending'
+  },
+  // 校验或导入失败的原因
+  issues: [
+    {
+      code: {
+        type: String,
+        enum: IMPORT_ERROR_CODES,
+        required: true
+      },
+      message: {
+        type: String,
+        default: ''
+      },
+      _id: false
+    }
+  ],
+  // 创建的物流信息
+  shipping: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipping',
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * 导入任务模式
+ */
+const shippingImportJobSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    default: ''
+  },
+  format: {
+    type: String,
+    enum: IMPORT_FORMATS,
+    required: true
+  },
+  // 试运行：只校验，不创建物流信息
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  // 由试运行任务确认导入时，对应的试运行任务
+  sourceJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShippingImportJob',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: IMPORT_JOB_STATUSES,
+    default: 'queued'
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  processedRows: {
+    type: Number,
+    default: 0
+  },
+  validCount: {
+    type: Number,
+    default: 0
+  },
+  createdCount: {
+    type: Number,
+    default: 0
+  },
+  errorCount: {
+    type: Number,
+    default: 0
+  },
+  rows: [importRowSchema],
+  // 任务中断的原因
+  failureReason: {
+    type: String,
+    default: ''
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+shippingImportJobSchema.index({ createdAt: -1 });
+shippingImportJobSchema.index({ status: 1 });
+
+const ShippingImportJob = mongoose.model('ShippingImportJob', shippingImportJobSchema);
+
+module.exports = ShippingImportJob;
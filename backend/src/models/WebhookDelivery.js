@@ -0,0 +1,96 @@
+/**
+ * 外部回调推送记录模型
+ * 每次事件推送一条记录，记录每次尝试的结果，失败后按指数退避重试
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * 推送尝试记录模式
+ */
+const attemptSchema = new mongoose.Schema({
+  attemptedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // 响应状态码（网络错误时为null）
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  // 响应内容（截断）
+  responseBody: {
+    type: String,
+    default: ''
+  },
+  error: {
+    type: String,
+    default: ''
+  },
+  durationMs: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+/**
+ * 外部回调推送记录模式
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  shipping: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shipping',
+    default: null
+  },
+  // 事件类型
+  event: {
+    type: String,
+    required: true
+  },
+  // 事件ID（手动重新推送时保持不变，接收方可据此去重）
+  eventId: {
+    type: String,
+    required: true
+  },
+  // 推送的JSON数据
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // 推送状态：pending等待推送或重试，succeeded成功，failed重试次数用尽
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: [attemptSchema],
+  // 下一次推送时间
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  // 手动重新推送时对应的原推送记录
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,53 @@
+/**
+ * 外部回调订阅模型
+ * 管理员登记的外部系统（如ERP、客服系统）回调地址，物流事件发生时推送签名的JSON数据
+ */
+
+const mongoose = require('mongoose');
+const { SHIPPING_EVENTS } = require('../services/shippingEvents');
+
+/**
+ * 外部回调订阅模式
+ */
+const webhookSubscriptionSchema = new mongoose.Schema({
+  // 回调地址
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // 签名密钥（不在接口中返回）
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // 订阅的事件类型
+  events: {
+    type: [String],
+    enum: Object.values(SHIPPING_EVENTS),
+    required: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // 是否启用
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookSubscriptionSchema.index({ active: 1, events: 1 });
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+
+module.exports = WebhookSubscription;
@@ -12,21 +12,127 @@ const {
   updateShipping,
   addTrackingEvent,
   getAllShippings,
-  getShippingStats
+  getShippingStats,
+  getCarriers,
+  detectCarrier,
+  getTrackingPollerStatus,
+  getShippingEta,
+  getEtaLanes
 } = require('../controllers/shippingController');
+const { receiveCarrierWebhook } = require('../controllers/carrierWebhookController');
+const {
+  getMyNotificationPreferences,
+  updateMyNotificationPreferences,
+  getShippingNotifications
+} = require('../controllers/shipmentNotificationController');
+const {
+  getWebhookSubscriptions,
+  createWebhookSubscription,
+  updateWebhookSubscription,
+  deleteWebhookSubscription,
+  getWebhookDeliveries,
+  redeliverWebhookDelivery
+} = require('../controllers/merchantWebhookController');
+const {
+  getPublicTracking,
+  createPublicTrackingToken,
+  revokePublicTrackingToken
+} = require('../controllers/publicTrackingController');
+const {
+  getTransitAnalytics,
+  getPerformanceAnalytics,
+  getStatusDurationAnalytics
+} = require('../controllers/shippingAnalyticsController');
+const {
+  getAlerts,
+  acknowledgeAlert,
+  resolveAlert,
+  getAlertJobStatus,
+  runAlertJob
+} = require('../controllers/shippingAlertController');
+const {
+  getCases,
+  getCase,
+  getShippingCases,
+  createCase,
+  updateCase,
+  addCaseComment,
+  resolveCase
+} = require('../controllers/shippingCaseController');
+const {
+  createClaim,
+  getShippingClaims,
+  getClaims,
+  getClaim,
+  updateClaim,
+  addClaimEvidence,
+  updateClaimStatus,
+  getClaimRecoveryReport
+} = require('../controllers/shippingClaimController');
+const {
+  createReturn,
+  getReturns,
+  receiveReturn,
+  inspectReturn
+} = require('../controllers/returnShipmentController');
+const { getShippingRates } = require('../controllers/shippingRateController');
+const {
+  createLabelShipment,
+  getShippingLabel,
+  voidShippingLabel
+} = require('../controllers/shipmentLabelController');
+const {
+  updateShippingCustoms,
+  getShippingCustoms,
+  getCustomsDocument
+} = require('../controllers/customsController');
+const {
+  getLandedCostEstimate,
+  updateShippingLandedCost
+} = require('../controllers/landedCostController');
+const {
+  createShippingImport,
+  getShippingImports,
+  getShippingImport,
+  commitShippingImport
+} = require('../controllers/shippingImportController');
 const { protect, admin } = require('../middleware/authMiddleware');
+const { staff } = require('../middleware/roleMiddleware');
+const { createRateLimiter } = require('../middleware/rateLimitMiddleware');
+
+// 公开跟踪接口的请求频率限制（每个IP每分钟，可通过环境变量调整）
+const publicTrackingLimiter = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: Number(process.env.SHIPPING_PUBLIC_TRACKING_RATE_LIMIT) || 30
+});
+
+/**
+ * @route   POST /api/shipping/webhooks/:carrier
+ * @desc    接收物流公司推送的物流跟踪信息
+ * @access  Public（通过签名验证）
+ * 签名基于原始请求体，如果应用入口已全局启用express.json()，
+ * 需在其verify回调中保存req.rawBody，或在JSON解析之前挂载本路由
+ */
+router.post('/webhooks/:carrier', express.raw({ type: '*/*', limit: '1mb' }), receiveCarrierWebhook);
+
+/**
+ * @route   GET /api/shipping/public/:token
+ * @desc    通过公开跟踪链接获取脱敏的物流信息
+ * @access  Public（限制请求频率）
+ */
+router.get('/public/:token', publicTrackingLimiter, getPublicTracking);
 
 /**
  * @route   GET /api/shipping/order/:orderId
- * @desc    获取订单的物流信息
- * @access  Private
+ * @desc    获取订单的物流信息（所有包裹及订单级物流状态）
+ * @access  Private（订单所有者、客服、管理员）
  */
 router.get('/order/:orderId', protect, getOrderShipping);
 
 /**
  * @route   GET /api/shipping/track/:trackingNumber
- * @desc    获取物流跟踪信息
- * @access  Private
+ * @desc    获取物流跟踪信息（可通过carrier查询参数指定物流公司）
+ * @access  Private（订单所有者、客服、管理员）
  */
 router.get('/track/:trackingNumber', protect, getTrackingInfo);
 
@@ -54,21 +160,413 @@ router.post('/:shippingId/events', protect, admin, addTrackingEvent);
 /**
  * @route   GET /api/shipping
  * @desc    管理员获取所有物流信息
- * @access  Private/Admin
+ * @access  Private/Admin、Support
  */
-router.get('/', protect, admin, getAllShippings);
+router.get('/', protect, staff, getAllShippings);
 
 /**
  * @route   GET /api/shipping/stats
  * @desc    管理员获取物流统计信息
+ * @access  Private/Admin、Support
+ */
+router.get('/stats', protect, staff, getShippingStats);
+
+/**
+ * @route   GET /api/shipping/carriers
+ * @desc    获取支持的物流公司列表
+ * @access  Private/Admin、Support
+ */
+router.get('/carriers', protect, staff, getCarriers);
+
+/**
+ * @route   POST /api/shipping/detect-carrier
+ * @desc    根据物流单号识别物流公司
+ * @access  Private/Admin、Support
+ */
+router.post('/detect-carrier', protect, staff, detectCarrier);
+
+/**
+ * @route   POST /api/shipping/rates
+ * @desc    获取各物流公司和服务等级的运费报价
+ * @access  Private/Admin、Support
+ */
+router.post('/rates', protect, staff, getShippingRates);
+
+/**
+ * @route   POST /api/shipping/labels
+ * @desc    通过物流公司接口为订单创建运单和面单
+ * @access  Private/Admin
+ */
+router.post('/labels', protect, admin, createLabelShipment);
+
+/**
+ * @route   POST /api/shipping/landed-cost
+ * @desc    估算关税和进口税费
+ * @access  Private/Admin、Support
+ */
+router.post('/landed-cost', protect, staff, getLandedCostEstimate);
+
+/**
+ * @route   POST /api/shipping/imports
+ * @desc    上传CSV/XLSX文件批量导入物流信息（请求体为文件内容）
+ * @access  Private/Admin
+ */
+router.post('/imports', protect, admin, express.raw({ type: '*/*', limit: '10mb' }), createShippingImport);
+
+/**
+ * @route   GET /api/shipping/imports
+ * @desc    获取导入任务列表
+ * @access  Private/Admin、Support
+ */
+router.get('/imports', protect, staff, getShippingImports);
+
+/**
+ * @route   GET /api/shipping/imports/:jobId
+ * @desc    获取导入任务的进度和导入报告
+ * @access  Private/Admin、Support
+ */
+router.get('/imports/:jobId', protect, staff, getShippingImport);
+
+/**
+ * @route   POST /api/shipping/imports/:jobId/commit
+ * @desc    确认试运行结果并导入校验通过的行
+ * @access  Private/Admin
+ */
+router.post('/imports/:jobId/commit', protect, admin, commitShippingImport);
+
+/**
+ * @route   GET /api/shipping/jobs/poller
+ * @desc    获取物流跟踪轮询任务状态
+ * @access  Private/Admin、Support
+ */
+router.get('/jobs/poller', protect, staff, getTrackingPollerStatus);
+
+/**
+ * @route   GET /api/shipping/jobs/alerts
+ * @desc    获取物流预警检测任务状态
+ * @access  Private/Admin、Support
+ */
+router.get('/jobs/alerts', protect, staff, getAlertJobStatus);
+
+/**
+ * @route   POST /api/shipping/jobs/alerts/run
+ * @desc    立即执行一轮物流预警检测
+ * @access  Private/Admin
+ */
+router.post('/jobs/alerts/run', protect, admin, runAlertJob);
+
+/**
+ * @route   GET /api/shipping/alerts
+ * @desc    获取物流预警列表（停滞、超时未送达、海关扣留）
+ * @access  Private/Admin、Support
+ */
+router.get('/alerts', protect, staff, getAlerts);
+
+/**
+ * @route   PUT /api/shipping/alerts/:alertId/acknowledge
+ * @desc    确认物流预警
+ * @access  Private/Admin
+ */
+router.put('/alerts/:alertId/acknowledge', protect, admin, acknowledgeAlert);
+
+/**
+ * @route   PUT /api/shipping/alerts/:alertId/resolve
+ * @desc    解决物流预警
+ * @access  Private/Admin
+ */
+router.put('/alerts/:alertId/resolve', protect, admin, resolveAlert);
+
+/**
+ * @route   GET /api/shipping/cases
+ * @desc    获取异常工单列表
+ * @access  Private/Admin、Support
+ */
+router.get('/cases', protect, staff, getCases);
+
+/**
+ * @route   GET /api/shipping/cases/:caseId
+ * @desc    获取异常工单详情
+ * @access  Private/Admin、Support
+ */
+router.get('/cases/:caseId', protect, staff, getCase);
+
+/**
+ * @route   PUT /api/shipping/cases/:caseId
+ * @desc    更新异常工单（类型、状态、负责人、描述）
+ * @access  Private/Admin
+ */
+router.put('/cases/:caseId', protect, admin, updateCase);
+
+/**
+ * @route   POST /api/shipping/cases/:caseId/comments
+ * @desc    添加工单内部备注
+ * @access  Private/Admin
+ */
+router.post('/cases/:caseId/comments', protect, admin, addCaseComment);
+
+/**
+ * @route   PUT /api/shipping/cases/:caseId/resolve
+ * @desc    解决异常工单（补发、退款或退回）
+ * @access  Private/Admin
+ */
+router.put('/cases/:caseId/resolve', protect, admin, resolveCase);
+
+/**
+ * @route   GET /api/shipping/claims
+ * @desc    获取物流索赔列表
+ * @access  Private/Admin、Support
+ */
+router.get('/claims', protect, staff, getClaims);
+
+/**
+ * @route   GET /api/shipping/claims/report
+ * @desc    按物流公司统计索赔回收情况
+ * @access  Private/Admin、Support
+ */
+router.get('/claims/report', protect, staff, getClaimRecoveryReport);
+
+/**
+ * @route   GET /api/shipping/claims/:claimId
+ * @desc    获取物流索赔详情
+ * @access  Private/Admin、Support
+ */
+router.get('/claims/:claimId', protect, staff, getClaim);
+
+/**
+ * @route   PUT /api/shipping/claims/:claimId
+ * @desc    更新物流索赔信息
+ * @access  Private/Admin
+ */
+router.put('/claims/:claimId', protect, admin, updateClaim);
+
+/**
+ * @route   POST /api/shipping/claims/:claimId/evidence
+ * @desc    添加物流索赔证据
+ * @access  Private/Admin
+ */
+router.post('/claims/:claimId/evidence', protect, admin, addClaimEvidence);
+
+/**
+ * @route   PUT /api/shipping/claims/:claimId/status
+ * @desc    变更物流索赔状态（提交、同意、拒绝、赔付）
+ * @access  Private/Admin
+ */
+router.put('/claims/:claimId/status', protect, admin, updateClaimStatus);
+
+/**
+ * @route   POST /api/shipping/returns
+ * @desc    为已送达的包裹创建退货（生成RMA编号）
  * @access  Private/Admin
  */
-router.get('/stats', protect, admin, getShippingStats);
+router.post('/returns', protect, admin, createReturn);
+
+/**
+ * @route   GET /api/shipping/returns
+ * @desc    获取退货列表
+ * @access  Private/Admin、Support
+ */
+router.get('/returns', protect, staff, getReturns);
+
+/**
+ * @route   PUT /api/shipping/returns/:shippingId/receive
+ * @desc    仓库确认收到退货
+ * @access  Private/Admin
+ */
+router.put('/returns/:shippingId/receive', protect, admin, receiveReturn);
+
+/**
+ * @route   PUT /api/shipping/returns/:shippingId/inspect
+ * @desc    记录退货质检结果
+ * @access  Private/Admin
+ */
+router.put('/returns/:shippingId/inspect', protect, admin, inspectReturn);
+
+/**
+ * @route   GET /api/shipping/eta/lanes
+ * @desc    获取各线路的历史运输时长
+ * @access  Private/Admin、Support
+ */
+router.get('/eta/lanes', protect, staff, getEtaLanes);
+
+/**
+ * @route   GET /api/shipping/analytics/transit
+ * @desc    按物流公司或线路统计运输时长、准时率和异常率
+ * @access  Private/Admin、Support
+ */
+router.get('/analytics/transit', protect, staff, getTransitAnalytics);
+
+/**
+ * @route   GET /api/shipping/analytics/performance
+ * @desc    按天、周或月统计物流时效指标
+ * @access  Private/Admin、Support
+ */
+router.get('/analytics/performance', protect, staff, getPerformanceAnalytics);
+
+/**
+ * @route   GET /api/shipping/analytics/status-durations
+ * @desc    统计各物流状态的停留时长
+ * @access  Private/Admin、Support
+ */
+router.get('/analytics/status-durations', protect, staff, getStatusDurationAnalytics);
+
+/**
+ * @route   GET /api/shipping/outbound-webhooks
+ * @desc    获取外部回调订阅列表
+ * @access  Private/Admin
+ */
+router.get('/outbound-webhooks', protect, admin, getWebhookSubscriptions);
+
+/**
+ * @route   POST /api/shipping/outbound-webhooks
+ * @desc    创建外部回调订阅
+ * @access  Private/Admin
+ */
+router.post('/outbound-webhooks', protect, admin, createWebhookSubscription);
+
+/**
+ * @route   GET /api/shipping/outbound-webhooks/deliveries
+ * @desc    获取外部回调推送记录
+ * @access  Private/Admin、Support
+ */
+router.get('/outbound-webhooks/deliveries', protect, staff, getWebhookDeliveries);
+
+/**
+ * @route   POST /api/shipping/outbound-webhooks/deliveries/:deliveryId/redeliver
+ * @desc    手动重新推送
+ * @access  Private/Admin
+ */
+router.post('/outbound-webhooks/deliveries/:deliveryId/redeliver', protect, admin, redeliverWebhookDelivery);
+
+/**
+ * @route   PUT /api/shipping/outbound-webhooks/:subscriptionId
+ * @desc    更新外部回调订阅
+ * @access  Private/Admin
+ */
+router.put('/outbound-webhooks/:subscriptionId', protect, admin, updateWebhookSubscription);
+
+/**
+ * @route   DELETE /api/shipping/outbound-webhooks/:subscriptionId
+ * @desc    删除外部回调订阅
+ * @access  Private/Admin
+ */
+router.delete('/outbound-webhooks/:subscriptionId', protect, admin, deleteWebhookSubscription);
+
+/**
+ * @route   GET /api/shipping/notifications/preferences
+ * @desc    获取当前用户的物流通知偏好
+ * @access  Private
+ */
+router.get('/notifications/preferences', protect, getMyNotificationPreferences);
+
+/**
+ * @route   PUT /api/shipping/notifications/preferences
+ * @desc    更新当前用户的物流通知偏好
+ * @access  Private
+ */
+router.put('/notifications/preferences', protect, updateMyNotificationPreferences);
+
+/**
+ * @route   GET /api/shipping/:shippingId/notifications
+ * @desc    获取物流信息的通知记录
+ * @access  Private/Admin、Support
+ */
+router.get('/:shippingId/notifications', protect, staff, getShippingNotifications);
+
+/**
+ * @route   GET /api/shipping/:shippingId/cases
+ * @desc    获取物流信息的异常工单
+ * @access  Private/Admin、Support
+ */
+router.get('/:shippingId/cases', protect, staff, getShippingCases);
+
+/**
+ * @route   POST /api/shipping/:shippingId/cases
+ * @desc    为物流信息创建异常工单
+ * @access  Private/Admin
+ */
+router.post('/:shippingId/cases', protect, admin, createCase);
+
+/**
+ * @route   GET /api/shipping/:shippingId/claims
+ * @desc    获取物流信息的索赔
+ * @access  Private/Admin、Support
+ */
+router.get('/:shippingId/claims', protect, staff, getShippingClaims);
+
+/**
+ * @route   POST /api/shipping/:shippingId/claims
+ * @desc    为物流信息创建索赔
+ * @access  Private/Admin
+ */
+router.post('/:shippingId/claims', protect, admin, createClaim);
+
+/**
+ * @route   GET /api/shipping/:shippingId/label
+ * @desc    下载面单
+ * @access  Private/Admin、Support
+ */
+router.get('/:shippingId/label', protect, staff, getShippingLabel);
+
+/**
+ * @route   PUT /api/shipping/:shippingId/label/void
+ * @desc    作废面单（揽收前）
+ * @access  Private/Admin
+ */
+router.put('/:shippingId/label/void', protect, admin, voidShippingLabel);
+
+/**
+ * @route   GET /api/shipping/:shippingId/customs
+ * @desc    获取包裹的报关信息
+ * @access  Private/Admin、Support
+ */
+router.get('/:shippingId/customs', protect, staff, getShippingCustoms);
+
+/**
+ * @route   PUT /api/shipping/:shippingId/customs
+ * @desc    生成并保存包裹的报关信息
+ * @access  Private/Admin
+ */
+router.put('/:shippingId/customs', protect, admin, updateShippingCustoms);
+
+/**
+ * @route   GET /api/shipping/:shippingId/customs/document
+ * @desc    下载报关单据（商业发票、CN22、CN23）
+ * @access  Private/Admin、Support
+ */
+router.get('/:shippingId/customs/document', protect, staff, getCustomsDocument);
+
+/**
+ * @route   PUT /api/shipping/:shippingId/landed-cost
+ * @desc    重新估算包裹的关税和进口税费
+ * @access  Private/Admin
+ */
+router.put('/:shippingId/landed-cost', protect, admin, updateShippingLandedCost);
+
+/**
+ * @route   POST /api/shipping/:shippingId/public-token
+ * @desc    生成公开跟踪链接令牌
+ * @access  Private（订单所有者、管理员）
+ */
+router.post('/:shippingId/public-token', protect, createPublicTrackingToken);
+
+/**
+ * @route   DELETE /api/shipping/:shippingId/public-token
+ * @desc    撤销公开跟踪链接令牌
+ * @access  Private（订单所有者、管理员）
+ */
+router.delete('/:shippingId/public-token', protect, revokePublicTrackingToken);
+
+/**
+ * @route   GET /api/shipping/:shippingId/eta
+ * @desc    获取预计送达时间
+ * @access  Private（订单所有者、客服、管理员）
+ */
+router.get('/:shippingId/eta', protect, getShippingEta);
 
 /**
  * @route   PUT /api/shipping/:shippingId/refresh
  * @desc    刷新物流信息
- * @access  Private
+ * @access  Private（订单所有者、客服、管理员）
  */
 router.put('/:shippingId/refresh', protect, refreshTrackingInfo);
 
@@ -0,0 +1,584 @@
+/**
+ * 物流公司面单服务
+ * 通过物流公司的运单接口提交发件人、收件人和包裹信息，获取物流单号和面单（PDF/ZPL），
+ * 并在揽收前作废运单。模拟模式下在本地生成符合单号格式的物流单号和模拟面单
+ */
+
+const crypto = require('crypto');
+const { getTrackingMode, getDefaultTransport, requestCarrierApi } = require('./carrierTransport');
+const { renderTextPdf } = require('../utils/textPdf');
+const { CUSTOMS_EXPORT_REASONS } = require('../utils/shippingCustoms');
+
+// PDF面单尺寸（4×6英寸，单位为点）
+const PDF_LABEL_WIDTH = 288;
+const PDF_LABEL_HEIGHT = 432;
+
+/**
+ * 生成随机数字串
+ * @param {number} length - 位数
+ * @returns {string} - 数字串
+ */
+function randomDigits(length) {
+  return Array.from(crypto.randomBytes(length), byte => String(byte % 10)).join('');
+}
+
+/**
+ * 生成模拟的DHL Express运单号（前9位 mod 7 为校验位）
+ * @returns {string} - 运单号
+ */
+function generateDhlTrackingNumber() {
+  const body = randomDigits(9);
+  return `${body}${Number(body) % 7}`;
+}
+
+/**
+ * 生成模拟的UPS 1Z单号（校验位规则见utils/trackingNumber.js的isValidUps1Z）
+ * @param {string} shipperNumber - UPS客户编号（6位）
+ * @param {string} serviceCode - UPS服务代码（2位）
+ * @returns {string} - 物流单号
+ */
+function generateUps1ZTrackingNumber(shipperNumber, serviceCode) {
+  const shipper = String(shipperNumber || '').toUpperCase().replace(/[^0-9A-Z]/g, '').padEnd(6, '0').slice(0, 6);
+  const body = `${shipper}${serviceCode}${randomDigits(7)}`;
+  const sum = body.split('').reduce((total, char, i) => {
+    const value = /\d/.test(char) ? Number(char) : (char.charCodeAt(0) - 63) % 10;
+    return total + (i % 2 === 1 ? value * 2 : value);
+  }, 0);
+
+  return `1Z${body}${(10 - (sum % 10)) % 10}`;
+}
+
+/**
+ * 生成面单上的文字
+ * @param {Object} request - 运单请求
+ * @param {string} trackingNumber - 物流单号
+ * @param {string} carrierName - 物流公司名称
+ * @returns {string[]} - 面单文字行
+ */
+function buildLabelLines(request, trackingNumber, carrierName) {
+  const formatAddress = address => [
+    address.name,
+    address.company,
+    address.addressLine1,
+    address.addressLine2,
+    [address.city, address.state, address.postalCode].filter(Boolean).join(' '),
+    address.country
+  ].filter(Boolean);
+
+  const totalWeight = request.parcels.reduce((sum, parcel) => sum + parcel.weight, 0);
+
+  return [
+    `${carrierName} ${String(request.serviceLevel || '').toUpperCase()}`,
+    `TRACKING: ${trackingNumber}`,
+    '',
+    'FROM:',
+    ...formatAddress(request.shipFrom),
+    '',
+    'TO:',
+    ...formatAddress(request.shipTo),
+    '',
+    `PIECES: ${request.parcels.length}  WEIGHT: ${Math.round(totalWeight * 100) / 100} KG`,
+    `REF: ${request.reference || ''}`,
+    'MOCK LABEL - NOT FOR SHIPPING'
+  ];
+}
+
+/**
+ * 生成PDF面单
+ * @param {string[]} lines - 面单文字行
+ * @returns {Buffer} - PDF文件内容
+ */
+function renderPdfLabel(lines) {
+  return renderTextPdf(lines, { width: PDF_LABEL_WIDTH, height: PDF_LABEL_HEIGHT, fontSize: 11, leading: 14, margin: 20 });
+}
+
+/**
+ * 生成ZPL面单（203dpi，4×6英寸）
+ * @param {string[]} lines - 面单文字行
+ * @param {string} trackingNumber - 物流单号（打印为Code 128条码）
+ * @returns {Buffer} - ZPL指令
+ */
+function renderZplLabel(lines, trackingNumber) {
+  const escape = text => String(text).replace(/[\^~]/g, ' ');
+
+  const zpl = [
+    '^XA',
+    '^CI28',
+    ...lines.map((line, index) => `^FO30,${30 + index * 32}^A0N,26,26^FD${escape(line)}^FS`),
+    `^FO30,${60 + lines.length * 32}^BY3^BCN,120,Y,N,N^FD${trackingNumber}^FS`,
+    '^XZ'
+  ].join('\n');
+
+  return Buffer.from(zpl, 'utf8');
+}
+
+/**
+ * 生成模拟面单
+ * @param {Object} request - 运单请求
+ * @param {string} trackingNumber - 物流单号
+ * @param {string} carrierName - 物流公司名称
+ * @returns {Object} - 面单（format、data）
+ */
+function renderMockLabel(request, trackingNumber, carrierName) {
+  const lines = buildLabelLines(request, trackingNumber, carrierName);
+
+  return {
+    format: request.labelFormat,
+    data: request.labelFormat === 'zpl' ? renderZplLabel(lines, trackingNumber) : renderPdfLabel(lines)
+  };
+}
+
+/**
+ * 计算报关商品的单件净重，缺少净重时按包裹总重量平均分配
+ * @param {Object} request - 运单请求（包含报关信息）
+ * @returns {number[]} - 每项报关商品的单件净重（公斤）
+ */
+function getCustomsItemWeights(request) {
+  const { items } = request.customs;
+  const totalWeight = request.parcels.reduce((sum, parcel) => sum + parcel.weight, 0);
+  const totalQuantity = items.reduce((sum, item) => sum + item.quantity, 0) || 1;
+  const fallback = Math.max(Math.round(totalWeight / totalQuantity * 1000) / 1000, 0.001);
+
+  return items.map(item => item.weight || fallback);
+}
+
+// 服务等级 -> DHL Express产品代码
+const DHL_PRODUCT_CODES = {
+  express: 'P',    // Express Worldwide
+  standard: 'P',
+  economy: 'H'     // Economy Select
+};
+
+/**
+ * DHL Express运单（MyDHL API）
+ */
+class DHLLabelProvider {
+  constructor(options = {}) {
+    // 接口地址、凭证和客户编号来自物流公司配置（config/carriers.js）
+    this.apiUrl = options.shipmentApiUrl;
+    this.apiKey = options.apiKey;
+    this.apiSecret = options.apiSecret;
+    this.accountNumber = options.accountNumber;
+    this.timeout = options.timeout;
+    this.carrier = 'dhl';
+    this.labelFormats = ['pdf', 'zpl'];
+    this.transport = options.transport || getDefaultTransport();
+  }
+
+  /**
+   * 创建运单并获取面单
+   * @param {Object} request - 运单请求（见shipmentLabelService的buildShipmentRequest）
+   * @returns {Promise<Object>} - 运单（trackingNumber、carrierShipmentId、label、rawData）
+   */
+  async createShipment(request) {
+    try {
+      if (getTrackingMode() === 'mock') {
+        const trackingNumber = generateDhlTrackingNumber();
+        return {
+          trackingNumber,
+          carrierShipmentId: trackingNumber,
+          label: renderMockLabel(request, trackingNumber, 'DHL'),
+          rawData: { mock: true, carrier: this.carrier, trackingNumber }
+        };
+      }
+
+      const data = await requestCarrierApi(this.transport, {
+        method: 'POST',
+        url: `${this.apiUrl}/shipments`,
+        headers: {
+          'Authorization': `Basic ${Buffer.from(`${this.apiKey}:${this.apiSecret || ''}`).toString('base64')}`,
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: this.buildRequestBody(request),
+        timeout: this.timeout,
+        meta: { carrier: this.carrier }
+      }, 'DHL');
+
+      return this.parseResponse(data, request.labelFormat);
+    } catch (error) {
+      console.error('DHL shipment error:', error);
+      throw new Error(`创建DHL运单失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 作废运单
+   * DHL Express只对已揽收的运单计费，未揽收的运单无需调用接口作废
+   * @returns {Promise<Object>} - 作废结果（carrierConfirmed: 是否由物流公司确认）
+   */
+  async cancelShipment() {
+    return { carrierConfirmed: false };
+  }
+
+  /**
+   * 转换为DHL的地址和联系人格式
+   * @param {Object} address - 地址
+   * @returns {Object} - DHL地址
+   */
+  toParty(address, registrationNumbers) {
+    return {
+      registrationNumbers: registrationNumbers && registrationNumbers.length > 0 ? registrationNumbers : undefined,
+      postalAddress: {
+        postalCode: address.postalCode,
+        cityName: address.city,
+        countryCode: address.country,
+        provinceCode: address.state || undefined,
+        addressLine1: address.addressLine1,
+        addressLine2: address.addressLine2 || undefined
+      },
+      contactInformation: {
+        fullName: address.name,
+        companyName: address.company || address.name,
+        phone: address.phone,
+        email: address.email || undefined
+      }
+    };
+  }
+
+  /**
+   * 构建MyDHL API创建运单请求
+   * @param {Object} request - 运单请求
+   * @returns {Object} - 请求体
+   */
+  buildRequestBody(request) {
+    const shipDate = request.shipDate.toISOString().replace(/\.\d{3}Z$/, ' GMT+00:00');
+    const { customs } = request;
+
+    return {
+      plannedShippingDateAndTime: shipDate,
+      pickup: { isRequested: false },
+      productCode: DHL_PRODUCT_CODES[request.serviceLevel] || 'P',
+      accounts: [{ typeCode: 'shipper', number: this.accountNumber }],
+      outputImageProperties: {
+        encodingFormat: request.labelFormat,
+        imageOptions: [{ typeCode: 'label', templateName: 'ECOM26_84_001' }]
+      },
+      customerDetails: {
+        shipperDetails: this.toParty(request.shipFrom, customs && this.buildShipperRegistrations(request)),
+        receiverDetails: this.toParty(
+          request.shipTo,
+          customs && customs.importerTaxId ? [{ typeCode: 'TAX', number: customs.importerTaxId, issuerCountryCode: request.shipTo.country }] : null
+        )
+      },
+      content: {
+        packages: request.parcels.map(parcel => ({
+          weight: parcel.weight,
+          dimensions: parcel.length
+            ? { length: parcel.length, width: parcel.width, height: parcel.height }
+            : undefined
+        })),
+        isCustomsDeclarable: request.shipFrom.country !== request.shipTo.country,
+        declaredValue: request.declaredValue,
+        declaredValueCurrency: request.currency,
+        description: request.description,
+        incoterm: customs && customs.incoterm === 'DDP' ? 'DDP' : 'DAP',
+        exportDeclaration: customs ? this.buildExportDeclaration(request) : undefined,
+        unitOfMeasurement: 'metric'
+      },
+      customerReferences: request.reference ? [{ value: request.reference, typeCode: 'CU' }] : undefined
+    };
+  }
+
+  /**
+   * 生成发件人的税号（EORI由发货国家签发，IOSS和增值税号由目的国家签发）
+   * @param {Object} request - 运单请求（包含报关信息）
+   * @returns {Object[]} - DHL登记号列表
+   */
+  buildShipperRegistrations(request) {
+    const { customs, shipFrom, shipTo } = request;
+
+    return [
+      customs.exporterEori
+        ? { typeCode: 'EOR', number: customs.exporterEori, issuerCountryCode: shipFrom.country }
+        : null,
+      customs.taxScheme === 'IOSS' && customs.iossNumber
+        ? { typeCode: 'SDT', number: customs.iossNumber, issuerCountryCode: shipTo.country }
+        : null,
+      customs.taxScheme && customs.taxScheme !== 'IOSS' && customs.vatNumber
+        ? { typeCode: 'VAT', number: customs.vatNumber, issuerCountryCode: shipTo.country }
+        : null
+    ].filter(Boolean);
+  }
+
+  /**
+   * 生成报关商品明细和发票信息
+   * @param {Object} request - 运单请求（包含报关信息）
+   * @returns {Object} - DHL报关信息
+   */
+  buildExportDeclaration(request) {
+    const { customs } = request;
+    const weights = getCustomsItemWeights(request);
+
+    return {
+      lineItems: customs.items.map((item, index) => ({
+        number: index + 1,
+        description: item.description,
+        price: item.unitValue,
+        quantity: { value: item.quantity, unitOfMeasurement: 'PCS' },
+        commodityCodes: [{ typeCode: 'outbound', value: item.hsCode }],
+        exportReasonType: customs.contentType === 'returned_goods' ? 'return' : 'permanent',
+        manufacturerCountry: item.originCountry,
+        weight: { netValue: weights[index], grossValue: weights[index] }
+      })),
+      invoice: {
+        number: customs.invoiceNumber,
+        date: new Date(customs.invoiceDate).toISOString().slice(0, 10)
+      },
+      exportReason: CUSTOMS_EXPORT_REASONS[customs.contentType],
+      additionalCharges: customs.shippingCost > 0 ? [{ value: customs.shippingCost, typeCode: 'freight' }] : undefined
+    };
+  }
+
+  /**
+   * 解析MyDHL API响应
+   * @param {Object} data - API响应数据
+   * @param {string} format - 面单格式
+   * @returns {Object} - 运单
+   */
+  parseResponse(data, format) {
+    const document = (data.documents || []).find(doc => doc.typeCode === 'label') || (data.documents || [])[0];
+
+    if (!data.shipmentTrackingNumber || !document) {
+      throw new Error('DHL未返回运单号或面单');
+    }
+
+    return {
+      trackingNumber: String(data.shipmentTrackingNumber),
+      carrierShipmentId: String(data.shipmentTrackingNumber),
+      label: { format, data: Buffer.from(document.content, 'base64') },
+      rawData: { ...data, documents: undefined }
+    };
+  }
+}
+
+// 服务等级 -> UPS服务代码
+const UPS_SERVICE_CODES = {
+  express: '65',   // Worldwide Saver
+  standard: '08',  // Worldwide Expedited
+  economy: '11'    // Standard
+};
+
+/**
+ * UPS运单（Shipping API）
+ * UPS的面单图片不支持PDF，只提供ZPL面单
+ */
+class UPSLabelProvider {
+  constructor(options = {}) {
+    this.apiUrl = options.shipmentApiUrl;
+    this.apiKey = options.apiKey;
+    this.accountNumber = options.accountNumber;
+    this.timeout = options.timeout;
+    this.carrier = 'ups';
+    this.labelFormats = ['zpl'];
+    this.transport = options.transport || getDefaultTransport();
+  }
+
+  /**
+   * 构建请求头
+   * @returns {Object} - 请求头
+   */
+  buildHeaders() {
+    return {
+      'Authorization': `Bearer ${this.apiKey}`,
+      'transId': `${Date.now()}`,
+      'transactionSrc': 'fenxi',
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    };
+  }
+
+  /**
+   * 创建运单并获取面单
+   * @param {Object} request - 运单请求
+   * @returns {Promise<Object>} - 运单（trackingNumber、carrierShipmentId、label、rawData）
+   */
+  async createShipment(request) {
+    try {
+      if (getTrackingMode() === 'mock') {
+        const trackingNumber = generateUps1ZTrackingNumber(this.accountNumber, UPS_SERVICE_CODES[request.serviceLevel] || '65');
+        return {
+          trackingNumber,
+          carrierShipmentId: trackingNumber,
+          label: renderMockLabel(request, trackingNumber, 'UPS'),
+          rawData: { mock: true, carrier: this.carrier, trackingNumber }
+        };
+      }
+
+      const data = await requestCarrierApi(this.transport, {
+        method: 'POST',
+        url: `${this.apiUrl}/ship`,
+        headers: this.buildHeaders(),
+        body: this.buildRequestBody(request),
+        timeout: this.timeout,
+        meta: { carrier: this.carrier }
+      }, 'UPS');
+
+      return this.parseResponse(data);
+    } catch (error) {
+      console.error('UPS shipment error:', error);
+      throw new Error(`创建UPS运单失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 作废运单（揽收前）
+   * @param {Object} shipping - 物流信息
+   * @returns {Promise<Object>} - 作废结果（carrierConfirmed: 是否由物流公司确认）
+   */
+  async cancelShipment(shipping) {
+    try {
+      if (getTrackingMode() === 'mock') {
+        return { carrierConfirmed: true };
+      }
+
+      const shipmentId = shipping.label.carrierShipmentId || shipping.trackingNumber;
+      const data = await requestCarrierApi(this.transport, {
+        method: 'DELETE',
+        url: `${this.apiUrl}/void/cancel/${encodeURIComponent(shipmentId)}`,
+        headers: this.buildHeaders(),
+        timeout: this.timeout,
+        meta: { carrier: this.carrier, trackingNumber: shipping.trackingNumber }
+      }, 'UPS');
+
+      const status = data?.VoidShipmentResponse?.SummaryResult?.Status;
+      if (!status || String(status.Code) !== '1') {
+        throw new Error(status?.Description || 'UPS未确认作废');
+      }
+
+      return { carrierConfirmed: true };
+    } catch (error) {
+      console.error('UPS void error:', error);
+      throw new Error(`作废UPS运单失败: ${error.message}`);
+    }
+  }
+
+  /**
+   * 转换为UPS的地址格式
+   * @param {Object} address - 地址
+   * @returns {Object} - UPS地址
+   */
+  toParty(address) {
+    return {
+      Name: address.company || address.name,
+      AttentionName: address.name,
+      Phone: { Number: address.phone },
+      Address: {
+        AddressLine: [address.addressLine1, address.addressLine2].filter(Boolean),
+        City: address.city,
+        StateProvinceCode: address.state || undefined,
+        PostalCode: address.postalCode,
+        CountryCode: address.country
+      }
+    };
+  }
+
+  /**
+   * 构建UPS创建运单请求
+   * @param {Object} request - 运单请求
+   * @returns {Object} - 请求体
+   */
+  buildRequestBody(request) {
+    const { customs } = request;
+    // DDP时关税和进口税费也由发件人账号支付
+    const shipmentCharges = [{ Type: '01', BillShipper: { AccountNumber: this.accountNumber } }];
+    if (customs && customs.incoterm === 'DDP') {
+      shipmentCharges.push({ Type: '02', BillShipper: { AccountNumber: this.accountNumber } });
+    }
+
+    return {
+      ShipmentRequest: {
+        Request: { RequestOption: 'nonvalidate' },
+        Shipment: {
+          Description: request.description,
+          Shipper: { ...this.toParty(request.shipFrom), ShipperNumber: this.accountNumber },
+          ShipFrom: this.toParty(request.shipFrom),
+          ShipTo: this.toParty(request.shipTo),
+          PaymentInformation: {
+            ShipmentCharge: shipmentCharges
+          },
+          ShipmentServiceOptions: customs ? { InternationalForms: this.buildInternationalForms(customs) } : undefined,
+          Service: { Code: UPS_SERVICE_CODES[request.serviceLevel] || '65' },
+          ReferenceNumber: request.reference ? { Value: request.reference } : undefined,
+          Package: request.parcels.map(parcel => ({
+            Packaging: { Code: '02' },
+            Dimensions: parcel.length
+              ? {
+                UnitOfMeasurement: { Code: 'CM' },
+                Length: String(parcel.length),
+                Width: String(parcel.width),
+                Height: String(parcel.height)
+              }
+              : undefined,
+            PackageWeight: { UnitOfMeasurement: { Code: 'KGS' }, Weight: String(parcel.weight) }
+          }))
+        },
+        LabelSpecification: {
+          LabelImageFormat: { Code: 'ZPL' },
+          LabelStockSize: { Height: '6', Width: '4' }
+        }
+      }
+    };
+  }
+
+  /**
+   * 生成商业发票（UPS根据该信息生成电子发票）
+   * @param {Object} customs - 报关信息
+   * @returns {Object} - UPS国际单据
+   */
+  buildInternationalForms(customs) {
+    return {
+      FormType: '01',
+      InvoiceNumber: customs.invoiceNumber,
+      InvoiceDate: new Date(customs.invoiceDate).toISOString().slice(0, 10).replace(/-/g, ''),
+      ReasonForExport: CUSTOMS_EXPORT_REASONS[customs.contentType],
+      TermsOfShipment: customs.incoterm === 'DDP' ? 'DDP' : 'DAP',
+      CurrencyCode: customs.currency,
+      FreightCharges: customs.shippingCost > 0 ? { MonetaryValue: String(customs.shippingCost) } : undefined,
+      Product: customs.items.map(item => ({
+        Description: [item.description.slice(0, 35)],
+        Unit: {
+          Number: String(item.quantity),
+          Value: String(item.unitValue),
+          UnitOfMeasurement: { Code: 'PCS' }
+        },
+        CommodityCode: item.hsCode,
+        OriginCountryCode: item.originCountry
+      }))
+    };
+  }
+
+  /**
+   * 解析UPS创建运单响应（多件包裹的ZPL面单按顺序拼接）
+   * @param {Object} data - API响应数据
+   * @returns {Object} - 运单
+   */
+  parseResponse(data) {
+    const results = data?.ShipmentResponse?.ShipmentResults;
+    const packages = [].concat(results?.PackageResults || []);
+
+    if (!results?.ShipmentIdentificationNumber || packages.length === 0) {
+      throw new Error('UPS未返回运单号或面单');
+    }
+
+    const labels = packages.map(pkg => Buffer.from(pkg.ShippingLabel.GraphicImage, 'base64'));
+
+    return {
+      trackingNumber: String(packages[0].TrackingNumber || results.ShipmentIdentificationNumber),
+      carrierShipmentId: String(results.ShipmentIdentificationNumber),
+      label: { format: 'zpl', data: Buffer.concat(labels) },
+      rawData: {
+        shipmentIdentificationNumber: results.ShipmentIdentificationNumber,
+        packageTrackingNumbers: packages.map(pkg => pkg.TrackingNumber),
+        charges: results.ShipmentCharges || null
+      }
+    };
+  }
+}
+
+module.exports = {
+  DHLLabelProvider,
+  UPSLabelProvider,
+  renderPdfLabel,
+  renderZplLabel
+};
@@ -0,0 +1,213 @@
+/**
+ * 物流公司注册表
+ * 各物流公司以插件形式注册，包含代码、别名、显示名称、物流单号格式、支持的能力，
+ * 以及跟踪器工厂函数和可选的面单（运单创建）工厂函数
+ */
+
+const { normalizeTrackingNumber } = require('../utils/trackingNumber');
+
+// 物流公司代码 -> 物流公司定义
+const carriers = new Map();
+
+// 别名（小写） -> 物流公司代码
+const aliasIndex = new Map();
+
+// 默认能力，注册时可覆盖
+const DEFAULT_CAPABILITIES = {
+  tracking: true,
+  webhooks: false,
+  estimatedDelivery: false,
+  labels: false
+};
+
+/**
+ * 注册物流公司
+ * @param {Object} definition - 物流公司定义
+ * @param {string} definition.code - 物流公司代码（唯一，小写）
+ * @param {string} definition.name - 显示名称
+ * @param {string[]} definition.aliases - 别名列表
+ * @param {Object[]} definition.trackingNumberFormats - 物流单号格式
+ *   （name、pattern、example，可选的validate校验位函数、confidence识别置信度，
+ *   fallback为true时为兜底格式，只在明确指定该物流公司时有效，不参与自动识别）
+ * @param {Object} definition.capabilities - 支持的能力
+ * @param {Function} definition.createTracker - 跟踪器工厂函数
+ * @param {Function} definition.createLabelProvider - 面单工厂函数（可选，提供时支持通过接口创建运单和面单）
+ * @returns {Object} - 注册后的物流公司定义
+ */
+function registerCarrier(definition) {
+  const {
+    code,
+    name,
+    aliases = [],
+    trackingNumberFormats = [],
+    capabilities = {},
+    createTracker,
+    createLabelProvider = null
+  } = definition;
+
+  if (!code || typeof createTracker !== 'function') {
+    throw new Error('物流公司定义必须包含code和createTracker');
+  }
+
+  const normalizedCode = code.toLowerCase();
+  const keys = [normalizedCode, ...aliases.map(alias => alias.toLowerCase())];
+
+  keys.forEach(key => {
+    if (aliasIndex.has(key)) {
+      throw new Error(`物流公司代码或别名已被注册: ${key}`);
+    }
+  });
+
+  const carrier = {
+    code: normalizedCode,
+    name: name || code,
+    aliases: aliases.map(alias => alias.toLowerCase()),
+    trackingNumberFormats,
+    capabilities: { ...DEFAULT_CAPABILITIES, labels: typeof createLabelProvider === 'function', ...capabilities },
+    createTracker,
+    createLabelProvider
+  };
+
+  carriers.set(normalizedCode, carrier);
+  keys.forEach(key => aliasIndex.set(key, normalizedCode));
+
+  return carrier;
+}
+
+/**
+ * 根据代码或别名查找物流公司
+ * @param {string} carrier - 物流公司代码或别名
+ * @returns {Object|null} - 物流公司定义，未注册时返回null
+ */
+function resolveCarrier(carrier) {
+  if (!carrier || typeof carrier !== 'string') {
+    return null;
+  }
+
+  const code = aliasIndex.get(carrier.trim().toLowerCase());
+  return code ? carriers.get(code) : null;
+}
+
+/**
+ * 根据代码或别名获取物流公司，未注册时抛出错误
+ * @param {string} carrier - 物流公司代码或别名
+ * @returns {Object} - 物流公司定义
+ */
+function getCarrier(carrier) {
+  const definition = resolveCarrier(carrier);
+
+  if (!definition) {
+    throw new Error(`不支持的物流公司: ${carrier}`);
+  }
+
+  return definition;
+}
+
+/**
+ * 转换为可对外展示的物流公司信息
+ * @param {Object} carrier - 物流公司定义
+ * @returns {Object} - 物流公司信息
+ */
+function toCarrierInfo(carrier) {
+  return {
+    code: carrier.code,
+    name: carrier.name,
+    aliases: carrier.aliases,
+    trackingNumberFormats: carrier.trackingNumberFormats.map(format => ({
+      name: format.name,
+      pattern: format.pattern.source,
+      example: format.example || null,
+      checkDigit: typeof format.validate === 'function',
+      fallback: Boolean(format.fallback)
+    })),
+    capabilities: carrier.capabilities
+  };
+}
+
+/**
+ * 获取所有已注册的物流公司
+ * @returns {Object[]} - 物流公司信息列表
+ */
+function listCarriers() {
+  return Array.from(carriers.values()).map(toCarrierInfo);
+}
+
+/**
+ * 查找物流单号匹配的格式
+ * @param {Object} carrier - 物流公司定义
+ * @param {string} trackingNumber - 标准化后的物流单号
+ * @param {Object} options - 选项
+ * @param {boolean} options.includeFallback - 是否匹配兜底格式
+ * @returns {Object|null} - 匹配的格式，未匹配时返回null
+ */
+function matchTrackingNumberFormat(carrier, trackingNumber, { includeFallback = true } = {}) {
+  return carrier.trackingNumberFormats.find(format =>
+    (includeFallback || !format.fallback) &&
+    format.pattern.test(trackingNumber) &&
+    (typeof format.validate !== 'function' || format.validate(trackingNumber))
+  ) || null;
+}
+
+/**
+ * 验证物流单号是否符合物流公司的单号格式
+ * 未声明单号格式的物流公司不做校验
+ * @param {string} carrier - 物流公司代码或别名
+ * @param {string} trackingNumber - 物流单号
+ * @returns {Object} - 验证结果（valid、trackingNumber、format）
+ */
+function validateTrackingNumber(carrier, trackingNumber) {
+  const definition = getCarrier(carrier);
+  const normalized = normalizeTrackingNumber(trackingNumber);
+
+  if (!normalized) {
+    return { valid: false, trackingNumber: normalized, format: null };
+  }
+
+  if (definition.trackingNumberFormats.length === 0) {
+    return { valid: true, trackingNumber: normalized, format: null };
+  }
+
+  const format = matchTrackingNumberFormat(definition, normalized);
+
+  return {
+    valid: Boolean(format),
+    trackingNumber: normalized,
+    format: format ? format.name : null
+  };
+}
+
+/**
+ * 根据物流单号识别可能的物流公司
+ * @param {string} trackingNumber - 物流单号
+ * @returns {Object[]} - 按置信度降序排列的候选物流公司（carrier、name、format、confidence）
+ */
+function detectCarriers(trackingNumber) {
+  const normalized = normalizeTrackingNumber(trackingNumber);
+  const candidates = [];
+
+  carriers.forEach(carrier => {
+    const format = matchTrackingNumberFormat(carrier, normalized, { includeFallback: false });
+
+    if (format) {
+      candidates.push({
+        carrier: carrier.code,
+        name: carrier.name,
+        format: format.name,
+        // 有校验位的格式默认置信度更高
+        confidence: format.confidence || (typeof format.validate === 'function' ? 0.9 : 0.6)
+      });
+    }
+  });
+
+  return candidates.sort((a, b) => b.confidence - a.confidence);
+}
+
+module.exports = {
+  registerCarrier,
+  resolveCarrier,
+  getCarrier,
+  listCarriers,
+  toCarrierInfo,
+  validateTrackingNumber,
+  detectCarriers
+};
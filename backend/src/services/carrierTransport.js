@@ -0,0 +1,217 @@
+/**
+ * 物流公司HTTP传输层
+ * 跟踪器通过传输函数发送请求，便于在真实请求、录制回放和本地替身服务之间切换
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+
+// 默认的录制数据目录，按物流公司分子目录，文件名为物流单号
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../../fixtures/carriers');
+
+// 默认请求超时时间（毫秒）
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * 获取当前的物流跟踪模式
+ * - mock: 使用随机模拟数据（开发环境默认）
+ * - live: 调用物流公司真实API（生产环境默认）
+ * - replay: 使用录制的物流公司响应数据
+ * @returns {string} - 跟踪模式
+ */
+function getTrackingMode() {
+  const mode = (process.env.SHIPPING_TRACKING_MODE || '').toLowerCase();
+
+  if (['mock', 'live', 'replay'].includes(mode)) {
+    return mode;
+  }
+
+  return process.env.NODE_ENV === 'production' ? 'live' : 'mock';
+}
+
+/**
+ * 创建基于fetch的HTTP传输函数
+ * @param {Object} options - 传输选项
+ * @param {number} options.timeout - 默认请求超时时间（毫秒）
+ * @returns {Function} - 传输函数
+ */
+function createFetchTransport({ timeout = DEFAULT_TIMEOUT } = {}) {
+  return async function fetchTransport(request) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), request.timeout || timeout);
+
+    try {
+      const response = await fetch(request.url, {
+        method: request.method || 'GET',
+        headers: request.headers,
+        body: request.body === undefined ? undefined : JSON.stringify(request.body),
+        signal: controller.signal
+      });
+
+      const text = await response.text();
+      let data = null;
+
+      if (text) {
+        try {
+          data = JSON.parse(text);
+        } catch (error) {
+          data = text;
+        }
+      }
+
+      return {
+        ok: response.ok,
+        status: response.status,
+        statusText: response.statusText,
+        data
+      };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`请求超时: ${request.url}`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+}
+
+/**
+ * 读取录制的物流公司响应
+ * @param {string} fixturesDir - 录制数据目录
+ * @param {string} carrier - 物流公司代码
+ * @param {string} trackingNumber - 物流单号
+ * @returns {Object|null} - 录制的响应数据，不存在时返回null
+ */
+function readFixture(fixturesDir, carrier, trackingNumber) {
+  // 物流单号仅允许字母数字，防止路径穿越
+  if (!carrier || !/^[A-Za-z0-9]+$/.test(trackingNumber || '')) {
+    return null;
+  }
+
+  const filePath = path.join(fixturesDir, carrier, `${trackingNumber}.json`);
+
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * 创建录制回放传输函数
+ * 根据请求中的物流公司和物流单号返回录制的响应，不发起网络请求
+ * @param {Object} options - 传输选项
+ * @param {string} options.fixturesDir - 录制数据目录
+ * @returns {Function} - 传输函数
+ */
+function createReplayTransport({ fixturesDir = DEFAULT_FIXTURES_DIR } = {}) {
+  return async function replayTransport(request) {
+    const { carrier, trackingNumber } = request.meta || {};
+    const data = readFixture(fixturesDir, carrier, trackingNumber);
+
+    if (!data) {
+      return { ok: false, status: 404, statusText: 'Fixture Not Found', data: null };
+    }
+
+    return { ok: true, status: 200, statusText: 'OK', data };
+  };
+}
+
+/**
+ * 创建本地物流公司替身服务
+ * 路径的第一段为物流公司代码（如 /dhl/shipments?trackingNumber=...），
+ * 在请求路径和请求体中查找已录制的物流单号并返回对应的响应。
+ * 测试时将跟踪器的apiUrl指向该服务即可离线验证完整的请求和解析流程。
+ * @param {Object} options - 服务选项
+ * @param {string} options.fixturesDir - 录制数据目录
+ * @returns {http.Server} - 未启动的HTTP服务
+ */
+function createStandInServer({ fixturesDir = DEFAULT_FIXTURES_DIR } = {}) {
+  return http.createServer((req, res) => {
+    let body = '';
+
+    req.on('data', chunk => {
+      body += chunk;
+    });
+
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+
+      // 无效的URL编码（如单独的%）返回400，不中断替身服务
+      let url;
+      let carrier;
+      try {
+        url = decodeURIComponent(req.url);
+        carrier = new URL(req.url, 'http://localhost').pathname.split('/')[1];
+      } catch (error) {
+        res.statusCode = 400;
+        res.end(JSON.stringify({ message: 'Bad Request' }));
+        return;
+      }
+
+      const carrierDir = path.join(fixturesDir, carrier || '');
+      let data = null;
+
+      if (carrier && /^[a-z0-9]+$/.test(carrier) && fs.existsSync(carrierDir)) {
+        const trackingNumber = fs.readdirSync(carrierDir)
+          .filter(file => file.endsWith('.json'))
+          .map(file => file.replace(/\.json$/, ''))
+          .find(number => url.includes(number) || body.includes(number));
+
+        data = readFixture(fixturesDir, carrier, trackingNumber);
+      }
+
+      if (!data) {
+        res.statusCode = 404;
+        res.end(JSON.stringify({ message: 'Fixture Not Found' }));
+        return;
+      }
+
+      res.statusCode = 200;
+      res.end(JSON.stringify(data));
+    });
+  });
+}
+
+/**
+ * 根据当前跟踪模式获取默认传输函数
+ * @returns {Function} - 传输函数
+ */
+function getDefaultTransport() {
+  if (getTrackingMode() === 'replay') {
+    return createReplayTransport({
+      fixturesDir: process.env.SHIPPING_FIXTURES_DIR || DEFAULT_FIXTURES_DIR
+    });
+  }
+
+  return createFetchTransport();
+}
+
+/**
+ * 通过传输函数调用物流公司API
+ * @param {Function} transport - 传输函数
+ * @param {Object} request - 请求参数（method、url、headers、body、timeout、meta）
+ * @param {string} carrierName - 物流公司名称，用于错误信息
+ * @returns {Promise<Object>} - 响应数据
+ */
+async function requestCarrierApi(transport, request, carrierName) {
+  const response = await transport(request);
+
+  if (!response.ok) {
+    throw new Error(`${carrierName} API error: ${response.status} ${response.statusText}`);
+  }
+
+  return response.data;
+}
+
+module.exports = {
+  DEFAULT_FIXTURES_DIR,
+  getTrackingMode,
+  createFetchTransport,
+  createReplayTransport,
+  createStandInServer,
+  getDefaultTransport,
+  requestCarrierApi
+};
@@ -0,0 +1,535 @@
+/**
+ * 报关服务
+ * 根据订单商品生成包裹的报关信息（品名、HS编码、原产国、申报价值、贸易术语、IOSS/增值税号），
+ * 按目的国家的报关规则校验必填项，并生成商业发票或CN22/CN23报关单
+ */
+
+const crypto = require('crypto');
+const { getOrderItemQuantity } = require('./orderShippingService');
+const { getDefaultSender, getOrderRecipient } = require('./shipmentLabelService');
+const { getCountryCustomsRule, convertCurrency, CN22_MAX_VALUE } = require('../config/customsRules');
+const {
+  INCOTERMS,
+  CUSTOMS_CONTENT_TYPES,
+  CUSTOMS_EXPORT_REASONS,
+  CUSTOMS_DOCUMENT_TYPES,
+  POSTAL_CARRIERS,
+  HS_CODE_PATTERN,
+  VAGUE_DESCRIPTIONS
+} = require('../utils/shippingCustoms');
+const { round } = require('../utils/statistics');
+const { renderTextPdf } = require('../utils/textPdf');
+const { httpError } = require('../utils/httpError');
+
+// 内件类型 -> CN22/CN23上的物品类别
+const CN_CATEGORIES = {
+  gift: 'Gift',
+  documents: 'Documents',
+  sample: 'Commercial sample',
+  returned_goods: 'Returned goods',
+  merchandise: 'Sale of goods',
+  other: 'Other'
+};
+
+/**
+ * 读取订单商品的报关字段（订单商品上没有时使用populate的商品信息）
+ * @param {Object} orderItem - 订单商品
+ * @returns {Object} - 报关字段（description、hsCode、originCountry、weight）
+ */
+function getOrderItemCustomsFields(orderItem) {
+  const product = orderItem.product && typeof orderItem.product === 'object' ? orderItem.product : {};
+
+  return {
+    description: orderItem.customsDescription || product.customsDescription || orderItem.name || product.name || '',
+    hsCode: orderItem.hsCode || product.hsCode || '',
+    originCountry: orderItem.countryOfOrigin || orderItem.originCountry || product.countryOfOrigin || '',
+    weight: orderItem.weight ?? product.weight ?? null
+  };
+}
+
+/**
+ * 获取包裹的发件人和收件人（通过接口创建的运单使用面单上的地址）
+ * @param {Object} order - 订单
+ * @param {Object} shipping - 物流信息
+ * @returns {Object} - 发件人（shipFrom）和收件人（shipTo）
+ */
+function getShipmentParties(order, shipping) {
+  const label = shipping.label || {};
+  return {
+    shipFrom: label.shipFrom || getDefaultSender(),
+    shipTo: label.shipTo || getOrderRecipient(order)
+  };
+}
+
+/**
+ * 生成报关商品明细
+ * 包裹没有商品明细时（如旧的物流信息）视为包含整个订单
+ * @param {Object} order - 订单
+ * @param {Object} shipping - 物流信息
+ * @param {Object} options - 选项
+ * @param {Object[]} options.items - 按订单商品ID覆盖的报关字段（description、hsCode、originCountry、unitValue、weight）
+ * @param {string} options.currency - 报关币种
+ * @param {string} options.originCountry - 默认原产国
+ * @returns {Object[]} - 报关商品明细
+ */
+function buildCustomsItems(order, shipping, { items: overrides = [], currency, originCountry } = {}) {
+  const orderItems = order.orderItems || [];
+  const orderCurrency = String(order.currency || 'CNY').toUpperCase();
+
+  const packed = shipping.items && shipping.items.length > 0
+    ? shipping.items.map(item => ({
+      orderItem: orderItems.find(candidate => String(candidate._id) === String(item.orderItem)),
+      quantity: item.quantity
+    }))
+    : orderItems.map(orderItem => ({ orderItem, quantity: getOrderItemQuantity(orderItem) }));
+
+  return packed
+    .filter(entry => entry.orderItem)
+    .map(({ orderItem, quantity }) => {
+      const override = overrides.find(candidate => String(candidate.orderItem) === String(orderItem._id)) || {};
+      const fields = getOrderItemCustomsFields(orderItem);
+
+      let unitValue = Number(orderItem.price || 0);
+      if (override.unitValue !== undefined) {
+        unitValue = Number(override.unitValue);
+      } else if (currency !== orderCurrency) {
+        unitValue = convertCurrency(unitValue, orderCurrency, currency);
+        if (unitValue === null) {
+          throw httpError(400, `缺少 ${orderCurrency} 到 ${currency} 的汇率，请在报关配置中添加或直接指定商品单价`);
+        }
+      }
+      if (!Number.isFinite(unitValue) || unitValue < 0) {
+        throw httpError(400, `商品 ${fields.description || orderItem._id} 的单价必须为非负数`);
+      }
+
+      const weight = override.weight !== undefined ? override.weight : fields.weight;
+
+      unitValue = round(unitValue);
+
+      return {
+        orderItem: orderItem._id,
+        description: String(override.description ?? fields.description).trim(),
+        hsCode: String(override.hsCode ?? fields.hsCode).replace(/[.\s]/g, ''),
+        originCountry: String(override.originCountry || fields.originCountry || originCountry || '').trim().toUpperCase(),
+        quantity,
+        unitValue,
+        totalValue: round(unitValue * quantity),
+        weight: weight === null || weight === undefined || weight === '' ? null : Number(weight)
+      };
+    });
+}
+
+/**
+ * 获取适用的低价值商品税收方案（申报价值不超过上限且贸易术语适用）
+ * @param {Object} rule - 目的国家的报关规则
+ * @param {Object} customs - 报关信息
+ * @returns {Object|null} - 税收方案，不适用时返回null
+ */
+function getApplicableTaxScheme(rule, customs) {
+  const scheme = rule.taxScheme;
+  if (!scheme || !scheme.incoterms.includes(customs.incoterm)) {
+    return null;
+  }
+
+  const value = convertCurrency(customs.totalValue, customs.currency, scheme.currency);
+  return value !== null && value <= scheme.maxValue ? scheme : null;
+}
+
+/**
+ * 确定报关单据类型：邮政渠道按申报价值使用CN22或CN23，其他物流公司使用商业发票
+ * @param {string} carrier - 物流公司代码
+ * @param {Object} customs - 报关信息
+ * @returns {string} - 报关单据类型
+ */
+function getCustomsDocumentType(carrier, customs) {
+  if (!POSTAL_CARRIERS.includes(carrier)) {
+    return 'commercial_invoice';
+  }
+
+  const value = convertCurrency(customs.totalValue, customs.currency, CN22_MAX_VALUE.currency);
+  return value !== null && value <= CN22_MAX_VALUE.amount ? 'cn22' : 'cn23';
+}
+
+/**
+ * 根据订单商品生成报关信息（不校验，校验见validateCustomsDeclaration）
+ * @param {Object} order - 订单
+ * @param {Object} shipping - 物流信息（items、carrier、direction、originCountry、destinationCountry、customs）
+ * @param {Object} options - 请求参数
+ * @param {string} options.incoterm - 贸易术语（DDP、DDU），默认SHIPPING_DEFAULT_INCOTERM环境变量或DDU
+ * @param {string} options.contentType - 内件类型，默认商品（退货物流为退回商品）
+ * @param {string} options.currency - 报关币种，默认订单币种
+ * @param {Object[]} options.items - 按订单商品ID覆盖的报关字段
+ * @param {number} options.shippingCost - 运费
+ * @param {string} options.iossNumber - IOSS编号，默认SHIPPING_IOSS_NUMBER环境变量
+ * @param {string} options.vatNumber - 目的国家的增值税登记号，默认目的国家规则中env对应的环境变量
+ * @param {string} options.exporterEori - 发件人EORI编号，默认SHIPPING_EXPORTER_EORI环境变量
+ * @param {string} options.importerTaxId - 收件人税号
+ * @param {string} options.invoiceNumber - 发票号，默认沿用已有发票号或自动生成
+ * @returns {Object} - 报关信息
+ */
+function buildCustomsDeclaration(order, shipping, options = {}) {
+  const existing = shipping.customs || {};
+  const pick = field => (options[field] !== undefined ? options[field] : existing[field]);
+
+  const incoterm = String(pick('incoterm') || process.env.SHIPPING_DEFAULT_INCOTERM || 'DDU').toUpperCase();
+  if (!INCOTERMS.includes(incoterm)) {
+    throw httpError(400, `贸易术语必须为${INCOTERMS.join('、')}之一`);
+  }
+
+  const contentType = pick('contentType') || (shipping.direction === 'return' ? 'returned_goods' : 'merchandise');
+  if (!CUSTOMS_CONTENT_TYPES.includes(contentType)) {
+    throw httpError(400, `无效的内件类型: ${contentType}`);
+  }
+
+  const shippingCost = Number(pick('shippingCost') || 0);
+  if (!Number.isFinite(shippingCost) || shippingCost < 0) {
+    throw httpError(400, '运费必须为非负数');
+  }
+
+  const currency = String(pick('currency') || order.currency || 'CNY').toUpperCase();
+
+  // 未指定商品时沿用已保存的描述、HS编码、原产国和重量，单价按订单商品价格和当前币种重新计算
+  const storedItems = (existing.items || []).map(({ orderItem, description, hsCode, originCountry, weight }) => ({
+    orderItem,
+    description,
+    hsCode,
+    originCountry,
+    weight
+  }));
+  const items = buildCustomsItems(order, shipping, {
+    items: options.items || storedItems,
+    currency,
+    originCountry: shipping.originCountry || process.env.SHIPPING_ORIGIN_COUNTRY
+  });
+
+  const customs = {
+    incoterm,
+    contentType,
+    currency,
+    items,
+    totalValue: round(items.reduce((sum, item) => sum + item.totalValue, 0)),
+    shippingCost: round(shippingCost),
+    iossNumber: String(pick('iossNumber') || process.env.SHIPPING_IOSS_NUMBER || '').trim().toUpperCase(),
+    vatNumber: String(pick('vatNumber') || '').trim().toUpperCase(),
+    exporterEori: String(pick('exporterEori') || process.env.SHIPPING_EXPORTER_EORI || '').trim().toUpperCase(),
+    importerTaxId: String(pick('importerTaxId') || '').trim(),
+    invoiceNumber: pick('invoiceNumber')
+      || `CI-${String(order.orderNumber || order._id).slice(-12)}-${crypto.randomBytes(2).toString('hex').toUpperCase()}`,
+    invoiceDate: existing.invoiceDate || new Date(),
+    updatedAt: new Date()
+  };
+
+  const destinationCountry = shipping.destinationCountry || getOrderRecipient(order).country;
+  const rule = getCountryCustomsRule(destinationCountry);
+  const scheme = getApplicableTaxScheme(rule, customs);
+
+  // 未指定增值税登记号时使用目的国家规则中配置的环境变量
+  if (!customs.vatNumber && rule.taxScheme && rule.taxScheme.field === 'vatNumber' && rule.taxScheme.env) {
+    customs.vatNumber = String(process.env[rule.taxScheme.env] || '').trim().toUpperCase();
+  }
+
+  customs.taxScheme = scheme ? scheme.code : null;
+  customs.documentType = getCustomsDocumentType(shipping.carrier, customs);
+
+  return customs;
+}
+
+/**
+ * 按目的国家的报关规则校验报关信息
+ * @param {Object} customs - 报关信息
+ * @param {Object} context - 包裹信息
+ * @param {string} context.originCountry - 发货国家
+ * @param {string} context.destinationCountry - 目的国家
+ * @param {string} context.recipientPhone - 收件人电话
+ * @returns {Object} - 校验结果（errors: 必须修正的问题，warnings: 提示）
+ */
+function validateCustomsDeclaration(customs, { originCountry, destinationCountry, recipientPhone } = {}) {
+  const errors = [];
+  const warnings = [];
+  const destination = String(destinationCountry || '').toUpperCase();
+
+  if (!/^[A-Z]{2}$/.test(destination)) {
+    errors.push('缺少目的国家');
+    return { errors, warnings };
+  }
+  if (originCountry && String(originCountry).toUpperCase() === destination) {
+    errors.push('发货国家与目的国家相同，不需要报关');
+    return { errors, warnings };
+  }
+
+  const rule = getCountryCustomsRule(destination);
+
+  if (customs.items.length === 0) {
+    errors.push('没有报关商品');
+  }
+
+  customs.items.forEach((item, index) => {
+    const name = `第${index + 1}项商品${item.description ? `（${item.description}）` : ''}`;
+
+    if (!item.description) {
+      errors.push(`${name}缺少报关品名`);
+    } else if (/[^\x20-\x7E]/.test(item.description)) {
+      errors.push(`${name}的报关品名必须使用英文`);
+    } else if (VAGUE_DESCRIPTIONS.includes(item.description.toLowerCase())) {
+      errors.push(`${name}的报关品名过于笼统，需写明商品材质和用途`);
+    }
+
+    if (!item.hsCode) {
+      errors.push(`${name}缺少HS编码`);
+    } else if (!HS_CODE_PATTERN.test(item.hsCode) || item.hsCode.length < rule.hsCodeDigits) {
+      errors.push(`${name}的HS编码无效，${destination}要求至少${rule.hsCodeDigits}位数字`);
+    }
+
+    if (!/^[A-Z]{2}$/.test(item.originCountry || '')) {
+      errors.push(`${name}缺少原产国`);
+    }
+
+    if (item.unitValue <= 0 && customs.contentType !== 'documents') {
+      errors.push(`${name}的申报价值必须大于0`);
+    }
+
+    if (item.weight === null) {
+      warnings.push(`${name}缺少净重，报关单中按包裹重量填写`);
+    }
+  });
+
+  if (rule.requireRecipientPhone && !recipientPhone) {
+    errors.push(`寄往${destination}的包裹必须提供收件人电话`);
+  }
+
+  if (rule.recipientTaxId) {
+    if (!customs.importerTaxId) {
+      errors.push(`寄往${destination}的包裹必须提供收件人${rule.recipientTaxId.name}`);
+    } else if (!new RegExp(rule.recipientTaxId.pattern).test(customs.importerTaxId)) {
+      errors.push(`收件人${rule.recipientTaxId.name}格式无效`);
+    }
+  }
+
+  const scheme = rule.taxScheme;
+  if (scheme) {
+    const value = convertCurrency(customs.totalValue, customs.currency, scheme.currency);
+
+    if (value === null) {
+      warnings.push(`缺少 ${customs.currency} 到 ${scheme.currency} 的汇率，无法判断是否适用${scheme.code}`);
+    } else if (getApplicableTaxScheme(rule, customs)) {
+      const taxId = customs[scheme.field];
+      if (!taxId) {
+        errors.push(`申报价值不超过 ${scheme.maxValue} ${scheme.currency}，必须提供${scheme.name}`);
+      } else if (!new RegExp(scheme.pattern).test(taxId)) {
+        errors.push(`${scheme.name}格式无效`);
+      }
+    } else if (value > scheme.maxValue) {
+      warnings.push(`申报价值超过 ${scheme.maxValue} ${scheme.currency}，不适用${scheme.code}，进口增值税在清关时缴纳`);
+    } else if (scheme.field === 'iossNumber' && customs.incoterm === 'DDU') {
+      warnings.push(`贸易术语为DDU时不申报${scheme.name}，由收件人在清关时缴纳增值税`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * 格式化地址为文字行
+ * @param {Object} address - 地址
+ * @returns {string[]} - 地址文字行
+ */
+function formatAddressLines(address) {
+  return [
+    address.company,
+    address.name,
+    address.addressLine1,
+    address.addressLine2,
+    [address.city, address.state, address.postalCode].filter(Boolean).join(' '),
+    address.country,
+    address.phone ? `Tel: ${address.phone}` : ''
+  ].filter(Boolean);
+}
+
+/**
+ * 获取报关单上的税号行
+ * @param {Object} customs - 报关信息
+ * @returns {string[]} - 税号文字行
+ */
+function formatTaxIdLines(customs) {
+  return [
+    customs.exporterEori ? `EORI: ${customs.exporterEori}` : '',
+    customs.taxScheme === 'IOSS' && customs.iossNumber ? `IOSS: ${customs.iossNumber}` : '',
+    customs.taxScheme && customs.taxScheme !== 'IOSS' && customs.vatNumber ? `${customs.taxScheme}: ${customs.vatNumber}` : ''
+  ].filter(Boolean);
+}
+
+/**
+ * 计算报关商品的净重合计（缺少净重时使用包裹重量）
+ * @param {Object} customs - 报关信息
+ * @param {Object} shipping - 物流信息
+ * @returns {number} - 净重（公斤）
+ */
+function getTotalWeight(customs, shipping) {
+  const parcelWeight = (shipping.parcels || []).reduce((sum, parcel) => sum + parcel.weight, 0);
+  if (customs.items.some(item => item.weight === null)) {
+    return round(parcelWeight);
+  }
+  return round(customs.items.reduce((sum, item) => sum + item.weight * item.quantity, 0));
+}
+
+/**
+ * 生成商业发票文字行
+ * @param {Object} shipping - 物流信息
+ * @param {Object} order - 订单
+ * @returns {string[]} - 文字行
+ */
+function buildCommercialInvoiceLines(shipping, order) {
+  const { customs } = shipping;
+  const { shipFrom, shipTo } = getShipmentParties(order, shipping);
+  const money = value => `${value.toFixed(2)} ${customs.currency}`;
+
+  return [
+    'COMMERCIAL INVOICE',
+    '',
+    `Invoice No: ${customs.invoiceNumber}`,
+    `Invoice Date: ${new Date(customs.invoiceDate).toISOString().slice(0, 10)}`,
+    `Order Ref: ${order.orderNumber || order._id}`,
+    `Carrier / Tracking No: ${String(shipping.carrier).toUpperCase()} ${shipping.trackingNumber}`,
+    `Incoterms: ${customs.incoterm}`,
+    `Reason for Export: ${CUSTOMS_EXPORT_REASONS[customs.contentType]}`,
+    '',
+    'EXPORTER:',
+    ...formatAddressLines(shipFrom),
+    ...formatTaxIdLines(customs),
+    '',
+    'IMPORTER:',
+    ...formatAddressLines(shipTo),
+    customs.importerTaxId ? `Tax ID: ${customs.importerTaxId}` : null,
+    '',
+    'No. | Description | HS Code | Origin | Qty | Unit Value | Total Value',
+    ...customs.items.map((item, index) => [
+      index + 1,
+      item.description,
+      item.hsCode,
+      item.originCountry,
+      item.quantity,
+      money(item.unitValue),
+      money(item.totalValue)
+    ].join(' | ')),
+    '',
+    `Total Goods Value: ${money(customs.totalValue)}`,
+    `Freight: ${money(customs.shippingCost)}`,
+    `Invoice Total: ${money(customs.totalValue + customs.shippingCost)}`,
+    `Total Net Weight: ${getTotalWeight(customs, shipping)} KG`,
+    `Number of Packages: ${Math.max((shipping.parcels || []).length, 1)}`,
+    '',
+    'I declare that the information given in this invoice is true and correct.',
+    '',
+    'Signature: ______________________    Date: ______________'
+  ].filter(line => line !== null);
+}
+
+/**
+ * 生成CN22/CN23报关单文字行
+ * @param {Object} shipping - 物流信息
+ * @param {Object} order - 订单
+ * @param {string} type - 单据类型（cn22、cn23）
+ * @returns {string[]} - 文字行
+ */
+function buildCnDeclarationLines(shipping, order, type) {
+  const { customs } = shipping;
+  const { shipFrom, shipTo } = getShipmentParties(order, shipping);
+  const totalWeight = getTotalWeight(customs, shipping);
+
+  const lines = [
+    `CUSTOMS DECLARATION ${type === 'cn22' ? 'CN 22' : 'CN 23'}`,
+    'May be opened officially',
+    `Tracking No: ${shipping.trackingNumber}`,
+    ''
+  ];
+
+  if (type === 'cn23') {
+    lines.push(
+      'FROM:',
+      ...formatAddressLines(shipFrom),
+      ...formatTaxIdLines(customs),
+      '',
+      'TO:',
+      ...formatAddressLines(shipTo),
+      customs.importerTaxId ? `Importer reference (tax ID): ${customs.importerTaxId}` : null,
+      ''
+    );
+  } else {
+    lines.push(...formatTaxIdLines(customs));
+  }
+
+  lines.push(
+    'Category of item:',
+    ...CUSTOMS_CONTENT_TYPES.map(contentType => `[${contentType === customs.contentType ? 'X' : ' '}] ${CN_CATEGORIES[contentType]}`),
+    '',
+    'Qty | Description | Weight (kg) | Value | HS tariff No. | Origin',
+    ...customs.items.map(item => [
+      item.quantity,
+      item.description,
+      item.weight === null ? '-' : round(item.weight * item.quantity),
+      `${item.totalValue.toFixed(2)} ${customs.currency}`,
+      item.hsCode,
+      item.originCountry
+    ].join(' | ')),
+    '',
+    `Total weight: ${totalWeight} KG`,
+    `Total value: ${customs.totalValue.toFixed(2)} ${customs.currency}`
+  );
+
+  if (type === 'cn23') {
+    lines.push(
+      `Postal charges/Fees: ${customs.shippingCost.toFixed(2)} ${customs.currency}`,
+      `Invoice No: ${customs.invoiceNumber}`
+    );
+  }
+
+  lines.push(
+    '',
+    'I certify that the particulars given in this customs declaration are correct',
+    'and that this item does not contain any dangerous article prohibited by',
+    'legislation or by postal or customs regulations.',
+    '',
+    `Date: ${new Date().toISOString().slice(0, 10)}    Signature: ______________`
+  );
+
+  return lines.filter(line => line !== null);
+}
+
+/**
+ * 生成报关单据PDF
+ * @param {Object} shipping - 物流信息（包含报关信息）
+ * @param {Object} order - 订单
+ * @param {string} type - 单据类型，默认使用报关信息中推荐的单据类型
+ * @returns {Object} - 单据（type、data）
+ */
+function renderCustomsDocument(shipping, order, type) {
+  if (!shipping.customs) {
+    throw httpError(404, '该物流信息没有报关信息');
+  }
+
+  const documentType = type || shipping.customs.documentType;
+  if (!CUSTOMS_DOCUMENT_TYPES.includes(documentType)) {
+    throw httpError(400, `单据类型必须为${CUSTOMS_DOCUMENT_TYPES.join('、')}之一`);
+  }
+
+  if (documentType === 'commercial_invoice') {
+    return { type: documentType, data: renderTextPdf(buildCommercialInvoiceLines(shipping, order)) };
+  }
+
+  // CN22为标签尺寸（4×6英寸），CN23为A4
+  const lines = buildCnDeclarationLines(shipping, order, documentType);
+  const data = documentType === 'cn22'
+    ? renderTextPdf(lines, { width: 288, height: 432, fontSize: 7, leading: 9, margin: 14 })
+    : renderTextPdf(lines);
+
+  return { type: documentType, data };
+}
+
+module.exports = {
+  getShipmentParties,
+  buildCustomsDeclaration,
+  validateCustomsDeclaration,
+  getApplicableTaxScheme,
+  getCustomsDocumentType,
+  renderCustomsDocument
+};
@@ -0,0 +1,221 @@
+/**
+ * 送达时间预测服务
+ * 根据历史已送达物流的运输时长（发货到送达），按物流公司、线路（发货国家→目的国家）和服务等级
+ * 预测送达时间窗口和置信度。物流公司没有提供预计送达日期时使用预测结果，两者都有时一起展示。
+ *
+ * 匹配顺序（样本不足时逐级放宽）：
+ * 1. lane_service：物流公司 + 线路 + 服务等级
+ * 2. lane：物流公司 + 线路
+ * 3. destination：物流公司 + 目的国家
+ * 4. carrier：物流公司
+ *
+ * 环境变量：
+ * - SHIPPING_ETA_LOOKBACK_DAYS: 参与训练的历史记录时间范围（默认180天）
+ * - SHIPPING_ETA_MIN_SAMPLES: 每个分组至少需要的样本数（默认5）
+ */
+
+const Shipping = require('../models/Shipping');
+const { percentile, round } = require('../utils/statistics');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 模型缓存时间
+const MODEL_TTL = 60 * 60 * 1000;
+
+// 参与训练的最大记录数
+const MAX_TRAINING_RECORDS = 50000;
+
+// 匹配粒度及其置信度权重（越具体越可信）
+const BASIS_LEVELS = [
+  { basis: 'lane_service', weight: 1, key: s => [s.carrier, s.originCountry, s.destinationCountry, s.serviceLevel] },
+  { basis: 'lane', weight: 0.85, key: s => [s.carrier, s.originCountry, s.destinationCountry, '*'] },
+  { basis: 'destination', weight: 0.7, key: s => [s.carrier, '*', s.destinationCountry, '*'] },
+  { basis: 'carrier', weight: 0.5, key: s => [s.carrier, '*', '*', '*'] }
+];
+
+// 模型缓存
+const cache = {
+  model: null,
+  builtAt: 0
+};
+
+/**
+ * 生成分组键
+ * @param {string[]} parts - 分组字段
+ * @returns {string} - 分组键
+ */
+function groupKey(parts) {
+  return parts.map(part => part || '').join('|');
+}
+
+/**
+ * 从历史记录构建运输时长模型
+ * @param {Object[]} shippings - 已送达的物流（carrier、originCountry、destinationCountry、serviceLevel、shippedDate、deliveredDate）
+ * @returns {Object} - 模型（分组键 -> 运输天数列表）
+ */
+function buildTransitModel(shippings) {
+  const groups = {};
+
+  shippings.forEach(shipping => {
+    const transitDays = (new Date(shipping.deliveredDate) - new Date(shipping.shippedDate)) / DAY;
+    if (!(transitDays >= 0)) {
+      return;
+    }
+
+    BASIS_LEVELS.forEach(level => {
+      const key = groupKey(level.key(shipping));
+      (groups[key] = groups[key] || []).push(transitDays);
+    });
+  });
+
+  return { groups, sampleCount: shippings.length, builtAt: new Date() };
+}
+
+/**
+ * 获取运输时长模型（带缓存）
+ * @param {Object} options - 选项
+ * @param {boolean} options.refresh - 是否强制重新构建
+ * @returns {Promise<Object>} - 模型
+ */
+async function getTransitModel({ refresh = false } = {}) {
+  if (!refresh && cache.model && Date.now() - cache.builtAt < MODEL_TTL) {
+    return cache.model;
+  }
+
+  const lookbackDays = Number(process.env.SHIPPING_ETA_LOOKBACK_DAYS) || 180;
+  const shippings = await Shipping.find({
+    status: 'delivered',
+    // 退货物流的线路和时效与发货不同，不参与预测
+    direction: { $ne: 'return' },
+    deliveredDate: { $ne: null },
+    shippedDate: { $gte: new Date(Date.now() - lookbackDays * DAY) }
+  })
+    .select('carrier originCountry destinationCountry serviceLevel shippedDate deliveredDate')
+    .sort({ deliveredDate: -1 })
+    .limit(MAX_TRAINING_RECORDS)
+    .lean();
+
+  cache.model = buildTransitModel(shippings);
+  cache.builtAt = Date.now();
+  return cache.model;
+}
+
+/**
+ * 根据样本数、匹配粒度和离散程度计算置信度
+ * @param {number} sampleSize - 样本数
+ * @param {number} weight - 匹配粒度权重
+ * @param {number} p10 - 10%分位运输天数
+ * @param {number} p90 - 90%分位运输天数
+ * @param {number} p50 - 运输天数中位数
+ * @returns {number} - 置信度（0-1）
+ */
+function computeConfidence(sampleSize, weight, p10, p90, p50) {
+  const sampleFactor = Math.min(sampleSize / 30, 1);
+  // 时间窗口相对中位数越宽越不可信
+  const spread = p50 > 0 ? (p90 - p10) / p50 : 1;
+  const spreadFactor = 1 / (1 + spread);
+
+  return round(weight * (0.5 + 0.5 * sampleFactor) * (0.4 + 0.6 * spreadFactor), 2);
+}
+
+/**
+ * 预测送达时间
+ * @param {Object} shipping - 物流信息
+ * @param {Object} model - 运输时长模型
+ * @returns {Object|null} - 预测结果，没有足够的历史数据时返回null
+ */
+function predictDelivery(shipping, model) {
+  if (!shipping.shippedDate) {
+    return null;
+  }
+
+  const minSamples = Number(process.env.SHIPPING_ETA_MIN_SAMPLES) || 5;
+  const level = BASIS_LEVELS.find(candidate =>
+    (model.groups[groupKey(candidate.key(shipping))] || []).length >= minSamples
+  );
+
+  if (!level) {
+    return null;
+  }
+
+  const samples = model.groups[groupKey(level.key(shipping))];
+  const p10 = percentile(samples, 10);
+  const p50 = percentile(samples, 50);
+  const p90 = percentile(samples, 90);
+  const shippedAt = new Date(shipping.shippedDate).getTime();
+  const confidence = computeConfidence(samples.length, level.weight, p10, p90, p50);
+
+  return {
+    date: new Date(shippedAt + p50 * DAY),
+    earliest: new Date(shippedAt + p10 * DAY),
+    latest: new Date(shippedAt + p90 * DAY),
+    confidence,
+    confidenceLevel: confidence >= 0.7 ? 'high' : confidence >= 0.4 ? 'medium' : 'low',
+    basis: level.basis,
+    sampleSize: samples.length,
+    generatedAt: new Date()
+  };
+}
+
+/**
+ * 更新物流信息的预测送达时间（不保存，由调用方保存）
+ * @param {Object} shipping - 物流信息文档
+ * @returns {Promise<Object|null>} - 预测结果
+ */
+async function updatePredictedDelivery(shipping) {
+  const prediction = predictDelivery(shipping, await getTransitModel());
+  shipping.predictedDelivery = prediction || {
+    date: null,
+    earliest: null,
+    latest: null,
+    confidence: null,
+    confidenceLevel: null,
+    basis: null,
+    sampleSize: 0,
+    generatedAt: new Date()
+  };
+  return prediction;
+}
+
+/**
+ * 获取实际使用的预计送达日期：优先使用物流公司提供的日期，没有时使用预测日期
+ * @param {Object} shipping - 物流信息
+ * @returns {Date|null} - 预计送达日期
+ */
+function getEffectiveEta(shipping) {
+  return shipping.estimatedDeliveryDate || (shipping.predictedDelivery && shipping.predictedDelivery.date) || null;
+}
+
+/**
+ * 汇总模型中的线路运输时长（用于管理后台查看）
+ * @param {Object} model - 运输时长模型
+ * @param {number} minSamples - 最少样本数
+ * @returns {Object[]} - 线路统计
+ */
+function summarizeTransitModel(model, minSamples = 1) {
+  return Object.entries(model.groups)
+    .filter(([key, samples]) => !key.includes('*') && samples.length >= minSamples)
+    .map(([key, samples]) => {
+      const [carrier, originCountry, destinationCountry, serviceLevel] = key.split('|');
+      return {
+        carrier,
+        originCountry,
+        destinationCountry,
+        serviceLevel,
+        sampleSize: samples.length,
+        p10TransitDays: round(percentile(samples, 10)),
+        medianTransitDays: round(percentile(samples, 50)),
+        p90TransitDays: round(percentile(samples, 90))
+      };
+    })
+    .sort((a, b) => b.sampleSize - a.sampleSize);
+}
+
+module.exports = {
+  buildTransitModel,
+  getTransitModel,
+  predictDelivery,
+  updatePredictedDelivery,
+  getEffectiveEta,
+  summarizeTransitModel
+};
@@ -0,0 +1,199 @@
+/**
+ * 关税和进口税费估算服务
+ * 根据HS编码、申报价值、运费和目的国家的本地税率表（config/dutyRates.js）估算关税和进口增值税/GST：
+ * 申报价值在小额豁免额度内时免征，增值税/GST以完税价格加关税为税基；
+ * 适用IOSS等低价值商品税收方案时增值税已在销售时代收，收件人无需在清关时支付
+ */
+
+const { getCountryDutyRule, findDutyRate } = require('../config/dutyRates');
+const { convertCurrency } = require('../config/customsRules');
+const { INCOTERMS, HS_CODE_PATTERN } = require('../utils/shippingCustoms');
+const { round } = require('../utils/statistics');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * 估算关税和进口税费
+ * @param {Object} input - 估算参数
+ * @param {string} input.destinationCountry - 目的国家
+ * @param {string} input.currency - 申报价值币种
+ * @param {Object[]} input.items - 商品（description、hsCode、totalValue）
+ * @param {number} input.shippingCost - 运费
+ * @param {string} input.incoterm - 贸易术语（DDP、DDU）
+ * @param {string} input.taxScheme - 适用的低价值商品税收方案（如IOSS），不适用时为null
+ * @param {Date} now - 当前时间
+ * @returns {Object} - 估算结果（金额均为目的国家币种）
+ */
+function estimateLandedCost({ destinationCountry, currency, items, shippingCost = 0, incoterm = 'DDU', taxScheme = null }, now = new Date()) {
+  const rule = getCountryDutyRule(destinationCountry);
+  if (!rule) {
+    throw httpError(400, `没有目的国家 ${destinationCountry || '?'} 的税率表`);
+  }
+  if (!INCOTERMS.includes(incoterm)) {
+    throw httpError(400, `贸易术语必须为${INCOTERMS.join('、')}之一`);
+  }
+  if (!items || items.length === 0) {
+    throw httpError(400, '请指定商品');
+  }
+
+  const exchangeRate = convertCurrency(1, currency, rule.currency);
+  if (exchangeRate === null) {
+    throw httpError(400, `缺少 ${currency} 到 ${rule.currency} 的汇率`);
+  }
+
+  const goodsValue = items.reduce((sum, item) => sum + item.totalValue * exchangeRate, 0);
+  const freight = shippingCost * exchangeRate;
+  const includeFreight = rule.valuation === 'CIF';
+  const dutyExempt = goodsValue <= rule.dutyDeMinimis;
+  const taxExempt = goodsValue <= rule.taxDeMinimis;
+
+  const estimatedItems = items.map(item => {
+    const value = item.totalValue * exchangeRate;
+    // CIF计价时运费按商品价值比例分摊到各商品
+    const dutiable = includeFreight && goodsValue > 0 ? value + freight * value / goodsValue : value;
+    const { rate } = findDutyRate(rule, item.hsCode);
+
+    return {
+      description: item.description || '',
+      hsCode: item.hsCode || '',
+      value: round(value),
+      dutyRate: rate,
+      duty: dutyExempt ? 0 : round(dutiable * rate)
+    };
+  });
+
+  const dutiableValue = goodsValue + (includeFreight ? freight : 0);
+  const duty = round(estimatedItems.reduce((sum, item) => sum + item.duty, 0));
+  const tax = taxExempt ? 0 : round((dutiableValue + duty) * rule.taxRate);
+  const taxCollectedAtSale = Boolean(taxScheme) && tax > 0;
+  const payer = incoterm === 'DDP' ? 'sender' : 'recipient';
+
+  return {
+    currency: rule.currency,
+    exchangeRate: round(exchangeRate, 6),
+    goodsValue: round(goodsValue),
+    shippingCost: round(freight),
+    dutiableValue: round(dutiableValue),
+    dutyExempt,
+    taxExempt,
+    duty,
+    taxName: rule.taxName,
+    taxRate: rule.taxRate,
+    tax,
+    total: round(duty + tax),
+    taxCollectedAtSale,
+    payer,
+    payableOnDelivery: payer === 'sender' ? 0 : round(duty + (taxCollectedAtSale ? 0 : tax)),
+    items: estimatedItems,
+    estimatedAt: now
+  };
+}
+
+/**
+ * 根据物流信息的报关信息估算关税和进口税费
+ * @param {Object} shipping - 物流信息（customs、destinationCountry）
+ * @param {string} destinationCountry - 目的国家，默认使用物流信息的目的国家
+ * @returns {Object} - 估算结果
+ */
+function estimateShippingLandedCost(shipping, destinationCountry = shipping.destinationCountry) {
+  const { customs } = shipping;
+  if (!customs) {
+    throw httpError(400, '请先生成报关信息');
+  }
+
+  return estimateLandedCost({
+    destinationCountry,
+    currency: customs.currency,
+    items: customs.items,
+    shippingCost: customs.shippingCost,
+    incoterm: customs.incoterm,
+    taxScheme: customs.taxScheme
+  });
+}
+
+/**
+ * 保存报关信息时估算关税和进口税费，目的国家没有税率表等无法估算的情况返回提示而不是抛出错误
+ * @param {Object} shipping - 物流信息（包含报关信息）
+ * @param {string} destinationCountry - 目的国家
+ * @returns {Object} - 估算结果（landedCost，无法估算时为null）和提示（warning）
+ */
+function tryEstimateShippingLandedCost(shipping, destinationCountry) {
+  try {
+    return { landedCost: estimateShippingLandedCost(shipping, destinationCountry), warning: null };
+  } catch (error) {
+    if (!error.statusCode) {
+      throw error;
+    }
+    return { landedCost: null, warning: `无法估算关税和进口税费: ${error.message}` };
+  }
+}
+
+/**
+ * 校验临时估算请求的商品
+ * @param {Object[]} items - 商品（description、hsCode、quantity、unitValue）
+ * @returns {Object[]} - 商品（description、hsCode、totalValue）
+ */
+function normalizeEstimateItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError(400, '请指定商品');
+  }
+
+  return items.map((item, index) => {
+    const hsCode = String(item.hsCode || '').replace(/[.\s]/g, '');
+    const quantity = Number(item.quantity ?? 1);
+    const unitValue = Number(item.unitValue);
+
+    if (!HS_CODE_PATTERN.test(hsCode)) {
+      throw httpError(400, `第${index + 1}项商品的HS编码无效`);
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw httpError(400, `第${index + 1}项商品的数量必须为正整数`);
+    }
+    if (!Number.isFinite(unitValue) || unitValue < 0) {
+      throw httpError(400, `第${index + 1}项商品的单价必须为非负数`);
+    }
+
+    return {
+      description: item.description || '',
+      hsCode,
+      totalValue: unitValue * quantity
+    };
+  });
+}
+
+/**
+ * 按币种汇总多个包裹的关税和进口税费估算
+ * @param {Object[]} shipments - 物流信息列表（没有估算的包裹不参与汇总）
+ * @returns {Object[]} - 按币种汇总的估算（currency、duty、tax、total、payableOnDelivery、shipmentCount）
+ */
+function summarizeLandedCosts(shipments) {
+  const totals = new Map();
+
+  shipments
+    .filter(shipping => shipping.landedCost)
+    .forEach(({ landedCost }) => {
+      const entry = totals.get(landedCost.currency) || {
+        currency: landedCost.currency,
+        duty: 0,
+        tax: 0,
+        total: 0,
+        payableOnDelivery: 0,
+        shipmentCount: 0
+      };
+      entry.duty = round(entry.duty + landedCost.duty);
+      entry.tax = round(entry.tax + landedCost.tax);
+      entry.total = round(entry.total + landedCost.total);
+      entry.payableOnDelivery = round(entry.payableOnDelivery + landedCost.payableOnDelivery);
+      entry.shipmentCount += 1;
+      totals.set(landedCost.currency, entry);
+    });
+
+  return [...totals.values()];
+}
+
+module.exports = {
+  estimateLandedCost,
+  estimateShippingLandedCost,
+  tryEstimateShippingLandedCost,
+  normalizeEstimateItems,
+  summarizeLandedCosts
+};
@@ -0,0 +1,306 @@
+/**
+ * 外部回调推送服务
+ * 物流信息创建、状态变更、新增跟踪事件和送达时，向订阅了对应事件的外部系统推送签名的JSON数据，
+ * 失败后按指数退避重试，所有尝试记录在WebhookDelivery中
+ *
+ * 签名：请求头 X-Shipping-Signature 为 "t=<Unix时间戳>,v1=<HMAC-SHA256(密钥, 时间戳 + '.' + 请求体)>"
+ *
+ * 在应用入口中启动：
+ *   const { startWebhookDispatcher } = require('./services/merchantWebhookService');
+ *   startWebhookDispatcher();
+ *
+ * 环境变量：
+ * - SHIPPING_WEBHOOKS_ENABLED: 设为false时不推送
+ * - SHIPPING_WEBHOOK_RETRY_INTERVAL_MS: 检查待重试推送的间隔（默认1分钟）
+ */
+
+const crypto = require('crypto');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { SHIPPING_EVENTS, shippingEvents } = require('./shippingEvents');
+
+// 最多尝试次数（含第一次推送）
+const MAX_ATTEMPTS = 8;
+
+// 推送超时时间（毫秒）
+const DELIVERY_TIMEOUT = 10000;
+
+// 最长重试间隔
+const MAX_RETRY_INTERVAL = 6 * 60 * 60 * 1000;
+
+// 正在推送的记录在该时间内不会被重试任务重复领取
+const DELIVERY_LEASE = 2 * 60 * 1000;
+
+// 推送任务状态
+const state = {
+  listening: false,
+  timer: null,
+  running: false
+};
+
+/**
+ * 计算推送失败后的重试时间（1分钟起，每次翻倍，最长6小时）
+ * @param {number} attempts - 已尝试次数
+ * @param {Date} now - 当前时间
+ * @returns {Date} - 重试时间
+ */
+function computeDeliveryRetryAt(attempts, now = new Date()) {
+  const interval = Math.min(60 * 1000 * Math.pow(2, Math.max(attempts - 1, 0)), MAX_RETRY_INTERVAL);
+  return new Date(now.getTime() + interval);
+}
+
+/**
+ * 计算推送签名
+ * @param {string} secret - 签名密钥
+ * @param {number} timestamp - Unix时间戳（秒）
+ * @param {string} body - 请求体
+ * @returns {string} - 签名（十六进制）
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * 生成推送给外部系统的物流信息
+ * 不包含物流公司原始响应、公开跟踪链接令牌、面单文件内容，以及报关信息和关税估算（含税号等内部数据）
+ * @param {Object} shipping - 物流信息
+ * @returns {Object} - 物流信息
+ */
+function serializeShipping(shipping) {
+  const {
+    apiResponse,
+    publicTrackingToken,
+    customs,
+    landedCost,
+    __v,
+    ...data
+  } = shipping.toObject ? shipping.toObject() : shipping;
+
+  if (data.label) {
+    const { data: labelData, ...label } = data.label;
+    data.label = label;
+  }
+  return data;
+}
+
+/**
+ * 生成事件数据
+ * @param {string} event - 事件类型
+ * @param {Object} eventData - 物流事件总线上的事件数据
+ * @returns {Object} - 推送的JSON数据
+ */
+function buildPayload(event, { shipping, occurredAt, ...details }) {
+  return {
+    id: crypto.randomUUID(),
+    type: event,
+    createdAt: occurredAt || new Date(),
+    data: {
+      ...details,
+      shipping: serializeShipping(shipping)
+    }
+  };
+}
+
+/**
+ * 推送一次并记录结果
+ * @param {Object} delivery - 推送记录文档
+ * @returns {Promise<Object>} - 更新后的推送记录
+ */
+async function attemptDelivery(delivery) {
+  const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+  const startedAt = Date.now();
+  const attempt = { attemptedAt: new Date(startedAt) };
+
+  if (!subscription || !subscription.active) {
+    attempt.error = '订阅不存在或已停用';
+    delivery.attempts.push(attempt);
+    delivery.status = 'failed';
+    await delivery.save();
+    return delivery;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(startedAt / 1000);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), DELIVERY_TIMEOUT);
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'shipping-webhooks/1.0',
+        'X-Shipping-Event': delivery.event,
+        'X-Shipping-Event-Id': delivery.eventId,
+        'X-Shipping-Delivery': String(delivery._id),
+        'X-Shipping-Signature': `t=${timestamp},v1=${signPayload(subscription.secret, timestamp, body)}`
+      },
+      body,
+      signal: controller.signal
+    });
+
+    attempt.responseStatus = response.status;
+    attempt.responseBody = (await response.text()).slice(0, 1000);
+    if (!response.ok) {
+      attempt.error = `HTTP ${response.status} ${response.statusText}`;
+    }
+  } catch (error) {
+    attempt.error = error.name === 'AbortError' ? '推送超时' : error.message;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  delivery.attempts.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = null;
+  } else if (delivery.attempts.length >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+  } else {
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = computeDeliveryRetryAt(delivery.attempts.length);
+  }
+
+  await delivery.save();
+  return delivery;
+}
+
+/**
+ * 为订阅了该事件的所有外部系统创建推送记录并立即推送
+ * @param {string} event - 事件类型
+ * @param {Object} eventData - 物流事件总线上的事件数据
+ * @returns {Promise<Object[]>} - 推送记录
+ */
+async function dispatchShippingEvent(event, eventData) {
+  const subscriptions = await WebhookSubscription.find({ active: true, events: event });
+  if (subscriptions.length === 0) {
+    return [];
+  }
+
+  const payload = buildPayload(event, eventData);
+
+  return Promise.all(subscriptions.map(async subscription => {
+    const delivery = await WebhookDelivery.create({
+      subscription: subscription._id,
+      shipping: eventData.shipping._id,
+      event,
+      eventId: payload.id,
+      payload,
+      nextAttemptAt: new Date(Date.now() + DELIVERY_LEASE)
+    });
+    return attemptDelivery(delivery);
+  }));
+}
+
+/**
+ * 手动重新推送（创建新的推送记录，事件ID不变）
+ * @param {Object} original - 原推送记录
+ * @returns {Promise<Object>} - 新的推送记录
+ */
+async function redeliverWebhook(original) {
+  const delivery = await WebhookDelivery.create({
+    subscription: original.subscription,
+    shipping: original.shipping,
+    event: original.event,
+    eventId: original.eventId,
+    payload: original.payload,
+    redeliveryOf: original._id,
+    nextAttemptAt: new Date(Date.now() + DELIVERY_LEASE)
+  });
+
+  return attemptDelivery(delivery);
+}
+
+/**
+ * 执行一轮重试：领取到期的待推送记录并推送
+ * @returns {Promise<number>} - 本轮推送的记录数
+ */
+async function runRetryCycle() {
+  if (state.running) {
+    return 0;
+  }
+
+  state.running = true;
+  let processed = 0;
+
+  try {
+    while (true) {
+      const now = new Date();
+      // 原子领取，避免多个实例重复推送
+      const delivery = await WebhookDelivery.findOneAndUpdate(
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: new Date(now.getTime() + DELIVERY_LEASE) } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      );
+
+      if (!delivery) {
+        break;
+      }
+
+      await attemptDelivery(delivery);
+      processed += 1;
+    }
+  } catch (error) {
+    console.error('外部回调重试任务执行失败:', error);
+  } finally {
+    state.running = false;
+  }
+
+  return processed;
+}
+
+/**
+ * 启动外部回调推送：监听物流事件并定期重试失败的推送
+ * @param {Object} options - 选项
+ * @param {number} options.intervalMs - 检查待重试推送的间隔（毫秒）
+ * @returns {boolean} - 是否已启动
+ */
+function startWebhookDispatcher(options = {}) {
+  if (state.timer || process.env.SHIPPING_WEBHOOKS_ENABLED === 'false') {
+    return Boolean(state.timer);
+  }
+
+  // 事件监听只注册一次，停止后重新启动时不重复注册
+  if (!state.listening) {
+    Object.values(SHIPPING_EVENTS).forEach(event => {
+      shippingEvents.on(event, eventData => {
+        dispatchShippingEvent(event, eventData).catch(error => {
+          console.error(`外部回调推送失败 [${event}]:`, error);
+        });
+      });
+    });
+    state.listening = true;
+  }
+
+  const intervalMs = options.intervalMs || Number(process.env.SHIPPING_WEBHOOK_RETRY_INTERVAL_MS) || 60 * 1000;
+  state.timer = setInterval(runRetryCycle, intervalMs);
+  // 不阻止进程退出
+  state.timer.unref();
+
+  return true;
+}
+
+/**
+ * 停止重试任务（已注册的事件监听保留）
+ */
+function stopWebhookDispatcher() {
+  if (state.timer) {
+    clearInterval(state.timer);
+  }
+  state.timer = null;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  computeDeliveryRetryAt,
+  signPayload,
+  dispatchShippingEvent,
+  redeliverWebhook,
+  runRetryCycle,
+  startWebhookDispatcher,
+  stopWebhookDispatcher
+};
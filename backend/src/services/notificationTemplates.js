@@ -0,0 +1,126 @@
+/**
+ * 物流通知模板
+ * 按语言和通知类型定义邮件主题、邮件正文和短信内容，{{变量}}在渲染时替换为物流信息
+ */
+
+const { DEFAULT_LOCALE } = require('../utils/shippingNotification');
+
+// 邮件正文中的物流详情（各通知类型共用）
+const EMAIL_DETAILS = {
+  'zh-CN': [
+    '订单号：{{orderNumber}}',
+    '物流公司：{{carrierName}}',
+    '物流单号：{{trackingNumber}}',
+    '最新动态：{{latestEvent}}',
+    '预计送达：{{estimatedDelivery}}',
+    '',
+    '查看物流详情：{{trackingUrl}}'
+  ].join('\n'),
+  en: [
+    'Order: {{orderNumber}}',
+    'Carrier: {{carrierName}}',
+    'Tracking number: {{trackingNumber}}',
+    'Latest update: {{latestEvent}}',
+    'Estimated delivery: {{estimatedDelivery}}',
+    '',
+    'Track your parcel: {{trackingUrl}}'
+  ].join('\n')
+};
+
+// 语言 -> 通知类型 -> 模板
+const TEMPLATES = {
+  'zh-CN': {
+    shipped: {
+      subject: '您的订单 {{orderNumber}} 已发货',
+      intro: '{{customerName}}，您好！您的订单已交由{{carrierName}}配送。',
+      sms: '【物流通知】您的订单{{orderNumber}}已发货，{{carrierName}}单号{{trackingNumber}}。'
+    },
+    out_for_delivery: {
+      subject: '您的包裹正在派送中',
+      intro: '{{customerName}}，您好！您的包裹正在派送中，请保持电话畅通。',
+      sms: '【物流通知】您的包裹（{{carrierName}} {{trackingNumber}}）正在派送中，请注意查收。'
+    },
+    exception: {
+      subject: '您的包裹配送异常',
+      intro: '{{customerName}}，您好！您的包裹在配送过程中出现异常，我们正在跟进处理。',
+      sms: '【物流通知】您的包裹（{{carrierName}} {{trackingNumber}}）配送异常：{{latestEvent}}。'
+    },
+    delivered: {
+      subject: '您的包裹已送达',
+      intro: '{{customerName}}，您好！您的包裹已送达，感谢您的购买。',
+      sms: '【物流通知】您的包裹（{{carrierName}} {{trackingNumber}}）已送达。'
+    },
+    returned: {
+      subject: '您的包裹已退回',
+      intro: '{{customerName}}，您好！您的包裹已退回发件人，如有疑问请联系客服。',
+      sms: '【物流通知】您的包裹（{{carrierName}} {{trackingNumber}}）已退回，如有疑问请联系客服。'
+    }
+  },
+  en: {
+    shipped: {
+      subject: 'Your order {{orderNumber}} has shipped',
+      intro: 'Hi {{customerName}}, your order is on its way with {{carrierName}}.',
+      sms: 'Your order {{orderNumber}} has shipped with {{carrierName}}, tracking number {{trackingNumber}}.'
+    },
+    out_for_delivery: {
+      subject: 'Your parcel is out for delivery',
+      intro: 'Hi {{customerName}}, your parcel is out for delivery today.',
+      sms: 'Your parcel ({{carrierName}} {{trackingNumber}}) is out for delivery.'
+    },
+    exception: {
+      subject: 'There is a problem with your delivery',
+      intro: 'Hi {{customerName}}, there is a problem with the delivery of your parcel. We are looking into it.',
+      sms: 'Delivery problem with your parcel ({{carrierName}} {{trackingNumber}}): {{latestEvent}}.'
+    },
+    delivered: {
+      subject: 'Your parcel has been delivered',
+      intro: 'Hi {{customerName}}, your parcel has been delivered. Thank you for your order.',
+      sms: 'Your parcel ({{carrierName}} {{trackingNumber}}) has been delivered.'
+    },
+    returned: {
+      subject: 'Your parcel has been returned',
+      intro: 'Hi {{customerName}}, your parcel has been returned to the sender. Please contact us if you have any questions.',
+      sms: 'Your parcel ({{carrierName}} {{trackingNumber}}) has been returned to the sender.'
+    }
+  }
+};
+
+/**
+ * 替换模板中的变量
+ * @param {string} template - 模板
+ * @param {Object} variables - 变量
+ * @returns {string} - 渲染结果
+ */
+function interpolate(template, variables) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+    variables[name] === undefined || variables[name] === null ? '' : String(variables[name])
+  );
+}
+
+/**
+ * 渲染物流通知
+ * @param {string} type - 通知类型
+ * @param {string} locale - 语言，不支持的语言使用默认语言
+ * @param {Object} variables - 模板变量
+ * @returns {Object} - 渲染结果（subject、email、sms）
+ */
+function renderNotification(type, locale, variables) {
+  const language = TEMPLATES[locale] ? locale : DEFAULT_LOCALE;
+  const template = TEMPLATES[language][type];
+
+  if (!template) {
+    throw new Error(`未定义的物流通知类型: ${type}`);
+  }
+
+  return {
+    locale: language,
+    subject: interpolate(template.subject, variables),
+    email: interpolate(`${template.intro}\n\n${EMAIL_DETAILS[language]}`, variables),
+    sms: interpolate(template.sms, variables)
+  };
+}
+
+module.exports = {
+  TEMPLATES,
+  renderNotification
+};
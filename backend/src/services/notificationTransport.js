@@ -0,0 +1,357 @@
+/**
+ * 通知发送通道
+ * - 邮件：通过SMTP发送（SMTP_HOST、SMTP_PORT、SMTP_SECURE、SMTP_FROM、SMTP_USER、SMTP_PASS）
+ *   SMTP_SECURE=true时直接使用TLS连接（默认端口465），否则服务器支持时通过STARTTLS升级；
+ *   配置了登录账号但无法建立TLS连接时拒绝发送，不通过明文连接发送登录凭据
+ * - 短信：通过短信网关的HTTP接口发送（SMS_GATEWAY_URL、SMS_API_KEY、SMS_SENDER）
+ * 未配置时不发送，返回skipped；本地开发和测试可使用createNotificationStandIn启动本地SMTP和短信网关替身
+ */
+
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const http = require('http');
+
+// 发送超时时间（毫秒）
+const SEND_TIMEOUT = 10000;
+
+/**
+ * 读取通知通道配置
+ * @returns {Object} - 通知通道配置（smtp、sms）
+ */
+function getNotificationConfig() {
+  return {
+    smtp: process.env.SMTP_HOST ? {
+      host: process.env.SMTP_HOST,
+      secure: process.env.SMTP_SECURE === 'true',
+      port: Number(process.env.SMTP_PORT) || (process.env.SMTP_SECURE === 'true' ? 465 : 25),
+      from: process.env.SMTP_FROM || 'noreply@localhost',
+      user: process.env.SMTP_USER || '',
+      pass: process.env.SMTP_PASS || ''
+    } : null,
+    sms: process.env.SMS_GATEWAY_URL ? {
+      url: process.env.SMS_GATEWAY_URL,
+      apiKey: process.env.SMS_API_KEY || '',
+      sender: process.env.SMS_SENDER || ''
+    } : null
+  };
+}
+
+/**
+ * 对邮件头中的非ASCII文本进行编码（RFC 2047）
+ * @param {string} text - 文本
+ * @returns {string} - 编码后的文本
+ */
+function encodeHeader(text) {
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * 生成邮件内容（纯文本，正文使用Base64编码）
+ * @param {Object} message - 邮件（from、to、subject、text）
+ * @returns {string} - 邮件内容
+ */
+function buildMimeMessage({ from, to, subject, text }) {
+  const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+/**
+ * 读取SMTP响应（多行响应以“代码-”开头，最后一行为“代码 ”）
+ * @param {Object} socket - 连接
+ * @returns {Object} - 读取器（next: 读取下一个响应，detach: 停止读取）
+ */
+function createSmtpReader(socket) {
+  const responses = [];
+  let buffer = '';
+  let lines = [];
+  let waiting = null;
+
+  const onData = chunk => {
+    buffer += chunk.toString('utf8');
+
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        responses.push({ code: Number(line.slice(0, 3)), lines });
+        lines = [];
+      }
+    }
+
+    if (waiting && responses.length > 0) {
+      const resolve = waiting;
+      waiting = null;
+      resolve(responses.shift());
+    }
+  };
+
+  socket.on('data', onData);
+
+  return {
+    next: () => (responses.length > 0
+      ? Promise.resolve(responses.shift())
+      : new Promise(resolve => { waiting = resolve; })),
+    detach: () => socket.removeListener('data', onData)
+  };
+}
+
+/**
+ * 通过SMTP发送邮件
+ * @param {Object} smtp - SMTP配置
+ * @param {Object} message - 邮件（to、subject、text）
+ * @returns {Promise<void>}
+ */
+async function sendSmtpMail(smtp, message) {
+  const sockets = [];
+  let fail;
+  const failure = new Promise((resolve, reject) => { fail = reject; });
+  // 发送完成后连接的错误不再影响结果
+  failure.catch(() => {});
+
+  const watch = target => {
+    sockets.push(target);
+    target.setTimeout(SEND_TIMEOUT, () => fail(new Error('SMTP连接超时')));
+    target.on('error', fail);
+    return target;
+  };
+
+  // TLS的SNI不能使用IP地址
+  const servername = net.isIP(smtp.host) ? undefined : smtp.host;
+  let secure = smtp.secure;
+  let socket = watch(secure
+    ? tls.connect({ host: smtp.host, port: smtp.port, servername })
+    : net.createConnection({ host: smtp.host, port: smtp.port }));
+  let reader = createSmtpReader(socket);
+
+  const command = async line => {
+    if (line !== null) {
+      socket.write(`${line}\r\n`);
+    }
+    const response = await Promise.race([reader.next(), failure]);
+    if (response.code >= 400) {
+      throw new Error(`SMTP错误: ${response.lines[response.lines.length - 1]}`);
+    }
+    return response;
+  };
+
+  try {
+    await command(null);
+    const ehlo = await command(`EHLO ${os.hostname()}`);
+
+    // 服务器支持时升级为TLS连接，升级后需要重新发送EHLO
+    if (!secure && ehlo.lines.some(line => /^\d{3}[ -]STARTTLS\b/i.test(line))) {
+      await command('STARTTLS');
+      reader.detach();
+      socket = watch(tls.connect({ socket, servername }));
+      reader = createSmtpReader(socket);
+      secure = true;
+      await command(`EHLO ${os.hostname()}`);
+    }
+
+    if (smtp.user) {
+      if (!secure) {
+        throw new Error('SMTP服务器不支持STARTTLS，拒绝通过明文连接发送登录凭据（可设置SMTP_SECURE=true使用TLS端口）');
+      }
+      await command(`AUTH PLAIN ${Buffer.from(`\0${smtp.user}\0${smtp.pass}`).toString('base64')}`);
+    }
+
+    await command(`MAIL FROM:<${smtp.from}>`);
+    await command(`RCPT TO:<${message.to}>`);
+    await command('DATA');
+    await command(`${buildMimeMessage({ ...message, from: smtp.from })}\r\n.`);
+    await command('QUIT');
+  } finally {
+    sockets.forEach(target => {
+      target.setTimeout(0);
+      target.destroy();
+    });
+  }
+}
+
+/**
+ * 发送邮件
+ * @param {Object} message - 邮件（to、subject、text）
+ * @returns {Promise<Object>} - 发送结果（transport，未配置SMTP时skipped为true）
+ */
+async function sendEmail(message) {
+  const { smtp } = getNotificationConfig();
+
+  if (!smtp) {
+    return { transport: null, skipped: true, reason: '未配置SMTP' };
+  }
+
+  await sendSmtpMail(smtp, message);
+  return { transport: 'smtp' };
+}
+
+/**
+ * 发送短信
+ * @param {Object} message - 短信（to、text）
+ * @returns {Promise<Object>} - 发送结果（transport，未配置短信网关时skipped为true）
+ */
+async function sendSms(message) {
+  const { sms } = getNotificationConfig();
+
+  if (!sms) {
+    return { transport: null, skipped: true, reason: '未配置短信网关' };
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), SEND_TIMEOUT);
+
+  try {
+    const response = await fetch(sms.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(sms.apiKey ? { Authorization: `Bearer ${sms.apiKey}` } : {})
+      },
+      body: JSON.stringify({ from: sms.sender, to: message.to, text: message.text }),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`短信网关错误: ${response.status} ${response.statusText}`);
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+
+  return { transport: 'sms' };
+}
+
+/**
+ * 解析替身SMTP服务收到的邮件
+ * @param {string} raw - 邮件内容
+ * @returns {Object} - 邮件（to、subject、text、raw）
+ */
+function parseStandInMail(raw) {
+  const [head, ...rest] = raw.split('\r\n\r\n');
+  const headers = {};
+  head.split('\r\n').forEach(line => {
+    const index = line.indexOf(':');
+    if (index > 0) headers[line.slice(0, index).toLowerCase()] = line.slice(index + 1).trim();
+  });
+
+  const subject = (headers.subject || '').replace(/=\?UTF-8\?B\?([^?]+)\?=/gi, (match, encoded) =>
+    Buffer.from(encoded, 'base64').toString('utf8')
+  );
+  const body = rest.join('\r\n\r\n');
+  const text = headers['content-transfer-encoding'] === 'base64'
+    ? Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8')
+    : body;
+
+  return { to: headers.to, subject, text, raw };
+}
+
+/**
+ * 创建本地SMTP和短信网关替身，收到的邮件和短信保存在messages中
+ * 启动后将SMTP_HOST/SMTP_PORT和SMS_GATEWAY_URL指向返回的地址即可在本地测试通知
+ * @returns {Object} - 替身服务（start、stop、messages）
+ */
+function createNotificationStandIn() {
+  const messages = [];
+
+  const smtpServer = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+
+    socket.write('220 localhost stand-in SMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+
+      while (true) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end === -1) return;
+          messages.push({ channel: 'email', ...parseStandInMail(buffer.slice(0, end)), receivedAt: new Date() });
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          socket.write('250 OK\r\n');
+          continue;
+        }
+
+        const index = buffer.indexOf('\r\n');
+        if (index === -1) return;
+        const command = buffer.slice(0, index).toUpperCase();
+        buffer = buffer.slice(index + 2);
+
+        if (command.startsWith('DATA')) {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command.startsWith('QUIT')) {
+          socket.end('221 Bye\r\n');
+        } else if (command.startsWith('AUTH')) {
+          socket.write('235 Authentication successful\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+
+  const smsServer = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      try {
+        const payload = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        messages.push({ channel: 'sms', to: payload.to, text: payload.text, receivedAt: new Date() });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true }));
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, message: error.message }));
+      }
+    });
+  });
+
+  const listen = (server, port) => new Promise(resolve => {
+    server.listen(port, '127.0.0.1', () => resolve(server.address().port));
+  });
+
+  return {
+    messages,
+    /**
+     * 启动替身服务
+     * @param {Object} ports - 端口（smtpPort、smsPort），默认随机端口
+     * @returns {Promise<Object>} - 连接信息（smtpHost、smtpPort、smsGatewayUrl）
+     */
+    async start({ smtpPort = 0, smsPort = 0 } = {}) {
+      const actualSmtpPort = await listen(smtpServer, smtpPort);
+      const actualSmsPort = await listen(smsServer, smsPort);
+      return {
+        smtpHost: '127.0.0.1',
+        smtpPort: actualSmtpPort,
+        smsGatewayUrl: `http://127.0.0.1:${actualSmsPort}/sms`
+      };
+    },
+    stop() {
+      return Promise.all([
+        new Promise(resolve => smtpServer.close(resolve)),
+        new Promise(resolve => smsServer.close(resolve))
+      ]);
+    }
+  };
+}
+
+module.exports = {
+  getNotificationConfig,
+  sendEmail,
+  sendSms,
+  createNotificationStandIn
+};
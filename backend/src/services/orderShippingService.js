@@ -0,0 +1,394 @@
+/**
+ * 订单物流汇总服务
+ * 一个订单可以拆分为多个包裹（每个包裹对应一条物流信息，覆盖指定的订单商品和数量），
+ * 该模块负责分配包裹商品、创建包裹的物流信息，并根据所有包裹的状态汇总订单级物流状态。
+ * 补发包裹（replacementOf）替代原包裹，已被替代的原包裹不参与发货数量和状态汇总；
+ * 退货物流（direction为return）单独汇总退回数量
+ */
+
+const Order = require('../models/Order');
+const Shipping = require('../models/Shipping');
+const { summarizeLandedCosts, tryEstimateShippingLandedCost } = require('./landedCostService');
+const { updatePredictedDelivery } = require('./etaPredictionService');
+const { SHIPPING_EVENTS, queueShippingEvent } = require('./shippingEvents');
+const { RECEIVED_WAREHOUSE_STATUSES } = require('../utils/shippingReturn');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * 获取订单商品的数量（兼容qty和quantity字段）
+ * @param {Object} orderItem - 订单商品
+ * @returns {number} - 数量
+ */
+function getOrderItemQuantity(orderItem) {
+  return Number(orderItem.qty ?? orderItem.quantity ?? 1);
+}
+
+/**
+ * 判断是否为退货物流
+ * @param {Object} shipping - 物流信息
+ * @returns {boolean} - 是否为退货物流
+ */
+function isReturnShipment(shipping) {
+  return shipping.direction === 'return';
+}
+
+/**
+ * 获取有效的发货包裹（去掉退货物流、已取消的包裹和已被补发包裹替代的原包裹）
+ * @param {Object[]} shippings - 订单的物流信息列表
+ * @returns {Object[]} - 有效的发货包裹列表
+ */
+function getEffectiveShipments(shippings) {
+  const outbound = shippings.filter(shipping => !isReturnShipment(shipping) && shipping.status !== 'cancelled');
+  const replaced = new Set(
+    outbound
+      .filter(shipping => shipping.replacementOf)
+      .map(shipping => String(shipping.replacementOf))
+  );
+  return outbound.filter(shipping => !replaced.has(String(shipping._id)));
+}
+
+/**
+ * 统计订单中每个商品已分配到包裹的数量
+ * 旧的物流信息没有商品明细，视为覆盖整个订单
+ * @param {Object} order - 订单
+ * @param {Object[]} shippings - 订单的物流信息列表
+ * @returns {Map<string, number>} - 订单商品ID -> 已发货数量
+ */
+function countShippedQuantities(order, shippings) {
+  const orderItems = order.orderItems || [];
+  const shipped = new Map(orderItems.map(item => [String(item._id), 0]));
+
+  getEffectiveShipments(shippings).forEach(shipping => {
+    if (!shipping.items || shipping.items.length === 0) {
+      orderItems.forEach(item => shipped.set(String(item._id), getOrderItemQuantity(item)));
+      return;
+    }
+
+    shipping.items.forEach(item => {
+      const key = String(item.orderItem);
+      if (shipped.has(key)) {
+        shipped.set(key, shipped.get(key) + item.quantity);
+      }
+    });
+  });
+
+  return shipped;
+}
+
+/**
+ * 统计订单中每个商品已退回仓库的数量（退货物流已收货或已质检）
+ * @param {Object} order - 订单
+ * @param {Object[]} shippings - 订单的物流信息列表
+ * @returns {Map<string, number>} - 订单商品ID -> 已退回数量
+ */
+function countReturnedQuantities(order, shippings) {
+  const returned = new Map((order.orderItems || []).map(item => [String(item._id), 0]));
+
+  shippings
+    .filter(shipping => isReturnShipment(shipping)
+      && shipping.returnInfo
+      && RECEIVED_WAREHOUSE_STATUSES.includes(shipping.returnInfo.warehouseStatus))
+    .forEach(shipping => {
+      (shipping.items || []).forEach(item => {
+        const key = String(item.orderItem);
+        if (returned.has(key)) {
+          returned.set(key, returned.get(key) + item.quantity);
+        }
+      });
+    });
+
+  return returned;
+}
+
+/**
+ * 校验并生成包裹商品明细
+ * 未指定商品时，包裹包含订单中所有尚未发货的商品
+ * @param {Object} order - 订单
+ * @param {Object[]} requestedItems - 请求的包裹商品（orderItem为订单商品ID，quantity为数量）
+ * @param {Object[]} existingShippings - 订单已有的物流信息
+ * @returns {Object[]} - 包裹商品明细
+ */
+function buildShipmentItems(order, requestedItems, existingShippings = []) {
+  const orderItems = order.orderItems || [];
+
+  // 没有商品明细的订单（如旧订单）不做商品分配
+  if (orderItems.length === 0) {
+    return [];
+  }
+
+  const shipped = countShippedQuantities(order, existingShippings);
+  const remaining = orderItems.map(item => ({
+    item,
+    quantity: getOrderItemQuantity(item) - shipped.get(String(item._id))
+  }));
+
+  if (!requestedItems || requestedItems.length === 0) {
+    const items = remaining
+      .filter(entry => entry.quantity > 0)
+      .map(entry => toShipmentItem(entry.item, entry.quantity));
+
+    if (items.length === 0) {
+      throw httpError(400, '该订单的商品已全部发货');
+    }
+
+    return items;
+  }
+
+  const requested = new Map();
+  requestedItems.forEach(({ orderItem, quantity }) => {
+    const qty = Number(quantity);
+    if (!orderItem || !Number.isInteger(qty) || qty <= 0) {
+      throw httpError(400, '包裹商品必须包含订单商品ID和正整数数量');
+    }
+    requested.set(String(orderItem), (requested.get(String(orderItem)) || 0) + qty);
+  });
+
+  return Array.from(requested.entries()).map(([orderItemId, quantity]) => {
+    const entry = remaining.find(candidate => String(candidate.item._id) === orderItemId);
+
+    if (!entry) {
+      throw httpError(400, `订单中不存在该商品: ${orderItemId}`);
+    }
+
+    if (quantity > entry.quantity) {
+      throw httpError(400, `商品 ${entry.item.name || orderItemId} 的发货数量超过未发货数量（剩余 ${Math.max(entry.quantity, 0)}）`);
+    }
+
+    return toShipmentItem(entry.item, quantity);
+  });
+}
+
+/**
+ * 校验并生成补发包裹的商品明细
+ * 未指定商品时补发原包裹的全部商品，指定时不能超过原包裹中的数量
+ * @param {Object} original - 被替代的原物流信息
+ * @param {Object[]} requestedItems - 请求的包裹商品（orderItem为订单商品ID，quantity为数量）
+ * @returns {Object[]} - 包裹商品明细
+ */
+function buildReplacementItems(original, requestedItems) {
+  const originalItems = original.items || [];
+
+  if (!requestedItems || requestedItems.length === 0) {
+    return originalItems.map(item => ({
+      orderItem: item.orderItem,
+      product: item.product || null,
+      name: item.name || '',
+      quantity: item.quantity
+    }));
+  }
+
+  return requestedItems.map(({ orderItem, quantity }) => {
+    const qty = Number(quantity);
+    const entry = originalItems.find(item => String(item.orderItem) === String(orderItem));
+
+    if (!entry || !Number.isInteger(qty) || qty <= 0 || qty > entry.quantity) {
+      throw httpError(400, `补发商品必须是原包裹中的商品，且数量不超过原包裹数量: ${orderItem}`);
+    }
+
+    return {
+      orderItem: entry.orderItem,
+      product: entry.product || null,
+      name: entry.name || '',
+      quantity: qty
+    };
+  });
+}
+
+/**
+ * 生成包裹商品明细记录
+ * @param {Object} orderItem - 订单商品
+ * @param {number} quantity - 包裹中的数量
+ * @returns {Object} - 包裹商品明细
+ */
+function toShipmentItem(orderItem, quantity) {
+  return {
+    orderItem: orderItem._id,
+    product: orderItem.product || null,
+    name: orderItem.name || '',
+    quantity
+  };
+}
+
+/**
+ * 根据所有包裹的状态汇总订单级物流状态
+ * @param {Object} order - 订单
+ * @param {Object[]} shippings - 订单的物流信息列表
+ * @returns {string} - 订单级物流状态（见ORDER_SHIPPING_STATUSES）
+ */
+function computeOrderShippingStatus(order, shippings) {
+  // 只有已取消的包裹或退货物流时视为未发货
+  const statuses = getEffectiveShipments(shippings).map(shipping => shipping.status);
+  if (statuses.length === 0) {
+    return 'unshipped';
+  }
+
+  if (statuses.every(status => status === 'returned')) {
+    return 'returned';
+  }
+
+  if (statuses.some(status => ['exception', 'failed_attempt'].includes(status))) {
+    return 'exception';
+  }
+
+  const shipped = countShippedQuantities(order, shippings);
+  const fullyShipped = (order.orderItems || []).every(item =>
+    shipped.get(String(item._id)) >= getOrderItemQuantity(item)
+  );
+
+  if (!fullyShipped) {
+    return 'partially_shipped';
+  }
+
+  if (statuses.every(status => ['delivered', 'returned'].includes(status))) {
+    return 'delivered';
+  }
+
+  if (statuses.includes('delivered')) {
+    return 'partially_delivered';
+  }
+
+  return 'in_transit';
+}
+
+/**
+ * 汇总订单的物流信息（包裹列表、订单级状态、每个商品的发货和送达数量、关税和进口税费估算）
+ * @param {Object} order - 订单
+ * @param {Object[]} shippings - 订单的物流信息列表
+ * @returns {Object} - 订单物流汇总
+ */
+function summarizeOrderShipping(order, shippings) {
+  const shipments = shippings.filter(shipping => !isReturnShipment(shipping));
+  const returns = shippings.filter(isReturnShipment);
+  const shipped = countShippedQuantities(order, shipments);
+  const delivered = countShippedQuantities(order, shipments.filter(shipping => shipping.status === 'delivered'));
+  const returned = countReturnedQuantities(order, returns);
+
+  return {
+    order: order._id,
+    status: computeOrderShippingStatus(order, shipments),
+    shipmentCount: shipments.length,
+    items: (order.orderItems || []).map(item => ({
+      orderItem: item._id,
+      product: item.product || null,
+      name: item.name || '',
+      quantity: getOrderItemQuantity(item),
+      shippedQuantity: shipped.get(String(item._id)),
+      deliveredQuantity: delivered.get(String(item._id)),
+      returnedQuantity: returned.get(String(item._id))
+    })),
+    // 有效包裹的关税和进口税费估算（按目的国家币种汇总）
+    landedCosts: summarizeLandedCosts(getEffectiveShipments(shipments)),
+    shipments,
+    returns
+  };
+}
+
+/**
+ * 创建订单包裹的物流信息并保存（手动添加、通过接口创建运单和批量导入共用）
+ * 预测送达时间，保存后发出物流创建事件；有报关信息时估算关税和进口税费；
+ * 第一个包裹发出时将订单标记为已发货
+ * @param {Object} order - 订单文档
+ * @param {Object} data - 物流信息字段（items、carrier、carrierAccount、trackingNumber、notes等），
+ *   未指定发货和目的国家时使用默认发货地和订单收货地址
+ * @param {Object} options - 选项
+ * @param {string} options.note - 状态历史备注
+ * @param {string} options.changedBy - 操作人用户ID
+ * @returns {Promise<Object>} - 保存后的物流信息文档
+ */
+async function createOrderShipment(order, data, { note = '物流信息已创建', changedBy = null } = {}) {
+  const shipping = new Shipping({
+    ...data,
+    order: order._id,
+    carrierAccount: data.carrierAccount || 'default',
+    // 线路用于预测送达时间
+    originCountry: data.originCountry || process.env.SHIPPING_ORIGIN_COUNTRY || '',
+    destinationCountry: data.destinationCountry || (order.shippingAddress && order.shippingAddress.country) || '',
+    status: 'pending',
+    statusHistory: [
+      {
+        status: 'pending',
+        timestamp: new Date(),
+        note,
+        source: 'admin',
+        changedBy
+      }
+    ]
+  });
+
+  // 国际包裹根据报关信息估算关税和进口税费，无法估算时不影响创建物流信息
+  if (shipping.customs) {
+    shipping.landedCost = tryEstimateShippingLandedCost(shipping).landedCost;
+  }
+
+  // 根据历史送达记录预测送达时间
+  try {
+    await updatePredictedDelivery(shipping);
+  } catch (error) {
+    console.error('预测送达时间失败:', error.message);
+  }
+
+  // 保存后发出物流创建事件（发货通知等）
+  queueShippingEvent(shipping, SHIPPING_EVENTS.CREATED, { source: 'admin' });
+  await shipping.save();
+
+  // 第一个包裹发出时更新订单状态为已发货；物流信息已保存，更新失败时在下一个包裹创建时重试
+  if (!order.shippedAt) {
+    try {
+      order.status = 'shipped';
+      order.shippedAt = new Date();
+      await order.save();
+    } catch (error) {
+      console.error(`更新订单发货状态失败 [${order._id}]:`, error.message);
+    }
+  }
+
+  return shipping;
+}
+
+/**
+ * 包裹送达或离开已送达状态后（物流信息已保存）重新计算订单的送达状态：
+ * 所有包裹都送达时将订单标记为已送达，已送达的订单有包裹不再是已送达时（如强制变更）恢复为已发货
+ * @param {Object} shipping - 已保存的物流信息文档
+ * @returns {Promise<boolean>} - 订单状态是否发生变更
+ */
+async function syncOrderDeliveryStatus(shipping) {
+  // 退货物流送达的是仓库，不影响订单的送达状态
+  if (isReturnShipment(shipping)) {
+    return false;
+  }
+
+  const order = await Order.findById(shipping.order);
+  if (!order) {
+    return false;
+  }
+
+  const shippings = await Shipping.find({ order: shipping.order });
+  const delivered = computeOrderShippingStatus(order, shippings) === 'delivered';
+
+  if (delivered && order.status !== 'delivered') {
+    order.status = 'delivered';
+    order.deliveredAt = new Date();
+  } else if (!delivered && order.status === 'delivered') {
+    order.status = 'shipped';
+    order.deliveredAt = null;
+  } else {
+    return false;
+  }
+
+  await order.save();
+  return true;
+}
+
+module.exports = {
+  getOrderItemQuantity,
+  isReturnShipment,
+  getEffectiveShipments,
+  countShippedQuantities,
+  countReturnedQuantities,
+  buildShipmentItems,
+  buildReplacementItems,
+  computeOrderShippingStatus,
+  summarizeOrderShipping,
+  createOrderShipment,
+  syncOrderDeliveryStatus
+};
@@ -0,0 +1,75 @@
+/**
+ * 公开物流跟踪服务
+ * 通过不可猜测的令牌向非账号持有人（如礼品收件人）公开脱敏的物流信息：
+ * 不包含订单金额、用户ID、物流公司原始响应、备注和操作人等内部信息
+ */
+
+const crypto = require('crypto');
+const { resolveCarrier } = require('./shippingService');
+
+/**
+ * 生成公开跟踪链接令牌（32字节随机数，URL安全的Base64编码）
+ * @returns {string} - 令牌
+ */
+function generatePublicTrackingToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * 校验令牌格式，格式不正确时无需查询数据库
+ * @param {string} token - 令牌
+ * @returns {boolean} - 格式是否正确
+ */
+function isWellFormedToken(token) {
+  return typeof token === 'string' && /^[A-Za-z0-9_-]{43}$/.test(token);
+}
+
+/**
+ * 生成脱敏的物流信息
+ * @param {Object} shipping - 物流信息
+ * @returns {Object} - 公开的物流信息
+ */
+function toPublicTrackingView(shipping) {
+  const carrier = resolveCarrier(shipping.carrier);
+
+  return {
+    carrier: {
+      code: shipping.carrier,
+      name: carrier ? carrier.name : shipping.carrier
+    },
+    trackingNumber: shipping.trackingNumber,
+    status: shipping.status,
+    subStatus: shipping.subStatus || null,
+    shippedDate: shipping.shippedDate,
+    estimatedDeliveryDate: shipping.estimatedDeliveryDate,
+    predictedDelivery: shipping.predictedDelivery && shipping.predictedDelivery.date
+      ? {
+        date: shipping.predictedDelivery.date,
+        earliest: shipping.predictedDelivery.earliest,
+        latest: shipping.predictedDelivery.latest,
+        confidenceLevel: shipping.predictedDelivery.confidenceLevel
+      }
+      : null,
+    deliveredDate: shipping.deliveredDate,
+    items: (shipping.items || []).map(item => ({
+      name: item.name,
+      quantity: item.quantity
+    })),
+    trackingHistory: (shipping.trackingHistory || [])
+      .map(event => ({
+        timestamp: event.timestamp,
+        description: event.description,
+        location: event.location,
+        status: event.statusCode,
+        subStatus: event.subStatus || null
+      }))
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp)),
+    lastUpdated: shipping.lastUpdated
+  };
+}
+
+module.exports = {
+  generatePublicTrackingToken,
+  isWellFormedToken,
+  toPublicTrackingView
+};
@@ -0,0 +1,177 @@
+/**
+ * 退货物流服务
+ * 退货物流是direction为return的物流信息，关联原发货物流和订单商品，使用同一套物流公司跟踪器查询轨迹；
+ * 仓库收货后更新退货的收货状态和订单状态（全部商品退回为returned，部分退回为partially_returned）
+ */
+
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const Shipping = require('../models/Shipping');
+const { countReturnedQuantities, getOrderItemQuantity } = require('./orderShippingService');
+const { RECEIVED_WAREHOUSE_STATUSES } = require('../utils/shippingReturn');
+const { httpError } = require('../utils/httpError');
+
+/**
+ * 生成退货授权编号（RMA + 日期 + 6位随机字符）
+ * @param {Date} now - 当前时间
+ * @returns {string} - 退货授权编号
+ */
+function generateRmaNumber(now = new Date()) {
+  const date = now.toISOString().slice(0, 10).replace(/-/g, '');
+  const suffix = crypto.randomBytes(4).toString('hex').slice(0, 6).toUpperCase();
+  return `RMA${date}${suffix}`;
+}
+
+/**
+ * 校验并生成退货商品明细
+ * 未指定商品时退回原包裹中尚未退货的全部商品，指定时不能超过剩余可退数量
+ * @param {Object} original - 原发货物流信息
+ * @param {Object[]} requestedItems - 请求的退货商品（orderItem为订单商品ID，quantity为数量）
+ * @param {Object[]} existingReturns - 原包裹已有的退货物流
+ * @returns {Object[]} - 退货商品明细
+ */
+function buildReturnItems(original, requestedItems, existingReturns = []) {
+  if (original.direction === 'return') {
+    throw httpError(400, '不能为退货物流创建退货');
+  }
+  if (original.status !== 'delivered') {
+    throw httpError(409, '原包裹送达后才能创建退货');
+  }
+
+  // 旧的物流信息没有商品明细，只能整单退货一次
+  if (!original.items || original.items.length === 0) {
+    if (existingReturns.length > 0) {
+      throw httpError(409, '该包裹已有退货');
+    }
+    return [];
+  }
+
+  const remaining = new Map(original.items.map(item => [String(item.orderItem), item.quantity]));
+  existingReturns.forEach(returnShipping => {
+    (returnShipping.items || []).forEach(item => {
+      const key = String(item.orderItem);
+      if (remaining.has(key)) {
+        remaining.set(key, remaining.get(key) - item.quantity);
+      }
+    });
+  });
+
+  const toReturnItem = (item, quantity) => ({
+    orderItem: item.orderItem,
+    product: item.product || null,
+    name: item.name || '',
+    quantity
+  });
+
+  if (!requestedItems || requestedItems.length === 0) {
+    const items = original.items
+      .filter(item => remaining.get(String(item.orderItem)) > 0)
+      .map(item => toReturnItem(item, remaining.get(String(item.orderItem))));
+
+    if (items.length === 0) {
+      throw httpError(409, '该包裹的商品已全部退货');
+    }
+    return items;
+  }
+
+  return requestedItems.map(({ orderItem, quantity }) => {
+    const qty = Number(quantity);
+    const item = original.items.find(candidate => String(candidate.orderItem) === String(orderItem));
+
+    if (!item || !Number.isInteger(qty) || qty <= 0) {
+      throw httpError(400, `退货商品必须是原包裹中的商品，且数量为正整数: ${orderItem}`);
+    }
+
+    const available = remaining.get(String(orderItem));
+    if (qty > available) {
+      throw httpError(400, `商品 ${item.name || orderItem} 的退货数量超过可退数量（剩余 ${Math.max(available, 0)}）`);
+    }
+
+    return toReturnItem(item, qty);
+  });
+}
+
+/**
+ * 根据已到仓的退货更新订单状态
+ * @param {string} orderId - 订单ID
+ * @returns {Promise<Object|null>} - 更新后的订单
+ */
+async function updateOrderReturnStatus(orderId) {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    return null;
+  }
+
+  const shippings = await Shipping.find({ order: orderId, direction: 'return' });
+  const returned = countReturnedQuantities(order, shippings);
+  const orderItems = order.orderItems || [];
+  const returnedTotal = [...returned.values()].reduce((sum, quantity) => sum + quantity, 0);
+
+  // 没有商品明细的订单（整单退货）以任意退货到仓视为全部退回
+  const fullyReturned = orderItems.length > 0
+    ? orderItems.every(item => returned.get(String(item._id)) >= getOrderItemQuantity(item))
+    : shippings.some(shipping => RECEIVED_WAREHOUSE_STATUSES.includes(shipping.returnInfo.warehouseStatus));
+
+  if (fullyReturned) {
+    order.status = 'returned';
+    order.returnedAt = order.returnedAt || new Date();
+  } else if (returnedTotal > 0) {
+    order.status = 'partially_returned';
+  } else {
+    return order;
+  }
+
+  await order.save();
+  return order;
+}
+
+/**
+ * 仓库确认收到退货（不保存退货物流，由调用方保存后调用updateOrderReturnStatus）
+ * @param {Object} returnShipping - 退货物流文档
+ * @param {Object} options - 选项
+ * @param {string} options.receivedBy - 操作人用户ID
+ * @param {string} options.note - 备注
+ */
+function markReturnReceived(returnShipping, { receivedBy, note } = {}) {
+  if (returnShipping.returnInfo.warehouseStatus !== 'awaiting') {
+    throw httpError(409, '该退货已收货');
+  }
+
+  returnShipping.returnInfo.warehouseStatus = 'received';
+  returnShipping.returnInfo.receivedAt = new Date();
+  returnShipping.returnInfo.receivedBy = receivedBy || null;
+  if (note) {
+    returnShipping.notes = [returnShipping.notes, note].filter(Boolean).join('\n');
+  }
+}
+
+/**
+ * 记录退货质检结果（不保存，由调用方保存），每个退货只能质检一次
+ * @param {Object} returnShipping - 退货物流文档
+ * @param {Object} options - 选项
+ * @param {string} options.result - 质检结果（RETURN_INSPECTION_RESULTS）
+ * @param {string} options.note - 质检说明
+ * @param {string} options.inspectedBy - 操作人用户ID
+ */
+function recordReturnInspection(returnShipping, { result, note, inspectedBy } = {}) {
+  if (returnShipping.returnInfo.warehouseStatus === 'awaiting') {
+    throw httpError(409, '退货到仓后才能质检');
+  }
+  if (returnShipping.returnInfo.warehouseStatus === 'inspected') {
+    throw httpError(409, '该退货已质检');
+  }
+
+  returnShipping.returnInfo.warehouseStatus = 'inspected';
+  returnShipping.returnInfo.inspectionResult = result;
+  returnShipping.returnInfo.inspectionNote = note || '';
+  returnShipping.returnInfo.inspectedAt = new Date();
+  returnShipping.returnInfo.inspectedBy = inspectedBy || null;
+}
+
+module.exports = {
+  generateRmaNumber,
+  buildReturnItems,
+  updateOrderReturnStatus,
+  markReturnReceived,
+  recordReturnInspection
+};
@@ -0,0 +1,229 @@
+/**
+ * 运单面单服务
+ * 根据订单整理发件人、收件人和包裹信息，通过物流公司接口创建运单并获取面单；
+ * 揽收前可以作废面单，作废后物流信息变更为已取消，包裹中的商品可以重新发货
+ */
+
+const { createLabelProvider } = require('./shippingService');
+const { normalizeParcels } = require('./shippingRateService');
+const { computeDeclaredValue } = require('./shippingClaimService');
+const { transitionShipping } = require('./shippingStateMachine');
+const { LABEL_FORMATS } = require('../utils/shippingLabel');
+const { httpError } = require('../utils/httpError');
+
+// 地址字段
+const ADDRESS_FIELDS = [
+  'name', 'company', 'phone', 'email', 'addressLine1', 'addressLine2', 'city', 'state', 'postalCode', 'country'
+];
+
+// 揽收前的子状态（物流公司仅收到运单信息）
+const PRE_PICKUP_SUB_STATUSES = [null, 'info_received'];
+
+/**
+ * 获取默认发件人地址（SHIPPING_SENDER_*环境变量）
+ * @returns {Object} - 发件人地址
+ */
+function getDefaultSender() {
+  return {
+    name: process.env.SHIPPING_SENDER_NAME || '',
+    company: process.env.SHIPPING_SENDER_COMPANY || '',
+    phone: process.env.SHIPPING_SENDER_PHONE || '',
+    email: process.env.SHIPPING_SENDER_EMAIL || '',
+    addressLine1: process.env.SHIPPING_SENDER_ADDRESS_LINE1 || '',
+    addressLine2: process.env.SHIPPING_SENDER_ADDRESS_LINE2 || '',
+    city: process.env.SHIPPING_SENDER_CITY || '',
+    state: process.env.SHIPPING_SENDER_STATE || '',
+    postalCode: process.env.SHIPPING_SENDER_POSTAL_CODE || '',
+    country: process.env.SHIPPING_SENDER_COUNTRY || process.env.SHIPPING_ORIGIN_COUNTRY || ''
+  };
+}
+
+/**
+ * 根据订单收货地址生成收件人地址
+ * @param {Object} order - 订单（populate了user时使用用户姓名和邮箱作为默认值）
+ * @returns {Object} - 收件人地址
+ */
+function getOrderRecipient(order) {
+  const address = order.shippingAddress || {};
+  const user = order.user && typeof order.user === 'object' ? order.user : {};
+
+  return {
+    name: address.fullName || address.name || user.name || '',
+    phone: address.phone || '',
+    email: address.email || user.email || '',
+    addressLine1: address.address || address.addressLine1 || '',
+    addressLine2: address.addressLine2 || '',
+    city: address.city || '',
+    state: address.state || address.province || '',
+    postalCode: address.postalCode || '',
+    country: address.country || ''
+  };
+}
+
+/**
+ * 合并并校验地址
+ * @param {Object} defaults - 默认地址
+ * @param {Object} overrides - 请求中指定的地址字段
+ * @param {string} label - 地址名称，用于错误信息
+ * @returns {Object} - 地址
+ */
+function buildAddress(defaults, overrides, label) {
+  const address = {};
+
+  ADDRESS_FIELDS.forEach(field => {
+    const value = overrides && overrides[field] !== undefined ? overrides[field] : defaults[field];
+    address[field] = String(value || '').trim();
+  });
+  address.country = address.country.toUpperCase();
+
+  const missing = ['name', 'addressLine1', 'city', 'country'].filter(field => !address[field]);
+  if (missing.length > 0) {
+    throw httpError(400, `${label}缺少: ${missing.join('、')}`);
+  }
+  if (!/^[A-Z]{2}$/.test(address.country)) {
+    throw httpError(400, `${label}的国家必须为两位国家代码`);
+  }
+
+  return address;
+}
+
+/**
+ * 生成提交给物流公司的运单请求
+ * @param {Object} order - 订单
+ * @param {Object[]} items - 包裹商品明细（buildShipmentItems的返回值）
+ * @param {Object} options - 请求参数
+ * @param {Object} options.shipFrom - 发件人地址，未指定的字段使用默认发件人
+ * @param {Object} options.shipTo - 收件人地址，未指定的字段使用订单收货地址
+ * @param {Object[]} options.parcels - 包裹重量和尺寸
+ * @param {string} options.serviceLevel - 服务等级
+ * @param {string} options.labelFormat - 面单格式（pdf、zpl）
+ * @param {number} options.declaredValue - 申报价值，默认按包裹商品的订单价格计算
+ * @param {string} options.currency - 申报价值币种，默认CNY
+ * @param {string} options.description - 内件描述
+ * @returns {Object} - 运单请求（地址、包裹、商品明细、服务等级、面单格式、申报价值等）
+ */
+function buildShipmentRequest(order, items, options = {}) {
+  const labelFormat = options.labelFormat || 'pdf';
+  if (!LABEL_FORMATS.includes(labelFormat)) {
+    throw httpError(400, `无效的面单格式: ${labelFormat}`);
+  }
+
+  const declaredValue = options.declaredValue !== undefined
+    ? Number(options.declaredValue)
+    : computeDeclaredValue(order, { items });
+  if (!Number.isFinite(declaredValue) || declaredValue < 0) {
+    throw httpError(400, '申报价值必须为非负数');
+  }
+
+  return {
+    shipFrom: buildAddress(getDefaultSender(), options.shipFrom, '发件人地址'),
+    shipTo: buildAddress(getOrderRecipient(order), options.shipTo, '收件人地址'),
+    parcels: normalizeParcels(options.parcels),
+    items,
+    serviceLevel: options.serviceLevel || 'express',
+    labelFormat,
+    declaredValue,
+    currency: String(options.currency || 'CNY').toUpperCase(),
+    description: options.description || items.map(item => item.name).filter(Boolean).join(', ').slice(0, 70) || 'Merchandise',
+    reference: order.orderNumber ? String(order.orderNumber) : String(order._id),
+    shipDate: new Date()
+  };
+}
+
+/**
+ * 通过物流公司接口创建运单
+ * @param {string} carrier - 物流公司代码
+ * @param {string} account - 物流公司账号名称
+ * @param {Object} request - 运单请求
+ * @returns {Promise<Object>} - 运单（trackingNumber、carrierShipmentId、label）
+ */
+async function createCarrierShipment(carrier, account, request) {
+  const provider = createLabelProvider(carrier, { account });
+
+  if (!provider.labelFormats.includes(request.labelFormat)) {
+    throw httpError(400, `该物流公司不支持 ${request.labelFormat} 面单，可选: ${provider.labelFormats.join('、')}`);
+  }
+
+  try {
+    return await provider.createShipment(request);
+  } catch (error) {
+    throw httpError(502, error.message);
+  }
+}
+
+/**
+ * 撤销刚创建的运单（运单创建后本地保存失败时调用，避免物流公司对没有物流信息记录的面单计费）
+ * 撤销失败时只记录错误，不影响调用方返回原错误
+ * @param {string} carrier - 物流公司代码
+ * @param {string} account - 物流公司账号名称
+ * @param {Object} shipment - 物流公司返回的运单（trackingNumber、carrierShipmentId）
+ * @returns {Promise<boolean>} - 是否撤销成功
+ */
+async function cancelCarrierShipment(carrier, account, shipment) {
+  const provider = createLabelProvider(carrier, { account });
+
+  try {
+    await provider.cancelShipment({
+      carrier,
+      carrierAccount: account || 'default',
+      trackingNumber: shipment.trackingNumber,
+      label: { carrierShipmentId: shipment.carrierShipmentId || '' }
+    });
+    return true;
+  } catch (error) {
+    console.error(`撤销运单失败 [${carrier} ${shipment.trackingNumber}]:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * 作废面单并取消物流信息（不保存，由调用方保存）
+ * 只有物流公司尚未揽收（待揽收且没有揽收后的子状态）时可以作废
+ * @param {Object} shipping - 物流信息文档
+ * @param {Object} options - 选项
+ * @param {string} options.reason - 作废原因
+ * @param {string} options.voidedBy - 操作人用户ID
+ * @returns {Promise<Object>} - 作废结果（carrierConfirmed: 是否由物流公司确认）
+ */
+async function voidShipmentLabel(shipping, { reason = '', voidedBy = null } = {}) {
+  if (!shipping.label) {
+    throw httpError(400, '该物流信息没有通过接口创建的面单');
+  }
+  if (shipping.label.status === 'voided') {
+    throw httpError(409, '面单已作废');
+  }
+  if (shipping.status !== 'pending' || !PRE_PICKUP_SUB_STATUSES.includes(shipping.subStatus || null)) {
+    throw httpError(409, '包裹已揽收，不能作废面单');
+  }
+
+  const provider = createLabelProvider(shipping.carrier, { account: shipping.carrierAccount });
+
+  let result;
+  try {
+    result = await provider.cancelShipment(shipping);
+  } catch (error) {
+    throw httpError(502, error.message);
+  }
+
+  shipping.label.status = 'voided';
+  shipping.label.voidedAt = new Date();
+  shipping.label.voidedBy = voidedBy;
+  shipping.label.voidReason = reason;
+
+  await transitionShipping(shipping, 'cancelled', {
+    source: 'admin',
+    note: reason ? `面单已作废: ${reason}` : '面单已作废',
+    changedBy: voidedBy
+  });
+
+  return result;
+}
+
+module.exports = {
+  getDefaultSender,
+  getOrderRecipient,
+  buildShipmentRequest,
+  createCarrierShipment,
+  cancelCarrierShipment,
+  voidShipmentLabel
+};
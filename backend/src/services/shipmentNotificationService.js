@@ -0,0 +1,342 @@
+/**
+ * 物流通知服务
+ * 监听物流事件（发货、派送中、异常、送达、退回），按用户的通知偏好发送本地化的邮件和短信，
+ * 同一包裹的同类通知在同一渠道只发送一次；发送失败的通知由重试任务按指数退避重新发送
+ *
+ * 环境变量：
+ * - SHIPPING_NOTIFICATIONS_ENABLED: 设为false时不发送
+ * - SHIPPING_NOTIFICATION_RETRY_INTERVAL_MS: 检查待重试通知的间隔（默认1分钟）
+ */
+
+const Order = require('../models/Order');
+const NotificationPreference = require('../models/NotificationPreference');
+const ShipmentNotification = require('../models/ShipmentNotification');
+const { SHIPPING_EVENTS, shippingEvents } = require('./shippingEvents');
+const { renderNotification } = require('./notificationTemplates');
+const { sendEmail, sendSms } = require('./notificationTransport');
+const { resolveCarrier } = require('./shippingService');
+const { getEffectiveEta } = require('./etaPredictionService');
+const { NOTIFICATION_TYPES, DEFAULT_LOCALE } = require('../utils/shippingNotification');
+
+// 物流状态 -> 通知类型
+const NOTIFICATION_TYPE_BY_STATUS = {
+  out_for_delivery: 'out_for_delivery',
+  exception: 'exception',
+  delivered: 'delivered',
+  returned: 'returned'
+};
+
+// 没有偏好记录时的默认偏好
+const DEFAULT_PREFERENCE = {
+  locale: DEFAULT_LOCALE,
+  channels: { email: true, sms: false },
+  phone: '',
+  types: NOTIFICATION_TYPES
+};
+
+// 最多发送次数（含第一次发送）
+const MAX_NOTIFICATION_ATTEMPTS = 5;
+
+// 最长重试间隔
+const MAX_RETRY_INTERVAL = 6 * 60 * 60 * 1000;
+
+// 正在发送的通知在该时间内不会被重试任务重复领取
+const SEND_LEASE = 2 * 60 * 1000;
+
+// 通知任务状态
+const state = {
+  listening: false,
+  timer: null,
+  running: false
+};
+
+/**
+ * 获取用户的通知偏好（没有记录时返回默认偏好）
+ * @param {string} userId - 用户ID
+ * @returns {Promise<Object>} - 通知偏好
+ */
+async function getNotificationPreference(userId) {
+  const preference = await NotificationPreference.findOne({ user: userId });
+  return preference || { ...DEFAULT_PREFERENCE, user: userId };
+}
+
+/**
+ * 生成通知模板变量
+ * @param {Object} shipping - 物流信息
+ * @param {Object} order - 订单（已填充user）
+ * @param {string} locale - 语言
+ * @returns {Object} - 模板变量
+ */
+function buildTemplateVariables(shipping, order, locale) {
+  const carrier = resolveCarrier(shipping.carrier);
+  const [latest] = [...(shipping.trackingHistory || [])]
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  const pendingText = locale === 'en' ? 'Not available' : '暂无';
+  // 物流公司没有提供预计送达日期时使用预测日期
+  const eta = getEffectiveEta(shipping);
+
+  return {
+    customerName: order.user.name || '',
+    orderNumber: order.orderNumber || String(order._id),
+    carrierName: carrier ? carrier.name : shipping.carrier,
+    trackingNumber: shipping.trackingNumber,
+    latestEvent: latest
+      ? [latest.description, latest.location].filter(Boolean).join(' - ')
+      : pendingText,
+    estimatedDelivery: eta ? new Date(eta).toLocaleDateString(locale) : pendingText,
+    trackingUrl: `${process.env.APP_URL || ''}/orders/${order._id}`
+  };
+}
+
+/**
+ * 计算发送失败后的重试时间（1分钟起，每次翻倍，最长6小时）
+ * @param {number} attempts - 已发送次数
+ * @param {Date} now - 当前时间
+ * @returns {Date} - 重试时间
+ */
+function computeNotificationRetryAt(attempts, now = new Date()) {
+  const interval = Math.min(60 * 1000 * Math.pow(2, Math.max(attempts - 1, 0)), MAX_RETRY_INTERVAL);
+  return new Date(now.getTime() + interval);
+}
+
+/**
+ * 获取通知的去重记录（先写入再发送，已存在时跳过）
+ * 已有记录发送失败或未发送时重新领取该记录重试，已发送或正在发送时返回null
+ * @param {Object} record - 通知记录
+ * @returns {Promise<Object|null>} - 待发送的通知记录
+ */
+async function claimNotification(record) {
+  const lease = new Date(Date.now() + SEND_LEASE);
+
+  try {
+    return await ShipmentNotification.create({ ...record, nextAttemptAt: lease });
+  } catch (error) {
+    // 唯一索引冲突说明该通知已有记录
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  return ShipmentNotification.findOneAndUpdate(
+    { dedupeKey: record.dedupeKey, status: { $in: ['failed', 'skipped'] } },
+    { $set: { ...record, status: 'pending', error: '', nextAttemptAt: lease } },
+    { new: true }
+  );
+}
+
+/**
+ * 发送一次已领取的通知并记录结果
+ * 发送失败且未达到最多发送次数时安排重试；未配置发送通道时记录为未发送，不自动重试
+ * @param {Object} notification - 通知记录文档
+ * @returns {Promise<Object>} - 更新后的通知记录
+ */
+async function sendNotification(notification) {
+  const { channel, recipient, subject, body } = notification;
+  notification.attempts += 1;
+
+  try {
+    const result = channel === 'email'
+      ? await sendEmail({ to: recipient, subject, text: body })
+      : await sendSms({ to: recipient, text: body });
+
+    if (result.skipped) {
+      notification.status = 'skipped';
+      notification.error = result.reason;
+    } else {
+      notification.status = 'sent';
+      notification.error = '';
+      notification.sentAt = new Date();
+    }
+    notification.nextAttemptAt = null;
+  } catch (error) {
+    console.error(`物流通知发送失败 [${channel} ${recipient}]:`, error.message);
+    notification.status = 'failed';
+    notification.error = error.message;
+    notification.nextAttemptAt = notification.attempts < MAX_NOTIFICATION_ATTEMPTS
+      ? computeNotificationRetryAt(notification.attempts)
+      : null;
+  }
+
+  await notification.save();
+  return notification;
+}
+
+/**
+ * 通过单个渠道发送通知
+ * @param {Object} context - 发送上下文（shipping、user、type、channel、recipient、rendered）
+ * @returns {Promise<Object|null>} - 通知记录，已发送过的通知返回null
+ */
+async function deliverNotification({ shipping, user, type, channel, recipient, rendered }) {
+  const notification = await claimNotification({
+    shipping: shipping._id,
+    user: user._id,
+    type,
+    channel,
+    recipient,
+    locale: rendered.locale,
+    dedupeKey: `${shipping._id}:${type}:${channel}`,
+    subject: channel === 'email' ? rendered.subject : '',
+    body: channel === 'email' ? rendered.email : rendered.sms
+  });
+  if (!notification) {
+    return null;
+  }
+
+  return sendNotification(notification);
+}
+
+/**
+ * 执行一轮重试：领取到期的发送失败（或发送中断）的通知并按记录的内容重新发送
+ * @returns {Promise<number>} - 本轮发送的通知数
+ */
+async function runNotificationRetryCycle() {
+  if (state.running) {
+    return 0;
+  }
+
+  state.running = true;
+  let processed = 0;
+
+  try {
+    while (true) {
+      const now = new Date();
+      // 原子领取，避免多个实例重复发送
+      const notification = await ShipmentNotification.findOneAndUpdate(
+        { status: { $in: ['pending', 'failed'] }, nextAttemptAt: { $lte: now } },
+        { $set: { status: 'pending', nextAttemptAt: new Date(now.getTime() + SEND_LEASE) } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      );
+
+      if (!notification) {
+        break;
+      }
+
+      await sendNotification(notification);
+      processed += 1;
+    }
+  } catch (error) {
+    console.error('物流通知重试任务执行失败:', error);
+  } finally {
+    state.running = false;
+  }
+
+  return processed;
+}
+
+/**
+ * 发送物流通知
+ * @param {Object} shipping - 物流信息
+ * @param {string} type - 通知类型（NOTIFICATION_TYPES）
+ * @returns {Promise<Object[]>} - 本次发送的通知记录
+ */
+async function notifyShipment(shipping, type) {
+  // 退货物流由客户寄出，不发送物流通知
+  if (shipping.direction === 'return') {
+    return [];
+  }
+
+  const order = await Order.findById(shipping.order).populate('user', 'name email phone');
+  if (!order || !order.user) {
+    return [];
+  }
+
+  const preference = await getNotificationPreference(order.user._id);
+  if (!preference.types.includes(type)) {
+    return [];
+  }
+
+  const rendered = renderNotification(type, preference.locale, buildTemplateVariables(shipping, order, preference.locale));
+  const recipients = {
+    email: order.user.email,
+    sms: preference.phone || order.user.phone
+  };
+
+  const notifications = [];
+  for (const channel of ['email', 'sms']) {
+    if (!preference.channels[channel] || !recipients[channel]) {
+      continue;
+    }
+
+    const notification = await deliverNotification({
+      shipping,
+      user: order.user,
+      type,
+      channel,
+      recipient: recipients[channel],
+      rendered
+    });
+    if (notification) {
+      notifications.push(notification);
+    }
+  }
+
+  return notifications;
+}
+
+/**
+ * 处理物流事件，失败只记录日志，不影响物流信息的更新
+ * @param {Object} shipping - 物流信息
+ * @param {string} type - 通知类型
+ */
+function handleShippingEvent(shipping, type) {
+  notifyShipment(shipping, type).catch(error => {
+    console.error(`物流通知处理失败 [${shipping.carrier} ${shipping.trackingNumber}]:`, error);
+  });
+}
+
+/**
+ * 开始监听物流事件并发送通知，定期重试发送失败的通知（在应用入口调用一次）
+ * 设置环境变量 SHIPPING_NOTIFICATIONS_ENABLED=false 可关闭
+ * @param {Object} options - 选项
+ * @param {number} options.intervalMs - 检查待重试通知的间隔（毫秒）
+ * @returns {boolean} - 是否已启用
+ */
+function startShipmentNotifications(options = {}) {
+  if (state.timer || process.env.SHIPPING_NOTIFICATIONS_ENABLED === 'false') {
+    return Boolean(state.timer);
+  }
+
+  // 事件监听只注册一次，停止后重新启动时不重复注册
+  if (!state.listening) {
+    shippingEvents.on(SHIPPING_EVENTS.CREATED, ({ shipping }) => {
+      handleShippingEvent(shipping, 'shipped');
+    });
+
+    shippingEvents.on(SHIPPING_EVENTS.STATUS_CHANGED, ({ shipping, status, previousStatus }) => {
+      const type = NOTIFICATION_TYPE_BY_STATUS[status];
+      // 只在主状态变更时通知，子状态变更不重复通知
+      if (type && status !== previousStatus) {
+        handleShippingEvent(shipping, type);
+      }
+    });
+    state.listening = true;
+  }
+
+  const intervalMs = options.intervalMs || Number(process.env.SHIPPING_NOTIFICATION_RETRY_INTERVAL_MS) || 60 * 1000;
+  state.timer = setInterval(runNotificationRetryCycle, intervalMs);
+  // 不阻止进程退出
+  state.timer.unref();
+
+  return true;
+}
+
+/**
+ * 停止重试任务（已注册的事件监听保留）
+ */
+function stopShipmentNotifications() {
+  if (state.timer) {
+    clearInterval(state.timer);
+  }
+  state.timer = null;
+}
+
+module.exports = {
+  DEFAULT_PREFERENCE,
+  MAX_NOTIFICATION_ATTEMPTS,
+  computeNotificationRetryAt,
+  getNotificationPreference,
+  notifyShipment,
+  runNotificationRetryCycle,
+  startShipmentNotifications,
+  stopShipmentNotifications
+};
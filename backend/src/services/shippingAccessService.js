@@ -0,0 +1,83 @@
+/**
+ * 物流信息访问控制
+ * 普通用户只能访问自己订单的物流信息，客服和管理员可以访问所有订单；
+ * 无权访问时调用方按不存在处理（404），避免泄露订单或物流单号是否存在
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { isStaff, getUserRole } = require('../utils/roles');
+
+/**
+ * 检查用户是否可以访问订单
+ * @param {Object} user - 用户
+ * @param {Object} order - 订单
+ * @returns {boolean} - 是否可以访问
+ */
+function canAccessOrder(user, order) {
+  if (!user || !order) {
+    return false;
+  }
+  const owner = order.user && order.user._id ? order.user._id : order.user;
+  return isStaff(user) || String(owner) === String(user._id);
+}
+
+/**
+ * 查找用户可以访问的订单
+ * @param {Object} user - 用户
+ * @param {string} orderId - 订单ID
+ * @returns {Promise<Object|null>} - 订单，不存在或无权访问时返回null
+ */
+async function findAccessibleOrder(user, orderId) {
+  if (!mongoose.isValidObjectId(orderId)) {
+    return null;
+  }
+
+  const order = await Order.findById(orderId);
+  return canAccessOrder(user, order) ? order : null;
+}
+
+/**
+ * 检查用户是否可以访问物流信息（通过关联订单判断）
+ * @param {Object} user - 用户
+ * @param {Object} shipping - 物流信息
+ * @returns {Promise<boolean>} - 是否可以访问
+ */
+async function canAccessShipping(user, shipping) {
+  if (!shipping) {
+    return false;
+  }
+  if (isStaff(user)) {
+    return true;
+  }
+
+  const order = await Order.findById(shipping.order);
+  return canAccessOrder(user, order);
+}
+
+/**
+ * 检查用户是否可以管理物流信息的用户级设置（如公开跟踪链接）
+ * 客服为只读角色，不能修改
+ * @param {Object} user - 用户
+ * @param {Object} shipping - 物流信息
+ * @returns {Promise<boolean>} - 是否可以管理
+ */
+async function canManageShipping(user, shipping) {
+  const role = getUserRole(user);
+  if (!shipping || role === 'support') {
+    return false;
+  }
+  if (role === 'admin') {
+    return true;
+  }
+
+  const order = await Order.findById(shipping.order);
+  return canAccessOrder(user, order);
+}
+
+module.exports = {
+  canAccessOrder,
+  findAccessibleOrder,
+  canAccessShipping,
+  canManageShipping
+};
@@ -0,0 +1,338 @@
+/**
+ * 物流预警检测任务
+ * 定期检查未完结的物流，按物流公司的阈值识别三类情况并生成预警：
+ * - stalled：超过 stalledHours 没有新的跟踪事件
+ * - overdue：超过预计送达日期（物流公司未提供时使用预测窗口的最晚日期）overdueHours 仍未送达
+ * - customs：海关扣留（customs_hold）超过 customsHours
+ * 情况消失（收到新事件、已送达等）后预警自动解决；人工解决的预警在同一情况下不会重复生成
+ *
+ * 在应用入口中启动：
+ *   const { startAlertDetection } = require('./services/shippingAlertService');
+ *   startAlertDetection();
+ *
+ * 环境变量：
+ * - SHIPPING_ALERTS_ENABLED: 设为false时不启动检测
+ * - SHIPPING_ALERT_INTERVAL_MS: 检测间隔（默认30分钟）
+ * - SHIPPING_ALERT_OPS_EMAILS: 新增预警时通知的运营人员邮箱，逗号分隔，不设置时不通知
+ * 阈值配置见 config/carriers.js
+ */
+
+const Shipping = require('../models/Shipping');
+const ShippingAlert = require('../models/ShippingAlert');
+const { sendEmail } = require('./notificationTransport');
+const { getCarrierAlertThresholds } = require('../config/carriers');
+const { ACTIVE_STATUSES } = require('../utils/shippingStatus');
+const { ALERT_TYPES } = require('../utils/shippingAlert');
+const { round } = require('../utils/statistics');
+
+const HOUR = 60 * 60 * 1000;
+
+// 预警类型名称（用于通知内容）
+const ALERT_TYPE_NAMES = {
+  stalled: '物流停滞',
+  overdue: '超时未送达',
+  customs: '海关扣留'
+};
+
+// 检测任务状态
+const state = {
+  enabled: false,
+  running: false,
+  timer: null,
+  intervalMs: null,
+  startedAt: null,
+  lastRunStartedAt: null,
+  lastRunFinishedAt: null,
+  lastRun: null,
+  lastError: null
+};
+
+/**
+ * 获取最后一次跟踪活动的时间
+ * @param {Object} shipping - 物流信息
+ * @returns {Date|null} - 最后一次跟踪事件时间，没有事件时为发货时间
+ */
+function getLastActivityAt(shipping) {
+  const timestamps = (shipping.trackingHistory || [])
+    .map(event => new Date(event.timestamp).getTime())
+    .filter(time => !Number.isNaN(time));
+
+  if (timestamps.length > 0) {
+    return new Date(Math.max(...timestamps));
+  }
+  return shipping.shippedDate || shipping.createdAt || null;
+}
+
+/**
+ * 获取开始海关扣留的时间
+ * @param {Object} shipping - 物流信息
+ * @returns {Date|null} - 开始扣留时间，未扣留时返回null
+ */
+function getCustomsHoldSince(shipping) {
+  if (shipping.subStatus !== 'customs_hold') {
+    return null;
+  }
+
+  const history = [...(shipping.statusHistory || [])]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  // 从最近一条记录往前找到连续扣留的第一条
+  let since = null;
+  for (let index = history.length - 1; index >= 0 && history[index].subStatus === 'customs_hold'; index -= 1) {
+    since = history[index].timestamp;
+  }
+
+  return since || shipping.lastUpdated || null;
+}
+
+/**
+ * 检测单个物流需要的预警
+ * @param {Object} shipping - 物流信息
+ * @param {Object} thresholds - 预警阈值（stalledHours、overdueHours、customsHours）
+ * @param {Date} now - 当前时间
+ * @returns {Object[]} - 预警（type、anchorAt、elapsedHours、thresholdHours、message）
+ */
+function detectShippingAlerts(shipping, thresholds, now = new Date()) {
+  if (!ACTIVE_STATUSES.includes(shipping.status)) {
+    return [];
+  }
+
+  const candidates = [
+    {
+      type: 'stalled',
+      anchorAt: getLastActivityAt(shipping),
+      thresholdHours: thresholds.stalledHours,
+      describe: hours => `${hours}小时没有新的跟踪事件`
+    },
+    {
+      type: 'overdue',
+      anchorAt: shipping.estimatedDeliveryDate || (shipping.predictedDelivery && shipping.predictedDelivery.latest),
+      thresholdHours: thresholds.overdueHours,
+      describe: hours => `已超过预计送达日期${hours}小时`
+    },
+    {
+      type: 'customs',
+      anchorAt: getCustomsHoldSince(shipping),
+      thresholdHours: thresholds.customsHours,
+      describe: hours => `海关扣留已${hours}小时`
+    }
+  ];
+
+  return candidates
+    .filter(candidate => candidate.anchorAt)
+    .map(candidate => {
+      const elapsedHours = round((now - new Date(candidate.anchorAt)) / HOUR, 1);
+      return {
+        type: candidate.type,
+        anchorAt: new Date(candidate.anchorAt),
+        elapsedHours,
+        thresholdHours: candidate.thresholdHours,
+        message: candidate.describe(elapsedHours)
+      };
+    })
+    .filter(alert => alert.elapsedHours > alert.thresholdHours);
+}
+
+/**
+ * 通知运营人员新增的预警（未配置邮箱时跳过）
+ * @param {Object[]} alerts - 新增的预警
+ * @returns {Promise<void>}
+ */
+async function notifyOps(alerts) {
+  const recipients = (process.env.SHIPPING_ALERT_OPS_EMAILS || '')
+    .split(',')
+    .map(email => email.trim())
+    .filter(Boolean);
+
+  if (alerts.length === 0 || recipients.length === 0) {
+    return;
+  }
+
+  const lines = alerts.map(alert =>
+    `[${ALERT_TYPE_NAMES[alert.type]}] ${alert.carrier} ${alert.trackingNumber}: ${alert.message}`
+  );
+  const message = {
+    subject: `物流预警：新增${alerts.length}条`,
+    text: [...lines, '', `${process.env.APP_URL || ''}/admin/shipping/alerts`].join('\n')
+  };
+
+  for (const to of recipients) {
+    try {
+      await sendEmail({ ...message, to });
+    } catch (error) {
+      console.error(`物流预警通知发送失败 [${to}]:`, error.message);
+    }
+  }
+
+  await ShippingAlert.updateMany(
+    { _id: { $in: alerts.map(alert => alert._id) } },
+    { $set: { notifiedAt: new Date() } }
+  );
+}
+
+/**
+ * 执行一轮检测：生成新预警、更新仍存在的预警、自动解决已消失的预警
+ * @returns {Promise<Object>} - 本轮统计
+ */
+async function runAlertDetection() {
+  if (state.running) {
+    return null;
+  }
+
+  state.running = true;
+  state.lastRunStartedAt = new Date();
+  const now = state.lastRunStartedAt;
+  const stats = { checked: 0, opened: 0, updated: 0, resolved: 0 };
+  const opened = [];
+
+  try {
+    // 未解决的预警，检测后剩下的即为情况已消失的预警
+    const remaining = new Map();
+    (await ShippingAlert.find({ active: true })).forEach(alert => {
+      remaining.set(`${alert.shipping}:${alert.type}`, alert);
+    });
+
+    const cursor = Shipping.find({ status: { $in: ACTIVE_STATUSES } })
+      .select('order carrier trackingNumber status subStatus shippedDate estimatedDeliveryDate predictedDelivery trackingHistory.timestamp statusHistory.subStatus statusHistory.timestamp lastUpdated createdAt')
+      .lean()
+      .cursor();
+
+    for await (const shipping of cursor) {
+      stats.checked += 1;
+      const detected = detectShippingAlerts(shipping, getCarrierAlertThresholds(shipping.carrier), now);
+
+      for (const match of detected) {
+        const key = `${shipping._id}:${match.type}`;
+        const existing = remaining.get(key);
+        const { type, ...details } = match;
+
+        if (existing) {
+          remaining.delete(key);
+          Object.assign(existing, details, { lastDetectedAt: now });
+          await existing.save();
+          stats.updated += 1;
+          continue;
+        }
+
+        // 同一情况已人工解决过的不再重复预警
+        if (await ShippingAlert.exists({ shipping: shipping._id, type, anchorAt: match.anchorAt })) {
+          continue;
+        }
+
+        try {
+          const alert = await ShippingAlert.create({
+            shipping: shipping._id,
+            order: shipping.order,
+            carrier: shipping.carrier,
+            trackingNumber: shipping.trackingNumber,
+            type,
+            ...details,
+            detectedAt: now,
+            lastDetectedAt: now
+          });
+          opened.push(alert);
+          stats.opened += 1;
+        } catch (error) {
+          // 其他实例已生成同一预警
+          if (error.code !== 11000) {
+            throw error;
+          }
+        }
+      }
+    }
+
+    for (const alert of remaining.values()) {
+      alert.status = 'resolved';
+      alert.active = false;
+      alert.autoResolved = true;
+      alert.resolvedAt = now;
+      await alert.save();
+      stats.resolved += 1;
+    }
+
+    await notifyOps(opened);
+    state.lastError = null;
+  } catch (error) {
+    console.error('物流预警检测任务执行失败:', error);
+    state.lastError = { message: error.message, at: new Date() };
+  } finally {
+    state.running = false;
+    state.lastRunFinishedAt = new Date();
+    state.lastRun = stats;
+  }
+
+  return stats;
+}
+
+/**
+ * 启动预警检测任务
+ * @param {Object} options - 选项
+ * @param {number} options.intervalMs - 检测间隔（毫秒）
+ * @returns {boolean} - 是否已启动
+ */
+function startAlertDetection(options = {}) {
+  if (state.timer || process.env.SHIPPING_ALERTS_ENABLED === 'false') {
+    return Boolean(state.timer);
+  }
+
+  state.intervalMs = options.intervalMs || Number(process.env.SHIPPING_ALERT_INTERVAL_MS) || 30 * 60 * 1000;
+  state.enabled = true;
+  state.startedAt = new Date();
+
+  state.timer = setInterval(runAlertDetection, state.intervalMs);
+  // 不阻止进程退出
+  state.timer.unref();
+
+  return true;
+}
+
+/**
+ * 停止预警检测任务
+ */
+function stopAlertDetection() {
+  if (state.timer) {
+    clearInterval(state.timer);
+  }
+
+  state.timer = null;
+  state.enabled = false;
+}
+
+/**
+ * 获取预警检测任务状态和未解决预警数量
+ * @returns {Promise<Object>} - 任务状态
+ */
+async function getAlertDetectionStatus() {
+  const counts = await ShippingAlert.aggregate([
+    { $match: { active: true } },
+    { $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } }
+  ]);
+
+  const activeAlerts = {};
+  ALERT_TYPES.forEach(type => {
+    activeAlerts[type] = { open: 0, acknowledged: 0 };
+  });
+  counts.forEach(({ _id, count }) => {
+    activeAlerts[_id.type][_id.status] = count;
+  });
+
+  return {
+    enabled: state.enabled,
+    running: state.running,
+    intervalMs: state.intervalMs,
+    startedAt: state.startedAt,
+    lastRunStartedAt: state.lastRunStartedAt,
+    lastRunFinishedAt: state.lastRunFinishedAt,
+    lastRun: state.lastRun,
+    lastError: state.lastError,
+    activeAlerts
+  };
+}
+
+module.exports = {
+  detectShippingAlerts,
+  runAlertDetection,
+  startAlertDetection,
+  stopAlertDetection,
+  getAlertDetectionStatus
+};
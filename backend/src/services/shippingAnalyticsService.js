@@ -0,0 +1,334 @@
+/**
+ * 物流时效分析服务
+ * 按发货日期选取统计范围内的发货物流（不含退货物流），计算运输时长（平均、中位数、90%分位）、准时率、异常率，
+ * 以及根据状态历史计算的各状态停留时长，支持按天、周、月汇总
+ *
+ * 指标口径：
+ * - 运输时长：已送达物流的发货日期到送达日期（天）
+ * - 准时率：有预计送达日期的已送达物流中，在预计送达日期当天（UTC）结束前送达的比例
+ * - 异常率：统计范围内进入过异常状态（exception）的物流比例
+ * - 状态停留时长：状态历史中相邻两次变更的间隔（小时），未完结物流的当前状态计算到现在
+ */
+
+const Shipping = require('../models/Shipping');
+const { TERMINAL_STATUSES } = require('../utils/shippingStatus');
+const { percentile, mean, round } = require('../utils/statistics');
+const { httpError } = require('../utils/httpError');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// 汇总粒度
+const GRANULARITIES = ['day', 'week', 'month'];
+
+// 运输时长分组方式
+const TRANSIT_GROUP_BY = ['carrier', 'lane'];
+
+// 默认统计最近30天，最长366天
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+// 单次统计的最大物流数（超过时返回truncated）
+const MAX_ANALYTICS_RECORDS = 100000;
+
+/**
+ * 解析统计参数
+ * @param {Object} query - 查询参数（from、to、granularity、carrier、originCountry、destinationCountry、serviceLevel）
+ * @returns {Object} - 统计参数（from、to、granularity、filters）
+ */
+function parseAnalyticsQuery(query = {}) {
+  const to = query.to ? new Date(query.to) : new Date();
+  // 只有日期时包含结束日期当天
+  if (/^\d{4}-\d{2}-\d{2}$/.test(query.to || '')) {
+    to.setTime(to.getTime() + DAY - 1);
+  }
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY);
+
+  if (Number.isNaN(to.getTime()) || Number.isNaN(from.getTime())) {
+    throw httpError(400, '无效的日期范围');
+  }
+  if (from > to) {
+    throw httpError(400, '开始日期不能晚于结束日期');
+  }
+  if (to - from > MAX_RANGE_DAYS * DAY) {
+    throw httpError(400, `统计范围不能超过${MAX_RANGE_DAYS}天`);
+  }
+
+  const granularity = query.granularity || 'day';
+  if (!GRANULARITIES.includes(granularity)) {
+    throw httpError(400, `无效的汇总粒度: ${granularity}`);
+  }
+
+  const filters = {};
+  if (query.carrier) filters.carrier = String(query.carrier).toLowerCase();
+  if (query.originCountry) filters.originCountry = String(query.originCountry).toUpperCase();
+  if (query.destinationCountry) filters.destinationCountry = String(query.destinationCountry).toUpperCase();
+  if (query.serviceLevel) filters.serviceLevel = String(query.serviceLevel).toLowerCase();
+
+  return { from, to, granularity, filters };
+}
+
+/**
+ * 查询统计范围内的物流（状态历史只读取状态和时间）
+ * 超过MAX_ANALYTICS_RECORDS时只统计发货日期最早的部分物流，返回truncated和统计范围内的物流总数
+ * @param {Object} params - 统计参数（parseAnalyticsQuery的返回值）
+ * @returns {Promise<Object>} - 物流列表（shippings）、物流总数（total）和是否只统计了部分物流（truncated）
+ */
+async function loadAnalyticsShippings({ from, to, filters }) {
+  const query = {
+    ...filters,
+    direction: { $ne: 'return' },
+    // 揽收前取消的包裹没有实际运输
+    status: { $ne: 'cancelled' },
+    shippedDate: { $gte: from, $lte: to }
+  };
+
+  const shippings = await Shipping.find(query)
+    .select('carrier originCountry destinationCountry serviceLevel status shippedDate estimatedDeliveryDate deliveredDate statusHistory.status statusHistory.timestamp')
+    .sort({ shippedDate: 1 })
+    .limit(MAX_ANALYTICS_RECORDS)
+    .lean();
+
+  const total = shippings.length < MAX_ANALYTICS_RECORDS ? shippings.length : await Shipping.countDocuments(query);
+
+  return {
+    shippings,
+    total,
+    truncated: total > shippings.length
+  };
+}
+
+/**
+ * 计算时间所在的汇总周期
+ * @param {Date} date - 时间
+ * @param {string} granularity - 汇总粒度（day、week、month）
+ * @returns {string} - 周期（天和周为开始日期 YYYY-MM-DD，周从周一开始；月为 YYYY-MM）
+ */
+function getPeriodKey(date, granularity) {
+  const value = new Date(date);
+
+  if (granularity === 'month') {
+    return value.toISOString().slice(0, 7);
+  }
+
+  if (granularity === 'week') {
+    const offset = (value.getUTCDay() + 6) % 7;
+    value.setUTCDate(value.getUTCDate() - offset);
+  }
+
+  return value.toISOString().slice(0, 10);
+}
+
+/**
+ * 计算运输天数
+ * @param {Object} shipping - 物流信息
+ * @returns {number|null} - 运输天数，未送达时返回null
+ */
+function getTransitDays(shipping) {
+  if (shipping.status !== 'delivered' || !shipping.deliveredDate || !shipping.shippedDate) {
+    return null;
+  }
+  const days = (new Date(shipping.deliveredDate) - new Date(shipping.shippedDate)) / DAY;
+  return days >= 0 ? days : null;
+}
+
+/**
+ * 判断是否准时送达
+ * @param {Object} shipping - 物流信息
+ * @returns {boolean|null} - 是否准时，未送达或没有预计送达日期时返回null
+ */
+function isOnTime(shipping) {
+  if (getTransitDays(shipping) === null || !shipping.estimatedDeliveryDate) {
+    return null;
+  }
+  const deadline = new Date(shipping.estimatedDeliveryDate);
+  deadline.setUTCHours(0, 0, 0, 0);
+  return new Date(shipping.deliveredDate) < new Date(deadline.getTime() + DAY);
+}
+
+/**
+ * 判断是否进入过异常状态
+ * @param {Object} shipping - 物流信息
+ * @returns {boolean} - 是否进入过异常状态
+ */
+function hadException(shipping) {
+  return shipping.status === 'exception'
+    || (shipping.statusHistory || []).some(entry => entry.status === 'exception');
+}
+
+/**
+ * 汇总运输时长
+ * @param {number[]} values - 运输天数列表
+ * @returns {Object} - 运输时长统计（天）
+ */
+function summarizeDurations(values) {
+  return {
+    average: round(mean(values)),
+    median: round(percentile(values, 50)),
+    p90: round(percentile(values, 90))
+  };
+}
+
+/**
+ * 计算一组物流的时效指标
+ * @param {Object[]} shippings - 物流列表
+ * @returns {Object} - 时效指标
+ */
+function computePerformance(shippings) {
+  const transitDays = [];
+  let onTimeCount = 0;
+  let onTimeEvaluated = 0;
+  let exceptionCount = 0;
+
+  shippings.forEach(shipping => {
+    const days = getTransitDays(shipping);
+    if (days !== null) {
+      transitDays.push(days);
+    }
+
+    const onTime = isOnTime(shipping);
+    if (onTime !== null) {
+      onTimeEvaluated += 1;
+      if (onTime) onTimeCount += 1;
+    }
+
+    if (hadException(shipping)) {
+      exceptionCount += 1;
+    }
+  });
+
+  return {
+    shipped: shippings.length,
+    delivered: transitDays.length,
+    transitDays: summarizeDurations(transitDays),
+    onTime: onTimeCount,
+    onTimeEvaluated,
+    onTimeRate: onTimeEvaluated > 0 ? round(onTimeCount / onTimeEvaluated, 4) : null,
+    exceptions: exceptionCount,
+    exceptionRate: shippings.length > 0 ? round(exceptionCount / shippings.length, 4) : null
+  };
+}
+
+/**
+ * 按指定方式分组
+ * @param {Object[]} shippings - 物流列表
+ * @param {Function} keyOf - 分组键函数
+ * @returns {Map<string, Object[]>} - 分组结果
+ */
+function groupShippings(shippings, keyOf) {
+  const groups = new Map();
+  shippings.forEach(shipping => {
+    const key = keyOf(shipping);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(shipping);
+  });
+  return groups;
+}
+
+/**
+ * 按物流公司或线路统计运输时长
+ * @param {Object[]} shippings - 物流列表
+ * @param {string} groupBy - 分组方式（carrier、lane）
+ * @returns {Object[]} - 分组统计
+ */
+function computeTransitAnalytics(shippings, groupBy = 'carrier') {
+  const keyOf = groupBy === 'lane'
+    ? shipping => [shipping.carrier, shipping.originCountry || '', shipping.destinationCountry || ''].join('|')
+    : shipping => shipping.carrier;
+
+  return [...groupShippings(shippings, keyOf).entries()]
+    .map(([key, group]) => {
+      const performance = computePerformance(group);
+      const [carrier, originCountry, destinationCountry] = key.split('|');
+
+      return {
+        carrier,
+        ...(groupBy === 'lane' ? { originCountry, destinationCountry } : {}),
+        shipped: performance.shipped,
+        delivered: performance.delivered,
+        transitDays: performance.transitDays,
+        onTimeRate: performance.onTimeRate,
+        exceptionRate: performance.exceptionRate
+      };
+    })
+    .sort((a, b) => b.shipped - a.shipped);
+}
+
+/**
+ * 按周期统计时效指标
+ * @param {Object[]} shippings - 物流列表
+ * @param {string} granularity - 汇总粒度
+ * @returns {Object[]} - 各周期的时效指标（按周期排序）
+ */
+function computePerformanceSeries(shippings, granularity) {
+  return [...groupShippings(shippings, shipping => getPeriodKey(shipping.shippedDate, granularity)).entries()]
+    .map(([period, group]) => ({ period, ...computePerformance(group) }))
+    .sort((a, b) => a.period.localeCompare(b.period));
+}
+
+/**
+ * 根据状态历史计算各状态的停留时长
+ * @param {Object[]} shippings - 物流列表
+ * @param {Date} now - 当前时间（未完结物流的当前状态计算到该时间）
+ * @returns {Object[]} - 各状态的停留时长统计（小时）
+ */
+function computeStatusDurations(shippings, now = new Date()) {
+  const durations = {};
+
+  shippings.forEach(shipping => {
+    const history = [...(shipping.statusHistory || [])]
+      .filter(entry => entry.timestamp)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    history.forEach((entry, index) => {
+      const next = history[index + 1];
+      // 只有子状态变化的记录不结束当前状态
+      if (next && next.status === entry.status) {
+        return;
+      }
+
+      // 找到进入该状态的时间（跳过同一状态下的子状态变更记录）
+      let start = index;
+      while (start > 0 && history[start - 1].status === entry.status) {
+        start -= 1;
+      }
+
+      let end;
+      if (next) {
+        end = new Date(next.timestamp);
+      } else if (!TERMINAL_STATUSES.includes(entry.status)) {
+        end = now;
+      } else {
+        return;
+      }
+
+      const hours = (end - new Date(history[start].timestamp)) / HOUR;
+      if (hours >= 0) {
+        (durations[entry.status] = durations[entry.status] || []).push(hours);
+      }
+    });
+  });
+
+  return Object.entries(durations)
+    .map(([status, values]) => ({
+      status,
+      count: values.length,
+      hours: summarizeDurations(values)
+    }))
+    .sort((a, b) => b.count - a.count);
+}
+
+module.exports = {
+  MAX_ANALYTICS_RECORDS,
+  GRANULARITIES,
+  TRANSIT_GROUP_BY,
+  parseAnalyticsQuery,
+  loadAnalyticsShippings,
+  getPeriodKey,
+  computePerformance,
+  computeTransitAnalytics,
+  computePerformanceSeries,
+  computeStatusDurations
+};
@@ -0,0 +1,125 @@
+/**
+ * 物流异常工单服务
+ * 按工单类型计算处理时限（首次响应、解决），并处理补发包裹与工单的关联
+ */
+
+const mongoose = require('mongoose');
+const Shipping = require('../models/Shipping');
+const { ACTIVE_CASE_STATUSES, CASE_SLA_HOURS } = require('../utils/shippingCase');
+const { httpError } = require('../utils/httpError');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * 计算工单的处理截止时间
+ * @param {string} type - 工单类型
+ * @param {Date} openedAt - 创建时间
+ * @returns {Object} - 截止时间（responseDueAt、resolutionDueAt）
+ */
+function computeCaseDueDates(type, openedAt = new Date()) {
+  const hours = CASE_SLA_HOURS[type];
+  return {
+    responseDueAt: new Date(openedAt.getTime() + hours.response * HOUR),
+    resolutionDueAt: new Date(openedAt.getTime() + hours.resolution * HOUR)
+  };
+}
+
+/**
+ * 计算单个处理时限的状态
+ * @param {Date} dueAt - 截止时间
+ * @param {Date|null} completedAt - 完成时间
+ * @param {Date} now - 当前时间
+ * @returns {Object} - 时限状态（dueAt、completedAt、breached、remainingHours）
+ */
+function describeTimer(dueAt, completedAt, now) {
+  const end = completedAt ? new Date(completedAt) : now;
+  return {
+    dueAt,
+    completedAt: completedAt || null,
+    breached: end > new Date(dueAt),
+    // 已完成的时限不再计算剩余时间
+    remainingHours: completedAt ? null : Math.round((new Date(dueAt) - now) / HOUR * 10) / 10
+  };
+}
+
+/**
+ * 计算工单的处理时限状态
+ * @param {Object} shippingCase - 工单
+ * @param {Date} now - 当前时间
+ * @returns {Object} - 处理时限状态（response、resolution）
+ */
+function describeCaseSla(shippingCase, now = new Date()) {
+  return {
+    response: describeTimer(shippingCase.responseDueAt, shippingCase.firstRespondedAt, now),
+    resolution: describeTimer(shippingCase.resolutionDueAt, shippingCase.resolvedAt, now)
+  };
+}
+
+/**
+ * 生成返回给客户端的工单数据（附带处理时限状态）
+ * @param {Object} shippingCase - 工单文档
+ * @returns {Object} - 工单数据
+ */
+function serializeCase(shippingCase) {
+  const data = shippingCase.toObject ? shippingCase.toObject() : shippingCase;
+  return { ...data, sla: describeCaseSla(shippingCase) };
+}
+
+/**
+ * 构建超出处理时限的未解决工单查询条件
+ * @param {Date} now - 当前时间
+ * @returns {Object} - 查询条件
+ */
+function buildSlaBreachedQuery(now = new Date()) {
+  return {
+    status: { $in: ACTIVE_CASE_STATUSES },
+    $or: [
+      { resolutionDueAt: { $lt: now } },
+      { firstRespondedAt: null, responseDueAt: { $lt: now } }
+    ]
+  };
+}
+
+/**
+ * 关联补发包裹：补发包裹必须属于同一订单，未标记被替代的原包裹时标记为该工单的物流
+ * @param {Object} shippingCase - 工单文档
+ * @param {string} replacementId - 补发的物流信息ID
+ * @returns {Promise<Object>} - 补发的物流信息
+ */
+async function linkReplacementShipping(shippingCase, replacementId) {
+  const replacement = mongoose.isValidObjectId(replacementId) ? await Shipping.findById(replacementId) : null;
+
+  if (!replacement || String(replacement.order) !== String(shippingCase.order)) {
+    throw httpError(400, '补发的物流信息不存在或不属于该订单');
+  }
+  if (String(replacement._id) === String(shippingCase.shipping)) {
+    throw httpError(400, '补发的物流信息不能是工单对应的物流');
+  }
+  if (replacement.replacementOf && String(replacement.replacementOf) !== String(shippingCase.shipping)) {
+    throw httpError(400, '该物流信息已是其他包裹的补发包裹');
+  }
+
+  const otherReplacement = await Shipping.exists({
+    replacementOf: shippingCase.shipping,
+    _id: { $ne: replacement._id }
+  });
+  if (otherReplacement) {
+    throw httpError(400, '工单对应的物流已有其他补发包裹');
+  }
+
+  if (!replacement.replacementOf) {
+    replacement.replacementOf = shippingCase.shipping;
+    await replacement.save();
+  }
+
+  shippingCase.replacementShipping = replacement._id;
+  return replacement;
+}
+
+module.exports = {
+  computeCaseDueDates,
+  describeCaseSla,
+  serializeCase,
+  buildSlaBreachedQuery,
+  linkReplacementShipping
+};
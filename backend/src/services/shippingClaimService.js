@@ -0,0 +1,184 @@
+/**
+ * 物流索赔服务
+ * 按物流公司的索赔期限计算截止日期（丢失从发货日期起算，损坏从送达日期起算，未送达时从发货日期起算），
+ * 控制索赔状态变更，并按物流公司汇总索赔回收情况
+ *
+ * draft → submitted → approved → paid
+ *                   ↘ rejected → submitted（补充材料后重新提交）
+ */
+
+const { getCarrierClaimWindows } = require('../config/carriers');
+const { getOrderItemQuantity } = require('./orderShippingService');
+const { CLAIM_TRANSITIONS } = require('../utils/shippingClaim');
+const { round } = require('../utils/statistics');
+const { httpError } = require('../utils/httpError');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * 计算索赔截止日期
+ * @param {Object} shipping - 物流信息
+ * @param {string} type - 索赔类型（lost、damaged）
+ * @returns {Object} - 截止日期（deadlineAt）和起算依据（basis: shippedDate、deliveredDate）
+ */
+function computeClaimDeadline(shipping, type) {
+  const windows = getCarrierClaimWindows(shipping.carrier);
+  const basis = type === 'damaged' && shipping.deliveredDate ? 'deliveredDate' : 'shippedDate';
+  const from = shipping[basis];
+
+  if (!from) {
+    throw httpError(400, '物流信息缺少发货日期，无法计算索赔期限');
+  }
+
+  const days = type === 'damaged' ? windows.damagedDays : windows.lostDays;
+  return {
+    deadlineAt: new Date(new Date(from).getTime() + days * DAY),
+    basis
+  };
+}
+
+/**
+ * 根据订单商品价格计算包裹的申报价值
+ * 旧的物流信息没有商品明细，视为包含整个订单
+ * @param {Object} order - 订单
+ * @param {Object} shipping - 物流信息
+ * @returns {number} - 申报价值
+ */
+function computeDeclaredValue(order, shipping) {
+  const orderItems = order.orderItems || [];
+
+  if (!shipping.items || shipping.items.length === 0) {
+    const itemsValue = orderItems.reduce((sum, item) => sum + Number(item.price || 0) * getOrderItemQuantity(item), 0);
+    return round(itemsValue || Number(order.totalPrice || 0));
+  }
+
+  return round(shipping.items.reduce((sum, item) => {
+    const orderItem = orderItems.find(candidate => String(candidate._id) === String(item.orderItem));
+    return sum + (orderItem ? Number(orderItem.price || 0) * item.quantity : 0);
+  }, 0));
+}
+
+/**
+ * 变更索赔状态并记录状态历史（不保存，由调用方保存）
+ * @param {Object} claim - 索赔文档
+ * @param {string} status - 目标状态
+ * @param {Object} options - 变更选项
+ * @param {string} options.note - 备注
+ * @param {string} options.changedBy - 操作人用户ID
+ * @param {string} options.carrierClaimReference - 物流公司的索赔编号（提交时填写）
+ * @param {number} options.payoutAmount - 赔付金额（赔付时必填）
+ * @param {string} options.rejectionReason - 拒绝原因
+ * @param {boolean} options.override - 超过索赔期限时是否仍然提交
+ * @param {Date} now - 当前时间
+ */
+function transitionClaim(claim, status, options = {}, now = new Date()) {
+  const previousStatus = claim.status;
+
+  if (!(CLAIM_TRANSITIONS[previousStatus] || []).includes(status)) {
+    throw httpError(409, `索赔状态不能从 ${previousStatus} 变更为 ${status}`);
+  }
+
+  if (status === 'submitted') {
+    if (now > claim.deadlineAt && !options.override) {
+      throw httpError(409, '已超过物流公司的索赔期限，如仍需提交请设置override');
+    }
+    if (options.carrierClaimReference) {
+      claim.carrierClaimReference = options.carrierClaimReference;
+    }
+    claim.submittedAt = now;
+  }
+
+  if (status === 'approved' || status === 'rejected') {
+    claim.decidedAt = now;
+    if (status === 'rejected') {
+      claim.rejectionReason = options.rejectionReason || options.note || '';
+    }
+  }
+
+  if (status === 'paid') {
+    const payoutAmount = Number(options.payoutAmount);
+    if (options.payoutAmount === undefined || !Number.isFinite(payoutAmount) || payoutAmount < 0) {
+      throw httpError(400, '请填写赔付金额');
+    }
+    claim.payoutAmount = payoutAmount;
+    claim.paidAt = now;
+  }
+
+  claim.status = status;
+  claim.statusHistory.push({
+    status,
+    previousStatus,
+    timestamp: now,
+    note: options.note || '',
+    changedBy: options.changedBy || null
+  });
+}
+
+/**
+ * 按物流公司和币种汇总索赔回收情况
+ * 回收率 = 已赔付金额 / 已结案（已赔付或被拒绝）索赔的索赔金额
+ * @param {Object[]} claims - 索赔列表
+ * @returns {Object[]} - 各物流公司的索赔汇总
+ */
+function summarizeClaimRecovery(claims) {
+  const carriers = new Map();
+
+  claims.forEach(claim => {
+    const key = `${claim.carrier}|${claim.currency}`;
+    if (!carriers.has(key)) {
+      carriers.set(key, {
+        carrier: claim.carrier,
+        currency: claim.currency,
+        claims: 0,
+        byStatus: { draft: 0, submitted: 0, approved: 0, rejected: 0, paid: 0 },
+        claimedAmount: 0,
+        settledClaimedAmount: 0,
+        paidAmount: 0,
+        daysToPayout: []
+      });
+    }
+
+    const summary = carriers.get(key);
+    summary.claims += 1;
+    summary.byStatus[claim.status] += 1;
+    summary.claimedAmount += claim.claimedAmount;
+
+    if (claim.status === 'paid' || claim.status === 'rejected') {
+      summary.settledClaimedAmount += claim.claimedAmount;
+    }
+    if (claim.status === 'paid') {
+      summary.paidAmount += claim.payoutAmount || 0;
+      if (claim.submittedAt && claim.paidAt) {
+        summary.daysToPayout.push((new Date(claim.paidAt) - new Date(claim.submittedAt)) / DAY);
+      }
+    }
+  });
+
+  return [...carriers.values()]
+    .map(({ daysToPayout, ...summary }) => {
+      const decided = summary.byStatus.approved + summary.byStatus.paid + summary.byStatus.rejected;
+      return {
+        ...summary,
+        claimedAmount: round(summary.claimedAmount),
+        settledClaimedAmount: round(summary.settledClaimedAmount),
+        paidAmount: round(summary.paidAmount),
+        recoveryRate: summary.settledClaimedAmount > 0
+          ? round(summary.paidAmount / summary.settledClaimedAmount, 4)
+          : null,
+        approvalRate: decided > 0
+          ? round((summary.byStatus.approved + summary.byStatus.paid) / decided, 4)
+          : null,
+        averageDaysToPayout: daysToPayout.length > 0
+          ? round(daysToPayout.reduce((sum, days) => sum + days, 0) / daysToPayout.length, 1)
+          : null
+      };
+    })
+    .sort((a, b) => b.claimedAmount - a.claimedAmount);
+}
+
+module.exports = {
+  computeClaimDeadline,
+  computeDeclaredValue,
+  transitionClaim,
+  summarizeClaimRecovery
+};
@@ -0,0 +1,50 @@
+/**
+ * 物流事件总线
+ * 物流信息变更时先把事件挂到文档上（queueShippingEvent），保存成功后由模型的post save钩子统一发出，
+ * 避免保存失败时发出通知；通知、外部回调等订阅方通过shippingEvents.on监听
+ */
+
+const { EventEmitter } = require('events');
+
+// 物流事件名称
+const SHIPPING_EVENTS = {
+  CREATED: 'shipping.created',
+  STATUS_CHANGED: 'shipping.status_changed',
+  TRACKING_EVENT_ADDED: 'shipping.tracking_event_added',
+  DELIVERED: 'shipping.delivered'
+};
+
+const shippingEvents = new EventEmitter();
+
+/**
+ * 将事件挂到物流信息文档上，等待保存后发出
+ * @param {Object} shipping - 物流信息文档
+ * @param {string} event - 事件名称（SHIPPING_EVENTS）
+ * @param {Object} payload - 事件数据
+ */
+function queueShippingEvent(shipping, event, payload = {}) {
+  if (!shipping.$locals.pendingEvents) {
+    shipping.$locals.pendingEvents = [];
+  }
+  shipping.$locals.pendingEvents.push({ event, payload: { ...payload, occurredAt: new Date() } });
+}
+
+/**
+ * 发出物流信息文档上等待中的事件（由Shipping模型的post save钩子调用）
+ * @param {Object} shipping - 已保存的物流信息文档
+ */
+function flushShippingEvents(shipping) {
+  const pending = shipping.$locals.pendingEvents || [];
+  shipping.$locals.pendingEvents = [];
+
+  pending.forEach(({ event, payload }) => {
+    shippingEvents.emit(event, { shipping, ...payload });
+  });
+}
+
+module.exports = {
+  SHIPPING_EVENTS,
+  shippingEvents,
+  queueShippingEvent,
+  flushShippingEvents
+};
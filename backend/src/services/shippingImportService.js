@@ -0,0 +1,424 @@
+/**
+ * 物流信息批量导入服务
+ * 读取CSV/XLSX文件中的订单号、物流公司、物流单号和备注，逐行校验（订单不存在、物流单号重复、
+ * 单号格式无效等）并创建物流信息。校验失败的行不影响其他行（部分成功）；试运行只校验不创建。
+ * 导入任务在进程内按顺序后台处理，每处理一批行更新一次进度；实际导入时每行的结果处理后立即保存，
+ * 进程中断后恢复任务时不会把已创建的行重复处理为单号已存在
+ *
+ * 在应用入口中恢复进程重启前未完成的导入任务：
+ *   const { resumeImportJobs } = require('./services/shippingImportService');
+ *   resumeImportJobs();
+ *
+ * 环境变量：
+ * - SHIPPING_IMPORT_MAX_ROWS: 单个文件的最大行数（默认10000）
+ * - SHIPPING_IMPORT_SYNC_ROWS: 不超过该行数的文件在请求中直接处理，超过时后台处理（默认100）
+ */
+
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Shipping = require('../models/Shipping');
+const ShippingImportJob = require('../models/ShippingImportJob');
+const { resolveCarrier, validateTrackingNumber, detectCarriers } = require('./shippingService');
+const { buildShipmentItems, createOrderShipment } = require('./orderShippingService');
+const { parseCsv, parseXlsx } = require('../utils/spreadsheet');
+const { IMPORT_COLUMN_ALIASES, IMPORT_REQUIRED_COLUMNS } = require('../utils/shippingImport');
+const { httpError } = require('../utils/httpError');
+
+// 每批处理的行数（每批查询一次订单和重复单号，并更新一次进度）
+const IMPORT_BATCH_SIZE = 200;
+
+// 后台处理队列（同一时间只处理一个导入任务）
+let queue = Promise.resolve();
+
+/**
+ * 获取导入限制
+ * @returns {Object} - 最大行数（maxRows）和请求中直接处理的行数上限（syncRows）
+ */
+function getImportLimits() {
+  return {
+    maxRows: Number(process.env.SHIPPING_IMPORT_MAX_ROWS) || 10000,
+    syncRows: Number(process.env.SHIPPING_IMPORT_SYNC_ROWS) || 100
+  };
+}
+
+/**
+ * 根据文件内容识别格式
+ * @param {Buffer} buffer - 文件内容
+ * @returns {string} - 文件格式（csv、xlsx）
+ */
+function detectImportFormat(buffer) {
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+    return 'xlsx';
+  }
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0xd0cf11e0) {
+    throw httpError(400, '不支持旧版XLS文件，请另存为XLSX或CSV');
+  }
+  return 'csv';
+}
+
+/**
+ * 将表头转换为字段名
+ * @param {string} header - 表头
+ * @returns {string|null} - 字段名，无法识别时返回null
+ */
+function toColumnField(header) {
+  const key = String(header || '').trim().toLowerCase().replace(/[\s_-]/g, '');
+  return IMPORT_COLUMN_ALIASES[key] || null;
+}
+
+/**
+ * 读取导入文件
+ * 第一个非空行为表头，之后的空行会被忽略
+ * @param {Buffer} buffer - 文件内容
+ * @returns {Object} - 文件格式（format）和数据行（rows: row、orderNumber、carrier、trackingNumber、notes）
+ */
+function parseImportFile(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw httpError(400, '请上传CSV或XLSX文件');
+  }
+
+  const format = detectImportFormat(buffer);
+
+  let table;
+  try {
+    table = format === 'xlsx' ? parseXlsx(buffer) : parseCsv(buffer.toString('utf8'));
+  } catch (error) {
+    throw httpError(400, `读取文件失败: ${error.message}`);
+  }
+
+  const isEmpty = cells => cells.every(cell => !String(cell || '').trim());
+  const headerIndex = table.findIndex(cells => !isEmpty(cells));
+  if (headerIndex < 0) {
+    throw httpError(400, '文件为空');
+  }
+
+  const columns = table[headerIndex].map(toColumnField);
+  const missing = IMPORT_REQUIRED_COLUMNS.filter(field => !columns.includes(field));
+  if (missing.length > 0) {
+    throw httpError(400, `缺少必需的列: ${missing.join('、')}`);
+  }
+
+  const rows = [];
+  table.slice(headerIndex + 1).forEach((cells, index) => {
+    if (isEmpty(cells)) {
+      return;
+    }
+
+    const row = { row: headerIndex + index + 2, orderNumber: '', carrier: '', trackingNumber: '', notes: '' };
+    columns.forEach((field, column) => {
+      if (field && !row[field]) {
+        row[field] = String(cells[column] || '').trim();
+      }
+    });
+    rows.push(row);
+  });
+
+  if (rows.length === 0) {
+    throw httpError(400, '文件中没有数据行');
+  }
+
+  const { maxRows } = getImportLimits();
+  if (rows.length > maxRows) {
+    throw httpError(400, `文件最多包含 ${maxRows} 行，请拆分后分批导入`);
+  }
+
+  return { format, rows };
+}
+
+/**
+ * 批量查询导入行的订单（订单号，或订单ID）
+ * @param {Object[]} rows - 导入行
+ * @returns {Promise<Map<string, Object>>} - 订单号/订单ID -> 订单
+ */
+async function findImportOrders(rows) {
+  const values = [...new Set(rows.map(row => row.orderNumber).filter(Boolean))];
+  const ids = values.filter(value => mongoose.isValidObjectId(value));
+
+  const orders = values.length > 0
+    ? await Order.find({ $or: [{ orderNumber: { $in: values } }, { _id: { $in: ids } }] })
+    : [];
+
+  const byKey = new Map();
+  orders.forEach(order => {
+    byKey.set(String(order._id), order);
+    if (order.orderNumber) {
+      byKey.set(String(order.orderNumber), order);
+    }
+  });
+  return byKey;
+}
+
+/**
+ * 识别并校验导入行的物流公司和物流单号
+ * @param {Object} row - 导入行（识别到的物流公司代码写回row.carrier）
+ * @returns {Object} - 物流公司定义（carrierDefinition）、规范化的物流单号（trackingNumber）和问题（issue）
+ */
+function resolveImportCarrier(row) {
+  let carrierDefinition = null;
+
+  if (row.carrier) {
+    carrierDefinition = resolveCarrier(row.carrier);
+    if (!carrierDefinition) {
+      return { issue: { code: 'unknown_carrier', message: `不支持的物流公司: ${row.carrier}` } };
+    }
+  } else {
+    const [candidate] = detectCarriers(row.trackingNumber);
+    if (!candidate) {
+      return { issue: { code: 'unknown_carrier', message: '无法根据物流单号识别物流公司，请填写物流公司' } };
+    }
+    carrierDefinition = resolveCarrier(candidate.carrier);
+  }
+
+  row.carrier = carrierDefinition.code;
+
+  const validation = validateTrackingNumber(carrierDefinition.code, row.trackingNumber);
+  if (!validation.valid) {
+    return {
+      carrierDefinition,
+      issue: { code: 'bad_tracking_format', message: `${row.trackingNumber} 不是有效的${carrierDefinition.name}单号` }
+    };
+  }
+
+  return { carrierDefinition, trackingNumber: validation.trackingNumber, issue: null };
+}
+
+/**
+ * 处理一行导入数据（校验，非试运行时创建物流信息），结果写回导入行
+ * @param {Object} row - 导入行
+ * @param {Object} context - 批次上下文
+ * @param {Object} context.job - 导入任务
+ * @param {Map<string, Object>} context.orders - 订单号/订单ID -> 订单
+ * @param {Set<string>} context.existingNumbers - 已存在的物流单号（物流公司|物流单号）
+ * @param {Map<string, number>} context.seenNumbers - 文件中已出现的物流单号 -> 行号
+ * @param {Map<string, Object[]>} context.orderShippings - 订单ID -> 物流信息（包括本任务创建的）
+ */
+async function processImportRow(row, { job, orders, existingNumbers, seenNumbers, orderShippings }) {
+  const issues = [];
+  const fail = () => {
+    row.status = 'error';
+    row.issues = issues;
+  };
+
+  if (!row.orderNumber || !row.trackingNumber) {
+    issues.push({ code: 'missing_field', message: !row.orderNumber ? '缺少订单号' : '缺少物流单号' });
+    return fail();
+  }
+
+  const order = orders.get(row.orderNumber);
+  if (!order) {
+    issues.push({ code: 'unknown_order', message: `订单不存在: ${row.orderNumber}` });
+  }
+
+  const { carrierDefinition, trackingNumber, issue } = resolveImportCarrier(row);
+  if (issue) {
+    issues.push(issue);
+  } else {
+    const key = `${carrierDefinition.code}|${trackingNumber}`;
+    if (existingNumbers.has(key)) {
+      issues.push({ code: 'duplicate_shipment', message: `该物流单号已存在: ${trackingNumber}` });
+    } else if (seenNumbers.has(key)) {
+      issues.push({ code: 'duplicate_in_file', message: `与第${seenNumbers.get(key)}行的物流单号重复` });
+    } else {
+      seenNumbers.set(key, row.row);
+    }
+  }
+
+  if (issues.length > 0) {
+    return fail();
+  }
+
+  const shippings = orderShippings.get(String(order._id)) || [];
+  let items;
+  try {
+    items = buildShipmentItems(order, null, shippings);
+  } catch (error) {
+    issues.push({ code: 'nothing_to_ship', message: error.message });
+    return fail();
+  }
+
+  if (job.dryRun) {
+    // 试运行时记录模拟的包裹，使同一订单后续行的校验结果与实际导入一致
+    shippings.push({ items, direction: 'outbound', status: 'pending' });
+    orderShippings.set(String(order._id), shippings);
+    row.status = 'valid';
+    row.issues = [];
+    return;
+  }
+
+  try {
+    // 与手动添加物流信息相同，包裹包含订单中所有未发货的商品
+    const shipping = await createOrderShipment(order, {
+      items,
+      carrier: carrierDefinition.code,
+      carrierAccount: 'default',
+      trackingNumber,
+      notes: row.notes
+    }, { note: '物流信息已通过批量导入创建', changedBy: job.createdBy });
+    shippings.push(shipping);
+    orderShippings.set(String(order._id), shippings);
+    row.status = 'created';
+    row.issues = [];
+    row.shipping = shipping._id;
+  } catch (error) {
+    issues.push({ code: 'save_failed', message: error.message });
+    fail();
+  }
+}
+
+/**
+ * 根据导入行的状态更新任务进度
+ * @param {Object} job - 导入任务文档
+ */
+function updateImportProgress(job) {
+  const count = status => job.rows.filter(row => row.status === status).length;
+
+  job.processedRows = job.rows.length - count('pending');
+  job.validCount = count('valid');
+  job.createdCount = count('created');
+  job.errorCount = count('error');
+}
+
+/**
+ * 规范化导入行的物流单号（用于查询重复单号）
+ * @param {Object} row - 导入行
+ * @returns {string} - 规范化的物流单号，无法识别物流公司时返回原值
+ */
+function normalizeRowNumber(row) {
+  const [candidate] = row.carrier ? [] : detectCarriers(row.trackingNumber);
+  const carrierDefinition = resolveCarrier(row.carrier || (candidate && candidate.carrier));
+  return carrierDefinition
+    ? validateTrackingNumber(carrierDefinition.code, row.trackingNumber).trackingNumber
+    : row.trackingNumber;
+}
+
+/**
+ * 处理导入任务（已处理的行会被跳过，可用于恢复中断的任务）
+ * @param {string} jobId - 导入任务ID
+ * @returns {Promise<Object|null>} - 处理后的导入任务，任务不存在或已结束时返回null
+ */
+async function processImportJob(jobId) {
+  const job = await ShippingImportJob.findById(jobId);
+  if (!job || ['completed', 'failed'].includes(job.status)) {
+    return null;
+  }
+
+  job.status = 'running';
+  job.startedAt = job.startedAt || new Date();
+  await job.save();
+
+  try {
+    // 文件内重复的物流单号需要包括中断前已处理的行
+    const seenNumbers = new Map();
+    job.rows
+      .filter(row => ['valid', 'created'].includes(row.status))
+      .forEach(row => seenNumbers.set(`${row.carrier}|${normalizeRowNumber(row)}`, row.row));
+
+    const orderShippings = new Map();
+
+    for (let start = 0; start < job.rows.length; start += IMPORT_BATCH_SIZE) {
+      const batch = job.rows.slice(start, start + IMPORT_BATCH_SIZE).filter(row => row.status === 'pending');
+      if (batch.length === 0) {
+        continue;
+      }
+
+      const orders = await findImportOrders(batch);
+      const numbers = batch.map(row => normalizeRowNumber(row)).filter(Boolean);
+      const existing = await Shipping.find({ trackingNumber: { $in: numbers } }).select('carrier trackingNumber');
+      const existingNumbers = new Set(existing.map(shipping => `${shipping.carrier}|${shipping.trackingNumber}`));
+
+      // 加载本批订单尚未加载的物流信息，用于分配包裹商品
+      const orderIds = [...new Set([...orders.values()].map(order => String(order._id)))]
+        .filter(orderId => !orderShippings.has(orderId));
+      if (orderIds.length > 0) {
+        const shippings = await Shipping.find({ order: { $in: orderIds } });
+        orderIds.forEach(orderId => orderShippings.set(orderId, []));
+        shippings.forEach(shipping => orderShippings.get(String(shipping.order)).push(shipping));
+      }
+
+      for (const row of batch) {
+        await processImportRow(row, { job, orders, existingNumbers, seenNumbers, orderShippings });
+        if (!job.dryRun) {
+          await job.save();
+        }
+      }
+
+      updateImportProgress(job);
+      await job.save();
+    }
+
+    job.status = 'completed';
+  } catch (error) {
+    console.error(`物流信息导入任务失败 [${job._id}]:`, error.message);
+    job.status = 'failed';
+    job.failureReason = error.message;
+  }
+
+  updateImportProgress(job);
+  job.finishedAt = new Date();
+  await job.save();
+  return job;
+}
+
+/**
+ * 将导入任务加入后台处理队列
+ * @param {string} jobId - 导入任务ID
+ * @returns {Promise<Object|null>} - 处理完成后的导入任务
+ */
+function enqueueImportJob(jobId) {
+  const run = queue.then(() => processImportJob(jobId));
+  queue = run.catch(error => {
+    console.error(`物流信息导入任务失败 [${jobId}]:`, error.message);
+  });
+  return run;
+}
+
+/**
+ * 创建导入任务，行数不超过SHIPPING_IMPORT_SYNC_ROWS时直接处理，否则加入后台队列
+ * @param {Object} options - 任务参数
+ * @param {string} options.fileName - 文件名
+ * @param {string} options.format - 文件格式
+ * @param {Object[]} options.rows - 导入行
+ * @param {boolean} options.dryRun - 是否试运行
+ * @param {string} options.sourceJob - 对应的试运行任务ID
+ * @param {string} options.createdBy - 操作人用户ID
+ * @returns {Promise<Object>} - 导入任务（processed: 是否已处理完成）
+ */
+async function createImportJob({ fileName = '', format, rows, dryRun = false, sourceJob = null, createdBy }) {
+  const job = await ShippingImportJob.create({
+    fileName,
+    format,
+    dryRun,
+    sourceJob,
+    totalRows: rows.length,
+    rows,
+    createdBy
+  });
+
+  // 小文件在请求中直接处理，不等待后台队列中的其他任务
+  if (rows.length <= getImportLimits().syncRows) {
+    return { job: await processImportJob(job._id) || job, processed: true };
+  }
+
+  enqueueImportJob(job._id);
+  return { job, processed: false };
+}
+
+/**
+ * 恢复进程重启前未完成的导入任务
+ * @returns {Promise<number>} - 恢复的任务数
+ */
+async function resumeImportJobs() {
+  const jobs = await ShippingImportJob.find({ status: { $in: ['queued', 'running'] } })
+    .select('_id')
+    .sort({ createdAt: 1 });
+
+  jobs.forEach(job => enqueueImportJob(job._id));
+  return jobs.length;
+}
+
+module.exports = {
+  parseImportFile,
+  processImportJob,
+  createImportJob,
+  resumeImportJobs
+};
@@ -0,0 +1,353 @@
+/**
+ * 运费报价服务
+ * 根据发货地、目的地、包裹重量尺寸和申报价值，向各报价来源获取每个物流公司和服务等级的基础运费，
+ * 再由附加费规则引擎计算附加费，返回按总价排序的报价（价格、币种、运输天数）
+ *
+ * 报价来源需实现 getRates(request)，返回 { quotes, unavailable }；
+ * 内置的本地运费表（LocalRateTableProvider）不依赖物流公司接口，离线可用，
+ * 接入物流公司的实时报价接口时通过registerRateProvider注册
+ */
+
+const { resolveCarrier } = require('./shippingService');
+const { applySurcharges } = require('./surchargeRules');
+const { loadRateConfig, findRateZone } = require('../config/shippingRates');
+const { SERVICE_LEVELS } = require('../utils/shippingRate');
+const { round } = require('../utils/statistics');
+const { httpError } = require('../utils/httpError');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 单次报价的最大包裹数
+const MAX_PARCELS = 50;
+
+// 已注册的报价来源
+const rateProviders = [];
+
+/**
+ * 按计费单位向上取整（避免浮点误差导致多进一档）
+ * @param {number} value - 重量
+ * @param {number} step - 计费单位
+ * @returns {number} - 取整后的重量
+ */
+function ceilToStep(value, step) {
+  return round(Math.ceil(round(value / step, 6)) * step, 3);
+}
+
+/**
+ * 本地运费表报价来源
+ * 计费重量取实际重量和体积重量（长×宽×高÷体积系数）中的较大值，按首重加续重计算基础运费
+ */
+class LocalRateTableProvider {
+  constructor(options = {}) {
+    this.name = 'rate_table';
+    // 未指定时使用运费配置（config/shippingRates.js）
+    this.config = options.config || null;
+  }
+
+  /**
+   * 获取运费配置
+   * @returns {Object} - 运费配置（zones、tables、surcharges）
+   */
+  getConfig() {
+    return this.config || loadRateConfig();
+  }
+
+  /**
+   * 计算单件包裹的计费重量
+   * @param {Object} parcel - 包裹（weight、length、width、height）
+   * @param {Object} table - 运费表
+   * @returns {number} - 计费重量（公斤）
+   */
+  computeChargeableWeight(parcel, table) {
+    const volumetricWeight = parcel.length
+      ? parcel.length * parcel.width * parcel.height / table.volumetricDivisor
+      : 0;
+    const weight = Math.max(parcel.weight, volumetricWeight, table.firstWeight);
+
+    return ceilToStep(weight, table.weightStep);
+  }
+
+  /**
+   * 计算单件包裹的基础运费
+   * @param {number} chargeableWeight - 计费重量
+   * @param {Object} table - 运费表
+   * @param {Object} rate - 分区运费（first、additional）
+   * @returns {number} - 基础运费
+   */
+  computeParcelPrice(chargeableWeight, table, rate) {
+    const additionalSteps = Math.ceil(round((chargeableWeight - table.firstWeight) / table.weightStep, 6));
+    return rate.first + Math.max(additionalSteps, 0) * rate.additional;
+  }
+
+  /**
+   * 获取基础运费报价
+   * @param {Object} request - 标准化的报价请求（见normalizeRateRequest）
+   * @returns {Promise<Object>} - 报价（quotes）和不可用的服务及原因（unavailable）
+   */
+  async getRates(request) {
+    const config = this.getConfig();
+    const zone = findRateZone(config.zones, request.destinationCountry);
+    const quotes = [];
+    const unavailable = [];
+
+    config.tables
+      .filter(table => !request.carriers || request.carriers.includes(table.carrier))
+      .filter(table => !request.serviceLevel || table.service === request.serviceLevel)
+      .forEach(table => {
+        const skip = reason => unavailable.push({ carrier: table.carrier, service: table.service, reason });
+
+        if (table.origins.length > 0 && !table.origins.includes(request.originCountry)) {
+          skip(`不支持从 ${request.originCountry || '未知发货地'} 发货`);
+          return;
+        }
+
+        const rate = table.zones[zone];
+        if (!rate) {
+          skip(`不送达 ${request.destinationCountry}`);
+          return;
+        }
+
+        const overweight = request.parcels.find(parcel => parcel.weight > table.maxWeight);
+        if (overweight) {
+          skip(`单件包裹超过最大重量 ${table.maxWeight} 公斤`);
+          return;
+        }
+
+        let chargeableWeight = 0;
+        let basePrice = 0;
+        request.parcels.forEach(parcel => {
+          const weight = this.computeChargeableWeight(parcel, table);
+          chargeableWeight += weight;
+          basePrice += this.computeParcelPrice(weight, table, rate);
+        });
+
+        quotes.push({
+          carrier: table.carrier,
+          service: table.service,
+          serviceName: table.name || `${table.carrier} ${table.service}`,
+          provider: this.name,
+          zone,
+          currency: table.currency,
+          chargeableWeight: round(chargeableWeight, 3),
+          basePrice: round(basePrice),
+          transitDays: { min: rate.transitDays[0], max: rate.transitDays[1] }
+        });
+      });
+
+    return { quotes, unavailable };
+  }
+}
+
+/**
+ * 注册报价来源
+ * @param {Object} provider - 报价来源（name、getRates）
+ * @returns {Object} - 报价来源
+ */
+function registerRateProvider(provider) {
+  if (!provider || typeof provider.getRates !== 'function') {
+    throw new Error('报价来源必须实现getRates');
+  }
+
+  rateProviders.push(provider);
+  return provider;
+}
+
+/**
+ * 解析正数
+ * @param {*} value - 数值
+ * @param {string} field - 字段名称
+ * @returns {number} - 数值
+ */
+function parsePositive(value, field) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw httpError(400, `${field}必须为正数`);
+  }
+  return number;
+}
+
+/**
+ * 校验并标准化包裹重量和尺寸
+ * @param {Object[]} parcels - 包裹（weight公斤，length、width、height厘米，尺寸可选但须同时提供）
+ * @returns {Object[]} - 标准化的包裹
+ */
+function normalizeParcels(parcels) {
+  if (!Array.isArray(parcels) || parcels.length === 0) {
+    throw httpError(400, '请提供包裹重量和尺寸（parcels）');
+  }
+  if (parcels.length > MAX_PARCELS) {
+    throw httpError(400, `单次最多 ${MAX_PARCELS} 件包裹`);
+  }
+
+  return parcels.map((parcel, index) => {
+    const label = `第${index + 1}件包裹`;
+    const normalized = { weight: parsePositive(parcel.weight, `${label}的重量`) };
+
+    const dimensions = ['length', 'width', 'height'].filter(field => parcel[field] !== undefined && parcel[field] !== null);
+    if (dimensions.length > 0) {
+      if (dimensions.length < 3) {
+        throw httpError(400, `${label}的尺寸必须同时提供长、宽、高`);
+      }
+      normalized.length = parsePositive(parcel.length, `${label}的长度`);
+      normalized.width = parsePositive(parcel.width, `${label}的宽度`);
+      normalized.height = parsePositive(parcel.height, `${label}的高度`);
+    }
+
+    return normalized;
+  });
+}
+
+/**
+ * 校验并标准化报价请求
+ * @param {Object} body - 请求参数
+ * @param {string} body.originCountry - 发货国家，默认使用SHIPPING_ORIGIN_COUNTRY
+ * @param {string} body.destinationCountry - 目的国家（两位国家代码）
+ * @param {Object[]} body.parcels - 包裹（weight公斤，length、width、height厘米）
+ * @param {number} body.declaredValue - 申报价值
+ * @param {string} body.currency - 申报价值币种，默认CNY
+ * @param {string[]} body.carriers - 只查询指定的物流公司
+ * @param {string} body.serviceLevel - 只查询指定的服务等级
+ * @param {Object} body.options - 附加服务（insurance、signature、residential）
+ * @returns {Object} - 标准化的报价请求
+ */
+function normalizeRateRequest(body = {}) {
+  const originCountry = String(body.originCountry || process.env.SHIPPING_ORIGIN_COUNTRY || '').toUpperCase();
+  const destinationCountry = String(body.destinationCountry || '').toUpperCase();
+
+  if (!/^[A-Z]{2}$/.test(destinationCountry)) {
+    throw httpError(400, '请提供目的国家（两位国家代码）');
+  }
+  if (originCountry && !/^[A-Z]{2}$/.test(originCountry)) {
+    throw httpError(400, `无效的发货国家: ${body.originCountry}`);
+  }
+
+  const parcels = normalizeParcels(body.parcels);
+
+  const declaredValue = body.declaredValue === undefined ? 0 : Number(body.declaredValue);
+  if (!Number.isFinite(declaredValue) || declaredValue < 0) {
+    throw httpError(400, '申报价值必须为非负数');
+  }
+
+  if (body.serviceLevel && !SERVICE_LEVELS.includes(body.serviceLevel)) {
+    throw httpError(400, `无效的服务等级: ${body.serviceLevel}`);
+  }
+
+  let carriers = null;
+  if (body.carriers !== undefined) {
+    if (!Array.isArray(body.carriers)) {
+      throw httpError(400, 'carriers必须是数组');
+    }
+    // 已注册的物流公司支持使用别名，其他物流公司按代码匹配运费表
+    carriers = body.carriers.map(carrier => {
+      const definition = resolveCarrier(carrier);
+      return definition ? definition.code : String(carrier).toLowerCase();
+    });
+  }
+
+  const options = body.options || {};
+
+  return {
+    originCountry,
+    destinationCountry,
+    parcels,
+    declaredValue,
+    currency: String(body.currency || 'CNY').toUpperCase(),
+    carriers,
+    serviceLevel: body.serviceLevel || null,
+    options: {
+      insurance: Boolean(options.insurance),
+      signature: Boolean(options.signature),
+      residential: Boolean(options.residential)
+    }
+  };
+}
+
+/**
+ * 构建附加费规则引擎使用的报价上下文
+ * @param {Object} request - 标准化的报价请求
+ * @param {Object} quote - 基础运费报价
+ * @returns {Object} - 报价上下文
+ */
+function buildSurchargeContext(request, quote) {
+  return {
+    carrier: quote.carrier,
+    service: quote.service,
+    originCountry: request.originCountry,
+    destinationCountry: request.destinationCountry,
+    zone: quote.zone || null,
+    actualWeight: round(request.parcels.reduce((sum, parcel) => sum + parcel.weight, 0), 3),
+    chargeableWeight: quote.chargeableWeight,
+    maxParcelWeight: Math.max(...request.parcels.map(parcel => parcel.weight)),
+    longestSide: Math.max(0, ...request.parcels.map(parcel => Math.max(parcel.length || 0, parcel.width || 0, parcel.height || 0))),
+    parcelCount: request.parcels.length,
+    declaredValue: request.declaredValue,
+    declaredValueCurrency: request.currency,
+    currency: quote.currency,
+    ...request.options
+  };
+}
+
+/**
+ * 获取运费报价
+ * @param {Object} body - 请求参数（见normalizeRateRequest）
+ * @param {Object} options - 选项
+ * @param {Object[]} options.providers - 报价来源，默认使用本地运费表和已注册的报价来源
+ * @param {Object[]} options.surcharges - 附加费规则，默认使用运费配置中的规则
+ * @param {Date} now - 当前时间（用于计算预计送达日期）
+ * @returns {Promise<Object>} - 报价结果（request、quotes、unavailable、errors）
+ */
+async function quoteRates(body, options = {}, now = new Date()) {
+  const request = normalizeRateRequest(body);
+  const providers = options.providers || [new LocalRateTableProvider(), ...rateProviders];
+  const rules = options.surcharges || loadRateConfig().surcharges;
+
+  const quotes = [];
+  const unavailable = [];
+  const errors = [];
+
+  // 单个报价来源失败不影响其他来源的报价
+  const results = await Promise.allSettled(providers.map(provider => provider.getRates(request)));
+
+  results.forEach((result, index) => {
+    const providerName = providers[index].name || `provider_${index}`;
+
+    if (result.status === 'rejected') {
+      errors.push({ provider: providerName, message: result.reason.message });
+      return;
+    }
+
+    unavailable.push(...(result.value.unavailable || []));
+
+    (result.value.quotes || []).forEach(quote => {
+      const { surcharges, skipped } = applySurcharges(rules, buildSurchargeContext(request, quote), quote.basePrice);
+      const surchargeTotal = surcharges.reduce((sum, surcharge) => sum + surcharge.amount, 0);
+      const carrier = resolveCarrier(quote.carrier);
+
+      quotes.push({
+        ...quote,
+        carrierName: carrier ? carrier.name : quote.carrier,
+        provider: quote.provider || providerName,
+        surcharges,
+        skippedSurcharges: skipped,
+        totalPrice: round(quote.basePrice + surchargeTotal),
+        estimatedDelivery: {
+          from: new Date(now.getTime() + quote.transitDays.min * DAY),
+          to: new Date(now.getTime() + quote.transitDays.max * DAY)
+        }
+      });
+    });
+  });
+
+  // 同币种按总价排序，不同币种按币种分组
+  quotes.sort((a, b) => a.currency.localeCompare(b.currency) || a.totalPrice - b.totalPrice || a.transitDays.max - b.transitDays.max);
+
+  return { request, quotes, unavailable, errors };
+}
+
+module.exports = {
+  LocalRateTableProvider,
+  registerRateProvider,
+  normalizeParcels,
+  normalizeRateRequest,
+  quoteRates
+};
@@ -3,45 +3,131 @@
  * 提供各种物流公司的跟踪服务
  */
 
+const crypto = require('crypto');
+const { getTrackingMode, getDefaultTransport, requestCarrierApi } = require('./carrierTransport');
+const {
+  registerCarrier,
+  resolveCarrier,
+  getCarrier,
+  listCarriers,
+  validateTrackingNumber,
+  detectCarriers
+} = require('./carrierRegistry');
+const { DHLLabelProvider, UPSLabelProvider } = require('./carrierLabels');
+const { isValidS10, isValidUps1Z, isValidDhlExpress } = require('../utils/trackingNumber');
+const { resolveStatusCode } = require('../utils/shippingStatus');
+const { loadCarrierConfig, getCarrierAccount } = require('../config/carriers');
+const { httpError } = require('../utils/httpError');
+
 /**
  * 创建物流跟踪器工厂函数
- * @param {string} carrier - 物流公司代码
+ * @param {string} carrier - 物流公司代码或别名
+ * @param {Object} options - 跟踪器选项
+ * @param {string} options.account - 物流公司账号名称，默认使用default账号
+ * @param {string} options.apiUrl - 覆盖配置中的接口地址
+ * @param {Function} options.transport - 自定义传输函数
  * @returns {Object} - 对应物流公司的跟踪器实例
  */
-function createShippingTracker(carrier) {
-  // 转换为小写以统一处理
-  const carrierLower = carrier.toLowerCase();
-  
-  switch (carrierLower) {
-    case 'dhl':
-      return new DHLTracker();
-    case 'ups':
-      return new UPSTracker();
-    case '17track':
-    case '17':
-      return new SeventeenTrackTracker();
-    case 'cainiao':
-    case 'cn':
-      return new CainiaoTracker();
-    case 'yunexpress':
-    case 'yun':
-    case 'yuntu':
-      return new YunExpressTracker();
-    default:
-      // 对于未实现的物流公司，使用模拟跟踪器
-      return new MockTracker(carrier);
+function createShippingTracker(carrier, options = {}) {
+  // 未注册的物流公司直接报错，不再静默回退到模拟跟踪器
+  const definition = getCarrier(carrier);
+  const { account, ...overrides } = options;
+
+  return definition.createTracker({
+    ...getCarrierAccount(definition.code, account),
+    ...overrides
+  });
+}
+
+/**
+ * 创建物流公司面单（运单创建）工厂函数
+ * @param {string} carrier - 物流公司代码或别名
+ * @param {Object} options - 面单选项
+ * @param {string} options.account - 物流公司账号名称，默认使用default账号
+ * @param {Function} options.transport - 自定义传输函数
+ * @returns {Object} - 对应物流公司的面单实例
+ */
+function createLabelProvider(carrier, options = {}) {
+  const definition = getCarrier(carrier);
+
+  if (!definition.createLabelProvider) {
+    throw httpError(400, `物流公司 ${definition.name} 不支持通过接口创建运单`);
   }
+
+  const { account, ...overrides } = options;
+
+  return definition.createLabelProvider({
+    ...getCarrierAccount(definition.code, account),
+    ...overrides
+  });
+}
+
+/**
+ * 以固定时间比较两个签名字符串，避免时序攻击
+ * @param {string} expected - 期望的签名
+ * @param {string} actual - 请求中的签名
+ * @returns {boolean} - 是否一致
+ */
+function safeCompare(expected, actual) {
+  const a = Buffer.from(String(expected || ''));
+  const b = Buffer.from(String(actual || ''));
+  return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * 将映射表中的标准状态或子状态代码转换为主状态和子状态
+ * @param {string} code - 映射表中的标准状态或子状态代码
+ * @param {string} fallback - 无法映射时使用的代码，未指定时返回unknown
+ * @returns {Object} - 主状态和子状态（status、subStatus）
+ */
+function toNormalizedStatus(code, fallback) {
+  return resolveStatusCode(code) || resolveStatusCode(fallback) || { status: 'unknown', subStatus: null };
+}
+
+/**
+ * 将映射后的状态转换为跟踪事件字段（statusCode、subStatus）
+ * @param {Object} mapped - 主状态和子状态
+ * @returns {Object} - 跟踪事件的状态字段
+ */
+function toEventStatus(mapped) {
+  return { statusCode: mapped.status, subStatus: mapped.subStatus };
+}
+
+/**
+ * 解析UPS的日期和时间（YYYYMMDD、HHMMSS）
+ * @param {string} date - 日期
+ * @param {string} time - 时间
+ * @returns {Date} - 日期对象
+ */
+function parseUpsDateTime(date, time = '000000') {
+  const d = String(date || '');
+  const t = String(time || '000000').padEnd(6, '0');
+
+  return new Date(
+    `${d.slice(0, 4)}-${d.slice(4, 6)}-${d.slice(6, 8)}T${t.slice(0, 2)}:${t.slice(2, 4)}:${t.slice(4, 6)}Z`
+  );
 }
 
+// DHL状态码 -> 标准状态或子状态
+const DHL_STATUS_MAP = {
+  'pre-transit': 'info_received',
+  'transit': 'in_transit',
+  'delivered': 'delivered',
+  'failure': 'exception',
+  'returned': 'return_to_sender'
+};
+
 /**
  * DHL物流跟踪器
  */
 class DHLTracker {
-  constructor() {
-    // 在实际环境中，这些值应该从配置文件或环境变量中获取
-    this.apiUrl = 'https://api.dhl.com/tracking/v2';
-    this.apiKey = 'dhl_api_key_placeholder';
+  constructor(options = {}) {
+    // 接口地址、凭证和超时时间来自物流公司配置（config/carriers.js）
+    this.apiUrl = options.apiUrl;
+    this.apiKey = options.apiKey;
+    this.timeout = options.timeout;
     this.carrier = 'dhl';
+    this.transport = options.transport || getDefaultTransport();
   }
 
   /**
@@ -51,29 +137,22 @@ class DHLTracker {
    */
   async getTracking(trackingNumber) {
     try {
-      // 在开发环境或测试环境中，使用模拟数据
-      if (process.env.NODE_ENV !== 'production') {
+      // 模拟模式下使用随机模拟数据
+      if (getTrackingMode() === 'mock') {
         return this.generateMockResponse(trackingNumber);
       }
 
-      // 实际API调用
-      // const response = await fetch(`${this.apiUrl}/shipments?trackingNumber=${trackingNumber}`, {
-      //   headers: {
-      //     'DHL-API-Key': this.apiKey,
-      //     'Accept': 'application/json'
-      //   }
-      // });
-      // 
-      // if (!response.ok) {
-      //   throw new Error(`DHL API error: ${response.status} ${response.statusText}`);
-      // }
-      // 
-      // const data = await response.json();
-      // return this.parseResponse(data, trackingNumber);
-
-      // 模拟API调用延迟
-      await new Promise(resolve => setTimeout(resolve, 500));
-      return this.generateMockResponse(trackingNumber);
+      const data = await requestCarrierApi(this.transport, {
+        url: `${this.apiUrl}/shipments?trackingNumber=${encodeURIComponent(trackingNumber)}`,
+        headers: {
+          'DHL-API-Key': this.apiKey,
+          'Accept': 'application/json'
+        },
+        timeout: this.timeout,
+        meta: { carrier: this.carrier, trackingNumber }
+      }, 'DHL');
+
+      return this.parseResponse(data, trackingNumber);
     } catch (error) {
       console.error('DHL tracking error:', error);
       throw new Error(`获取DHL物流信息失败: ${error.message}`);
@@ -88,20 +167,19 @@ class DHLTracker {
    */
   parseResponse(data, trackingNumber) {
     try {
-      // 这里应该根据实际的DHL API响应格式进行解析
-      // 以下是一个示例实现
-      const shipment = data.shipments[0];
+      // DHL统一跟踪API（Shipment Tracking - Unified）响应格式
+      const shipment = data.shipments?.[0];
       
       if (!shipment) {
         throw new Error('未找到物流信息');
       }
 
       // 提取跟踪历史
-      const trackingHistory = shipment.events.map(event => ({
+      const trackingHistory = (shipment.events || []).map(event => ({
         timestamp: new Date(event.timestamp),
         description: event.description,
         location: event.location?.address?.addressLocality || '',
-        statusCode: this.mapStatusCode(event.statusCode)
+        ...toEventStatus(this.mapStatusCode(event.statusCode))
       }));
 
       // 按时间降序排序
@@ -110,8 +188,8 @@ class DHLTracker {
       return {
         carrier: this.carrier,
         trackingNumber,
-        status: this.mapStatus(shipment.status),
-        estimatedDeliveryDate: shipment.estimatedDeliveryDate ? new Date(shipment.estimatedDeliveryDate) : null,
+        ...this.mapStatus(shipment.status?.statusCode),
+        estimatedDeliveryDate: shipment.estimatedTimeOfDelivery ? new Date(shipment.estimatedTimeOfDelivery) : null,
         trackingHistory,
         rawData: data
       };
@@ -121,38 +199,48 @@ class DHLTracker {
     }
   }
 
+  /**
+   * 验证DHL推送通知签名
+   * 请求头 x-dhl-signature 为请求体的 HMAC-SHA256（十六进制）
+   * @param {Buffer} rawBody - 原始请求体
+   * @param {Object} headers - 请求头
+   * @param {string} secret - 签名密钥
+   * @returns {boolean} - 签名是否有效
+   */
+  verifyWebhook(rawBody, headers, secret) {
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    return safeCompare(expected, headers['x-dhl-signature']);
+  }
+
+  /**
+   * 解析DHL推送通知（与跟踪API响应格式相同）
+   * @param {Buffer} rawBody - 原始请求体
+   * @returns {Object[]} - 标准化的物流跟踪信息列表
+   */
+  parseWebhook(rawBody) {
+    const payload = JSON.parse(rawBody.toString('utf8'));
+
+    return (payload.shipments || []).map(shipment =>
+      this.parseResponse({ shipments: [shipment] }, shipment.id)
+    );
+  }
+
   /**
    * 映射DHL状态码到标准状态码
    * @param {string} statusCode - DHL状态码
-   * @returns {string} - 标准状态码
+   * @returns {Object} - 主状态和子状态（status、subStatus）
    */
   mapStatusCode(statusCode) {
-    // 这里应该根据实际的DHL状态码进行映射
-    const statusMap = {
-      'pre-transit': 'pending',
-      'transit': 'in_transit',
-      'delivered': 'delivered',
-      'failure': 'exception',
-      'unknown': 'unknown'
-    };
-
-    return statusMap[statusCode] || 'unknown';
+    return toNormalizedStatus(DHL_STATUS_MAP[statusCode]);
   }
 
   /**
    * 映射DHL状态到标准状态
    * @param {string} status - DHL状态
-   * @returns {string} - 标准状态
+   * @returns {Object} - 主状态和子状态（status、subStatus）
    */
   mapStatus(status) {
-    // 这里应该根据实际的DHL状态进行映射
-    const statusMap = {
-      'shipping': 'in_transit',
-      'delivered': 'delivered',
-      'failure': 'exception'
-    };
-
-    return statusMap[status] || 'pending';
+    return toNormalizedStatus(DHL_STATUS_MAP[status], 'pending');
   }
 
   /**
@@ -242,15 +330,52 @@ class DHLTracker {
   }
 }
 
+// UPS状态类型 -> 标准状态或子状态
+const UPS_STATUS_TYPE_MAP = {
+  'M': 'info_received',    // Manifest Pickup
+  'P': 'picked_up',        // Pickup
+  'I': 'in_transit',       // In Transit
+  'O': 'out_for_delivery', // Out for Delivery
+  'D': 'delivered',        // Delivered
+  'X': 'exception',        // Exception
+  'RS': 'return_to_sender' // Returned to Shipper
+};
+
+// UPS活动代码 -> 标准状态或子状态（比状态类型更具体）
+const UPS_ACTIVITY_CODE_MAP = {
+  'OT': 'out_for_delivery',       // Out For Delivery Today
+  'OF': 'out_for_delivery',       // Out For Delivery
+  'AP': 'available_for_pickup',   // Available at UPS Access Point
+  'FA': 'failed_attempt',         // Delivery Attempted
+  'CH': 'customs_hold',           // Held in Customs
+  'CC': 'customs_cleared',        // Cleared Customs
+  'DM': 'damaged'                 // Damage Reported
+};
+
+// UPS当前状态代码 -> 标准状态或子状态
+const UPS_CURRENT_STATUS_MAP = {
+  '001': 'info_received',     // Order Processed
+  '002': 'in_transit',        // In Transit
+  '003': 'delivered',         // Delivered
+  '004': 'exception',         // Exception
+  '005': 'picked_up',         // Pickup
+  '007': 'failed_attempt',    // Delivery Attempted
+  '011': 'out_for_delivery',  // Out for Delivery
+  '012': 'available_for_pickup', // Ready for Pickup
+  '021': 'return_to_sender'   // Returned to Shipper
+};
+
 /**
  * UPS物流跟踪器
  */
 class UPSTracker {
-  constructor() {
-    // 在实际环境中，这些值应该从配置文件或环境变量中获取
-    this.apiUrl = 'https://api.ups.com/api/track/v1';
-    this.apiKey = 'ups_api_key_placeholder';
+  constructor(options = {}) {
+    // 接口地址、凭证和超时时间来自物流公司配置（config/carriers.js）
+    this.apiUrl = options.apiUrl;
+    this.apiKey = options.apiKey;
+    this.timeout = options.timeout;
     this.carrier = 'ups';
+    this.transport = options.transport || getDefaultTransport();
   }
 
   /**
@@ -260,29 +385,24 @@ class UPSTracker {
    */
   async getTracking(trackingNumber) {
     try {
-      // 在开发环境或测试环境中，使用模拟数据
-      if (process.env.NODE_ENV !== 'production') {
+      // 模拟模式下使用随机模拟数据
+      if (getTrackingMode() === 'mock') {
         return this.generateMockResponse(trackingNumber);
       }
 
-      // 实际API调用
-      // const response = await fetch(`${this.apiUrl}/details/${trackingNumber}`, {
-      //   headers: {
-      //     'AccessLicenseNumber': this.apiKey,
-      //     'Accept': 'application/json'
-      //   }
-      // });
-      // 
-      // if (!response.ok) {
-      //   throw new Error(`UPS API error: ${response.status} ${response.statusText}`);
-      // }
-      // 
-      // const data = await response.json();
-      // return this.parseResponse(data, trackingNumber);
-
-      // 模拟API调用延迟
-      await new Promise(resolve => setTimeout(resolve, 500));
-      return this.generateMockResponse(trackingNumber);
+      const data = await requestCarrierApi(this.transport, {
+        url: `${this.apiUrl}/details/${encodeURIComponent(trackingNumber)}`,
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'transId': `${Date.now()}`,
+          'transactionSrc': 'fenxi',
+          'Accept': 'application/json'
+        },
+        timeout: this.timeout,
+        meta: { carrier: this.carrier, trackingNumber }
+      }, 'UPS');
+
+      return this.parseResponse(data, trackingNumber);
     } catch (error) {
       console.error('UPS tracking error:', error);
       throw new Error(`获取UPS物流信息失败: ${error.message}`);
@@ -297,21 +417,24 @@ class UPSTracker {
    */
   parseResponse(data, trackingNumber) {
     try {
-      // 这里应该根据实际的UPS API响应格式进行解析
-      // 以下是一个示例实现
-      const shipment = data.trackResponse?.shipment[0];
+      // UPS Tracking API v1 响应格式
+      const shipment = data.trackResponse?.shipment?.[0];
       
       if (!shipment) {
         throw new Error('未找到物流信息');
       }
 
       // 提取跟踪历史
-      const trackingHistory = shipment.package?.activity.map(activity => ({
-        timestamp: new Date(activity.date + ' ' + activity.time),
-        description: activity.description,
+      const pkg = shipment.package?.[0];
+      const trackingHistory = (pkg?.activity || []).map(activity => ({
+        timestamp: parseUpsDateTime(activity.date, activity.time),
+        description: activity.status?.description || '',
         location: activity.location?.address?.city || '',
-        statusCode: this.mapStatusCode(activity.status)
-      })) || [];
+        ...toEventStatus(this.mapStatusCode(activity.status?.type, activity.status?.code))
+      }));
+
+      // 预计送达日期（DEL为实际送达，其余类型为预计）
+      const deliveryDate = pkg?.deliveryDate?.find(item => item.type !== 'DEL');
 
       // 按时间降序排序
       trackingHistory.sort((a, b) => b.timestamp - a.timestamp);
@@ -319,8 +442,8 @@ class UPSTracker {
       return {
         carrier: this.carrier,
         trackingNumber,
-        status: this.mapStatus(shipment.currentStatus?.code),
-        estimatedDeliveryDate: shipment.deliveryDate ? new Date(shipment.deliveryDate) : null,
+        ...this.mapStatus(pkg?.currentStatus?.code),
+        estimatedDeliveryDate: deliveryDate ? parseUpsDateTime(deliveryDate.date) : null,
         trackingHistory,
         rawData: data
       };
@@ -332,37 +455,22 @@ class UPSTracker {
 
   /**
    * 映射UPS状态码到标准状态码
-   * @param {string} statusCode - UPS状态码
-   * @returns {string} - 标准状态码
+   * 优先使用活动代码（如OT派送中），再使用状态类型
+   * @param {string} statusType - UPS状态类型
+   * @param {string} activityCode - UPS活动代码
+   * @returns {Object} - 主状态和子状态（status、subStatus）
    */
-  mapStatusCode(statusCode) {
-    // 这里应该根据实际的UPS状态码进行映射
-    const statusMap = {
-      'I': 'pending',        // Information Received
-      'P': 'pending',        // Pickup
-      'O': 'in_transit',     // In Transit
-      'D': 'delivered',      // Delivered
-      'X': 'exception'       // Exception
-    };
-
-    return statusMap[statusCode] || 'unknown';
+  mapStatusCode(statusType, activityCode) {
+    return toNormalizedStatus(UPS_ACTIVITY_CODE_MAP[activityCode] || UPS_STATUS_TYPE_MAP[statusType]);
   }
 
   /**
    * 映射UPS状态到标准状态
-   * @param {string} status - UPS状态
-   * @returns {string} - 标准状态
+   * @param {string} status - UPS当前状态代码
+   * @returns {Object} - 主状态和子状态（status、subStatus）
    */
   mapStatus(status) {
-    // 这里应该根据实际的UPS状态进行映射
-    const statusMap = {
-      '001': 'pending',      // Order Processed
-      '002': 'in_transit',   // In Transit
-      '003': 'delivered',    // Delivered
-      '004': 'exception'     // Exception
-    };
-
-    return statusMap[status] || 'pending';
+    return toNormalizedStatus(UPS_CURRENT_STATUS_MAP[status], 'pending');
   }
 
   /**
@@ -452,15 +560,28 @@ class UPSTracker {
   }
 }
 
+// 17Track数字状态码 -> 标准状态或子状态
+const SEVENTEEN_TRACK_STATUS_MAP = {
+  0: 'pending',               // Not Found
+  10: 'in_transit',           // In Transit
+  20: 'exception',            // Expired
+  30: 'available_for_pickup', // Pick Up
+  35: 'failed_attempt',       // Undelivered
+  40: 'delivered',            // Delivered
+  50: 'exception'             // Alert
+};
+
 /**
  * 17Track物流跟踪器
  */
 class SeventeenTrackTracker {
-  constructor() {
-    // 在实际环境中，这些值应该从配置文件或环境变量中获取
-    this.apiUrl = 'https://api.17track.net/track/v1';
-    this.apiKey = '17track_api_key_placeholder';
+  constructor(options = {}) {
+    // 接口地址、凭证和超时时间来自物流公司配置（config/carriers.js）
+    this.apiUrl = options.apiUrl;
+    this.apiKey = options.apiKey;
+    this.timeout = options.timeout;
     this.carrier = '17track';
+    this.transport = options.transport || getDefaultTransport();
   }
 
   /**
@@ -470,33 +591,24 @@ class SeventeenTrackTracker {
    */
   async getTracking(trackingNumber) {
     try {
-      // 在开发环境或测试环境中，使用模拟数据
-      if (process.env.NODE_ENV !== 'production') {
+      // 模拟模式下使用随机模拟数据
+      if (getTrackingMode() === 'mock') {
         return this.generateMockResponse(trackingNumber);
       }
 
-      // 实际API调用
-      // const response = await fetch(`${this.apiUrl}/track`, {
-      //   method: 'POST',
-      //   headers: {
-      //     '17token': this.apiKey,
-      //     'Content-Type': 'application/json'
-      //   },
-      //   body: JSON.stringify({
-      //     numbers: [trackingNumber]
-      //   })
-      // });
-      // 
-      // if (!response.ok) {
-      //   throw new Error(`17Track API error: ${response.status} ${response.statusText}`);
-      // }
-      // 
-      // const data = await response.json();
-      // return this.parseResponse(data, trackingNumber);
-
-      // 模拟API调用延迟
-      await new Promise(resolve => setTimeout(resolve, 500));
-      return this.generateMockResponse(trackingNumber);
+      const data = await requestCarrierApi(this.transport, {
+        method: 'POST',
+        url: `${this.apiUrl}/gettrackinfo`,
+        headers: {
+          '17token': this.apiKey,
+          'Content-Type': 'application/json'
+        },
+        body: [{ number: trackingNumber }],
+        timeout: this.timeout,
+        meta: { carrier: this.carrier, trackingNumber }
+      }, '17Track');
+
+      return this.parseResponse(data, trackingNumber);
     } catch (error) {
       console.error('17Track tracking error:', error);
       throw new Error(`获取17Track物流信息失败: ${error.message}`);
@@ -511,20 +623,20 @@ class SeventeenTrackTracker {
    */
   parseResponse(data, trackingNumber) {
     try {
-      // 这里应该根据实际的17Track API响应格式进行解析
-      // 以下是一个示例实现
-      const trackInfo = data.data?.find(item => item.number === trackingNumber);
+      // 17Track API v1 响应格式，已受理的单号位于 data.accepted
+      const trackInfo = data.data?.accepted?.find(item => item.number === trackingNumber);
       
       if (!trackInfo || !trackInfo.track) {
         throw new Error('未找到物流信息');
       }
 
       // 提取跟踪历史
-      const trackingHistory = trackInfo.track.z2?.map(event => ({
-        timestamp: new Date(event.a * 1000), // 17Track使用Unix时间戳
+      const trackingHistory = trackInfo.track.z1?.map(event => ({
+        // 17Track返回当地时间字符串，部分接口返回Unix时间戳
+        timestamp: typeof event.a === 'number' ? new Date(event.a * 1000) : new Date(event.a),
         description: event.z,
         location: event.c || '',
-        statusCode: this.mapStatusCode(event.d)
+        ...toEventStatus(this.mapStatusCode(event.d))
       })) || [];
 
       // 按时间降序排序
@@ -533,7 +645,7 @@ class SeventeenTrackTracker {
       return {
         carrier: this.carrier,
         trackingNumber,
-        status: this.mapStatus(trackInfo.track.e),
+        ...this.mapStatus(trackInfo.track.e),
         estimatedDeliveryDate: null, // 17Track通常不提供预计送达日期
         trackingHistory,
         rawData: data
@@ -544,34 +656,51 @@ class SeventeenTrackTracker {
     }
   }
 
+  /**
+   * 验证17Track推送通知签名
+   * 请求头 sign 为 SHA256(请求体 + '/' + 密钥)（十六进制）
+   * @param {Buffer} rawBody - 原始请求体
+   * @param {Object} headers - 请求头
+   * @param {string} secret - 签名密钥
+   * @returns {boolean} - 签名是否有效
+   */
+  verifyWebhook(rawBody, headers, secret) {
+    const expected = crypto.createHash('sha256').update(`${rawBody.toString('utf8')}/${secret}`).digest('hex');
+    return safeCompare(expected, headers.sign);
+  }
+
+  /**
+   * 解析17Track推送通知
+   * @param {Buffer} rawBody - 原始请求体
+   * @returns {Object[]} - 标准化的物流跟踪信息列表
+   */
+  parseWebhook(rawBody) {
+    const payload = JSON.parse(rawBody.toString('utf8'));
+
+    // 仅处理跟踪信息更新事件
+    if (payload.event !== 'TRACKING_UPDATED' || !payload.data?.number) {
+      return [];
+    }
+
+    return [this.parseResponse({ data: { accepted: [payload.data] } }, payload.data.number)];
+  }
+
   /**
    * 映射17Track状态码到标准状态码
    * @param {number} statusCode - 17Track状态码
-   * @returns {string} - 标准状态码
+   * @returns {Object} - 主状态和子状态（status、subStatus）
    */
   mapStatusCode(statusCode) {
-    // 这里应该根据实际的17Track状态码进行映射
-    // 17Track使用数字状态码
-    if (statusCode === 0) return 'pending';
-    if (statusCode === 10) return 'in_transit';
-    if (statusCode === 30) return 'exception';
-    if (statusCode === 40) return 'delivered';
-    return 'unknown';
+    return toNormalizedStatus(SEVENTEEN_TRACK_STATUS_MAP[statusCode]);
   }
 
   /**
    * 映射17Track状态到标准状态
    * @param {number} status - 17Track状态
-   * @returns {string} - 标准状态
+   * @returns {Object} - 主状态和子状态（status、subStatus）
    */
   mapStatus(status) {
-    // 这里应该根据实际的17Track状态进行映射
-    // 17Track使用数字状态
-    if (status === 0) return 'pending';
-    if (status === 10) return 'in_transit';
-    if (status === 30) return 'exception';
-    if (status === 40) return 'delivered';
-    return 'pending';
+    return toNormalizedStatus(SEVENTEEN_TRACK_STATUS_MAP[status], 'pending');
   }
 
   /**
@@ -655,15 +784,34 @@ class SeventeenTrackTracker {
   }
 }
 
+// 菜鸟状态码 -> 标准状态或子状态（事件代码与包裹状态共用）
+const CAINIAO_STATUS_MAP = {
+  'CREATED': 'info_received',
+  'PICKUP': 'picked_up',
+  'TRANSIT': 'in_transit',
+  'CUSTOMS_HOLD': 'customs_hold',
+  'CUSTOMS_CLEARED': 'customs_cleared',
+  'OUT_FOR_DELIVERY': 'out_for_delivery',
+  'DELIVERY_FAILED': 'failed_attempt',
+  'AVAILABLE_FOR_PICKUP': 'available_for_pickup',
+  'DELIVERED': 'delivered',
+  'EXCEPTION': 'exception',
+  'DAMAGED': 'damaged',
+  'LOST': 'lost',
+  'RETURNED': 'return_to_sender'
+};
+
 /**
  * 菜鸟物流跟踪器
  */
 class CainiaoTracker {
-  constructor() {
-    // 在实际环境中，这些值应该从配置文件或环境变量中获取
-    this.apiUrl = 'https://api.cainiao.com/tracking';
-    this.apiKey = 'cainiao_api_key_placeholder';
+  constructor(options = {}) {
+    // 接口地址、凭证和超时时间来自物流公司配置（config/carriers.js）
+    this.apiUrl = options.apiUrl;
+    this.apiKey = options.apiKey;
+    this.timeout = options.timeout;
     this.carrier = 'cainiao';
+    this.transport = options.transport || getDefaultTransport();
   }
 
   /**
@@ -673,29 +821,22 @@ class CainiaoTracker {
    */
   async getTracking(trackingNumber) {
     try {
-      // 在开发环境或测试环境中，使用模拟数据
-      if (process.env.NODE_ENV !== 'production') {
+      // 模拟模式下使用随机模拟数据
+      if (getTrackingMode() === 'mock') {
         return this.generateMockResponse(trackingNumber);
       }
 
-      // 实际API调用
-      // const response = await fetch(`${this.apiUrl}?mailNo=${trackingNumber}`, {
-      //   headers: {
-      //     'Authorization': `Bearer ${this.apiKey}`,
-      //     'Accept': 'application/json'
-      //   }
-      // });
-      // 
-      // if (!response.ok) {
-      //   throw new Error(`菜鸟API error: ${response.status} ${response.statusText}`);
-      // }
-      // 
-      // const data = await response.json();
-      // return this.parseResponse(data, trackingNumber);
-
-      // 模拟API调用延迟
-      await new Promise(resolve => setTimeout(resolve, 500));
-      return this.generateMockResponse(trackingNumber);
+      const data = await requestCarrierApi(this.transport, {
+        url: `${this.apiUrl}?mailNo=${encodeURIComponent(trackingNumber)}`,
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Accept': 'application/json'
+        },
+        timeout: this.timeout,
+        meta: { carrier: this.carrier, trackingNumber }
+      }, '菜鸟');
+
+      return this.parseResponse(data, trackingNumber);
     } catch (error) {
       console.error('菜鸟物流跟踪错误:', error);
       throw new Error(`获取菜鸟物流信息失败: ${error.message}`);
@@ -721,7 +862,7 @@ class CainiaoTracker {
         timestamp: new Date(trace.eventTime),
         description: trace.eventDesc,
         location: trace.eventLocation || '',
-        statusCode: this.mapStatusCode(trace.eventCode)
+        ...toEventStatus(this.mapStatusCode(trace.eventCode))
       })) || [];
 
       // 按时间降序排序
@@ -730,7 +871,7 @@ class CainiaoTracker {
       return {
         carrier: this.carrier,
         trackingNumber,
-        status: this.mapStatus(data.data.status),
+        ...this.mapStatus(data.data.status),
         estimatedDeliveryDate: data.data.estimatedDeliveryTime ? new Date(data.data.estimatedDeliveryTime) : null,
         trackingHistory,
         rawData: data
@@ -741,40 +882,73 @@ class CainiaoTracker {
     }
   }
 
+  /**
+   * 读取菜鸟推送通知的参数（支持表单和JSON格式）
+   * @param {Buffer} rawBody - 原始请求体
+   * @returns {Object} - 推送参数（logistics_interface、data_digest）
+   */
+  readWebhookParams(rawBody) {
+    const text = rawBody.toString('utf8');
+
+    if (text.trim().startsWith('{')) {
+      return JSON.parse(text);
+    }
+
+    return Object.fromEntries(new URLSearchParams(text));
+  }
+
+  /**
+   * 验证菜鸟推送通知签名
+   * data_digest 为 Base64(MD5(logistics_interface + 密钥))
+   * @param {Buffer} rawBody - 原始请求体
+   * @param {Object} headers - 请求头
+   * @param {string} secret - 签名密钥
+   * @returns {boolean} - 签名是否有效
+   */
+  verifyWebhook(rawBody, headers, secret) {
+    const params = this.readWebhookParams(rawBody);
+    const expected = crypto.createHash('md5').update(`${params.logistics_interface || ''}${secret}`).digest('base64');
+    return safeCompare(expected, params.data_digest);
+  }
+
+  /**
+   * 解析菜鸟推送通知
+   * @param {Buffer} rawBody - 原始请求体
+   * @returns {Object[]} - 标准化的物流跟踪信息列表
+   */
+  parseWebhook(rawBody) {
+    const params = this.readWebhookParams(rawBody);
+
+    let data;
+    try {
+      data = JSON.parse(params.logistics_interface || '{}');
+    } catch (error) {
+      throw new Error(`logistics_interface不是有效的JSON: ${error.message}`);
+    }
+
+    if (!data.mailNo) {
+      return [];
+    }
+
+    return [this.parseResponse({ success: true, data }, data.mailNo)];
+  }
+
   /**
    * 映射菜鸟状态码到标准状态码
    * @param {string} statusCode - 菜鸟状态码
-   * @returns {string} - 标准状态码
+   * @returns {Object} - 主状态和子状态（status、subStatus）
    */
   mapStatusCode(statusCode) {
-    // 这里应该根据实际的菜鸟状态码进行映射
-    const statusMap = {
-      'CREATED': 'pending',
-      'PICKUP': 'pending',
-      'TRANSIT': 'in_transit',
-      'DELIVERED': 'delivered',
-      'EXCEPTION': 'exception'
-    };
-
-    return statusMap[statusCode] || 'unknown';
+    return toNormalizedStatus(CAINIAO_STATUS_MAP[statusCode]);
   }
 
   /**
    * 映射菜鸟状态到标准状态
    * @param {string} status - 菜鸟状态
-   * @returns {string} - 标准状态
+   * @returns {Object} - 主状态和子状态（status、subStatus）
    */
   mapStatus(status) {
-    // 这里应该根据实际的菜鸟状态进行映射
-    const statusMap = {
-      'CREATED': 'pending',
-      'PICKUP': 'pending',
-      'TRANSIT': 'in_transit',
-      'DELIVERED': 'delivered',
-      'EXCEPTION': 'exception'
-    };
-
-    return statusMap[status] || 'pending';
+    return toNormalizedStatus(CAINIAO_STATUS_MAP[status], 'pending');
   }
 
   /**
@@ -864,15 +1038,46 @@ class CainiaoTracker {
   }
 }
 
+// 云途扫描类型 -> 标准状态或子状态
+const YUNEXPRESS_SCAN_TYPE_MAP = {
+  'INFO_RECEIVED': 'info_received',
+  'PICKED_UP': 'picked_up',
+  'IN_TRANSIT': 'in_transit',
+  'CUSTOMS_HOLD': 'customs_hold',
+  'CUSTOMS_CLEARED': 'customs_cleared',
+  'OUT_FOR_DELIVERY': 'out_for_delivery',
+  'ATTEMPT_FAIL': 'failed_attempt',
+  'AVAILABLE_FOR_PICKUP': 'available_for_pickup',
+  'DELIVERED': 'delivered',
+  'EXCEPTION': 'exception',
+  'RETURNED': 'return_to_sender'
+};
+
+// 云途包裹状态 -> 标准状态或子状态
+const YUNEXPRESS_STATUS_MAP = {
+  'InfoReceived': 'info_received',
+  'PickedUp': 'picked_up',
+  'InTransit': 'in_transit',
+  'CustomsHold': 'customs_hold',
+  'OutForDelivery': 'out_for_delivery',
+  'AttemptFail': 'failed_attempt',
+  'AvailableForPickup': 'available_for_pickup',
+  'Delivered': 'delivered',
+  'Exception': 'exception',
+  'Returned': 'return_to_sender'
+};
+
 /**
  * 云途物流跟踪器
  */
 class YunExpressTracker {
-  constructor() {
-    // 在实际环境中，这些值应该从配置文件或环境变量中获取
-    this.apiUrl = 'https://api.yunexpress.com/api/tracking';
-    this.apiKey = 'yunexpress_api_key_placeholder';
+  constructor(options = {}) {
+    // 接口地址、凭证和超时时间来自物流公司配置（config/carriers.js）
+    this.apiUrl = options.apiUrl;
+    this.apiKey = options.apiKey;
+    this.timeout = options.timeout;
     this.carrier = 'yunexpress';
+    this.transport = options.transport || getDefaultTransport();
   }
 
   /**
@@ -882,29 +1087,22 @@ class YunExpressTracker {
    */
   async getTracking(trackingNumber) {
     try {
-      // 在开发环境或测试环境中，使用模拟数据
-      if (process.env.NODE_ENV !== 'production') {
+      // 模拟模式下使用随机模拟数据
+      if (getTrackingMode() === 'mock') {
         return this.generateMockResponse(trackingNumber);
       }
 
-      // 实际API调用
-      // const response = await fetch(`${this.apiUrl}/${trackingNumber}`, {
-      //   headers: {
-      //     'Authorization': `Bearer ${this.apiKey}`,
-      //     'Accept': 'application/json'
-      //   }
-      // });
-      // 
-      // if (!response.ok) {
-      //   throw new Error(`云途API error: ${response.status} ${response.statusText}`);
-      // }
-      // 
-      // const data = await response.json();
-      // return this.parseResponse(data, trackingNumber);
-
-      // 模拟API调用延迟
-      await new Promise(resolve => setTimeout(resolve, 500));
-      return this.generateMockResponse(trackingNumber);
+      const data = await requestCarrierApi(this.transport, {
+        url: `${this.apiUrl}/${encodeURIComponent(trackingNumber)}`,
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Accept': 'application/json'
+        },
+        timeout: this.timeout,
+        meta: { carrier: this.carrier, trackingNumber }
+      }, '云途');
+
+      return this.parseResponse(data, trackingNumber);
     } catch (error) {
       console.error('云途物流跟踪错误:', error);
       throw new Error(`获取云途物流信息失败: ${error.message}`);
@@ -930,7 +1128,7 @@ class YunExpressTracker {
         timestamp: new Date(detail.scanDate),
         description: detail.scanDescription,
         location: detail.scanLocation || '',
-        statusCode: this.mapStatusCode(detail.scanType)
+        ...toEventStatus(this.mapStatusCode(detail.scanType))
       })) || [];
 
       // 按时间降序排序
@@ -939,7 +1137,7 @@ class YunExpressTracker {
       return {
         carrier: this.carrier,
         trackingNumber,
-        status: this.mapStatus(data.data.status),
+        ...this.mapStatus(data.data.status),
         estimatedDeliveryDate: data.data.estimatedDeliveryDate ? new Date(data.data.estimatedDeliveryDate) : null,
         trackingHistory,
         rawData: data
@@ -952,36 +1150,20 @@ class YunExpressTracker {
 
   /**
    * 映射云途状态码到标准状态码
-   * @param {string} statusCode - 云途状态码
-   * @returns {string} - 标准状态码
+   * @param {string} statusCode - 云途扫描类型
+   * @returns {Object} - 主状态和子状态（status、subStatus）
    */
   mapStatusCode(statusCode) {
-    // 这里应该根据实际的云途状态码进行映射
-    const statusMap = {
-      'INFO_RECEIVED': 'pending',
-      'IN_TRANSIT': 'in_transit',
-      'DELIVERED': 'delivered',
-      'EXCEPTION': 'exception'
-    };
-
-    return statusMap[statusCode] || 'unknown';
+    return toNormalizedStatus(YUNEXPRESS_SCAN_TYPE_MAP[statusCode]);
   }
 
   /**
    * 映射云途状态到标准状态
-   * @param {string} status - 云途状态
-   * @returns {string} - 标准状态
+   * @param {string} status - 云途包裹状态
+   * @returns {Object} - 主状态和子状态（status、subStatus）
    */
   mapStatus(status) {
-    // 这里应该根据实际的云途状态进行映射
-    const statusMap = {
-      'InfoReceived': 'pending',
-      'InTransit': 'in_transit',
-      'Delivered': 'delivered',
-      'Exception': 'exception'
-    };
-
-    return statusMap[status] || 'pending';
+    return toNormalizedStatus(YUNEXPRESS_STATUS_MAP[status], 'pending');
   }
 
   /**
@@ -1079,6 +1261,15 @@ class MockTracker {
     this.carrier = carrier || 'unknown';
   }
 
+  /**
+   * 映射状态码到标准状态码（未集成的物流公司直接使用标准状态或子状态代码）
+   * @param {string} statusCode - 状态码
+   * @returns {Object} - 主状态和子状态（status、subStatus）
+   */
+  mapStatusCode(statusCode) {
+    return toNormalizedStatus(statusCode);
+  }
+
   /**
    * 获取物流跟踪信息
    * @param {string} trackingNumber - 物流单号
@@ -1177,4 +1368,108 @@ class MockTracker {
   }
 }
 
-module.exports = { createShippingTracker };
\ No newline at end of file
+/**
+ * 注册内置的物流公司
+ */
+registerCarrier({
+  code: 'dhl',
+  name: 'DHL',
+  trackingNumberFormats: [
+    { name: 'DHL Express运单号', pattern: /^\d{10}$/, validate: isValidDhlExpress, confidence: 0.8, example: '1234567891' },
+    { name: 'DHL eCommerce单号', pattern: /^GM\d{16,18}$/, confidence: 0.85, example: 'GM2951173225174494' }
+  ],
+  capabilities: { webhooks: true, estimatedDelivery: true },
+  createTracker: options => new DHLTracker(options),
+  createLabelProvider: options => new DHLLabelProvider(options)
+});
+
+registerCarrier({
+  code: 'ups',
+  name: 'UPS',
+  trackingNumberFormats: [
+    { name: 'UPS 1Z单号', pattern: /^1Z[0-9A-Z]{16}$/, validate: isValidUps1Z, confidence: 0.99, example: '1Z999AA10123456784' }
+  ],
+  capabilities: { estimatedDelivery: true },
+  createTracker: options => new UPSTracker(options),
+  createLabelProvider: options => new UPSLabelProvider(options)
+});
+
+registerCarrier({
+  code: '17track',
+  name: '17Track',
+  aliases: ['17'],
+  trackingNumberFormats: [
+    { name: 'UPU S10国际邮件号', pattern: /^[A-Z]{2}\d{9}[A-Z]{2}$/, validate: isValidS10, confidence: 0.9, example: 'RR123456785CN' },
+    // 17Track为聚合查询平台，可查询大多数物流公司的单号；通用格式只在明确指定17Track时有效，不参与自动识别
+    { name: '通用物流单号', pattern: /^[A-Z0-9]{8,30}$/, fallback: true }
+  ],
+  capabilities: { webhooks: true },
+  createTracker: options => new SeventeenTrackTracker(options)
+});
+
+registerCarrier({
+  code: 'cainiao',
+  name: '菜鸟物流',
+  aliases: ['cn'],
+  trackingNumberFormats: [
+    { name: '菜鸟LP单号', pattern: /^LP\d{14}$/, confidence: 0.95, example: 'LP00123456789012' }
+  ],
+  capabilities: { webhooks: true, estimatedDelivery: true },
+  createTracker: options => new CainiaoTracker(options)
+});
+
+registerCarrier({
+  code: 'yunexpress',
+  name: '云途物流',
+  aliases: ['yun', 'yuntu'],
+  trackingNumberFormats: [
+    { name: '云途YT单号', pattern: /^YT\d{16}$/, confidence: 0.95, example: 'YT2306012345678901' }
+  ],
+  capabilities: { estimatedDelivery: true },
+  createTracker: options => new YunExpressTracker(options)
+});
+
+/**
+ * 注册显式配置的未集成物流公司
+ * 格式：SHIPPING_MANUAL_CARRIERS=sf:顺丰速运,ems:EMS
+ * 这些物流公司不支持自动跟踪，物流状态由管理员手动维护
+ */
+(process.env.SHIPPING_MANUAL_CARRIERS || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean)
+  .forEach(item => {
+    const [code, name] = item.split(':');
+    registerCarrier({
+      code,
+      name: name || code,
+      capabilities: { tracking: false },
+      createTracker: () => new MockTracker(code.toLowerCase())
+    });
+  });
+
+/**
+ * 启动时加载并校验物流公司配置，配置无效时直接抛出错误
+ */
+const carrierConfig = loadCarrierConfig();
+
+if (getTrackingMode() === 'live') {
+  listCarriers()
+    .filter(carrier => carrier.capabilities.tracking && !carrierConfig[carrier.code]?.accounts.default)
+    .forEach(carrier => console.warn(`物流公司 ${carrier.name} 未配置默认账号，物流跟踪请求将失败`));
+}
+
+module.exports = {
+  createShippingTracker,
+  createLabelProvider,
+  resolveCarrier,
+  listCarriers,
+  validateTrackingNumber,
+  detectCarriers,
+  DHLTracker,
+  UPSTracker,
+  SeventeenTrackTracker,
+  CainiaoTracker,
+  YunExpressTracker,
+  MockTracker
+};
\ No newline at end of file
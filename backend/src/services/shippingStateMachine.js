@@ -0,0 +1,197 @@
+/**
+ * 物流状态机
+ * 定义物流状态之间允许的变更，控制器、主动查询和推送通知统一通过该模块变更物流状态
+ *
+ * pending → in_transit → out_for_delivery → delivered
+ * 派送失败（failed_attempt）、异常（exception）和退回（returned）为分支状态，
+ * 揽收前作废面单时由pending变更为已取消（cancelled）
+ * 子状态（如customs_hold）只细化所属的主状态，同一主状态内的子状态变更不受状态机限制
+ */
+
+const { SHIPPING_STATUSES, TERMINAL_STATUSES, SUB_STATUS_PARENTS, isSubStatusOf } = require('../utils/shippingStatus');
+const { computeNextPollAt } = require('./trackingSchedule');
+const { syncOrderDeliveryStatus } = require('./orderShippingService');
+const { SHIPPING_EVENTS, shippingEvents, queueShippingEvent } = require('./shippingEvents');
+const { httpError } = require('../utils/httpError');
+
+// 当前状态 -> 允许变更到的状态
+const TRANSITIONS = {
+  pending: ['in_transit', 'out_for_delivery', 'delivered', 'exception', 'returned', 'cancelled'],
+  in_transit: ['out_for_delivery', 'failed_attempt', 'delivered', 'exception', 'returned'],
+  out_for_delivery: ['in_transit', 'failed_attempt', 'delivered', 'exception', 'returned'],
+  failed_attempt: ['in_transit', 'out_for_delivery', 'delivered', 'exception', 'returned'],
+  exception: ['in_transit', 'out_for_delivery', 'failed_attempt', 'delivered', 'returned'],
+  delivered: [],
+  returned: [],
+  cancelled: []
+};
+
+/**
+ * 非法的物流状态变更
+ */
+class InvalidStatusTransitionError extends Error {
+  constructor(from, to) {
+    super(`物流状态不能从 ${from} 变更为 ${to}`);
+    this.name = 'InvalidStatusTransitionError';
+    this.statusCode = 409;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * 检查状态变更是否允许
+ * @param {string} from - 当前状态
+ * @param {string} to - 目标状态
+ * @returns {boolean} - 是否允许
+ */
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * 校验子状态是否有效且属于目标状态
+ * @param {string} status - 目标状态
+ * @param {string} subStatus - 子状态
+ */
+function assertValidSubStatus(status, subStatus) {
+  if (!SUB_STATUS_PARENTS[subStatus]) {
+    throw httpError(400, `无效的物流子状态: ${subStatus}`);
+  }
+
+  if (!isSubStatusOf(status, subStatus)) {
+    throw httpError(400, `物流子状态 ${subStatus} 不属于状态 ${status}`);
+  }
+}
+
+/**
+ * 变更物流状态并记录状态历史（不保存物流信息，由调用方保存）
+ * 状态不变但子状态变化时（如exception下由customs_hold变为lost）同样记录状态历史
+ * @param {Object} shipping - 物流信息文档
+ * @param {string} status - 目标状态
+ * @param {Object} options - 变更选项
+ * @param {string} options.subStatus - 目标子状态（必须属于目标状态）
+ * @param {string} options.source - 变更来源（system、carrier、webhook、admin）
+ * @param {string} options.note - 状态历史备注
+ * @param {boolean} options.override - 是否为管理员强制变更（跳过状态机校验）
+ * @param {string} options.reason - 强制变更的原因（override时必填）
+ * @param {string} options.changedBy - 操作人用户ID
+ * @returns {Promise<boolean>} - 状态是否发生变更
+ */
+async function transitionShipping(shipping, status, options = {}) {
+  const { subStatus = null, source = 'system', note = '', override = false, reason = '', changedBy = null } = options;
+  const from = shipping.status;
+  const fromSubStatus = shipping.subStatus || null;
+
+  if (reason !== null && typeof reason !== 'string') {
+    throw httpError(400, '变更原因必须为文本');
+  }
+
+  if (!SHIPPING_STATUSES.includes(status)) {
+    throw httpError(400, `无效的物流状态: ${status}`);
+  }
+
+  if (subStatus) {
+    assertValidSubStatus(status, subStatus);
+  }
+
+  if (from === status) {
+    // 主状态不变时，只有明确给出新的子状态才记录变更
+    if (!subStatus || subStatus === fromSubStatus) {
+      return false;
+    }
+
+    shipping.subStatus = subStatus;
+    shipping.statusHistory.push({
+      status,
+      subStatus,
+      previousStatus: from,
+      previousSubStatus: fromSubStatus,
+      timestamp: new Date(),
+      note,
+      source,
+      changedBy
+    });
+    shipping.nextPollAt = TERMINAL_STATUSES.includes(status) ? null : computeNextPollAt(shipping);
+
+    queueShippingEvent(shipping, SHIPPING_EVENTS.STATUS_CHANGED, {
+      status,
+      subStatus,
+      previousStatus: from,
+      previousSubStatus: fromSubStatus,
+      source
+    });
+
+    return true;
+  }
+
+  if (!canTransition(from, status)) {
+    if (!override) {
+      throw new InvalidStatusTransitionError(from, status);
+    }
+
+    if (!reason || !reason.trim()) {
+      throw httpError(400, '强制变更物流状态时必须填写原因');
+    }
+  }
+
+  shipping.status = status;
+  shipping.subStatus = subStatus;
+  shipping.statusHistory.push({
+    status,
+    subStatus,
+    previousStatus: from,
+    previousSubStatus: fromSubStatus,
+    timestamp: new Date(),
+    note,
+    source,
+    changedBy,
+    override: Boolean(override) && !canTransition(from, status),
+    reason: reason || ''
+  });
+
+  // 已送达时记录送达日期（订单状态在物流信息保存后更新）
+  if (status === 'delivered' && !shipping.deliveredDate) {
+    shipping.deliveredDate = new Date();
+  }
+
+  // 从已送达强制退回其他状态时清除送达日期
+  if (from === 'delivered' && status !== 'delivered') {
+    shipping.deliveredDate = null;
+  }
+
+  // 状态变更后重新安排后台轮询（终态不再轮询）
+  shipping.nextPollAt = TERMINAL_STATUSES.includes(status) ? null : computeNextPollAt(shipping);
+
+  // 保存后发出状态变更事件（通知、外部回调等）
+  queueShippingEvent(shipping, SHIPPING_EVENTS.STATUS_CHANGED, {
+    status,
+    subStatus,
+    previousStatus: from,
+    previousSubStatus: fromSubStatus,
+    source
+  });
+  if (status === 'delivered') {
+    queueShippingEvent(shipping, SHIPPING_EVENTS.DELIVERED, { source });
+  }
+
+  return true;
+}
+
+// 包裹送达或离开已送达状态的变更保存后，重新计算订单的送达状态（物流信息保存失败时订单不变）
+shippingEvents.on(SHIPPING_EVENTS.STATUS_CHANGED, ({ shipping, status, previousStatus }) => {
+  if (status === previousStatus || (status !== 'delivered' && previousStatus !== 'delivered')) {
+    return;
+  }
+
+  syncOrderDeliveryStatus(shipping).catch(error => {
+    console.error(`更新订单送达状态失败 [${shipping.order}]:`, error.message);
+  });
+});
+
+module.exports = {
+  TRANSITIONS,
+  InvalidStatusTransitionError,
+  canTransition,
+  transitionShipping
+};
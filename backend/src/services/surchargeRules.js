@@ -0,0 +1,123 @@
+/**
+ * 运费附加费规则引擎
+ * 每条规则限定适用的物流公司和服务等级，满足全部条件时按计费方式计算附加费：
+ * 固定金额、每件包裹、按计费重量、基础运费百分比或申报价值百分比，可设置最低（min）和最高（max）金额
+ */
+
+const { round } = require('../utils/statistics');
+
+/**
+ * 判断单个条件是否满足
+ * @param {Object} condition - 条件（field、operator、value）
+ * @param {Object} context - 报价上下文
+ * @returns {boolean} - 是否满足
+ */
+function matchesCondition({ field, operator, value }, context) {
+  const actual = context[field];
+
+  switch (operator) {
+    case 'eq':
+      return actual === value;
+    case 'ne':
+      return actual !== value;
+    case 'gt':
+      return actual > value;
+    case 'gte':
+      return actual >= value;
+    case 'lt':
+      return actual < value;
+    case 'lte':
+      return actual <= value;
+    case 'in':
+      return Array.isArray(value) && value.includes(actual);
+    case 'not_in':
+      return Array.isArray(value) && !value.includes(actual);
+    default:
+      return false;
+  }
+}
+
+/**
+ * 判断规则是否适用于报价
+ * @param {Object} rule - 附加费规则
+ * @param {Object} context - 报价上下文
+ * @returns {boolean} - 是否适用
+ */
+function matchesRule(rule, context) {
+  if (rule.carriers && rule.carriers.length > 0 && !rule.carriers.includes(context.carrier)) {
+    return false;
+  }
+  if (rule.services && rule.services.length > 0 && !rule.services.includes(context.service)) {
+    return false;
+  }
+
+  return (rule.conditions || []).every(condition => matchesCondition(condition, context));
+}
+
+/**
+ * 计算规则的附加费金额
+ * @param {Object} rule - 附加费规则
+ * @param {Object} context - 报价上下文
+ * @param {number} basePrice - 基础运费
+ * @returns {number} - 附加费金额
+ */
+function computeSurchargeAmount(rule, context, basePrice) {
+  let amount;
+
+  switch (rule.type) {
+    case 'per_parcel':
+      amount = rule.value * context.parcelCount;
+      break;
+    case 'per_kg':
+      amount = rule.value * context.chargeableWeight;
+      break;
+    case 'percent':
+      amount = basePrice * rule.value / 100;
+      break;
+    case 'declared_value_percent':
+      amount = context.declaredValue * rule.value / 100;
+      break;
+    default:
+      amount = rule.value;
+  }
+
+  if (rule.min !== undefined) amount = Math.max(amount, rule.min);
+  if (rule.max !== undefined) amount = Math.min(amount, rule.max);
+
+  return round(amount);
+}
+
+/**
+ * 计算报价适用的全部附加费
+ * 申报价值的币种与报价币种不一致时，按申报价值计算的附加费无法计算，记录在skipped中
+ * @param {Object[]} rules - 附加费规则
+ * @param {Object} context - 报价上下文（字段见CONDITION_FIELDS，另含currency、declaredValueCurrency）
+ * @param {number} basePrice - 基础运费
+ * @returns {Object} - 附加费明细（surcharges: [{ code, name, amount }]）和未计算的规则（skipped）
+ */
+function applySurcharges(rules, context, basePrice) {
+  const surcharges = [];
+  const skipped = [];
+
+  rules
+    .filter(rule => matchesRule(rule, context))
+    .forEach(rule => {
+      if (rule.type === 'declared_value_percent' && context.declaredValueCurrency !== context.currency) {
+        skipped.push({ code: rule.code, name: rule.name, reason: `申报价值币种与报价币种（${context.currency}）不一致` });
+        return;
+      }
+
+      const amount = computeSurchargeAmount(rule, context, basePrice);
+      if (amount > 0) {
+        surcharges.push({ code: rule.code, name: rule.name || rule.code, amount });
+      }
+    });
+
+  return { surcharges, skipped };
+}
+
+module.exports = {
+  matchesRule,
+  computeSurchargeAmount,
+  applySurcharges
+};
@@ -0,0 +1,133 @@
+/**
+ * 跟踪历史合并引擎
+ * 将物流公司返回的跟踪事件增量合并到已有跟踪历史：
+ * - 按时间、描述、地点生成指纹去重
+ * - 管理员手动添加的事件（source为manual）始终保留
+ * - 物流公司后来不再返回的事件继续保留，并标记为droppedByCarrier
+ * - 记录每条事件由哪一次刷新添加（refreshId）
+ */
+
+const crypto = require('crypto');
+
+/**
+ * 生成刷新批次ID
+ * @returns {string} - 刷新批次ID
+ */
+function createRefreshId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * 标准化文本用于比较（去除首尾空白、合并连续空白、转小写）
+ * @param {string} text - 文本
+ * @returns {string} - 标准化后的文本
+ */
+function normalizeText(text) {
+  return String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * 生成跟踪事件指纹
+ * 时间精确到分钟，避免主动查询和推送通知之间的秒级差异造成重复
+ * @param {Object} event - 跟踪事件
+ * @returns {string} - 指纹
+ */
+function fingerprintEvent(event) {
+  const minute = Math.floor(new Date(event.timestamp).getTime() / 60000);
+  const source = [minute, normalizeText(event.description), normalizeText(event.location)].join('|');
+  return crypto.createHash('sha1').update(source).digest('hex');
+}
+
+/**
+ * 合并跟踪历史
+ * @param {Object[]} existing - 已有跟踪历史
+ * @param {Object[]} incoming - 物流公司返回的跟踪事件
+ * @param {Object} options - 合并选项
+ * @param {string} options.refreshId - 本次刷新批次ID
+ * @param {string} options.source - 事件来源（carrier、webhook）
+ * @param {boolean} options.complete - incoming是否为完整的跟踪记录（完整记录才能判断哪些事件被物流公司移除）
+ * @param {Date} options.now - 当前时间
+ * @returns {Object} - 合并结果（trackingHistory、added、dropped）
+ */
+function mergeTrackingHistory(existing, incoming, options = {}) {
+  const {
+    refreshId = createRefreshId(),
+    source = 'carrier',
+    complete = true,
+    now = new Date()
+  } = options;
+
+  const events = existing.map(event => {
+    const plain = event.toObject ? event.toObject() : { ...event };
+    return {
+      ...plain,
+      source: plain.source || 'carrier',
+      fingerprint: plain.fingerprint || fingerprintEvent(plain)
+    };
+  });
+
+  const byFingerprint = new Map(events.map(event => [event.fingerprint, event]));
+  const incomingFingerprints = new Set();
+  const added = [];
+
+  incoming.forEach(event => {
+    const fingerprint = fingerprintEvent(event);
+
+    // 同一批次内的重复事件只处理一次
+    if (incomingFingerprints.has(fingerprint)) {
+      return;
+    }
+    incomingFingerprints.add(fingerprint);
+
+    const current = byFingerprint.get(fingerprint);
+
+    if (current) {
+      // 物流公司重新返回了之前移除的事件，或更新了事件状态码
+      if (current.source !== 'manual') {
+        current.droppedByCarrier = false;
+        if (event.statusCode) current.statusCode = event.statusCode;
+        if (event.subStatus) current.subStatus = event.subStatus;
+      }
+      return;
+    }
+
+    const newEvent = {
+      timestamp: new Date(event.timestamp),
+      description: event.description,
+      location: event.location || '',
+      statusCode: event.statusCode || 'unknown',
+      subStatus: event.subStatus || null,
+      source,
+      fingerprint,
+      refreshId,
+      addedAt: now,
+      droppedByCarrier: false
+    };
+
+    events.push(newEvent);
+    byFingerprint.set(fingerprint, newEvent);
+    added.push(newEvent);
+  });
+
+  // 完整记录中缺失的物流公司事件仍然保留，只做标记
+  let dropped = 0;
+  if (complete) {
+    events.forEach(event => {
+      if (event.source !== 'manual' && !incomingFingerprints.has(event.fingerprint) && !event.droppedByCarrier) {
+        event.droppedByCarrier = true;
+        dropped += 1;
+      }
+    });
+  }
+
+  // 按时间降序排序
+  events.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+  return { trackingHistory: events, added, dropped, refreshId };
+}
+
+module.exports = {
+  createRefreshId,
+  fingerprintEvent,
+  mergeTrackingHistory
+};
@@ -0,0 +1,232 @@
+/**
+ * 物流跟踪后台轮询任务
+ * 定期查询到期的未完结物流并从物流公司刷新跟踪信息，按物流公司限制并发请求数
+ *
+ * 在应用入口中启动：
+ *   const { startTrackingPoller } = require('./services/trackingPoller');
+ *   startTrackingPoller();
+ *
+ * 环境变量：
+ * - SHIPPING_POLLER_ENABLED: 设为false时不启动轮询
+ * - SHIPPING_POLLER_INTERVAL_MS: 检查到期物流的间隔（默认5分钟）
+ * - SHIPPING_POLLER_BATCH_SIZE: 每轮最多处理的物流数量（默认200）
+ */
+
+const Shipping = require('../models/Shipping');
+const { listCarriers } = require('./shippingService');
+const { refreshShippingTracking } = require('./trackingRefreshService');
+const { ACTIVE_STATUSES, computeRetryAt } = require('./trackingSchedule');
+const { getCarrierPollConcurrency } = require('../config/carriers');
+
+// 轮询任务状态
+const state = {
+  enabled: false,
+  running: false,
+  timer: null,
+  intervalMs: null,
+  batchSize: null,
+  startedAt: null,
+  lastRunStartedAt: null,
+  lastRunFinishedAt: null,
+  lastRun: null,
+  lastError: null,
+  totals: { runs: 0, polled: 0, succeeded: 0, failed: 0 },
+  // 物流公司代码 -> 正在进行的请求数
+  inFlight: {}
+};
+
+/**
+ * 构建到期物流的查询条件
+ * @param {Date} now - 当前时间
+ * @returns {Object} - 查询条件
+ */
+function buildDueQuery(now) {
+  // 只轮询支持自动跟踪的物流公司（按代码或别名匹配，忽略大小写）；
+  // 不支持自动跟踪或未注册的物流公司由管理员手动维护，刷新时不会更新nextPollAt，不能进入轮询批次
+  const trackingCarriers = listCarriers()
+    .filter(carrier => carrier.capabilities.tracking)
+    .flatMap(carrier => [carrier.code, ...carrier.aliases])
+    .map(key => key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+  return {
+    status: { $in: ACTIVE_STATUSES },
+    carrier: new RegExp(`^(?:${trackingCarriers.join('|')})$`, 'i'),
+    $or: [{ nextPollAt: { $lte: now } }, { nextPollAt: null }]
+  };
+}
+
+/**
+ * 刷新单个物流，失败时按指数退避安排重试
+ * @param {Object} shipping - 物流信息文档
+ * @returns {Promise<boolean>} - 是否刷新成功
+ */
+async function pollShipping(shipping) {
+  try {
+    await refreshShippingTracking(shipping);
+    return true;
+  } catch (error) {
+    console.error(`轮询物流信息失败 [${shipping.carrier} ${shipping.trackingNumber}]:`, error.message);
+
+    const pollFailures = (shipping.pollFailures || 0) + 1;
+    await Shipping.updateOne(
+      { _id: shipping._id },
+      { $set: { pollFailures, lastPolledAt: new Date(), nextPollAt: computeRetryAt(pollFailures) } }
+    );
+    return false;
+  }
+}
+
+/**
+ * 按并发上限处理同一物流公司的物流
+ * @param {string} carrier - 物流公司代码
+ * @param {Object[]} shippings - 物流信息列表
+ * @param {Object} stats - 本轮统计
+ * @returns {Promise<void>}
+ */
+async function pollCarrier(carrier, shippings, stats) {
+  const concurrency = getCarrierPollConcurrency(carrier);
+  const queue = [...shippings];
+
+  const worker = async () => {
+    while (queue.length > 0) {
+      const shipping = queue.shift();
+      state.inFlight[carrier] = (state.inFlight[carrier] || 0) + 1;
+
+      try {
+        const succeeded = await pollShipping(shipping);
+        stats.polled += 1;
+        stats[succeeded ? 'succeeded' : 'failed'] += 1;
+      } finally {
+        state.inFlight[carrier] -= 1;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+}
+
+/**
+ * 执行一轮轮询
+ * @returns {Promise<Object>} - 本轮统计
+ */
+async function runPollCycle() {
+  // 上一轮尚未结束时跳过
+  if (state.running) {
+    return null;
+  }
+
+  state.running = true;
+  state.lastRunStartedAt = new Date();
+  const stats = { polled: 0, succeeded: 0, failed: 0, byCarrier: {} };
+
+  try {
+    const shippings = await Shipping.find(buildDueQuery(state.lastRunStartedAt))
+      .sort({ nextPollAt: 1 })
+      .limit(state.batchSize || 200);
+
+    const groups = shippings.reduce((result, shipping) => {
+      (result[shipping.carrier] = result[shipping.carrier] || []).push(shipping);
+      return result;
+    }, {});
+
+    Object.entries(groups).forEach(([carrier, items]) => {
+      stats.byCarrier[carrier] = items.length;
+    });
+
+    // 不同物流公司之间并行，同一物流公司受并发上限限制
+    await Promise.all(Object.entries(groups).map(([carrier, items]) => pollCarrier(carrier, items, stats)));
+
+    state.lastError = null;
+  } catch (error) {
+    console.error('物流轮询任务执行失败:', error);
+    state.lastError = { message: error.message, at: new Date() };
+  } finally {
+    state.running = false;
+    state.lastRunFinishedAt = new Date();
+    state.lastRun = stats;
+    state.totals.runs += 1;
+    state.totals.polled += stats.polled;
+    state.totals.succeeded += stats.succeeded;
+    state.totals.failed += stats.failed;
+  }
+
+  return stats;
+}
+
+/**
+ * 启动后台轮询
+ * @param {Object} options - 轮询选项
+ * @param {number} options.intervalMs - 检查间隔（毫秒）
+ * @param {number} options.batchSize - 每轮最多处理的物流数量
+ * @returns {boolean} - 是否已启动
+ */
+function startTrackingPoller(options = {}) {
+  if (state.timer || process.env.SHIPPING_POLLER_ENABLED === 'false') {
+    return Boolean(state.timer);
+  }
+
+  state.intervalMs = options.intervalMs || Number(process.env.SHIPPING_POLLER_INTERVAL_MS) || 5 * 60 * 1000;
+  state.batchSize = options.batchSize || Number(process.env.SHIPPING_POLLER_BATCH_SIZE) || 200;
+  state.enabled = true;
+  state.startedAt = new Date();
+
+  state.timer = setInterval(runPollCycle, state.intervalMs);
+  // 不阻止进程退出
+  state.timer.unref();
+
+  return true;
+}
+
+/**
+ * 停止后台轮询
+ */
+function stopTrackingPoller() {
+  if (state.timer) {
+    clearInterval(state.timer);
+  }
+
+  state.timer = null;
+  state.enabled = false;
+}
+
+/**
+ * 获取轮询任务状态
+ * @returns {Promise<Object>} - 轮询任务状态
+ */
+async function getPollerStatus() {
+  const now = new Date();
+  const [dueCount, activeCount, failingCount] = await Promise.all([
+    Shipping.countDocuments(buildDueQuery(now)),
+    Shipping.countDocuments({ status: { $in: ACTIVE_STATUSES } }),
+    Shipping.countDocuments({ status: { $in: ACTIVE_STATUSES }, pollFailures: { $gt: 0 } })
+  ]);
+
+  return {
+    enabled: state.enabled,
+    running: state.running,
+    intervalMs: state.intervalMs,
+    batchSize: state.batchSize,
+    startedAt: state.startedAt,
+    lastRunStartedAt: state.lastRunStartedAt,
+    lastRunFinishedAt: state.lastRunFinishedAt,
+    nextRunAt: state.enabled && state.lastRunStartedAt
+      ? new Date(state.lastRunStartedAt.getTime() + state.intervalMs)
+      : null,
+    lastRun: state.lastRun,
+    lastError: state.lastError,
+    totals: state.totals,
+    inFlight: state.inFlight,
+    shipments: {
+      active: activeCount,
+      due: dueCount,
+      failing: failingCount
+    }
+  };
+}
+
+module.exports = {
+  startTrackingPoller,
+  stopTrackingPoller,
+  runPollCycle,
+  getPollerStatus
+};
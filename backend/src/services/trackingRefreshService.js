@@ -0,0 +1,125 @@
+/**
+ * 物流跟踪信息刷新服务
+ * 从物流公司获取最新跟踪信息并更新物流记录，供控制器和后台轮询任务共用
+ */
+
+const { createShippingTracker, resolveCarrier } = require('./shippingService');
+const { computeNextPollAt } = require('./trackingSchedule');
+const { mergeTrackingHistory } = require('./trackingMerge');
+const { transitionShipping, InvalidStatusTransitionError } = require('./shippingStateMachine');
+const { SHIPPING_EVENTS, queueShippingEvent } = require('./shippingEvents');
+const { updatePredictedDelivery } = require('./etaPredictionService');
+const { isSubStatusOf, ACTIVE_STATUSES } = require('../utils/shippingStatus');
+
+/**
+ * 检查物流公司是否支持自动跟踪
+ * @param {string} carrier - 物流公司代码
+ * @returns {boolean} - 是否支持自动跟踪
+ */
+function supportsTracking(carrier) {
+  const definition = resolveCarrier(carrier);
+  return Boolean(definition && definition.capabilities.tracking);
+}
+
+/**
+ * 确定跟踪信息对应的子状态
+ * 物流公司的包裹状态没有子状态时，使用属于同一主状态的最新跟踪事件的子状态
+ * @param {Object} trackingInfo - 标准化的物流跟踪信息
+ * @returns {string|null} - 子状态
+ */
+function resolveSubStatus(trackingInfo) {
+  if (trackingInfo.subStatus) {
+    return isSubStatusOf(trackingInfo.status, trackingInfo.subStatus) ? trackingInfo.subStatus : null;
+  }
+
+  const latest = (trackingInfo.trackingHistory || [])
+    .filter(event => event.subStatus)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+
+  return latest && isSubStatusOf(trackingInfo.status, latest.subStatus) ? latest.subStatus : null;
+}
+
+/**
+ * 将物流公司返回的跟踪信息应用到物流记录并保存
+ * 主动查询和物流公司推送共用该函数，保证状态和状态历史的更新方式一致
+ * @param {Object} shipping - 物流信息文档
+ * @param {Object} trackingInfo - 标准化的物流跟踪信息
+ * @param {Object} options - 更新选项
+ * @param {string} options.note - 状态历史备注
+ * @param {string} options.source - 跟踪事件来源（carrier为主动查询，webhook为物流公司推送）
+ * @param {boolean} options.complete - 跟踪事件是否为完整记录
+ * @returns {Promise<Object>} - 更新后的物流信息
+ */
+async function applyTrackingInfo(shipping, trackingInfo, { note = '系统自动更新', source = 'carrier', complete = true } = {}) {
+  // 增量合并跟踪历史，保留手动添加的事件和物流公司已移除的事件
+  const merged = mergeTrackingHistory(shipping.trackingHistory, trackingInfo.trackingHistory, { source, complete });
+
+  shipping.trackingHistory = merged.trackingHistory;
+  shipping.lastRefreshId = merged.refreshId;
+  shipping.apiResponse = trackingInfo.rawData;
+  shipping.lastUpdated = new Date();
+
+  if (merged.added.length > 0) {
+    queueShippingEvent(shipping, SHIPPING_EVENTS.TRACKING_EVENT_ADDED, { events: merged.added, source });
+  }
+
+  // 通过状态机更新物流状态，物流公司返回的非法状态变更（如已送达后又变为运输中）只记录日志
+  try {
+    await transitionShipping(shipping, trackingInfo.status, {
+      subStatus: resolveSubStatus(trackingInfo),
+      source,
+      note
+    });
+  } catch (error) {
+    if (!(error instanceof InvalidStatusTransitionError)) {
+      throw error;
+    }
+    console.warn(`忽略物流公司返回的状态 [${shipping.carrier} ${shipping.trackingNumber}]: ${error.message}`);
+  }
+
+  // 如果有预计送达日期
+  if (trackingInfo.estimatedDeliveryDate) {
+    shipping.estimatedDeliveryDate = trackingInfo.estimatedDeliveryDate;
+  }
+
+  // 未完结的物流根据历史送达记录更新预测送达时间，预测失败不影响跟踪信息的保存
+  if (ACTIVE_STATUSES.includes(shipping.status)) {
+    try {
+      await updatePredictedDelivery(shipping);
+    } catch (error) {
+      console.error(`预测送达时间失败 [${shipping.carrier} ${shipping.trackingNumber}]:`, error.message);
+    }
+  }
+
+  // 重新安排下一次轮询
+  shipping.nextPollAt = computeNextPollAt(shipping);
+
+  await shipping.save();
+  return shipping;
+}
+
+/**
+ * 从物流公司获取最新跟踪信息并保存
+ * @param {Object} shipping - 物流信息文档
+ * @returns {Promise<Object>} - 更新后的物流信息
+ */
+async function refreshShippingTracking(shipping) {
+  // 未集成跟踪接口的物流公司由管理员手动维护状态
+  if (!supportsTracking(shipping.carrier)) {
+    return shipping;
+  }
+
+  const tracker = createShippingTracker(shipping.carrier, { account: shipping.carrierAccount });
+  const trackingInfo = await tracker.getTracking(shipping.trackingNumber);
+
+  shipping.lastPolledAt = new Date();
+  shipping.pollFailures = 0;
+
+  return applyTrackingInfo(shipping, trackingInfo);
+}
+
+module.exports = {
+  supportsTracking,
+  applyTrackingInfo,
+  refreshShippingTracking
+};
@@ -0,0 +1,105 @@
+/**
+ * 物流跟踪轮询计划
+ * 根据物流状态、预计送达日期和最近的跟踪事件计算下一次轮询时间
+ */
+
+const { ACTIVE_STATUSES } = require('../utils/shippingStatus');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// 轮询失败后的最长重试间隔
+const MAX_RETRY_INTERVAL = 24 * HOUR;
+
+/**
+ * 获取最近一条跟踪事件的时间
+ * @param {Object} shipping - 物流信息
+ * @returns {Date|null} - 最近事件时间
+ */
+function getLastEventTime(shipping) {
+  const timestamps = (shipping.trackingHistory || []).map(event => new Date(event.timestamp).getTime());
+  return timestamps.length > 0 ? new Date(Math.max(...timestamps)) : null;
+}
+
+/**
+ * 计算轮询间隔（毫秒）
+ * - 预计送达前后48小时内：每小时（没有物流公司提供的预计送达日期时使用预测日期）
+ * - 派送中、派送失败：每小时
+ * - 异常状态：每2小时
+ * - 刚发货未揽收（24小时内）：每2小时
+ * - 超过3天没有新事件：每6小时；超过7天或已超过预计送达日期7天：每12小时
+ * - 其他运输中的包裹：每4小时
+ * @param {Object} shipping - 物流信息
+ * @param {Date} now - 当前时间
+ * @returns {number|null} - 轮询间隔，终态返回null
+ */
+function computePollInterval(shipping, now = new Date()) {
+  if (!ACTIVE_STATUSES.includes(shipping.status)) {
+    return null;
+  }
+
+  const lastEventTime = getLastEventTime(shipping) || shipping.shippedDate || now;
+  const sinceLastEvent = now - new Date(lastEventTime);
+
+  const eta = shipping.estimatedDeliveryDate || (shipping.predictedDelivery && shipping.predictedDelivery.date);
+  if (eta) {
+    const untilEta = new Date(eta) - now;
+
+    if (untilEta < -7 * DAY) {
+      return 12 * HOUR;
+    }
+    if (Math.abs(untilEta) <= 2 * DAY) {
+      return HOUR;
+    }
+  }
+
+  if (['out_for_delivery', 'failed_attempt'].includes(shipping.status)) {
+    return HOUR;
+  }
+
+  if (shipping.status === 'exception') {
+    return 2 * HOUR;
+  }
+
+  if (sinceLastEvent > 7 * DAY) {
+    return 12 * HOUR;
+  }
+  if (sinceLastEvent > 3 * DAY) {
+    return 6 * HOUR;
+  }
+
+  if (shipping.status === 'pending' && now - new Date(shipping.shippedDate || now) < DAY) {
+    return 2 * HOUR;
+  }
+
+  return 4 * HOUR;
+}
+
+/**
+ * 计算下一次轮询时间
+ * @param {Object} shipping - 物流信息
+ * @param {Date} now - 当前时间
+ * @returns {Date|null} - 下一次轮询时间，终态返回null
+ */
+function computeNextPollAt(shipping, now = new Date()) {
+  const interval = computePollInterval(shipping, now);
+  return interval === null ? null : new Date(now.getTime() + interval);
+}
+
+/**
+ * 计算轮询失败后的重试时间（指数退避）
+ * @param {number} failures - 连续失败次数
+ * @param {Date} now - 当前时间
+ * @returns {Date} - 重试时间
+ */
+function computeRetryAt(failures, now = new Date()) {
+  const interval = Math.min(15 * 60 * 1000 * Math.pow(2, Math.max(failures - 1, 0)), MAX_RETRY_INTERVAL);
+  return new Date(now.getTime() + interval);
+}
+
+module.exports = {
+  ACTIVE_STATUSES,
+  computePollInterval,
+  computeNextPollAt,
+  computeRetryAt
+};
@@ -0,0 +1,37 @@
+/**
+ * 带HTTP状态码的错误
+ * 服务层抛出带statusCode的错误，控制器通过withStatus设置响应状态码后交给错误处理中间件
+ */
+
+/**
+ * 创建带状态码的错误
+ * @param {number} statusCode - HTTP状态码
+ * @param {string} message - 错误信息
+ * @returns {Error} - 错误
+ */
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * 执行服务调用，出错时按错误的statusCode设置响应状态码后重新抛出
+ * @param {Object} res - 响应
+ * @param {Function} fn - 服务调用（同步或异步）
+ * @param {number} fallbackStatus - 错误没有statusCode时使用的状态码
+ * @returns {Promise<*>} - 服务调用的返回值
+ */
+async function withStatus(res, fn, fallbackStatus = 400) {
+  try {
+    return await fn();
+  } catch (error) {
+    res.status(error.statusCode || fallbackStatus);
+    throw error;
+  }
+}
+
+module.exports = {
+  httpError,
+  withStatus
+};
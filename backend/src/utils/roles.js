@@ -0,0 +1,54 @@
+/**
+ * 用户角色
+ * - customer：普通用户，只能访问自己的订单
+ * - support：客服，只读访问所有订单和物流信息，不能修改
+ * - admin：管理员
+ * 用户的角色取自User.role，旧数据没有role字段时根据isAdmin判断
+ */
+
+const ROLES = ['customer', 'support', 'admin'];
+
+// 可以查看所有订单物流信息的角色
+const STAFF_ROLES = ['support', 'admin'];
+
+/**
+ * 获取用户角色
+ * @param {Object} user - 用户
+ * @returns {string} - 角色
+ */
+function getUserRole(user) {
+  if (!user) {
+    return null;
+  }
+  if (ROLES.includes(user.role)) {
+    return user.role;
+  }
+  return user.isAdmin ? 'admin' : 'customer';
+}
+
+/**
+ * 检查用户是否具有指定角色之一
+ * @param {Object} user - 用户
+ * @param {string[]} roles - 角色列表
+ * @returns {boolean} - 是否具有
+ */
+function hasRole(user, roles) {
+  return roles.includes(getUserRole(user));
+}
+
+/**
+ * 检查用户是否为员工（客服或管理员）
+ * @param {Object} user - 用户
+ * @returns {boolean} - 是否为员工
+ */
+function isStaff(user) {
+  return hasRole(user, STAFF_ROLES);
+}
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  getUserRole,
+  hasRole,
+  isStaff
+};
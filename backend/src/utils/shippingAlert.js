@@ -0,0 +1,26 @@
+/**
+ * 物流预警常量
+ */
+
+// 预警类型
+const ALERT_TYPES = [
+  'stalled',   // 长时间没有新的跟踪事件
+  'overdue',   // 超过预计送达日期仍未送达
+  'customs'    // 海关扣留时间过长
+];
+
+// 预警处理状态
+const ALERT_STATUSES = [
+  'open',           // 待处理
+  'acknowledged',   // 已确认（处理中）
+  'resolved'        // 已解决
+];
+
+// 未解决的预警状态
+const ACTIVE_ALERT_STATUSES = ['open', 'acknowledged'];
+
+module.exports = {
+  ALERT_TYPES,
+  ALERT_STATUSES,
+  ACTIVE_ALERT_STATUSES
+};
@@ -0,0 +1,54 @@
+/**
+ * 物流异常工单常量
+ */
+
+// 工单类型
+const CASE_TYPES = [
+  'lost',            // 包裹丢失
+  'damaged',         // 包裹损坏
+  'address_issue',   // 地址问题
+  'customs',         // 清关问题
+  'refused'          // 拒收
+];
+
+// 工单状态
+const CASE_STATUSES = [
+  'open',          // 待处理
+  'in_progress',   // 处理中
+  'resolved'       // 已解决
+];
+
+// 未解决的工单状态
+const ACTIVE_CASE_STATUSES = ['open', 'in_progress'];
+
+// 处理结果
+const CASE_RESOLUTIONS = [
+  'reship',   // 补发
+  'refund',   // 退款
+  'return'    // 退回
+];
+
+// 各类工单的处理时限（小时）：response为首次响应，resolution为解决
+const CASE_SLA_HOURS = {
+  lost: { response: 4, resolution: 120 },
+  damaged: { response: 4, resolution: 72 },
+  address_issue: { response: 2, resolution: 24 },
+  customs: { response: 8, resolution: 120 },
+  refused: { response: 8, resolution: 72 }
+};
+
+// 物流子状态 -> 默认工单类型
+const CASE_TYPE_BY_SUB_STATUS = {
+  lost: 'lost',
+  damaged: 'damaged',
+  customs_hold: 'customs'
+};
+
+module.exports = {
+  CASE_TYPES,
+  CASE_STATUSES,
+  ACTIVE_CASE_STATUSES,
+  CASE_RESOLUTIONS,
+  CASE_SLA_HOURS,
+  CASE_TYPE_BY_SUB_STATUS
+};
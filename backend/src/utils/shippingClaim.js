@@ -0,0 +1,37 @@
+/**
+ * 物流索赔常量
+ */
+
+// 索赔类型
+const CLAIM_TYPES = [
+  'lost',      // 丢失
+  'damaged'    // 损坏
+];
+
+// 索赔状态
+const CLAIM_STATUSES = [
+  'draft',       // 草稿
+  'submitted',   // 已提交物流公司
+  'approved',    // 物流公司已同意
+  'rejected',    // 物流公司已拒绝
+  'paid'         // 已赔付
+];
+
+// 允许的索赔状态变更（被拒绝后可补充材料重新提交）
+const CLAIM_TRANSITIONS = {
+  draft: ['submitted'],
+  submitted: ['approved', 'rejected'],
+  approved: ['paid'],
+  rejected: ['submitted'],
+  paid: []
+};
+
+// 证据类型
+const CLAIM_EVIDENCE_KINDS = ['photo', 'invoice', 'packing_list', 'correspondence', 'other'];
+
+module.exports = {
+  CLAIM_TYPES,
+  CLAIM_STATUSES,
+  CLAIM_TRANSITIONS,
+  CLAIM_EVIDENCE_KINDS
+};
@@ -0,0 +1,59 @@
+/**
+ * 报关常量
+ */
+
+// 贸易术语
+const INCOTERMS = [
+  'DDP',   // 完税后交货（发件人承担进口关税和税费）
+  'DDU'    // 未完税交货（收件人承担进口关税和税费）
+];
+
+// 关税和进口税费的承担方（DDP为发件人，DDU为收件人）
+const DUTY_PAYERS = ['sender', 'recipient'];
+
+// 内件类型（CN22/CN23的物品类别）
+const CUSTOMS_CONTENT_TYPES = [
+  'merchandise',      // 商品
+  'gift',             // 礼品
+  'sample',           // 商品样品
+  'documents',        // 文件
+  'returned_goods',   // 退回商品
+  'other'             // 其他
+];
+
+// 内件类型 -> 商业发票和物流公司运单中的出口原因
+const CUSTOMS_EXPORT_REASONS = {
+  merchandise: 'SALE',
+  gift: 'GIFT',
+  sample: 'SAMPLE',
+  documents: 'DOCUMENTS',
+  returned_goods: 'RETURN',
+  other: 'OTHER'
+};
+
+// 报关单据类型
+const CUSTOMS_DOCUMENT_TYPES = [
+  'commercial_invoice',   // 商业发票（快递）
+  'cn22',                 // CN22报关签条（邮政小包，申报价值不超过300特别提款权）
+  'cn23'                  // CN23报关单（邮政包裹，申报价值超过300特别提款权）
+];
+
+// 邮政渠道的物流公司（使用CN22/CN23，其他物流公司使用商业发票）
+const POSTAL_CARRIERS = ['17track', 'cainiao', 'yunexpress'];
+
+// 海关商品编码（HS编码，至少6位）
+const HS_CODE_PATTERN = /^\d{6,10}$/;
+
+// 不被海关接受的笼统品名
+const VAGUE_DESCRIPTIONS = ['gift', 'gifts', 'goods', 'merchandise', 'item', 'items', 'sample', 'parts', 'accessories', 'stuff', 'other'];
+
+module.exports = {
+  INCOTERMS,
+  DUTY_PAYERS,
+  CUSTOMS_CONTENT_TYPES,
+  CUSTOMS_EXPORT_REASONS,
+  CUSTOMS_DOCUMENT_TYPES,
+  POSTAL_CARRIERS,
+  HS_CODE_PATTERN,
+  VAGUE_DESCRIPTIONS
+};
@@ -0,0 +1,63 @@
+/**
+ * 物流信息批量导入常量
+ */
+
+// 导入文件格式
+const IMPORT_FORMATS = ['csv', 'xlsx'];
+
+// 导入任务状态
+const IMPORT_JOB_STATUSES = [
+  'queued',      // 等待处理
+  'running',     // 处理中
+  'completed',   // 已完成（可能部分行失败）
+  'failed'       // 处理中断
+];
+
+// 导入行状态
+const IMPORT_ROW_STATUSES = [
+  'pending',   // 未处理
+  'valid',     // 校验通过（试运行）
+  'created',   // 已创建物流信息
+  'error'      // 失败
+];
+
+// 导入行错误代码
+const IMPORT_ERROR_CODES = [
+  'missing_field',         // 缺少订单号或物流单号
+  'unknown_order',         // 订单不存在
+  'unknown_carrier',       // 不支持或无法识别的物流公司
+  'bad_tracking_format',   // 物流单号格式无效
+  'duplicate_shipment',    // 物流单号已存在
+  'duplicate_in_file',     // 文件中重复的物流单号
+  'nothing_to_ship',       // 订单商品已全部发货
+  'save_failed'            // 保存失败
+];
+
+// 表头别名 -> 字段（表头比较时忽略大小写、空格、下划线和连字符）
+const IMPORT_COLUMN_ALIASES = {
+  ordernumber: 'orderNumber',
+  order: 'orderNumber',
+  orderno: 'orderNumber',
+  '订单号': 'orderNumber',
+  carrier: 'carrier',
+  '物流公司': 'carrier',
+  trackingnumber: 'trackingNumber',
+  tracking: 'trackingNumber',
+  trackingno: 'trackingNumber',
+  '物流单号': 'trackingNumber',
+  notes: 'notes',
+  note: 'notes',
+  '备注': 'notes'
+};
+
+// 必须包含的列
+const IMPORT_REQUIRED_COLUMNS = ['orderNumber', 'trackingNumber'];
+
+module.exports = {
+  IMPORT_FORMATS,
+  IMPORT_JOB_STATUSES,
+  IMPORT_ROW_STATUSES,
+  IMPORT_ERROR_CODES,
+  IMPORT_COLUMN_ALIASES,
+  IMPORT_REQUIRED_COLUMNS
+};
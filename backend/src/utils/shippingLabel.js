@@ -0,0 +1,27 @@
+/**
+ * 物流面单常量
+ */
+
+// 面单格式
+const LABEL_FORMATS = [
+  'pdf',   // PDF（普通打印机）
+  'zpl'    // ZPL（斑马热敏打印机）
+];
+
+// 面单状态
+const LABEL_STATUSES = [
+  'created',   // 已创建
+  'voided'     // 已作废
+];
+
+// 面单格式 -> 下载时的Content-Type
+const LABEL_CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  zpl: 'application/x-zpl'
+};
+
+module.exports = {
+  LABEL_FORMATS,
+  LABEL_STATUSES,
+  LABEL_CONTENT_TYPES
+};
@@ -0,0 +1,28 @@
+/**
+ * 物流通知常量
+ */
+
+// 可订阅的物流通知类型
+const NOTIFICATION_TYPES = [
+  'shipped',            // 已发货
+  'out_for_delivery',   // 派送中
+  'exception',          // 物流异常
+  'delivered',          // 已送达
+  'returned'            // 已退回
+];
+
+// 通知渠道
+const NOTIFICATION_CHANNELS = ['email', 'sms'];
+
+// 支持的通知语言
+const NOTIFICATION_LOCALES = ['zh-CN', 'en'];
+
+// 默认通知语言
+const DEFAULT_LOCALE = 'zh-CN';
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_LOCALES,
+  DEFAULT_LOCALE
+};
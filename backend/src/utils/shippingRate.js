@@ -0,0 +1,47 @@
+/**
+ * 运费报价常量
+ */
+
+// 服务等级
+const SERVICE_LEVELS = [
+  'express',    // 快递
+  'standard',   // 标准
+  'economy'     // 经济
+];
+
+// 附加费计费方式
+const SURCHARGE_TYPES = [
+  'fixed',                  // 固定金额（每票）
+  'per_parcel',             // 每件包裹固定金额
+  'per_kg',                 // 按计费重量每公斤
+  'percent',                // 基础运费的百分比
+  'declared_value_percent'  // 申报价值的百分比
+];
+
+// 附加费条件运算符
+const CONDITION_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'not_in'];
+
+// 附加费条件可用的字段
+const CONDITION_FIELDS = [
+  'carrier',
+  'service',
+  'originCountry',
+  'destinationCountry',
+  'zone',
+  'actualWeight',       // 实际重量合计（公斤）
+  'chargeableWeight',   // 计费重量合计（公斤）
+  'maxParcelWeight',    // 单件最大实际重量（公斤）
+  'longestSide',        // 单件最长边（厘米）
+  'parcelCount',
+  'declaredValue',
+  'insurance',          // 是否购买保险
+  'signature',          // 是否需要签收
+  'residential'         // 是否为住宅地址
+];
+
+module.exports = {
+  SERVICE_LEVELS,
+  SURCHARGE_TYPES,
+  CONDITION_OPERATORS,
+  CONDITION_FIELDS
+};
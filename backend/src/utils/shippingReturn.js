@@ -0,0 +1,45 @@
+/**
+ * 退货物流常量
+ */
+
+// 物流方向
+const SHIPPING_DIRECTIONS = [
+  'outbound',   // 发货
+  'return'      // 退货
+];
+
+// 退货原因
+const RETURN_REASONS = [
+  'damaged',            // 商品损坏
+  'defective',          // 质量问题
+  'wrong_item',         // 发错商品
+  'not_as_described',   // 与描述不符
+  'size_fit',           // 尺码不合适
+  'no_longer_needed',   // 不再需要
+  'other'               // 其他
+];
+
+// 仓库收货状态
+const RETURN_WAREHOUSE_STATUSES = [
+  'awaiting',    // 等待退货到仓
+  'received',    // 已收货
+  'inspected'    // 已质检
+];
+
+// 质检结果
+const RETURN_INSPECTION_RESULTS = [
+  'accepted',             // 全部合格
+  'partially_accepted',   // 部分合格
+  'rejected'              // 不合格
+];
+
+// 已到仓的收货状态
+const RECEIVED_WAREHOUSE_STATUSES = ['received', 'inspected'];
+
+module.exports = {
+  SHIPPING_DIRECTIONS,
+  RETURN_REASONS,
+  RETURN_WAREHOUSE_STATUSES,
+  RETURN_INSPECTION_RESULTS,
+  RECEIVED_WAREHOUSE_STATUSES
+};
@@ -0,0 +1,91 @@
+/**
+ * 物流状态常量
+ */
+
+// 全部物流状态
+const SHIPPING_STATUSES = [
+  'pending',            // 待揽收
+  'in_transit',         // 运输中
+  'out_for_delivery',   // 派送中
+  'failed_attempt',     // 派送失败
+  'delivered',          // 已送达
+  'exception',          // 异常
+  'returned',           // 已退回
+  'cancelled'           // 已取消（揽收前作废面单）
+];
+
+// 终态，进入后不再变更（管理员强制变更除外）
+const TERMINAL_STATUSES = ['delivered', 'returned', 'cancelled'];
+
+// 未完结的物流状态
+const ACTIVE_STATUSES = SHIPPING_STATUSES.filter(status => !TERMINAL_STATUSES.includes(status));
+
+// 子状态 -> 所属的主状态
+const SUB_STATUS_PARENTS = {
+  info_received: 'pending',              // 已收到物流信息
+  picked_up: 'in_transit',               // 已揽收
+  customs_hold: 'exception',             // 海关扣留
+  customs_cleared: 'in_transit',         // 已清关
+  out_for_delivery: 'out_for_delivery',  // 派送中
+  failed_attempt: 'failed_attempt',      // 派送失败
+  available_for_pickup: 'out_for_delivery', // 待自提
+  damaged: 'exception',                  // 包裹损坏
+  lost: 'exception',                     // 包裹丢失
+  return_to_sender: 'exception'          // 退回发件人途中（收到退件前不视为已退回）
+};
+
+// 全部子状态
+const SUB_STATUSES = Object.keys(SUB_STATUS_PARENTS);
+
+// 订单级物流状态（由订单下所有包裹的状态汇总得出）
+const ORDER_SHIPPING_STATUSES = [
+  'unshipped',            // 未发货
+  'partially_shipped',    // 部分商品已发货
+  'in_transit',           // 全部商品已发货，运输中
+  'partially_delivered',  // 部分包裹已送达
+  'delivered',            // 全部包裹已送达
+  'exception',            // 有包裹异常或派送失败
+  'returned'              // 全部包裹已退回
+];
+
+// 状态变更来源
+const STATUS_SOURCES = ['system', 'carrier', 'webhook', 'admin'];
+
+/**
+ * 将标准状态或子状态代码解析为主状态和子状态
+ * @param {string} code - 标准状态或子状态代码
+ * @returns {Object|null} - 主状态和子状态（status、subStatus），非标准代码返回null
+ */
+function resolveStatusCode(code) {
+  if (SUB_STATUS_PARENTS[code]) {
+    return { status: SUB_STATUS_PARENTS[code], subStatus: code };
+  }
+
+  if (SHIPPING_STATUSES.includes(code)) {
+    return { status: code, subStatus: null };
+  }
+
+  return null;
+}
+
+/**
+ * 检查子状态是否属于主状态
+ * @param {string} status - 主状态
+ * @param {string} subStatus - 子状态
+ * @returns {boolean} - 是否匹配
+ */
+function isSubStatusOf(status, subStatus) {
+  return SUB_STATUS_PARENTS[subStatus] === status;
+}
+
+module.exports = {
+  SHIPPING_STATUSES,
+  TERMINAL_STATUSES,
+  ACTIVE_STATUSES,
+  SUB_STATUS_PARENTS,
+  SUB_STATUSES,
+  ORDER_SHIPPING_STATUSES,
+  STATUS_SOURCES,
+  resolveStatusCode,
+  isSubStatusOf
+};
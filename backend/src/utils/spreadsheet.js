@@ -0,0 +1,248 @@
+/**
+ * 表格文件读取（CSV、XLSX）
+ * XLSX只读取第一个工作表的单元格文本，不计算公式，日期按Excel序列号原样返回
+ */
+
+const zlib = require('zlib');
+
+// XLSX解压后的最大总大小（防止压缩炸弹耗尽内存）
+const MAX_UNCOMPRESSED_SIZE = 50 * 1024 * 1024;
+
+/**
+ * 解析CSV（RFC 4180，支持引号转义、CRLF和UTF-8 BOM，分隔符按首行自动识别为逗号、分号或制表符）
+ * @param {string} text - CSV文本
+ * @returns {string[][]} - 行列表（每行为单元格文本）
+ */
+function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * 读取ZIP文件中的所有条目（只支持存储和deflate压缩），解压后的总大小不超过MAX_UNCOMPRESSED_SIZE
+ * @param {Buffer} buffer - ZIP文件内容
+ * @returns {Map<string, Buffer>} - 文件名 -> 解压后的内容
+ */
+function readZipEntries(buffer) {
+  // 从文件末尾查找中央目录结束记录
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) {
+    throw new Error('无效的XLSX文件');
+  }
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(end + 10);
+  let remaining = MAX_UNCOMPRESSED_SIZE;
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('无效的XLSX文件');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const uncompressedSize = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (uncompressedSize > remaining) {
+      throw new Error('XLSX文件解压后过大');
+    }
+
+    if (method === 0) {
+      entries.set(name, data);
+      remaining -= data.length;
+    } else if (method === 8) {
+      // 中央目录中的大小可能与实际不符，解压时同样限制输出大小
+      let content;
+      try {
+        content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(remaining, 1) });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw new Error('XLSX文件解压后过大');
+        }
+        throw error;
+      }
+      entries.set(name, content);
+      remaining -= content.length;
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * 解码XML文本中的实体
+ * @param {string} text - XML文本
+ * @returns {string} - 文本
+ */
+function decodeXml(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * 提取XML片段中所有<t>元素的文本（富文本单元格由多个<t>组成）
+ * @param {string} xml - XML片段
+ * @returns {string} - 文本
+ */
+function readTextRuns(xml) {
+  const runs = xml.match(/<t(?:\s[^>]*)?>[\s\S]*?<\/t>/g) || [];
+  return runs.map(run => decodeXml(run.replace(/^<t(?:\s[^>]*)?>|<\/t>$/g, ''))).join('');
+}
+
+/**
+ * 将单元格列字母转换为列序号（A为0）
+ * @param {string} ref - 单元格引用（如C12）
+ * @returns {number} - 列序号
+ */
+function columnIndex(ref) {
+  const letters = ref.replace(/\d+$/, '');
+  return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * 查找工作簿中第一个工作表的路径
+ * @param {Map<string, Buffer>} entries - ZIP条目
+ * @returns {string} - 工作表路径
+ */
+function findFirstSheet(entries) {
+  const workbook = entries.get('xl/workbook.xml');
+  const rels = entries.get('xl/_rels/workbook.xml.rels');
+
+  if (workbook && rels) {
+    const sheet = workbook.toString('utf8').match(/<sheet\b[^>]*\br:id="([^"]+)"/);
+    const relation = sheet && rels.toString('utf8').match(new RegExp(`<Relationship\\b[^>]*\\bId="${sheet[1]}"[^>]*>`));
+    const target = relation && relation[0].match(/\bTarget="([^"]+)"/);
+    if (target) {
+      return target[1].startsWith('/') ? target[1].slice(1) : `xl/${target[1]}`;
+    }
+  }
+
+  return 'xl/worksheets/sheet1.xml';
+}
+
+/**
+ * 读取XLSX文件第一个工作表的单元格文本
+ * @param {Buffer} buffer - XLSX文件内容
+ * @returns {string[][]} - 行列表（每行为单元格文本，空单元格为空字符串）
+ */
+function parseXlsx(buffer) {
+  const entries = readZipEntries(buffer);
+  const sheet = entries.get(findFirstSheet(entries));
+  if (!sheet) {
+    throw new Error('XLSX文件中没有工作表');
+  }
+
+  const sharedStringsXml = entries.get('xl/sharedStrings.xml');
+  const sharedStrings = sharedStringsXml
+    ? (sharedStringsXml.toString('utf8').match(/<si>[\s\S]*?<\/si>/g) || []).map(readTextRuns)
+    : [];
+
+  const xml = sheet.toString('utf8');
+  const rows = [];
+  const rowPattern = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+  const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+  let rowMatch;
+
+  while ((rowMatch = rowPattern.exec(xml)) !== null) {
+    const rowNumber = rowMatch[1].match(/\br="(\d+)"/);
+    const index = rowNumber ? Number(rowNumber[1]) - 1 : rows.length;
+    const cells = [];
+    let cellMatch;
+
+    while ((cellMatch = cellPattern.exec(rowMatch[2] || '')) !== null) {
+      const attributes = cellMatch[1];
+      const body = cellMatch[2] || '';
+      const ref = attributes.match(/\br="([A-Z]+\d+)"/);
+      const type = (attributes.match(/\bt="([^"]+)"/) || [])[1];
+      const value = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+
+      let text = '';
+      if (type === 's') {
+        text = sharedStrings[Number(value)] || '';
+      } else if (type === 'inlineStr') {
+        text = readTextRuns(body);
+      } else if (value !== undefined) {
+        text = decodeXml(value);
+      }
+
+      cells[ref ? columnIndex(ref[1]) : cells.length] = text;
+    }
+
+    rows[index] = Array.from(cells, cell => cell || '');
+  }
+
+  return Array.from(rows, row => row || []);
+}
+
+module.exports = {
+  parseCsv,
+  parseXlsx
+};
@@ -0,0 +1,64 @@
+/**
+ * 统计工具函数
+ */
+
+/**
+ * 计算百分位数（线性插值）
+ * @param {number[]} values - 数值列表
+ * @param {number} p - 百分位（0-100）
+ * @returns {number|null} - 百分位数，列表为空时返回null
+ */
+function percentile(values, p) {
+  if (!values || values.length === 0) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = (sorted.length - 1) * (p / 100);
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * 计算中位数
+ * @param {number[]} values - 数值列表
+ * @returns {number|null} - 中位数
+ */
+function median(values) {
+  return percentile(values, 50);
+}
+
+/**
+ * 计算平均值
+ * @param {number[]} values - 数值列表
+ * @returns {number|null} - 平均值
+ */
+function mean(values) {
+  if (!values || values.length === 0) {
+    return null;
+  }
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * 保留指定位数的小数
+ * @param {number|null} value - 数值
+ * @param {number} digits - 小数位数
+ * @returns {number|null} - 结果
+ */
+function round(value, digits = 2) {
+  if (value === null || value === undefined || Number.isNaN(value)) {
+    return null;
+  }
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  percentile,
+  median,
+  mean,
+  round
+};
@@ -0,0 +1,70 @@
+/**
+ * 纯文本PDF生成（面单、报关单据）
+ * 仅使用内置的Helvetica字体，非ASCII字符以?代替；超出一页的文字行自动分页
+ */
+
+/**
+ * 生成纯文本PDF
+ * @param {string[]} lines - 文字行
+ * @param {Object} options - 页面选项（单位为点）
+ * @param {number} options.width - 页面宽度
+ * @param {number} options.height - 页面高度
+ * @param {number} options.fontSize - 字号
+ * @param {number} options.leading - 行距
+ * @param {number} options.margin - 页边距
+ * @returns {Buffer} - PDF文件内容
+ */
+function renderTextPdf(lines, { width = 595, height = 842, fontSize = 10, leading = 13, margin = 40 } = {}) {
+  const escape = text => String(text)
+    .replace(/[^\x20-\x7E]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+
+  const linesPerPage = Math.max(1, Math.floor((height - margin * 2) / leading) + 1);
+  const pages = [];
+  for (let i = 0; i < Math.max(lines.length, 1); i += linesPerPage) {
+    pages.push(lines.slice(i, i + linesPerPage));
+  }
+
+  // 对象编号：1目录、2页面树、3字体，之后每页依次为页面和内容流
+  const pageRef = index => `${4 + index * 2} 0 R`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((page, index) => pageRef(index)).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+
+  pages.forEach((pageLines, index) => {
+    const content = [
+      'BT',
+      `/F1 ${fontSize} Tf`,
+      `${leading} TL`,
+      `${margin} ${height - margin} Td`,
+      ...pageLines.map((line, i) => (i === 0 ? `(${escape(line)}) Tj` : `(${escape(line)}) '`)),
+      'ET'
+    ].join('\n');
+
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+        `/Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + index * 2} 0 R >>`,
+      `<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(pdf);
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = {
+  renderTextPdf
+};
@@ -0,0 +1,77 @@
+/**
+ * 物流单号工具函数
+ * 提供物流单号标准化和各类单号的校验位验证
+ */
+
+/**
+ * 标准化物流单号（去除空格和连字符，转为大写）
+ * @param {string} trackingNumber - 物流单号
+ * @returns {string} - 标准化后的物流单号
+ */
+function normalizeTrackingNumber(trackingNumber) {
+  return String(trackingNumber || '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+/**
+ * 验证UPU S10国际邮件号的校验位（如 RR123456785CN）
+ * 8位序号按权重 8,6,4,2,3,5,9,7 加权求和，校验位 = 11 - (和 mod 11)，10记为0，11记为5
+ * @param {string} trackingNumber - 标准化后的物流单号
+ * @returns {boolean} - 校验位是否正确
+ */
+function isValidS10(trackingNumber) {
+  const match = /^[A-Z]{2}(\d{8})(\d)[A-Z]{2}$/.exec(trackingNumber);
+
+  if (!match) {
+    return false;
+  }
+
+  const weights = [8, 6, 4, 2, 3, 5, 9, 7];
+  const sum = match[1].split('').reduce((total, digit, i) => total + Number(digit) * weights[i], 0);
+
+  let check = 11 - (sum % 11);
+  if (check === 10) check = 0;
+  if (check === 11) check = 5;
+
+  return check === Number(match[2]);
+}
+
+/**
+ * 验证UPS 1Z单号的校验位（如 1Z999AA10123456784）
+ * 去掉1Z后的前15位中，字母按 (字符码 - 63) mod 10 转为数字，偶数位（从1开始计）乘2后求和，
+ * 校验位 = (10 - 和 mod 10) mod 10
+ * @param {string} trackingNumber - 标准化后的物流单号
+ * @returns {boolean} - 校验位是否正确
+ */
+function isValidUps1Z(trackingNumber) {
+  if (!/^1Z[0-9A-Z]{15}\d$/.test(trackingNumber)) {
+    return false;
+  }
+
+  const body = trackingNumber.slice(2, 17);
+  const sum = body.split('').reduce((total, char, i) => {
+    const value = /\d/.test(char) ? Number(char) : (char.charCodeAt(0) - 63) % 10;
+    return total + (i % 2 === 1 ? value * 2 : value);
+  }, 0);
+
+  return (10 - (sum % 10)) % 10 === Number(trackingNumber[17]);
+}
+
+/**
+ * 验证DHL Express 10位运单号的校验位（前9位 mod 7）
+ * @param {string} trackingNumber - 标准化后的物流单号
+ * @returns {boolean} - 校验位是否正确
+ */
+function isValidDhlExpress(trackingNumber) {
+  if (!/^\d{10}$/.test(trackingNumber)) {
+    return false;
+  }
+
+  return Number(trackingNumber.slice(0, 9)) % 7 === Number(trackingNumber[9]);
+}
+
+module.exports = {
+  normalizeTrackingNumber,
+  isValidS10,
+  isValidUps1Z,
+  isValidDhlExpress
+};